@@ -1,30 +1,99 @@
 require('dotenv').config();
-const { logger } = require('./src/logger');
+const fs = require('fs');
+const path = require('path');
+const { logger, logToStderr } = require('./src/logger');
 const ApiClient = require('./src/ApiClient');
+const LocalApiClient = require('./src/LocalApiClient');
 const JobManager = require('./src/JobManager');
+const DeviceHost = require('./src/DeviceHost');
+const CONFIG = require('./src/config');
+const ResultSpool = require('./src/ResultSpool');
+const RuleValidator = require('./src/RuleValidator');
+const PluginLoader = require('./src/PluginLoader');
+const { readJob, prepareJob } = require('./src/localJob');
+const { FixtureBundle, FIXTURE_MODES } = require('./src/FixtureBundle');
+const { ToolRegistry } = require('./src/tools');
+const { STATES } = require('./src/WorkerState');
 
 /**
  * DataHive.js Worker - Modular Architecture v2.0.0
  * Enterprise-grade job processor with 100% feature parity
+ *
+ * Usage:
+ *   node datahive.js                             Start the worker
+ *   node datahive.js --devices <file>            Start one worker per device listed in the file
+ *                                                (or DATAHIVE_DEVICES_FILE), sharing one browser
+ *   node datahive.js spool [list|stats|clear]    Inspect results waiting for upload
+ *   node datahive.js lint <file...> [--vars key=value] [--strict]
+ *                                                Validate YAML rule files without running them
+ *   node datahive.js run --job <file> [--vars key=value] [--record <dir>]
+ *                                                Run a job (JSON/YAML) or bare rule file locally and
+ *                                                print the outcome; nothing is sent to the API
+ *   node datahive.js run --replay <dir> [--job <file>] [--vars key=value]
+ *                                                Run a recorded fixture bundle with all network
+ *                                                traffic served from the bundle
+ *
+ * Signals (applied to every device):
+ *   SIGUSR1            Pause / resume polling (in-flight jobs keep running)
+ *   SIGUSR2            Drain: finish in-flight jobs, then exit
+ *   SIGINT / SIGTERM   Stop, waiting up to DATAHIVE_SHUTDOWN_TIMEOUT for in-flight jobs
  */
 
-async function main() {
+/**
+ * Start the worker: one device from .env, or every device in a devices file
+ * @param {string[]} argv - Optional `--devices <file>`
+ */
+async function main(argv) {
     logger.info('Starting DataHive.js Worker (Modular Architecture v2.0.0)...');
     logger.info('Initializing components...');
 
-    const apiClient = new ApiClient();
-    const jobManager = new JobManager(apiClient);
+    const { flags } = parseArgs(argv, ['--devices']);
+    const devicesFile = flags.devices || CONFIG.DEVICES_FILE;
+
+    // DeviceHost offers the same lifecycle as JobManager, for all of its devices
+    const worker = devicesFile
+        ? new DeviceHost(await DeviceHost.readDevices(devicesFile))
+        : new JobManager(new ApiClient());
 
-    // Graceful shutdown handlers
-    process.on('SIGINT', async () => {
-        logger.info('Received SIGINT, shutting down gracefully...');
-        await jobManager.stop();
+    // Graceful shutdown handlers (a second signal forces exit)
+    let shuttingDown = false;
+    const shutdown = async (signal) => {
+        if (shuttingDown) {
+            logger.warn(`Received ${signal} again, exiting immediately`);
+            process.exit(1);
+        }
+        shuttingDown = true;
+        logger.info(`Received ${signal}, shutting down gracefully...`);
+        await worker.stop();
         process.exit(0);
+    };
+
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+    // Runtime control: SIGUSR1 toggles pause/resume, SIGUSR2 drains and exits
+    process.on('SIGUSR1', () => {
+        if (worker.state === STATES.PAUSED) {
+            worker.resume();
+        } else {
+            worker.pause();
+        }
     });
 
-    process.on('SIGTERM', async () => {
-        logger.info('Received SIGTERM, shutting down gracefully...');
-        await jobManager.stop();
+    process.on('SIGUSR2', async () => {
+        logger.info('Received SIGUSR2, draining in-flight jobs before exit...');
+        if (await worker.drain()) {
+            process.exit(0);
+        }
+    });
+
+    // `exit` recycle mode: the worker has drained, let PM2/systemd restart us
+    // (with several devices, the others are stopped first)
+    worker.on('exitRequested', async ({ reason, deviceId }) => {
+        logger.info(`Exiting for recycle${deviceId ? ` of ${deviceId}` : ''}: ${reason}`);
+        if (devicesFile) {
+            await worker.stop();
+        }
         process.exit(0);
     });
 
@@ -33,11 +102,162 @@ async function main() {
         logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
     });
 
-    await jobManager.start();
+    await worker.start();
     logger.info('Worker started successfully');
 }
 
-main().catch(err => {
+/**
+ * Inspect the on-disk result spool without starting the worker
+ * @param {string} [action='list'] - list | stats | clear
+ */
+async function spoolCommand(action = 'list') {
+    const dataDir = JobManager.getDataDir(process.env.DATAHIVE_DEVICE_ID);
+    const spool = new ResultSpool(null, { dir: path.join(dataDir, 'spool') });
+    await spool.load();
+
+    switch (action) {
+        case 'list':
+            console.log(JSON.stringify(spool.list(), null, 2));
+            break;
+        case 'stats':
+            console.log(JSON.stringify(spool.getStats(), null, 2));
+            break;
+        case 'clear': {
+            const removed = await spool.clear();
+            console.log(`Removed ${removed} pending result(s) from ${spool.dir}`);
+            break;
+        }
+        default:
+            throw new Error(`Unknown spool action '${action}'. Use list, stats or clear`);
+    }
+}
+
+/**
+ * Split command arguments into files, `--vars key=value` (repeatable) and flags
+ * @param {string[]} argv - Command arguments
+ * @param {string[]} [valueFlags=[]] - Flags that take a value (besides --vars)
+ * @returns {{files: string[], variables: Object, flags: Object}}
+ */
+function parseArgs(argv, valueFlags = []) {
+    const files = [];
+    const variables = {};
+    const flags = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--vars') {
+            const [key, ...value] = String(argv[++i]).split('=');
+            variables[key] = value.join('=');
+        } else if (valueFlags.includes(arg)) {
+            flags[arg.slice(2)] = argv[++i];
+        } else if (arg.startsWith('--')) {
+            flags[arg.slice(2)] = true;
+        } else {
+            files.push(arg);
+        }
+    }
+    return { files, variables, flags };
+}
+
+/**
+ * Validate YAML rule files against the built-in and plugin tools
+ * Prints `file:line:column: error|warning: message` and exits with 1 on errors.
+ * @param {string[]} argv - Files, `--vars key=value` (repeatable) and `--strict`
+ */
+async function lintCommand(argv) {
+    const { files, variables, flags } = parseArgs(argv);
+    const strict = flags.strict === true;
+    if (files.length === 0) {
+        throw new Error('Usage: node datahive.js lint <file...> [--vars key=value] [--strict]');
+    }
+
+    const registry = new ToolRegistry({ quiet: true });
+    new PluginLoader().registerAll(registry, JobManager.builtInTools(null));
+    const validator = new RuleValidator(registry);
+
+    let errors = 0;
+    let warnings = 0;
+    for (const file of files) {
+        const report = validator.validate(await fs.promises.readFile(file, 'utf8'), { variables, strict });
+        const entries = [
+            ...report.errors.map(entry => ({ ...entry, level: 'error' })),
+            ...report.warnings.map(entry => ({ ...entry, level: 'warning' }))
+        ].sort((a, b) => (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0));
+
+        for (const entry of entries) {
+            console.log(`${file}:${entry.line}:${entry.column}: ${entry.level}: ${entry.message}`);
+        }
+        errors += report.errors.length;
+        warnings += report.warnings.length;
+    }
+
+    console.log(`${files.length} file(s) checked: ${errors} error(s), ${warnings} warning(s)`);
+    process.exitCode = errors > 0 ? 1 : 0;
+}
+
+/**
+ * Run one job locally through the normal JobManager pipeline
+ * Results and errors are captured by a LocalApiClient instead of being sent to
+ * the API; the spool and journal are disabled. Logs go to stderr and the outcome
+ * is printed to stdout as JSON. Exits with 1 if the job failed.
+ * `--record <dir>` saves the job and its network responses as a fixture bundle;
+ * `--replay <dir>` runs the bundle's job (or `--job`) against those responses.
+ * @param {string[]} argv - `--job <file>` (or the file alone), `--vars key=value`,
+ *   `--record <dir>`, `--replay <dir>`
+ */
+async function runCommand(argv) {
+    const { files, variables, flags } = parseArgs(argv, ['--job', '--record', '--replay']);
+    const file = flags.job || files[0];
+    if (!file && !flags.replay) {
+        throw new Error('Usage: node datahive.js run --job <file> [--vars key=value] [--record <dir>] | --replay <dir>');
+    }
+
+    // Keep stdout for the outcome: logs and console output go to stderr
+    logToStderr();
+    const print = console.log;
+    console.log = console.error;
+
+    let fixtures = null;
+    let job;
+    if (flags.replay) {
+        fixtures = await FixtureBundle.open(flags.replay);
+        job = file ? await readJob(file, variables) : prepareJob(await fixtures.loadJob(), { variables });
+    } else {
+        job = await readJob(file, variables);
+        if (flags.record) {
+            fixtures = new FixtureBundle(flags.record, { mode: FIXTURE_MODES.RECORD });
+        }
+    }
+
+    const apiClient = new LocalApiClient();
+    const jobManager = new JobManager(apiClient, {
+        spool: { enabled: false },
+        journal: { enabled: false },
+        tools: { quiet: true },
+        fixtures
+    });
+    jobManager.configManager.set('enablePerformanceTracking', true);
+
+    try {
+        await jobManager.processJob(job);
+    } finally {
+        await jobManager.stop({ timeout: 0 });
+        console.log = print;
+    }
+
+    const outcome = apiClient.getOutcome(job.id);
+    print(JSON.stringify(outcome, null, 2));
+    process.exitCode = outcome && outcome.status === 'completed' ? 0 : 1;
+}
+
+const [command, ...args] = process.argv.slice(2);
+const commands = {
+    spool: () => spoolCommand(...args),
+    lint: () => lintCommand(args),
+    run: () => runCommand(args)
+};
+
+(commands[command] || (() => main(process.argv.slice(2))))().catch(err => {
     logger.error('Fatal error:', err);
     process.exit(1);
 });
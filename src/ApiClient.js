@@ -1,21 +1,101 @@
 const axios = require('axios');
 const os = require('os');
+const zlib = require('zlib');
+const { promisify } = require('util');
 const { logger } = require('./logger');
 const CONFIG = require('./config');
+const { ResultTooLargeError, ResultRejectedError } = require('./errors');
+
+// `X-RateLimit-Reset` values above this are epoch seconds, below it seconds to wait
+const EPOCH_THRESHOLD = 1e9;
+
+// Upload compression: setting -> Content-Encoding and compressor
+const COMPRESSIONS = {
+    gzip: { encoding: 'gzip', compress: promisify(zlib.gzip) },
+    br: { encoding: 'br', compress: promisify(zlib.brotliCompress) }
+};
+
+// Bodies smaller than this are sent uncompressed
+const COMPRESSION_THRESHOLD = 1024;
+
+// Client errors on upload that may clear up (expired JWT, timeout, rate limit)
+const RETRYABLE_UPLOAD_STATUSES = [401, 403, 408, 425, 429];
 
 /**
  * API Client for DataHive API
  */
 class ApiClient {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.jwt] - Device JWT (default DATAHIVE_JWT)
+     * @param {string} [options.deviceId] - Device identifier (default DATAHIVE_DEVICE_ID)
+     * @param {string} [options.compression] - Result upload compression: none, gzip or br
+     *   (default DATAHIVE_UPLOAD_COMPRESSION)
+     * @throws {Error} If no JWT or device id is given or set, or the compression is unknown
+     */
+    constructor(options = {}) {
         this.baseUrl = CONFIG.BASE_URL;
-        this.jwt = process.env.DATAHIVE_JWT;
-        this.deviceId = process.env.DATAHIVE_DEVICE_ID;
+        this.jwt = options.jwt || process.env.DATAHIVE_JWT;
+        this.deviceId = options.deviceId || process.env.DATAHIVE_DEVICE_ID;
 
         if (!this.jwt || !this.deviceId) {
-            logger.error("Missing JWT or DEVICE_ID in .env file");
-            process.exit(1);
+            throw new Error('Missing DATAHIVE_JWT or DATAHIVE_DEVICE_ID in .env file');
+        }
+
+        this.compression = options.compression || CONFIG.UPLOAD_COMPRESSION;
+        if (this.compression !== 'none' && !COMPRESSIONS[this.compression]) {
+            throw new Error(`Unknown upload compression '${this.compression}' (expected none, gzip or br)`);
+        }
+    }
+
+    /**
+     * Delay the API asks for before the next request
+     * Read from `Retry-After` (seconds or HTTP date) or, once the rate limit is
+     * exhausted (`X-RateLimit-Remaining: 0` / `RateLimit-Remaining: 0`, or a 429),
+     * from `X-RateLimit-Reset` / `RateLimit-Reset` (epoch seconds or seconds to wait).
+     * @param {Object} headers - Response headers (lower-case names)
+     * @param {number} status - Response status
+     * @param {number} [now=Date.now()] - Current time (ms)
+     * @returns {number|null} Delay in ms, or null if the response asks for none
+     */
+    static retryAfter(headers = {}, status, now = Date.now()) {
+        const retryAfter = headers['retry-after'];
+        if (retryAfter !== undefined && retryAfter !== '') {
+            const seconds = Number(retryAfter);
+            const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - now;
+            if (Number.isFinite(delay)) return Math.max(0, Math.round(delay));
+        }
+
+        const remaining = headers['x-ratelimit-remaining'] !== undefined
+            ? headers['x-ratelimit-remaining']
+            : headers['ratelimit-remaining'];
+        if (status !== 429 && (remaining === undefined || Number(remaining) > 0)) {
+            return null;
+        }
+
+        const reset = Number(headers['x-ratelimit-reset'] !== undefined ? headers['x-ratelimit-reset'] : headers['ratelimit-reset']);
+        if (!Number.isFinite(reset)) return null;
+        const delay = reset > EPOCH_THRESHOLD ? reset * 1000 - now : reset * 1000;
+        return Math.max(0, Math.round(delay));
+    }
+
+    /**
+     * JSON request body, compressed with the upload compression if it is large enough
+     * @param {Object} body - Body
+     * @returns {Promise<{data: (string|Buffer), headers: Object, bytes: number}>} Body to send,
+     *   extra headers (Content-Encoding) and the uncompressed size
+     */
+    async encodeBody(body) {
+        const json = JSON.stringify(body);
+        const bytes = Buffer.byteLength(json);
+        const compression = COMPRESSIONS[this.compression];
+        if (!compression || bytes < COMPRESSION_THRESHOLD) {
+            return { data: json, headers: {}, bytes };
         }
+
+        const data = await compression.compress(json);
+        logger.debug(`[ApiClient] Compressed ${bytes} bytes to ${data.length} (${compression.encoding})`);
+        return { data, headers: { 'Content-Encoding': compression.encoding }, bytes };
     }
 
     async getHeaders() {
@@ -35,6 +115,17 @@ class ApiClient {
     }
 
     async makeRequest(endpoint, options = {}) {
+        const { data } = await this.send(endpoint, options);
+        return data;
+    }
+
+    /**
+     * Perform a request and keep the delay its response asks for
+     * The hint belongs to this response only; concurrent requests (pings,
+     * uploads of other jobs) each get their own.
+     * @returns {Promise<{data: *, retryAfter: number|null}>}
+     */
+    async send(endpoint, options = {}) {
         try {
             const headers = await this.getHeaders();
             const response = await axios({
@@ -45,10 +136,14 @@ class ApiClient {
                 validateStatus: () => true
             });
 
+            const retryAfter = ApiClient.retryAfter(response.headers, response.status);
             if (response.status >= 200 && response.status < 300) {
-                return response.data;
+                return { data: response.data, retryAfter };
             } else {
-                throw new Error(`HTTP ${response.status}: ${JSON.stringify(response.data)}`);
+                const error = new Error(`HTTP ${response.status}: ${JSON.stringify(response.data)}`);
+                error.status = response.status;
+                error.retryAfter = retryAfter;
+                throw error;
             }
         } catch (error) {
             logger.error(`Request failed to ${endpoint}: ${error.message}`);
@@ -70,26 +165,68 @@ class ApiClient {
         return this.makeRequest('/configuration');
     }
 
+    /**
+     * Poll for the next job
+     * @returns {Promise<{job: Object|null, retryAfter: number|null}>} The job (if
+     *   any) and the delay the API asks for before the next poll
+     */
     async getJob() {
-        return this.makeRequest('/job');
+        const { data, retryAfter } = await this.send('/job');
+        return { job: data || null, retryAfter };
     }
 
+    /**
+     * Upload a job result
+     * @param {string} jobId - Job identifier
+     * @param {*} result - Job result
+     * @param {Object} [metadata={}] - Run metadata
+     * @throws {ResultTooLargeError} If the API rejects the upload as too large (HTTP 413)
+     * @throws {ResultRejectedError} If the API refuses the upload with another client error
+     *   that retrying cannot fix (HTTP 4xx except 401, 403, 408, 425 and 429)
+     */
     async completeJob(jobId, result, metadata = {}) {
-        return this.makeRequest(`/job/${jobId}`, {
-            method: 'POST',
-            body: {
-                result,
-                metadata,
-                context: 'extension'
-            }
+        const body = await this.encodeBody({
+            result,
+            metadata,
+            context: 'extension'
         });
+
+        try {
+            return await this.makeRequest(`/job/${jobId}`, {
+                method: 'POST',
+                body: body.data,
+                headers: body.headers
+            });
+        } catch (error) {
+            if (error.status === 413) {
+                throw new ResultTooLargeError(`API rejected the result of job ${jobId} as too large (${body.bytes} bytes)`,
+                    { bytes: body.bytes, source: 'api' });
+            }
+            if (error.status >= 400 && error.status < 500 && !RETRYABLE_UPLOAD_STATUSES.includes(error.status)) {
+                throw new ResultRejectedError(`API rejected the result of job ${jobId}: ${error.message}`, error.status);
+            }
+            throw error;
+        }
     }
 
+    /**
+     * Report a failed job
+     * @param {string} jobId - Job identifier
+     * @param {Object|string} error - Error report from errors.errorReport()
+     *   ({ code, message, retryable, stepIndex, tool, details }), or just a code
+     * @param {Object} [metadata={}] - Run metadata (retries, step summary, ...)
+     */
     async reportError(jobId, error, metadata = {}) {
+        const report = typeof error === 'string' ? { code: error } : error;
         return this.makeRequest(`/job/${jobId}/error`, {
             method: 'POST',
             body: {
-                error,
+                error: report.code,
+                message: report.message,
+                retryable: report.retryable,
+                stepIndex: report.stepIndex,
+                tool: report.tool,
+                details: report.details,
                 metadata,
                 context: 'extension'
             }
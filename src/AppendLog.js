@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Append-only JSON Lines file
+ * All writes are serialized, so concurrent jobs can append safely.
+ * A torn last line (crash mid-write) is skipped on read.
+ */
+class AppendLog {
+    /**
+     * @param {string} filePath - Path of the .jsonl file
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Run a write operation after all previously queued ones
+     * @param {Function} operation - Async operation
+     * @returns {Promise<*>} Operation result
+     */
+    enqueue(operation) {
+        const run = this.queue.then(operation);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Append a record
+     * @param {Object} record - JSON-serializable record
+     * @returns {Promise<number>} Bytes written
+     */
+    append(record) {
+        const line = JSON.stringify(record) + '\n';
+        return this.enqueue(async () => {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.appendFile(this.filePath, line, 'utf8');
+            return Buffer.byteLength(line);
+        });
+    }
+
+    /**
+     * Read all records
+     * @returns {Promise<Object[]>} Parsed records, in write order
+     */
+    async readAll() {
+        await this.queue;
+
+        let content;
+        try {
+            content = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const records = [];
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                records.push(JSON.parse(line));
+            } catch (error) {
+                // Partial write from a crash - ignore the line
+            }
+        }
+        return records;
+    }
+
+    /**
+     * Atomically replace the file contents (used for compaction)
+     * Pass a function to build the records once all queued appends have landed.
+     *
+     * @param {Object[]|Function} records - Records to keep, or a function returning them
+     * @returns {Promise<void>}
+     */
+    rewrite(records) {
+        return this.enqueue(async () => {
+            if (typeof records === 'function') {
+                records = records();
+            }
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            const tmpPath = `${this.filePath}.tmp`;
+            const content = records.map(record => JSON.stringify(record) + '\n').join('');
+            await fs.promises.writeFile(tmpPath, content, 'utf8');
+            await fs.promises.rename(tmpPath, this.filePath);
+        });
+    }
+
+    /**
+     * Current file size
+     * @returns {Promise<number>} Size in bytes (0 if missing)
+     */
+    async size() {
+        await this.queue;
+        try {
+            const stat = await fs.promises.stat(this.filePath);
+            return stat.size;
+        } catch (error) {
+            if (error.code === 'ENOENT') return 0;
+            throw error;
+        }
+    }
+}
+
+module.exports = AppendLog;
@@ -1,19 +1,54 @@
+const EventEmitter = require('events');
+
+/**
+ * Default configuration from environment variables
+ * @returns {Object} Configuration defaults
+ */
+function defaultConfig() {
+    return {
+        jobInterval: parseInt(process.env.DATAHIVE_JOB_INTERVAL) || 60000,
+        pingInterval: parseInt(process.env.DATAHIVE_PING_INTERVAL) || 120000,
+        // Polling backoff: empty polls and failures multiply jobInterval up to pollMaxInterval
+        pollMaxInterval: parseInt(process.env.DATAHIVE_POLL_MAX_INTERVAL) || 10 * 60 * 1000,
+        pollBackoffFactor: parseFloat(process.env.DATAHIVE_POLL_BACKOFF_FACTOR) || 2,
+        pollJitter: process.env.DATAHIVE_POLL_JITTER !== undefined ? parseFloat(process.env.DATAHIVE_POLL_JITTER) || 0 : 0.1,
+        reloadAfterJobs: parseInt(process.env.DATAHIVE_RELOAD_AFTER_JOBS) || 0,
+        enablePerformanceTracking: process.env.DATAHIVE_ENABLE_PERFORMANCE_TRACKING === 'true',
+        maxConcurrentJobs: parseInt(process.env.DATAHIVE_MAX_CONCURRENT_JOBS) || 1,
+        timeout: parseInt(process.env.DATAHIVE_TIMEOUT) || 60000,
+        // Fail jobs whose templates reference missing variables (rules can override with `strict:`)
+        strictTemplates: process.env.DATAHIVE_STRICT_TEMPLATES === 'true',
+        // Where job steps run: 'none' (main process), 'thread' or 'process' (one worker per job, see JobSandbox)
+        jobIsolation: process.env.DATAHIVE_JOB_ISOLATION || 'none',
+        isolationMemoryMb: parseInt(process.env.DATAHIVE_ISOLATION_MEMORY_MB) || 256,
+        // Result size: JSON bytes of the whole result and characters per string (0 = unlimited);
+        // results over resultMaxBytes are truncated to fit or fail the job ('truncate' or 'fail')
+        resultMaxBytes: process.env.DATAHIVE_RESULT_MAX_BYTES !== undefined ? parseInt(process.env.DATAHIVE_RESULT_MAX_BYTES) || 0 : 5 * 1024 * 1024,
+        resultFieldMaxLength: parseInt(process.env.DATAHIVE_RESULT_FIELD_MAX_LENGTH) || 0,
+        resultTruncation: process.env.DATAHIVE_RESULT_TRUNCATION || 'truncate',
+        // Results that do not match the rules' output_schema: 'fail' (SCHEMA_MISMATCH) or 'warn' (metadata)
+        outputSchemaMode: process.env.DATAHIVE_OUTPUT_SCHEMA_MODE || 'fail',
+        // Fixture bundles of network traffic per job: 'off', 'failed' (kept for failed jobs) or 'all'
+        recordFixtures: process.env.DATAHIVE_RECORD_FIXTURES || 'off',
+        // Recycling: 'browser' restarts Chromium in-process, 'exit' drains and exits for the supervisor
+        recycleMode: process.env.DATAHIVE_RECYCLE_MODE || 'browser',
+        recycleMaxBrowserRssMb: parseInt(process.env.DATAHIVE_RECYCLE_MAX_BROWSER_RSS_MB) || 0,
+        recycleMaxBrowserUptime: parseInt(process.env.DATAHIVE_RECYCLE_MAX_BROWSER_UPTIME) || 0,
+    };
+}
+
 /**
  * Configuration Manager
- * Manages dynamic configuration from server and environment variables
+ * Manages dynamic configuration from server and environment variables.
+ * Values pinned with override() take precedence over server values.
+ * Emits `changed` with { changes: { key: { from, to } }, source: 'server' | 'local' }.
  */
-class ConfigManager {
+class ConfigManager extends EventEmitter {
     constructor(apiClient) {
+        super();
         this.apiClient = apiClient;
-        this.config = {
-            // Default values from environment
-            jobInterval: parseInt(process.env.DATAHIVE_JOB_INTERVAL) || 60000,
-            pingInterval: parseInt(process.env.DATAHIVE_PING_INTERVAL) || 120000,
-            reloadAfterJobs: parseInt(process.env.DATAHIVE_RELOAD_AFTER_JOBS) || 0,
-            enablePerformanceTracking: process.env.DATAHIVE_ENABLE_PERFORMANCE_TRACKING === 'true',
-            maxConcurrentJobs: parseInt(process.env.DATAHIVE_MAX_CONCURRENT_JOBS) || 1,
-            timeout: parseInt(process.env.DATAHIVE_TIMEOUT) || 60000,
-        };
+        this.config = defaultConfig();
+        this.overrides = {};
         this.lastFetch = null;
         this.fetchInterval = 5 * 60 * 1000; // Fetch config every 5 minutes
     }
@@ -29,37 +64,31 @@ class ConfigManager {
             const config = await this.apiClient.getConfiguration();
 
             // Update config with server values
-            let updated = false;
-
-            if (config.job_execution_delay !== undefined) {
-                const newInterval = (config.job_execution_delay * 1000) + 5000; // Add 5s buffer
-                if (this.config.jobInterval !== newInterval) {
-                    this.config.jobInterval = newInterval;
-                    console.log(`[ConfigManager] Updated jobInterval to ${newInterval}ms`);
-                    updated = true;
+            const changes = {};
+            const update = (key, value) => {
+                if (value === undefined || this.config[key] === value) return;
+                if (key in this.overrides) {
+                    console.log(`[ConfigManager] Keeping local ${key} = ${this.overrides[key]} (server: ${value})`);
+                    return;
                 }
-            }
-
-            if (config.reloadAfterJobs !== undefined && this.config.reloadAfterJobs !== config.reloadAfterJobs) {
-                this.config.reloadAfterJobs = config.reloadAfterJobs;
-                console.log(`[ConfigManager] Updated reloadAfterJobs to ${config.reloadAfterJobs}`);
-                updated = true;
-            }
+                changes[key] = { from: this.config[key], to: value };
+                this.config[key] = value;
+            };
 
-            if (config.maxConcurrentJobs !== undefined && this.config.maxConcurrentJobs !== config.maxConcurrentJobs) {
-                this.config.maxConcurrentJobs = config.maxConcurrentJobs;
-                console.log(`[ConfigManager] Updated maxConcurrentJobs to ${config.maxConcurrentJobs}`);
-                updated = true;
+            if (config.job_execution_delay !== undefined) {
+                update('jobInterval', (config.job_execution_delay * 1000) + 5000); // Add 5s buffer
             }
+            update('reloadAfterJobs', config.reloadAfterJobs);
+            update('maxConcurrentJobs', config.maxConcurrentJobs);
+            update('enablePerformanceTracking', config.enablePerformanceTracking);
 
-            if (config.enablePerformanceTracking !== undefined && this.config.enablePerformanceTracking !== config.enablePerformanceTracking) {
-                this.config.enablePerformanceTracking = config.enablePerformanceTracking;
-                console.log(`[ConfigManager] Updated enablePerformanceTracking to ${config.enablePerformanceTracking}`);
-                updated = true;
+            for (const [key, change] of Object.entries(changes)) {
+                console.log(`[ConfigManager] Updated ${key} to ${change.to}${key === 'jobInterval' ? 'ms' : ''}`);
             }
-
-            if (!updated) {
+            if (Object.keys(changes).length === 0) {
                 console.log('[ConfigManager] No configuration changes');
+            } else {
+                this.emit('changed', { changes, source: 'server' });
             }
 
             this.lastFetch = Date.now();
@@ -102,8 +131,22 @@ class ConfigManager {
      * @param {*} value - Config value
      */
     set(key, value) {
+        const previous = this.config[key];
         this.config[key] = value;
         console.log(`[ConfigManager] Set ${key} = ${value}`);
+        if (previous !== value) {
+            this.emit('changed', { changes: { [key]: { from: previous, to: value } }, source: 'local' });
+        }
+    }
+
+    /**
+     * Set a config value that server configuration does not overwrite
+     * @param {string} key - Config key
+     * @param {*} value - Config value
+     */
+    override(key, value) {
+        this.overrides[key] = value;
+        this.set(key, value);
     }
 
     /**
@@ -115,17 +158,10 @@ class ConfigManager {
     }
 
     /**
-     * Reset to defaults
+     * Reset to defaults (local overrides are kept)
      */
     reset() {
-        this.config = {
-            jobInterval: parseInt(process.env.DATAHIVE_JOB_INTERVAL) || 60000,
-            pingInterval: parseInt(process.env.DATAHIVE_PING_INTERVAL) || 120000,
-            reloadAfterJobs: parseInt(process.env.DATAHIVE_RELOAD_AFTER_JOBS) || 0,
-            enablePerformanceTracking: process.env.DATAHIVE_ENABLE_PERFORMANCE_TRACKING === 'true',
-            maxConcurrentJobs: parseInt(process.env.DATAHIVE_MAX_CONCURRENT_JOBS) || 1,
-            timeout: parseInt(process.env.DATAHIVE_TIMEOUT) || 60000,
-        };
+        this.config = { ...defaultConfig(), ...this.overrides };
         this.lastFetch = null;
         console.log('[ConfigManager] Reset to defaults');
     }
@@ -137,10 +173,20 @@ class ConfigManager {
         console.log('\n[ConfigManager] Current Configuration:');
         console.log('  Job Interval:', this.config.jobInterval, 'ms');
         console.log('  Ping Interval:', this.config.pingInterval, 'ms');
+        console.log('  Poll Backoff:', `x${this.config.pollBackoffFactor} up to ${this.config.pollMaxInterval} ms, jitter ±${Math.round(this.config.pollJitter * 100)}%`);
         console.log('  Reload After Jobs:', this.config.reloadAfterJobs);
+        console.log('  Recycle Mode:', this.config.recycleMode);
+        console.log('  Recycle Max Browser RSS:', this.config.recycleMaxBrowserRssMb ? `${this.config.recycleMaxBrowserRssMb} MB` : 'disabled');
+        console.log('  Recycle Max Browser Uptime:', this.config.recycleMaxBrowserUptime ? `${this.config.recycleMaxBrowserUptime} ms` : 'disabled');
         console.log('  Performance Tracking:', this.config.enablePerformanceTracking);
         console.log('  Max Concurrent Jobs:', this.config.maxConcurrentJobs);
         console.log('  Timeout:', this.config.timeout, 'ms');
+        console.log('  Strict Templates:', this.config.strictTemplates);
+        console.log('  Job Isolation:', this.config.jobIsolation === 'none' ? 'none' : `${this.config.jobIsolation} (heap limit ${this.config.isolationMemoryMb} MB)`);
+        console.log('  Result Limits:', `${this.config.resultMaxBytes ? `${this.config.resultMaxBytes} bytes` : 'unlimited'} (${this.config.resultTruncation}), ` +
+            `fields ${this.config.resultFieldMaxLength ? `${this.config.resultFieldMaxLength} chars` : 'unlimited'}`);
+        console.log('  Output Schema Mismatch:', this.config.outputSchemaMode);
+        console.log('  Record Fixtures:', this.config.recordFixtures);
         console.log('  Last Fetch:', this.lastFetch ? new Date(this.lastFetch).toISOString() : 'Never');
         console.log();
     }
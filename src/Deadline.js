@@ -0,0 +1,122 @@
+const { TimeoutError } = require('./errors');
+
+/**
+ * Deadline
+ * Wraps an AbortController with a timer. Work started with run() is rejected
+ * with a TimeoutError when the deadline (or a parent deadline) expires, and
+ * tools receive the `signal` so they can cancel in-flight I/O.
+ *
+ * Example:
+ *   const job = new Deadline(60000, { scope: 'job' });
+ *   const step = new Deadline(5000, { scope: 'step', parent: job });
+ *   await step.run(signal => tool.execute(params, { ...context, signal }));
+ */
+class Deadline {
+    /**
+     * @param {number|string} [timeout] - Milliseconds until expiry (empty = no own limit)
+     * @param {Object} [options]
+     * @param {Deadline} [options.parent] - Deadline whose expiry also cancels this one
+     * @param {string} [options.scope='job'] - Label used in the timeout error
+     * @param {number} [options.startedAt=Date.now()] - When the limited work began (epoch ms);
+     *   time already spent counts against the timeout
+     */
+    constructor(timeout, options = {}) {
+        const ms = Number(timeout);
+        this.timeout = ms > 0 ? ms : null;
+        this.scope = options.scope || 'job';
+        this.parent = options.parent || null;
+        this.controller = new AbortController();
+        this.startedAt = options.startedAt || Date.now();
+        this.timer = null;
+        this.onParentAbort = null;
+
+        if (this.timeout) {
+            const expire = () => {
+                this.abort(new TimeoutError(`${this.scope === 'job' ? 'Job' : 'Step'} timed out after ${this.timeout}ms`, {
+                    timeout: this.timeout,
+                    scope: this.scope
+                }));
+            };
+            const left = this.timeout - (Date.now() - this.startedAt);
+            if (left > 0) {
+                this.timer = setTimeout(expire, left);
+            } else {
+                expire();
+            }
+        }
+
+        if (this.parent) {
+            if (this.parent.signal.aborted) {
+                this.abort(this.parent.signal.reason);
+            } else {
+                this.onParentAbort = () => this.abort(this.parent.signal.reason);
+                this.parent.signal.addEventListener('abort', this.onParentAbort, { once: true });
+            }
+        }
+    }
+
+    /**
+     * Signal passed to tools
+     * @returns {AbortSignal}
+     */
+    get signal() {
+        return this.controller.signal;
+    }
+
+    /**
+     * Milliseconds left before this deadline (or its parent) expires
+     * @returns {number} Remaining time (Infinity if unbounded)
+     */
+    remaining() {
+        const own = this.timeout ? this.timeout - (Date.now() - this.startedAt) : Infinity;
+        const inherited = this.parent ? this.parent.remaining() : Infinity;
+        return Math.max(0, Math.min(own, inherited));
+    }
+
+    /**
+     * Cancel with a reason
+     * @param {Error} reason - Error that run() rejects with
+     */
+    abort(reason) {
+        if (!this.controller.signal.aborted) {
+            this.controller.abort(reason);
+        }
+        this.clear();
+    }
+
+    /**
+     * Run work under this deadline
+     * @param {Function} task - Receives the AbortSignal, returns a promise
+     * @returns {Promise<*>} Task result
+     * @throws {TimeoutError} If the deadline expires first
+     */
+    run(task) {
+        const signal = this.signal;
+        if (signal.aborted) {
+            return Promise.reject(signal.reason);
+        }
+
+        let onAbort;
+        const aborted = new Promise((resolve, reject) => {
+            onAbort = () => reject(signal.reason);
+            signal.addEventListener('abort', onAbort, { once: true });
+        });
+
+        return Promise.race([Promise.resolve().then(() => task(signal)), aborted])
+            .finally(() => signal.removeEventListener('abort', onAbort));
+    }
+
+    /**
+     * Release the timer and parent listener
+     */
+    clear() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.onParentAbort) {
+            this.parent.signal.removeEventListener('abort', this.onParentAbort);
+            this.onParentAbort = null;
+        }
+    }
+}
+
+module.exports = Deadline;
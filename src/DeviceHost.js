@@ -0,0 +1,324 @@
+const fs = require('fs');
+const EventEmitter = require('events');
+const yaml = require('js-yaml');
+const { logger } = require('./logger');
+const ApiClient = require('./ApiClient');
+const JobManager = require('./JobManager');
+const Scraper = require('./Scraper');
+const PerformanceMonitor = require('./PerformanceMonitor');
+const { STATES } = require('./WorkerState');
+
+// JobManager events the host re-emits with the device id added to the payload
+const FORWARDED_EVENTS = [
+    'stateChanged', 'recycle', 'exitRequested', 'configChanged',
+    'jobReceived', 'stepStarted', 'stepCompleted', 'jobCompleted', 'jobFailed'
+];
+
+// How often the shared browser's RSS is checked against recycleMaxBrowserRssMb
+const RSS_CHECK_INTERVAL = 60000;
+
+/**
+ * Device Host
+ * Runs several device identities in one process, from a devices file:
+ *
+ *   devices:
+ *     - deviceId: worker-a
+ *       jwt: eyJ...
+ *     - deviceId: worker-b
+ *       jwtEnv: DATAHIVE_JWT_B        # read the JWT from this environment variable
+ *       config:                       # local ConfigManager overrides for this device,
+ *         maxConcurrentJobs: 2        # kept over server configuration
+ *
+ * Each device gets its own ApiClient and JobManager - polling, server config,
+ * spool, journal and recycle accounting stay per device - while Chromium is
+ * launched once and shared (every device opens pages in its own browser
+ * context, see ScraperContext), as are the logger and the PerformanceMonitor.
+ *
+ * Lifecycle calls apply to every device. JobManager events are re-emitted with
+ * `deviceId` added to the payload.
+ *
+ * A device's browser recycle only replaces its context. The shared browser's
+ * memory is checked here instead: once its RSS reaches the lowest
+ * `recycleMaxBrowserRssMb` of the devices, every running device is paused, the
+ * browser is closed and the devices resume (`recycle` event with `deviceId: null`).
+ */
+class DeviceHost extends EventEmitter {
+    /**
+     * @param {Array<{deviceId: string, jwt: string, config: Object}>} devices - See normalizeDevices()
+     * @param {Object} [options]
+     * @param {Object} [options.jobManager] - Options for every JobManager (hooks, plugins, ...)
+     * @param {Function} [options.createApiClient] - (device) => API client (default: ApiClient)
+     * @param {Scraper} [options.scraper] - Shared browser (default: a new Scraper)
+     * @param {number} [options.rssCheckInterval=60000] - Shared browser RSS check interval (ms)
+     */
+    constructor(devices, options = {}) {
+        super();
+        const createApiClient = options.createApiClient || (device => new ApiClient({ jwt: device.jwt, deviceId: device.deviceId }));
+
+        this.scraper = options.scraper || new Scraper();
+        this.performanceMonitor = new PerformanceMonitor();
+        this.workers = new Map();
+        this.rssCheckInterval = options.rssCheckInterval || RSS_CHECK_INTERVAL;
+        this.rssTimer = null;
+        this.recycling = null;
+
+        for (const device of devices) {
+            const jobManager = new JobManager(createApiClient(device), {
+                ...options.jobManager,
+                scraper: this.scraper.createContext(device.deviceId),
+                performanceMonitor: this.performanceMonitor
+            });
+            for (const [key, value] of Object.entries(device.config || {})) {
+                jobManager.configManager.override(key, value);
+            }
+            for (const event of FORWARDED_EVENTS) {
+                jobManager.on(event, payload => this.emit(event, { deviceId: device.deviceId, ...payload }));
+            }
+            this.workers.set(device.deviceId, jobManager);
+        }
+
+        logger.info(`[DeviceHost] Hosting ${this.workers.size} device(s): ${this.deviceIds.join(', ')}`);
+    }
+
+    /**
+     * Check a parsed devices file
+     * @param {*} parsed - `{ devices: [...] }` or a bare list
+     * @param {string} [source='devices'] - File name, for errors
+     * @returns {Array<{deviceId: string, jwt: string, config: Object}>} Devices
+     * @throws {Error} On a missing list, missing ids or JWTs, or duplicate ids
+     */
+    static normalizeDevices(parsed, source = 'devices') {
+        const list = Array.isArray(parsed) ? parsed : parsed && parsed.devices;
+        if (!Array.isArray(list) || list.length === 0) {
+            throw new Error(`${source}: expected a non-empty \`devices\` list`);
+        }
+
+        const seen = new Set();
+        return list.map((entry, index) => {
+            const where = `${source}: devices[${index}]`;
+            if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+                throw new Error(`${where} must be a mapping with deviceId and jwt`);
+            }
+            if (!entry.deviceId) {
+                throw new Error(`${where}: missing deviceId`);
+            }
+
+            const deviceId = String(entry.deviceId);
+            const jwt = entry.jwt || (entry.jwtEnv ? process.env[entry.jwtEnv] : undefined);
+            if (!jwt) {
+                throw new Error(`${where} (${deviceId}): missing jwt${entry.jwtEnv ? ` (${entry.jwtEnv} is not set)` : ''}`);
+            }
+            if (seen.has(deviceId)) {
+                throw new Error(`${where}: duplicate deviceId '${deviceId}'`);
+            }
+            if (entry.config !== undefined && (!entry.config || typeof entry.config !== 'object' || Array.isArray(entry.config))) {
+                throw new Error(`${where} (${deviceId}): config must be a mapping`);
+            }
+            seen.add(deviceId);
+
+            return { deviceId, jwt, config: entry.config || {} };
+        });
+    }
+
+    /**
+     * Read a devices file (YAML or JSON)
+     * @param {string} file - Path
+     * @returns {Promise<Object[]>} Devices (see normalizeDevices())
+     * @throws {Error} If the file cannot be read, parsed or is invalid
+     */
+    static async readDevices(file) {
+        const text = await fs.promises.readFile(file, 'utf8');
+        let parsed;
+        try {
+            parsed = yaml.load(text);
+        } catch (error) {
+            throw new Error(`${file}: ${error.message}`);
+        }
+        return DeviceHost.normalizeDevices(parsed, file);
+    }
+
+    /**
+     * Hosted device identifiers
+     * @returns {string[]}
+     */
+    get deviceIds() {
+        return Array.from(this.workers.keys());
+    }
+
+    /**
+     * Common state of all devices
+     * @returns {string} The STATES value every device is in, or 'MIXED'
+     */
+    get state() {
+        const states = new Set(Array.from(this.workers.values(), jobManager => jobManager.state));
+        return states.size === 1 ? states.values().next().value : 'MIXED';
+    }
+
+    /**
+     * Call a method on every device
+     * @param {string} method - JobManager method
+     * @param {...*} args - Arguments
+     * @returns {Promise<Array>} Settled results, in device order
+     */
+    each(method, ...args) {
+        return Promise.allSettled(Array.from(this.workers.values(), jobManager => jobManager[method](...args)));
+    }
+
+    /**
+     * Start every device
+     * A device that fails to start is logged and left in the ERROR state.
+     * @throws {Error} If no device started
+     */
+    async start() {
+        const results = await this.each('start');
+        const failed = results.filter(result => result.status === 'rejected');
+
+        results.forEach((result, index) => {
+            if (result.status === 'rejected') {
+                logger.error(`[DeviceHost] Device ${this.deviceIds[index]} failed to start: ${result.reason.message}`);
+            }
+        });
+        if (failed.length === results.length) {
+            throw new Error(`No device started (${failed.length} failed)`);
+        }
+        logger.info(`[DeviceHost] Started ${results.length - failed.length}/${results.length} device(s)`);
+
+        if (!this.rssTimer) {
+            this.rssTimer = setInterval(() => {
+                this.checkBrowserRss().catch(error => {
+                    logger.error(`[DeviceHost] Shared browser recycle failed: ${error.message}`);
+                });
+            }, this.rssCheckInterval);
+            this.rssTimer.unref();
+        }
+    }
+
+    /**
+     * Lowest positive `recycleMaxBrowserRssMb` of the devices
+     * @returns {number} Limit in MB (0 = no limit)
+     */
+    get maxBrowserRssMb() {
+        const limits = Array.from(this.workers.values(), jobManager => jobManager.configManager.get('recycleMaxBrowserRssMb', 0))
+            .filter(limit => limit > 0);
+        return limits.length > 0 ? Math.min(...limits) : 0;
+    }
+
+    /**
+     * Recycle the shared browser if its RSS is over the limit
+     * @returns {Promise<boolean>} True if the browser was recycled
+     */
+    async checkBrowserRss() {
+        const maxRssMb = this.maxBrowserRssMb;
+        if (maxRssMb === 0 || this.recycling) return false;
+
+        const rssMb = await this.scraper.getBrowserRssMb();
+        if (rssMb === null || rssMb < maxRssMb) return false;
+
+        await this.recycleBrowser(`shared browser RSS ${Math.round(rssMb)}MB exceeds ${maxRssMb}MB`);
+        return true;
+    }
+
+    /**
+     * Close the shared browser for all devices
+     * Running devices are paused until their in-flight jobs finish, then resumed;
+     * the next job relaunches the browser.
+     * @param {string} reason - Why the browser is recycled
+     */
+    async recycleBrowser(reason) {
+        if (!this.recycling) {
+            this.recycling = (async () => {
+                logger.info(`[DeviceHost] Recycling the shared browser: ${reason}`);
+                this.emit('recycle', { deviceId: null, mode: 'browser', reason });
+
+                const paused = Array.from(this.workers.values()).filter(jobManager => jobManager.state === STATES.RUNNING);
+                await Promise.allSettled(paused.map(jobManager => jobManager.pause()));
+                try {
+                    await this.scraper.close();
+                } finally {
+                    for (const jobManager of paused) {
+                        jobManager.resume();
+                    }
+                }
+                logger.info('[DeviceHost] Shared browser recycled, it will be relaunched by the next job that needs it');
+            })().finally(() => {
+                this.recycling = null;
+            });
+        }
+        return this.recycling;
+    }
+
+    /**
+     * Call a lifecycle method on every device
+     * @param {string} method - pause | resume | drain
+     * @returns {Promise<boolean>} True if it applied to at least one device
+     */
+    async applyAll(method) {
+        const results = await this.each(method);
+        return results.some(result => result.status === 'fulfilled' && result.value === true);
+    }
+
+    /**
+     * Stop polling on every device
+     * @returns {Promise<boolean>} Resolves once in-flight jobs have finished
+     */
+    async pause() {
+        return this.applyAll('pause');
+    }
+
+    /**
+     * Resume polling on every paused device
+     * @returns {Promise<boolean>}
+     */
+    async resume() {
+        return this.applyAll('resume');
+    }
+
+    /**
+     * Let every device finish its in-flight jobs, then stop and close the shared browser
+     * @returns {Promise<boolean>} False if no device was running
+     */
+    async drain() {
+        this.stopRssChecks();
+        const drained = await this.applyAll('drain');
+        if (drained) {
+            await this.scraper.close();
+        }
+        return drained;
+    }
+
+    /**
+     * Stop every device, then close the shared browser
+     * @param {Object} [options] - JobManager.stop() options
+     */
+    async stop(options = {}) {
+        this.stopRssChecks();
+        await this.each('stop', options);
+        await this.scraper.close();
+    }
+
+    stopRssChecks() {
+        clearInterval(this.rssTimer);
+        this.rssTimer = null;
+    }
+
+    /**
+     * Status snapshot
+     * @returns {Object} Shared browser state and each device's JobManager status
+     */
+    getStatus() {
+        const uptime = this.scraper.getBrowserUptime();
+        return {
+            state: this.state,
+            browser: {
+                running: uptime !== null,
+                uptimeSeconds: uptime !== null ? Math.round(uptime / 1000) : 0,
+                openPages: this.scraper.openPages
+            },
+            devices: Object.fromEntries(Array.from(this.workers, ([deviceId, jobManager]) => [deviceId, jobManager.getStatus()]))
+        };
+    }
+}
+
+DeviceHost.FORWARDED_EVENTS = FORWARDED_EVENTS;
+
+module.exports = DeviceHost;
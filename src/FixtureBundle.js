@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const AppendLog = require('./AppendLog');
+
+/**
+ * Fixture modes
+ */
+const FIXTURE_MODES = {
+    RECORD: 'record',   // Real network, every response is written to the bundle
+    REPLAY: 'replay'    // No network, every request is answered from the bundle
+};
+
+/**
+ * Fixture Bundle
+ * Self-contained directory with everything needed to run a job offline:
+ *
+ *   job.json          Full job object, after beforeJob hooks
+ *   responses.jsonl   Network responses, in the order they arrived
+ *   outcome.json      How the recorded run ended
+ *
+ * Response records:
+ *   { source: 'fetch', method, url, bodyHash, status, statusText, headers, data }
+ *   { source: 'offscreen', method, url, bodyHash, status, headers, body }   (body is base64)
+ *
+ * On replay, responses to the same request (source, method, URL and request
+ * body) are served in recorded order; the last one repeats once they run out.
+ */
+class FixtureBundle {
+    /**
+     * @param {string} dir - Bundle directory
+     * @param {Object} [options]
+     * @param {string} [options.mode='record'] - One of FIXTURE_MODES
+     */
+    constructor(dir, options = {}) {
+        this.dir = dir;
+        this.mode = options.mode === FIXTURE_MODES.REPLAY ? FIXTURE_MODES.REPLAY : FIXTURE_MODES.RECORD;
+        this.log = new AppendLog(path.join(dir, 'responses.jsonl'));
+        this.recorded = 0;
+
+        // request key -> { records, served }
+        this.responses = new Map();
+    }
+
+    get recording() {
+        return this.mode === FIXTURE_MODES.RECORD;
+    }
+
+    get replaying() {
+        return this.mode === FIXTURE_MODES.REPLAY;
+    }
+
+    /**
+     * Hash of a request body (null without one)
+     * @param {*} body - String, Buffer or JSON value
+     * @returns {string|null} SHA-1 hex digest
+     */
+    static hashBody(body) {
+        if (body === undefined || body === null || body === '') return null;
+        const text = typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body);
+        return crypto.createHash('sha1').update(text).digest('hex');
+    }
+
+    /**
+     * Key used to match a request with its recorded responses
+     */
+    static key(source, method, url, bodyHash) {
+        return [source, String(method || 'GET').toUpperCase(), url, bodyHash || ''].join(' ');
+    }
+
+    /**
+     * Open a bundle for replay
+     * @param {string} dir - Bundle directory
+     * @returns {Promise<FixtureBundle>} Bundle with its responses loaded
+     */
+    static async open(dir) {
+        const bundle = new FixtureBundle(dir, { mode: FIXTURE_MODES.REPLAY });
+        await bundle.load();
+        return bundle;
+    }
+
+    /**
+     * Load recorded responses
+     */
+    async load() {
+        this.responses.clear();
+        for (const record of await this.log.readAll()) {
+            const key = FixtureBundle.key(record.source, record.method, record.url, record.bodyHash);
+            if (!this.responses.has(key)) {
+                this.responses.set(key, { records: [], served: 0 });
+            }
+            this.responses.get(key).records.push(record);
+        }
+        logger.info(`[FixtureBundle] Loaded ${this.responses.size} recorded request(s) from ${this.dir}`);
+    }
+
+    /**
+     * Record a response (recording never fails the job)
+     * @param {string} source - Tool that made the request (fetch, offscreen)
+     * @param {Object} request - { method, url, body }
+     * @param {Object} response - Response fields to store
+     */
+    async record(source, request, response) {
+        if (!this.recording) return;
+        const record = {
+            source,
+            method: String(request.method || 'GET').toUpperCase(),
+            url: request.url,
+            bodyHash: FixtureBundle.hashBody(request.body),
+            ...response
+        };
+        try {
+            await this.log.append(record);
+            this.recorded++;
+        } catch (error) {
+            logger.warn(`[FixtureBundle] Failed to record ${record.method} ${record.url}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Next recorded response for a request
+     * @param {string} source - Tool making the request
+     * @param {Object} request - { method, url, body }
+     * @returns {Object|null} Recorded response, or null if the request was never recorded
+     */
+    find(source, request) {
+        const key = FixtureBundle.key(source, request.method, request.url, FixtureBundle.hashBody(request.body));
+        const entry = this.responses.get(key);
+        if (!entry) return null;
+
+        const record = entry.records[Math.min(entry.served, entry.records.length - 1)];
+        entry.served++;
+        return record;
+    }
+
+    async writeJson(name, value) {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await fs.promises.writeFile(path.join(this.dir, name), JSON.stringify(value, null, 2), 'utf8');
+    }
+
+    async readJson(name) {
+        return JSON.parse(await fs.promises.readFile(path.join(this.dir, name), 'utf8'));
+    }
+
+    /**
+     * Save the job object
+     * @param {Object} job - Job as received
+     */
+    async saveJob(job) {
+        await this.writeJson('job.json', job);
+    }
+
+    /**
+     * Load the recorded job object
+     * @returns {Promise<Object>} Job
+     */
+    async loadJob() {
+        return this.readJson('job.json');
+    }
+
+    /**
+     * Save how the recorded run ended
+     * @param {Object} outcome - { status: 'completed', result, metadata } or { status: 'failed', error, details }
+     */
+    async saveOutcome(outcome) {
+        await this.writeJson('outcome.json', { ...outcome, responses: this.recorded, recordedAt: new Date().toISOString() });
+    }
+
+    /**
+     * Delete the bundle directory
+     */
+    async remove() {
+        await this.log.queue;
+        await fs.promises.rm(this.dir, { recursive: true, force: true });
+    }
+}
+
+module.exports = { FixtureBundle, FIXTURE_MODES };
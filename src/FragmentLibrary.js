@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const CONFIG = require('./config');
+const RuleRunner = require('./RuleRunner');
+const { FragmentError } = require('./errors');
+
+// Library fragment names: path segments of word characters and dashes (no dots, so no `..`)
+const NAME_PATTERN = /^[\w-]+(?:\/[\w-]+)*$/;
+
+const EXTENSIONS = ['.yaml', '.yml'];
+
+/**
+ * Fragment Library
+ * Named, parameterised step lists shared between rule collections:
+ *
+ *   fragments:
+ *     login-check:
+ *       params: [selector]               # required arguments, or a mapping of defaults
+ *       steps:
+ *         - use: conditional-gate
+ *           rule: { value: "{{ vars.selector }}", operator: IS_NOT_EMPTY }
+ *
+ *   steps:
+ *     - include: login-check             # `call:` is an alias
+ *       args: { selector: "{{ vars.page.user }}" }
+ *       output: login                    # the fragment's result
+ *
+ * Fragments come from the job payload (`job.fragments`, then the rules'
+ * `fragments:` key, which wins) and from the library directory, one
+ * `<name>.yaml` file per fragment (`auth/login-check` → auth/login-check.yaml)
+ * holding `params` and `steps`.
+ *
+ * expand() resolves every include before the job runs: the fragment's steps
+ * (themselves expanded) are attached to the include step as `fragment`. Unknown
+ * fragments, bad arguments and recursive includes fail with a FragmentError
+ * naming the include chain.
+ */
+class FragmentLibrary {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.dir] - Library directory (default CONFIG.FRAGMENTS_DIR)
+     */
+    constructor(options = {}) {
+        this.dir = options.dir !== undefined ? options.dir : CONFIG.FRAGMENTS_DIR;
+    }
+
+    /**
+     * Fragment name of an include step
+     * @param {Object} step - Step definition
+     * @returns {*} Name, or undefined if the step is not an include
+     */
+    static nameOf(step) {
+        if (!step || typeof step !== 'object') return undefined;
+        return step.include !== undefined ? step.include : step.call;
+    }
+
+    /**
+     * Check a fragment definition and split its params into required names and defaults
+     * @param {*} definition - Parsed fragment
+     * @param {string[]} chain - Include chain, ending with this fragment
+     * @returns {{steps: Object[], required: string[], defaults: Object, params: (string[]|null)}}
+     * @throws {FragmentError} If the definition is malformed
+     */
+    static normalize(definition, chain) {
+        const name = chain[chain.length - 1];
+        if (!definition || typeof definition !== 'object' || !Array.isArray(definition.steps)) {
+            throw new FragmentError(`Fragment '${name}' must be a mapping with a \`steps\` list`, chain);
+        }
+
+        const params = definition.params;
+        let required = [];
+        let defaults = {};
+        if (Array.isArray(params)) {
+            required = params.map(String);
+        } else if (params && typeof params === 'object') {
+            defaults = params;
+        } else if (params !== undefined && params !== null) {
+            throw new FragmentError(`Fragment '${name}': params must be a list of names or a mapping of defaults`, chain);
+        }
+
+        try {
+            RuleRunner.validate(definition.steps);
+        } catch (error) {
+            throw new FragmentError(`Fragment '${name}': ${error.message}`, chain);
+        }
+
+        return {
+            steps: definition.steps,
+            required,
+            defaults,
+            params: params === undefined || params === null ? null : [...required, ...Object.keys(defaults)]
+        };
+    }
+
+    /**
+     * Read a fragment from the library directory
+     * @param {string} name - Fragment name
+     * @returns {Promise<*|null>} Parsed fragment, or null if there is no such file
+     * @throws {Error} If the file cannot be read or parsed
+     */
+    async read(name) {
+        if (!this.dir || !NAME_PATTERN.test(name)) return null;
+
+        for (const extension of EXTENSIONS) {
+            const file = path.join(this.dir, `${name}${extension}`);
+            let text;
+            try {
+                text = await fs.promises.readFile(file, 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') continue;
+                throw error;
+            }
+            return yaml.load(text);
+        }
+        return null;
+    }
+
+    /**
+     * Expand every `include:` / `call:` step, including those inside nested step lists
+     * @param {Object[]} steps - Step list
+     * @param {Object} [definitions={}] - Fragments from the job payload, by name
+     * @returns {Promise<Object[]>} Copy of the steps with fragments attached
+     * @throws {FragmentError} On unknown fragments, bad arguments or recursion
+     */
+    async expand(steps, definitions = {}) {
+        // Each fragment is loaded and checked once per expansion
+        const loaded = new Map();
+
+        const resolve = async (name, chain) => {
+            if (!loaded.has(name)) {
+                let definition = Object.prototype.hasOwnProperty.call(definitions, name) ? definitions[name] : null;
+                if (definition === null) {
+                    try {
+                        definition = await this.read(name);
+                    } catch (error) {
+                        throw new FragmentError(`Failed to load fragment '${name}': ${error.message}`, chain);
+                    }
+                }
+                if (definition === null) {
+                    throw new FragmentError(`Unknown fragment '${name}'`, chain);
+                }
+                loaded.set(name, FragmentLibrary.normalize(definition, chain));
+            }
+            return loaded.get(name);
+        };
+
+        return this.expandSteps(steps, [], resolve);
+    }
+
+    async expandSteps(steps, chain, resolve) {
+        const expanded = [];
+        for (const step of steps) {
+            expanded.push(await this.expandStep(step, chain, resolve));
+        }
+        return expanded;
+    }
+
+    async expandStep(step, chain, resolve) {
+        if (!step || typeof step !== 'object' || Array.isArray(step)) return step;
+
+        const copy = { ...step };
+        for (const key of RuleRunner.NESTED_LISTS) {
+            if (Array.isArray(step[key])) {
+                copy[key] = await this.expandSteps(step[key], chain, resolve);
+            }
+        }
+
+        const name = FragmentLibrary.nameOf(step);
+        if (name === undefined) return copy;
+
+        if (typeof name !== 'string' || name === '') {
+            throw new FragmentError(`Include needs a fragment name, got ${JSON.stringify(name)}`, chain);
+        }
+        const inner = [...chain, name];
+        if (chain.includes(name)) {
+            throw new FragmentError(`Recursive include of fragment '${name}'`, inner);
+        }
+
+        const fragment = await resolve(name, inner);
+        const args = step.args === undefined || step.args === null ? {} : step.args;
+        if (typeof args !== 'object' || Array.isArray(args)) {
+            throw new FragmentError(`Arguments for fragment '${name}' must be a mapping`, inner);
+        }
+
+        const missing = fragment.required.filter(param => !(param in args));
+        if (missing.length > 0) {
+            throw new FragmentError(`Missing argument(s) for fragment '${name}': ${missing.join(', ')}`, inner);
+        }
+        if (fragment.params) {
+            const unknown = Object.keys(args).filter(arg => !fragment.params.includes(arg));
+            if (unknown.length > 0) {
+                throw new FragmentError(`Unknown argument(s) for fragment '${name}': ${unknown.join(', ')} (params: ${fragment.params.join(', ')})`, inner);
+            }
+        }
+
+        copy.fragment = {
+            name,
+            defaults: fragment.defaults,
+            steps: await this.expandSteps(fragment.steps, inner, resolve)
+        };
+        return copy;
+    }
+}
+
+module.exports = FragmentLibrary;
@@ -0,0 +1,190 @@
+const path = require('path');
+const { logger } = require('./logger');
+const CONFIG = require('./config');
+const AppendLog = require('./AppendLog');
+const { ERROR_CODES } = require('./errors');
+
+/**
+ * Job Journal
+ * Crash-safe record of job progress, used to account for jobs that were in
+ * flight when the worker died (PM2 memory restart, crash, kill).
+ *
+ * Log records:
+ *   { type: 'received', jobId, at }
+ *   { type: 'step_started', jobId, index, use, at }
+ *   { type: 'step_completed', jobId, index, use, at }
+ *   { type: 'reported', jobId, outcome, at }
+ *
+ * On the next start, every job without a `reported` record is reported to the
+ * API with a WORKER_RESTARTED error and the last step it completed.
+ */
+class JobJournal {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.file] - Journal file path
+     * @param {number} [options.maxAge] - Unfinished jobs older than this (ms) are dropped unreported
+     * @param {boolean} [options.enabled=true] - Set to false to record nothing (local runs)
+     */
+    constructor(options = {}) {
+        this.file = options.file || path.join(CONFIG.DATA_DIR, 'journal.jsonl');
+        this.maxAge = options.maxAge || CONFIG.JOURNAL_MAX_AGE;
+        this.enabled = options.enabled !== false;
+        this.log = new AppendLog(this.file);
+
+        // jobId -> records of jobs that have not been reported yet
+        this.open = new Map();
+    }
+
+    /**
+     * Append a record, never failing the job because of journal I/O
+     * @param {Object} record - Journal record
+     */
+    async write(record) {
+        if (!this.enabled) return;
+        record.at = Date.now();
+
+        if (record.type === 'reported') {
+            this.open.delete(record.jobId);
+        } else {
+            if (!this.open.has(record.jobId)) this.open.set(record.jobId, []);
+            this.open.get(record.jobId).push(record);
+        }
+
+        try {
+            await this.log.append(record);
+            if (record.type === 'reported' && this.open.size === 0) {
+                await this.compact();
+            }
+        } catch (error) {
+            logger.warn(`[JobJournal] Failed to write ${record.type} for job ${record.jobId}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Rewrite the journal with only unreported jobs
+     * @returns {Promise<void>}
+     */
+    compact() {
+        return this.log.rewrite(() => Array.from(this.open.values()).flat());
+    }
+
+    /**
+     * @param {string} jobId - Job identifier
+     */
+    jobReceived(jobId) {
+        return this.write({ type: 'received', jobId });
+    }
+
+    /**
+     * @param {string} jobId - Job identifier
+     * @param {number|string} index - Step index, or path for nested steps (e.g. "2.then.0")
+     * @param {string} use - Tool name
+     */
+    stepStarted(jobId, index, use) {
+        return this.write({ type: 'step_started', jobId, index, use });
+    }
+
+    /**
+     * @param {string} jobId - Job identifier
+     * @param {number|string} index - Step index, or path for nested steps (e.g. "2.then.0")
+     * @param {string} use - Tool name
+     */
+    stepCompleted(jobId, index, use) {
+        return this.write({ type: 'step_completed', jobId, index, use });
+    }
+
+    /**
+     * @param {string} jobId - Job identifier
+     * @param {string} outcome - completed | spooled | failed | recovered
+     */
+    jobReported(jobId, outcome) {
+        return this.write({ type: 'reported', jobId, outcome });
+    }
+
+    /**
+     * Summarize jobs in the journal file that were never reported
+     * @returns {Promise<Object[]>} Unfinished jobs with their last completed/started step
+     */
+    async findUnfinished() {
+        const records = await this.log.readAll();
+        const jobs = new Map();
+
+        for (const record of records) {
+            if (record.type === 'reported') {
+                jobs.delete(record.jobId);
+                continue;
+            }
+
+            if (!jobs.has(record.jobId)) {
+                jobs.set(record.jobId, {
+                    jobId: record.jobId,
+                    receivedAt: record.at,
+                    lastCompletedStep: null,
+                    currentStep: null,
+                    records: []
+                });
+            }
+
+            const job = jobs.get(record.jobId);
+            job.records.push(record);
+
+            if (record.type === 'step_started') {
+                job.currentStep = { index: record.index, use: record.use };
+            } else if (record.type === 'step_completed') {
+                job.lastCompletedStep = { index: record.index, use: record.use };
+                job.currentStep = null;
+            }
+        }
+
+        return Array.from(jobs.values());
+    }
+
+    /**
+     * Report jobs left unfinished by a previous run
+     * Jobs whose report fails stay in the journal and are retried on the next start.
+     *
+     * @param {ApiClient} apiClient - Client used to report errors
+     * @returns {Promise<number>} Number of jobs reported
+     */
+    async recover(apiClient) {
+        const unfinished = await this.findUnfinished();
+        let reported = 0;
+
+        this.open.clear();
+
+        for (const job of unfinished) {
+            const { records, ...summary } = job;
+
+            if (Date.now() - job.receivedAt > this.maxAge) {
+                logger.warn(`[JobJournal] Dropping stale unfinished job ${job.jobId} from ${new Date(job.receivedAt).toISOString()}`);
+                continue;
+            }
+
+            try {
+                const interrupted = summary.currentStep;
+                await apiClient.reportError(job.jobId, {
+                    code: ERROR_CODES.WORKER_RESTARTED,
+                    message: 'Worker restarted before the job finished',
+                    retryable: true,
+                    stepIndex: interrupted ? interrupted.index : null,
+                    tool: interrupted ? interrupted.use : null,
+                    details: {
+                        receivedAt: new Date(job.receivedAt).toISOString(),
+                        lastCompletedStep: summary.lastCompletedStep,
+                        interruptedStep: interrupted
+                    }
+                });
+                reported++;
+                logger.warn(`[JobJournal] Reported interrupted job ${job.jobId} as WORKER_RESTARTED`);
+            } catch (error) {
+                logger.error(`[JobJournal] Failed to report interrupted job ${job.jobId}: ${error.message}`);
+                this.open.set(job.jobId, records);
+            }
+        }
+
+        await this.compact();
+        return reported;
+    }
+}
+
+module.exports = JobJournal;
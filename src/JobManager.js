@@ -1,120 +1,562 @@
-const yaml = require('js-yaml');
-const { logger, jobLogger } = require('./logger');
+const path = require('path');
+const EventEmitter = require('events');
+const { logger } = require('./logger');
 const CONFIG = require('./config');
-const { ToolRegistry, ConditionalGateTool, FetchTool, OffscreenTool, FetchAndExtractTool } = require('./tools');
+const { ToolRegistry, builtInTools } = require('./tools');
 const PerformanceMonitor = require('./PerformanceMonitor');
 const ConfigManager = require('./ConfigManager');
 const Scraper = require('./Scraper');
+const VariableScope = require('./VariableScope');
+const JobScheduler = require('./JobScheduler');
+const ResultSpool = require('./ResultSpool');
+const JobJournal = require('./JobJournal');
+const { STATES, canTransition } = require('./WorkerState');
+const { RecyclePolicy, RECYCLE_MODES } = require('./RecyclePolicy');
+const { PollingStrategy, POLL_OUTCOMES } = require('./PollingStrategy');
+const RuleRunner = require('./RuleRunner');
+const { logJob, executeRules, finishResult } = require('./jobExecution');
+const { JobSandbox, ISOLATION_MODES } = require('./JobSandbox');
+const { TRUNCATION_POLICIES } = require('./resultLimits');
+const OutputSchema = require('./OutputSchema');
+const Deadline = require('./Deadline');
+const template = require('./template');
+const RuleValidator = require('./RuleValidator');
+const FragmentLibrary = require('./FragmentLibrary');
+const PluginLoader = require('./PluginLoader');
+const { FixtureBundle, FIXTURE_MODES } = require('./FixtureBundle');
+const { MissingVariablesError, RuleValidationError, JobVetoedError, errorReport } = require('./errors');
+
+/**
+ * Hooks that can be registered with addHook()
+ */
+const HOOKS = {
+    BEFORE_JOB: 'beforeJob'     // (job) => undefined | job | false, before any step runs
+};
 
 /**
  * Modular Job Manager with Tool Registry
+ *
+ * Lifecycle: start() → RUNNING, pause()/resume(), drain() (finish in-flight jobs,
+ * then stop) and stop(). Emits `stateChanged` with { from, to, reason, at },
+ * `recycle` with { mode, reason } and, in `exit` recycle mode, `exitRequested`
+ * once drained (the embedding process should exit so its supervisor restarts it).
+ *
+ * For embedding applications it also emits:
+ *   jobReceived    { jobId, job, receivedAt }
+ *   stepStarted    { jobId, stepIndex, tool }
+ *   stepCompleted  { jobId, stepIndex, tool, status, duration, result | error }
+ *   jobCompleted   { jobId, result, metadata, delivered, duration }
+ *   jobFailed      { jobId, error (see errors.errorReport), metadata, duration }
+ *   configChanged  { changes: { key: { from, to } }, source }
+ *
+ * Listener errors are logged and never affect the job. `beforeJob` hooks
+ * (see addHook) can replace or veto a job before it runs.
  */
-class JobManager {
-    constructor(apiClient) {
+class JobManager extends EventEmitter {
+    /**
+     * @param {ApiClient} apiClient - DataHive API client
+     * @param {Object} [options]
+     * @param {Object} [options.spool] - ResultSpool options (dir, limits, retry delays, enabled)
+     * @param {Object} [options.journal] - JobJournal options (file, maxAge, enabled)
+     * @param {Object} [options.tools] - ToolRegistry options (quiet)
+     * @param {Object} [options.fragments] - FragmentLibrary options (dir)
+     * @param {Object} [options.plugins] - PluginLoader options (dir, packages, disabled)
+     * @param {FixtureBundle} [options.fixtures] - Record or replay every job with this bundle
+     *   (otherwise recording follows the `recordFixtures` setting)
+     * @param {Object} [options.hooks] - Hooks by name (function or list), see addHook()
+     * @param {Scraper|ScraperContext} [options.scraper] - Browser to use (default: a new Scraper);
+     *   closed on recycle and stop
+     * @param {PerformanceMonitor} [options.performanceMonitor] - Shared metrics registry (default: a new one)
+     */
+    constructor(apiClient, options = {}) {
+        super();
         this.apiClient = apiClient;
-        this.isRunning = false;
+        this.state = STATES.IDLE;
+        this.startedAt = null;
+        this.pingTimer = null;
+        this.loopPromise = null;
+        this.wakeUp = null;
+        this.starting = null;
+        this.stopping = null;
+        this.hooks = { [HOOKS.BEFORE_JOB]: [] };
 
         // Initialize modular components
-        this.toolRegistry = new ToolRegistry();
-        this.performanceMonitor = new PerformanceMonitor();
+        this.toolRegistry = new ToolRegistry(options.tools);
+        this.ruleValidator = new RuleValidator(this.toolRegistry);
+        this.fragmentLibrary = new FragmentLibrary(options.fragments);
+        this.pluginLoader = new PluginLoader(options.plugins);
+        this.plugins = [];
+        this.performanceMonitor = options.performanceMonitor || new PerformanceMonitor();
+        this.ownsPerformanceMonitor = !options.performanceMonitor;
         this.configManager = new ConfigManager(apiClient);
-        this.scraper = new Scraper();
+        this.scraper = options.scraper || new Scraper();
+        this.scheduler = new JobScheduler(this.configManager.get('maxConcurrentJobs', 1));
+        this.recyclePolicy = new RecyclePolicy(this.configManager, this.scraper);
+        this.polling = new PollingStrategy(this.configManager);
+        this.sandbox = new JobSandbox();
+        this.jobsProcessed = 0;
+        this.configManager.on('changed', change => this.notify('configChanged', change));
+
+        // Local state is kept per device so several workers can share a directory
+        const dataDir = JobManager.getDataDir(apiClient && apiClient.deviceId);
+        this.dataDir = dataDir;
+        this.fixtures = options.fixtures || null;
+        this.resultSpool = new ResultSpool(apiClient, { dir: path.join(dataDir, 'spool'), ...options.spool });
+        this.journal = new JobJournal({ file: path.join(dataDir, 'journal.jsonl'), ...options.journal });
 
         // Register all tools
         this.registerTools();
 
+        for (const [name, hooks] of Object.entries(options.hooks || {})) {
+            for (const hook of [].concat(hooks)) {
+                this.addHook(name, hook);
+            }
+        }
+
         logger.info('JobManager initialized with modular architecture');
         logger.info(`Registered tools: ${this.toolRegistry.list().join(', ')}`);
+        if (this.plugins.length > 0) {
+            logger.info(`Loaded plugins: ${this.plugins.map(plugin => `${plugin.name} (${plugin.source}${plugin.version ? `@${plugin.version}` : ''})`).join(', ')}`);
+        }
+        if (this.pluginLoader.disabled.length > 0) {
+            logger.info(`Disabled tools: ${this.pluginLoader.disabled.join(', ')}`);
+        }
+    }
+
+    /**
+     * Directory holding the spool and journal for a device
+     * @param {string} [deviceId] - Device identifier
+     * @returns {string} Data directory
+     */
+    static getDataDir(deviceId) {
+        return path.join(CONFIG.DATA_DIR, String(deviceId || 'default').replace(/[^\w.-]/g, '_'));
     }
 
     /**
-     * Register all available tools
+     * Built-in tools
+     * @param {Scraper|null} scraper - Browser for OffscreenTool (null when only metadata is needed)
+     * @returns {Tool[]} Tool instances
+     */
+    static builtInTools(scraper) {
+        return builtInTools(scraper);
+    }
+
+    /**
+     * Register the built-in tools that are not disabled, then plugin tools
+     * @throws {PluginError} If a plugin fails to load
      */
     registerTools() {
-        this.toolRegistry.register(new ConditionalGateTool());
-        this.toolRegistry.register(new FetchTool());
-        this.toolRegistry.register(new OffscreenTool(this.scraper));
-        this.toolRegistry.register(new FetchAndExtractTool());
+        this.plugins = this.pluginLoader.registerAll(this.toolRegistry, JobManager.builtInTools(this.scraper), {
+            scraper: this.scraper
+        });
+    }
+
+    /**
+     * Register a hook
+     * `beforeJob` hooks run in order before a job's rules are validated, each
+     * with the job as returned by the previous one. A hook may return nothing
+     * (keep the job), a job object (replace it; the id is kept) or `false` (veto
+     * it), and may be async. A vetoed job is reported as JOB_VETOED; a hook can
+     * throw a JobVetoedError to give its own reason. Other errors fail the job.
+     * @param {string} name - One of HOOKS
+     * @param {Function} hook - Hook function
+     * @throws {Error} On unknown hook names
+     */
+    addHook(name, hook) {
+        if (!this.hooks[name]) {
+            throw new Error(`Unknown hook '${name}'. Available hooks: ${Object.keys(this.hooks).join(', ')}`);
+        }
+        if (typeof hook !== 'function') {
+            throw new Error(`Hook '${name}' must be a function`);
+        }
+        this.hooks[name].push(hook);
+    }
+
+    /**
+     * Remove a hook registered with addHook()
+     * @param {string} name - One of HOOKS
+     * @param {Function} hook - Hook function
+     * @returns {boolean} True if the hook was registered
+     */
+    removeHook(name, hook) {
+        const hooks = this.hooks[name] || [];
+        const index = hooks.indexOf(hook);
+        if (index === -1) return false;
+        hooks.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Run the `beforeJob` hooks
+     * @param {Object} job - Job from the API
+     * @returns {Promise<Object>} Job to run
+     * @throws {JobVetoedError} If a hook vetoes the job
+     */
+    async runBeforeJobHooks(job) {
+        let current = job;
+        for (const hook of this.hooks[HOOKS.BEFORE_JOB]) {
+            const replacement = await hook(current);
+            if (replacement === false) {
+                throw new JobVetoedError(`Job ${job.id} vetoed by a beforeJob hook`);
+            }
+            if (replacement && typeof replacement === 'object') {
+                current = { ...replacement, id: job.id };
+            }
+        }
+        return current;
+    }
+
+    /**
+     * Emit an event for embedding applications
+     * Listener errors are logged, never thrown into the worker.
+     * @param {string} event - Event name
+     * @param {Object} payload - Event payload
+     */
+    notify(event, payload) {
+        try {
+            this.emit(event, payload);
+        } catch (error) {
+            logger.error(`[JobManager] ${event} listener failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * True while the worker polls for jobs or is paused
+     * @returns {boolean}
+     */
+    get isRunning() {
+        return this.state === STATES.RUNNING || this.state === STATES.PAUSED;
+    }
+
+    /**
+     * Move to a new lifecycle state and emit `stateChanged`
+     * @param {string} next - Target state (see STATES)
+     * @param {string} [reason] - Why the state changed
+     * @returns {boolean} True if the state changed
+     * @throws {Error} If the transition is not allowed
+     */
+    setState(next, reason) {
+        if (this.state === next) return false;
+        if (!canTransition(this.state, next)) {
+            throw new Error(`Invalid state transition: ${this.state} -> ${next}`);
+        }
+
+        const previous = this.state;
+        this.state = next;
+        logger.info(`Worker state: ${previous} -> ${next}${reason ? ` (${reason})` : ''}`);
+        this.notify('stateChanged', { from: previous, to: next, reason, at: new Date().toISOString() });
+
+        // Let a sleeping job loop react immediately
+        this.wake();
+        return true;
+    }
+
+    /**
+     * Sleep until the timeout elapses or wake() is called
+     * @param {number} [ms] - Timeout (omit to wait for wake() only)
+     * @returns {Promise<void>}
+     */
+    sleep(ms) {
+        return new Promise(resolve => {
+            let timer = null;
+            const done = () => {
+                clearTimeout(timer);
+                if (this.wakeUp === done) this.wakeUp = null;
+                resolve();
+            };
+            if (ms !== undefined) timer = setTimeout(done, ms);
+            this.wakeUp = done;
+        });
+    }
+
+    /**
+     * Interrupt the job loop's current sleep
+     */
+    wake() {
+        if (this.wakeUp) this.wakeUp();
     }
 
     async start() {
         if (this.isRunning) return;
-        this.isRunning = true;
-        logger.info('Starting JobManager with modular tools...');
+        if (this.starting) return this.starting;
+
+        this.starting = (async () => {
+            logger.info('Starting JobManager with modular tools...');
+
+            try {
+                // Fetch dynamic configuration
+                await this.configManager.fetchConfiguration();
+                this.configManager.print();
+
+                // Replay results left over from a previous run and start retrying uploads
+                await this.resultSpool.start();
+
+                // Account for jobs that were in flight when the previous run died
+                const recovered = await this.journal.recover(this.apiClient);
+                if (recovered > 0) {
+                    logger.warn(`Reported ${recovered} job(s) interrupted by a worker restart`);
+                }
+            } catch (error) {
+                this.setState(STATES.ERROR, `start failed: ${error.message}`);
+                throw error;
+            }
+
+            this.startedAt = Date.now();
+            this.setState(STATES.RUNNING, 'started');
+
+            // Setup ping interval
+            this.pingTimer = setInterval(() => this.apiClient.ping(), CONFIG.PING_INTERVAL);
+            this.apiClient.ping();
+
+            // Start job loop
+            this.loopPromise = this.jobLoop().catch(error => {
+                logger.error('Job loop crashed:', error);
+                if (canTransition(this.state, STATES.ERROR)) {
+                    this.setState(STATES.ERROR, `job loop crashed: ${error.message}`);
+                }
+            });
+        })().finally(() => {
+            this.starting = null;
+        });
+
+        return this.starting;
+    }
+
+    /**
+     * Stop polling for new jobs; in-flight jobs keep running
+     * @returns {Promise<boolean>} Resolves once in-flight jobs have finished (false if not running)
+     */
+    async pause() {
+        if (this.state !== STATES.RUNNING) {
+            logger.warn(`Cannot pause while ${this.state}`);
+            return false;
+        }
 
-        // Fetch dynamic configuration
-        await this.configManager.fetchConfiguration();
-        this.configManager.print();
+        this.setState(STATES.PAUSED, 'pause requested');
+        if (this.scheduler.activeCount > 0) {
+            logger.info(`Paused, waiting for ${this.scheduler.activeCount} in-flight job(s) to finish`);
+        }
+        await this.scheduler.onIdle();
+        return true;
+    }
+
+    /**
+     * Resume polling after pause()
+     * @returns {boolean} False if the worker was not paused
+     */
+    resume() {
+        if (this.state !== STATES.PAUSED) {
+            logger.warn(`Cannot resume while ${this.state}`);
+            return false;
+        }
+
+        this.setState(STATES.RUNNING, 'resume requested');
+        return true;
+    }
+
+    /**
+     * Stop polling, let in-flight jobs finish, then stop the worker
+     * @returns {Promise<boolean>} Resolves once stopped (false if not running)
+     */
+    async drain() {
+        if (!this.isRunning) {
+            logger.warn(`Cannot drain while ${this.state}`);
+            return false;
+        }
 
-        // Setup ping interval
-        setInterval(() => this.apiClient.ping(), CONFIG.PING_INTERVAL);
-        this.apiClient.ping();
+        this.setState(STATES.DRAINING, 'drain requested');
+        logger.info(`Draining: waiting for ${this.scheduler.activeCount} in-flight job(s)`);
+        await this.stop({ timeout: Infinity });
+        return true;
+    }
 
-        // Start job loop
-        this.jobLoop();
+    /**
+     * Status snapshot for logs and monitoring
+     * @returns {Object} Current worker status
+     */
+    getStatus() {
+        return {
+            state: this.state,
+            deviceId: this.apiClient && this.apiClient.deviceId,
+            startedAt: this.startedAt ? new Date(this.startedAt).toISOString() : null,
+            uptimeSeconds: this.startedAt ? Math.round((Date.now() - this.startedAt) / 1000) : 0,
+            activeJobs: this.scheduler.activeJobIds,
+            maxConcurrentJobs: this.scheduler.limit,
+            jobsProcessed: this.jobsProcessed,
+            recycle: this.recyclePolicy.getStatus(),
+            polling: this.polling.getStatus(),
+            isolation: {
+                mode: this.configManager.get('jobIsolation', ISOLATION_MODES.NONE),
+                activeWorkers: this.sandbox.activeCount
+            },
+            spool: this.resultSpool.getStats(),
+            tools: this.toolRegistry.list(),
+            plugins: this.plugins,
+            disabledTools: this.pluginLoader.disabled
+        };
     }
 
+    /**
+     * Poll for jobs and hand them to the scheduler, keeping up to
+     * `maxConcurrentJobs` in flight
+     */
     async jobLoop() {
         while (this.isRunning) {
+            // Paused: wait for resume/drain/stop
+            if (this.state === STATES.PAUSED) {
+                await this.sleep();
+                continue;
+            }
+
             try {
-                const job = await this.apiClient.getJob();
+                // Pick up server-side limit changes (refetched when stale)
+                await this.configManager.getConfig();
+                this.scheduler.setLimit(this.configManager.get('maxConcurrentJobs', 1));
+
+                // Recycle the browser (or the whole worker) when a limit is reached, then
+                // poll as usual: a limit still exceeded after the recycle waits out the
+                // poll interval instead of recycling in a tight loop
+                const recycleReason = await this.recyclePolicy.check();
+                if (recycleReason) {
+                    await this.recycle(recycleReason);
+                }
+
+                await this.scheduler.waitForSlot();
+                if (this.state !== STATES.RUNNING) continue;
+
+                const { job, retryAfter } = await this.apiClient.getJob();
+                let outcome = POLL_OUTCOMES.EMPTY;
 
                 if (job && job.id) {
-                    logger.info(`Received job: ${job.id}`);
-                    await this.processJob(job);
+                    outcome = POLL_OUTCOMES.JOB;
+                    if (this.scheduler.active.has(job.id)) {
+                        logger.warn(`Job ${job.id} is already running, ignoring duplicate`);
+                    } else {
+                        logger.info(`Received job: ${job.id} (${this.scheduler.activeCount + 1}/${this.scheduler.limit} slots)`);
+                        this.scheduler.run(job.id, () => this.runJob(job));
+                    }
                 } else {
                     logger.debug('No job received');
                 }
 
-                // Use dynamic interval from config
-                const interval = this.configManager.get('jobInterval', CONFIG.JOB_INTERVAL);
-                await new Promise(resolve => setTimeout(resolve, interval));
+                // jobInterval, backed off while no jobs arrive (see PollingStrategy)
+                await this.sleep(this.polling.next(outcome, { retryAfter }));
 
             } catch (error) {
                 logger.error('Error in job loop:', error.message);
 
-                // Handle 429 Rate Limit
-                if (error.message.includes('429')) {
-                    const interval = this.configManager.get('jobInterval', CONFIG.JOB_INTERVAL);
-                    logger.warn('Rate limit hit. Backing off...');
-                    await new Promise(resolve => setTimeout(resolve, interval * 2));
-                } else {
-                    const interval = this.configManager.get('jobInterval', CONFIG.JOB_INTERVAL);
-                    await new Promise(resolve => setTimeout(resolve, interval));
-                }
+                const outcome = error.status === 429 ? POLL_OUTCOMES.RATE_LIMITED : POLL_OUTCOMES.ERROR;
+                await this.sleep(this.polling.next(outcome, { retryAfter: error.retryAfter }));
             }
         }
     }
 
+    /**
+     * Process a job and count it towards the recycle threshold
+     * @param {Object} job - Job from the API
+     */
+    async runJob(job) {
+        try {
+            await this.processJob(job);
+        } finally {
+            this.jobsProcessed++;
+            this.recyclePolicy.recordJob();
+        }
+    }
+
+    /**
+     * Recycle the browser in-process, or drain and request an exit
+     * @param {string} reason - Why the recycle was triggered
+     */
+    async recycle(reason) {
+        const mode = this.recyclePolicy.mode;
+        logger.info(`Recycling (${mode}): ${reason}`);
+        this.emit('recycle', { mode, reason });
+
+        if (mode === RECYCLE_MODES.EXIT) {
+            await this.drain();
+            this.emit('exitRequested', { reason });
+            return;
+        }
+
+        // No new jobs are polled until the browser has been recycled
+        if (this.scheduler.activeCount > 0) {
+            logger.info(`Waiting for ${this.scheduler.activeCount} in-flight job(s) before recycling the browser`);
+            await this.scheduler.onIdle();
+        }
+        await this.scraper.close();
+        this.recyclePolicy.reset();
+        logger.info('Browser recycled, it will be relaunched by the next job that needs it');
+    }
+
     /**
      * Replace variables in strings/objects
+     * Supports paths and filters, e.g. {{ vars.api_response.data.items[0].url | trim }}
+     * (see template.js)
+     * @param {*} target - String, array or object to substitute into
+     * @param {VariableScope|Object} variables - Scope (or plain object) to resolve against
+     * @param {Object} [options]
+     * @param {boolean} [options.strict=false] - Fail on missing variables instead of leaving placeholders
      */
-    replaceVariables(target, variables) {
-        if (typeof target === 'string') {
-            return target.replace(/\{\{\s*vars\.(.*?)\s*\}\}/g, (_, key) => {
-                const trimmedKey = key.trim();
-                if (variables.hasOwnProperty(trimmedKey)) {
-                    return variables[trimmedKey];
-                }
-                logger.warn(`Variable not found: ${trimmedKey}`);
-                return `{{vars.${trimmedKey}}}`;
-            });
-        } else if (Array.isArray(target)) {
-            return target.map(item => this.replaceVariables(item, variables));
-        } else if (typeof target === 'object' && target !== null) {
-            const newObj = {};
-            for (const key in target) {
-                newObj[key] = this.replaceVariables(target[key], variables);
+    replaceVariables(target, variables, options = {}) {
+        return template.render(target, variables, options);
+    }
+
+    /**
+     * Job-wide deadline: the job payload's `timeout`, then the YAML top-level
+     * `timeout`, then the server-configured default
+     * @param {Object} job - Job from the API
+     * @param {Object|null} parsedRules - Parsed YAML rules
+     * @returns {number} Timeout in ms (0 = no deadline)
+     */
+    getJobTimeout(job, parsedRules) {
+        const candidates = [job.timeout, parsedRules && parsedRules.timeout, this.configManager.get('timeout', 0)];
+        for (const candidate of candidates) {
+            const ms = Number(candidate);
+            if (candidate !== undefined && candidate !== null && !Number.isNaN(ms)) {
+                return ms;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Validate YAML rules before any step runs
+     * Warnings are logged. If the only errors are unknown variables (strict
+     * mode), the job fails with MISSING_VARIABLES as it would at run time.
+     * @param {string} yamlRules - Rule collection
+     * @param {Object} variables - Job variables
+     * @returns {Object} Parsed rules
+     * @throws {RuleValidationError|MissingVariablesError} If the rules are invalid
+     */
+    validateRules(yamlRules, variables) {
+        const report = this.ruleValidator.validate(yamlRules, {
+            variables,
+            strict: this.configManager.get('strictTemplates', false)
+        });
+
+        for (const warning of report.warnings) {
+            logger.warn(`[RuleValidator] line ${warning.line}, column ${warning.column}: ${warning.message}`);
+        }
+
+        if (report.errors.length > 0) {
+            if (report.errors.every(entry => entry.variable)) {
+                const error = new MissingVariablesError(Array.from(new Set(report.errors.map(entry => entry.variable))));
+                error.step = report.errors[0].step;
+                throw error;
             }
-            return newObj;
+            throw new RuleValidationError(report.errors);
         }
-        return target;
+        return report.rules;
     }
 
     /**
      * Process job using modular tool system
      */
     async processJob(job) {
+        const receivedAt = Date.now();
+        this.notify('jobReceived', { jobId: job.id, job, receivedAt: new Date(receivedAt).toISOString() });
+
         const enableTracking = this.configManager.get('enablePerformanceTracking', false);
 
         // Start performance monitoring if enabled
@@ -122,118 +564,343 @@ class JobManager {
             this.performanceMonitor.startMeasurement(job.id);
         }
 
+        await this.journal.jobReceived(job.id);
+
+        let deadline = null;
+        let runner = null;
+        let outcome = null;
+        let performance = null;
+
+        // Record network traffic to a fixture bundle (or replay it)
+        const fixtures = this.openFixtures(job);
+
         try {
-            logger.info('Processing job:', job.id);
+            // Embedding applications may modify or veto the job; a recording keeps
+            // the job as it runs (the original one if a hook vetoed it)
+            try {
+                job = await this.runBeforeJobHooks(job);
+            } finally {
+                if (fixtures && fixtures.recording) {
+                    await fixtures.saveJob(job).catch(error => {
+                        logger.warn(`[FixtureBundle] Failed to save job ${job.id}: ${error.message}`);
+                    });
+                }
+            }
 
-            // Log full job to file
-            jobLogger.info('='.repeat(80));
-            jobLogger.info(`JOB ID: ${job.id}`);
-            jobLogger.info('FULL JOB OBJECT:');
-            jobLogger.info(JSON.stringify(job, null, 2));
-            jobLogger.info('='.repeat(80));
+            logger.info('Processing job:', job.id);
 
-            let result = null;
-            let executed = false;
+            // Run the steps in a worker thread or process (`jobIsolation`), except for
+            // recorded or replayed jobs, which stay next to their fixture bundle
+            const isolation = fixtures ? ISOLATION_MODES.NONE : this.configManager.get('jobIsolation', ISOLATION_MODES.NONE);
+            const isolated = JobSandbox.isIsolated(isolation);
 
             // Extract variables
             const variables = job.vars || job.variables || job.params || {};
-            logger.debug('Job variables:', JSON.stringify(variables));
-            jobLogger.info(`EXTRACTED VARIABLES: ${JSON.stringify(variables, null, 2)}`);
 
-            // Context for tool execution
-            const context = {
-                jobId: job.id,
-                logger,
-                variables: {}
-            };
+            // Log full job to file (an isolated job logs it from its worker)
+            if (!isolated) {
+                logJob(job, variables);
+            }
 
-            // Parse and execute YAML rules using tool registry
+            // Validate YAML rules before any step runs - they may also override the job deadline
+            let parsedRules = null;
             if (job.ruleCollection && job.ruleCollection.yamlRules) {
-                try {
-                    const parsedRules = yaml.load(job.ruleCollection.yamlRules);
-
-                    if (parsedRules && parsedRules.steps) {
-                        for (const step of parsedRules.steps) {
-                            // Substitute variables in step configuration
-                            const processedStep = this.replaceVariables(step, variables);
-
-                            logger.info(`Executing step: ${processedStep.use}`);
-
-                            // Execute using tool registry
-                            const toolResult = await this.toolRegistry.execute(
-                                processedStep.use,
-                                processedStep,
-                                context
-                            );
-
-                            // Store result
-                            if (toolResult && toolResult.result) {
-                                result = toolResult.result;
-                                executed = true;
-                            }
-
-                            // Check if we should continue
-                            if (toolResult && toolResult.shouldContinue === false) {
-                                logger.info('Step indicated to stop processing');
-                                break;
-                            }
-                        }
-                    }
-                } catch (e) {
-                    logger.error('Failed to parse/execute YAML rules:', e);
-                    throw e;
-                }
+                parsedRules = this.validateRules(job.ruleCollection.yamlRules, variables);
             }
 
-            // Fallback for legacy jobs
-            if (!executed) {
-                if (job.type === 'offscreen' || job.type === 'fetch-and-extract') {
-                    let url = job.params?.url || job.url;
-                    let rules = job.params?.rules || job.ruleCollection;
-
-                    url = this.replaceVariables(url, variables);
-                    rules = this.replaceVariables(rules, variables);
+            // Pull in `include:` / `call:` fragments (job payload, then the library directory)
+            if (parsedRules && Array.isArray(parsedRules.steps)) {
+                parsedRules.steps = await this.fragmentLibrary.expand(parsedRules.steps, {
+                    ...job.fragments,
+                    ...parsedRules.fragments
+                });
+            }
 
-                    if (url) {
-                        const toolResult = await this.toolRegistry.execute('offscreen', { url, rules }, context);
-                        result = toolResult.result;
-                    } else {
-                        logger.warn('No URL for fallback job processing');
-                    }
-                } else {
-                    logger.warn(`No executable steps found for job ${job.id}`);
-                    result = { status: "skipped", reason: "no_steps" };
+            // Counted from when the job was received: hooks, validation and fragment loading included
+            deadline = new Deadline(this.getJobTimeout(job, parsedRules), { scope: 'job', startedAt: receivedAt });
+
+            // Strict templates fail the job on missing variables (YAML `strict:` overrides config)
+            const strict = parsedRules && typeof parsedRules.strict === 'boolean'
+                ? parsedRules.strict
+                : this.configManager.get('strictTemplates', false);
+
+            let finished;
+            if (isolated) {
+                // Filled with the worker's step summaries, retries and result checks
+                runner = { steps: [], retries: [] };
+                const result = await this.runIsolated(isolation, job, { parsedRules, variables, strict, deadline, summary: runner });
+                finished = { result, schemaViolations: runner.schemaViolations, truncation: runner.truncation };
+            } else {
+                // Job-wide scope: job variables plus named step outputs
+                const scope = new VariableScope(variables);
+
+                // Context for tool execution
+                const context = {
+                    jobId: job.id,
+                    logger,
+                    variables: scope.values,
+                    signal: deadline.signal
+                };
+                if (fixtures) {
+                    context.fixtures = fixtures;
                 }
+
+                const substitute = (target, targetScope) => this.replaceVariables(target, targetScope, { strict });
+                runner = new RuleRunner({
+                    jobId: job.id,
+                    toolRegistry: this.toolRegistry,
+                    journal: this.journal,
+                    substitute,
+                    context,
+                    deadline,
+                    maxJumps: parsedRules && parsedRules.max_jumps,
+                    notify: (event, payload) => this.notify(event, payload)
+                });
+
+                const result = await executeRules(runner, job, parsedRules, scope, substitute);
+
+                // Check the schema, then cut long strings and oversized results before they
+                // are spooled, uploaded or logged (an isolated job does this in its worker)
+                finished = finishResult(job, parsedRules, result, this.getResultSettings());
             }
+            const { result, schemaViolations, truncation } = finished;
 
             // Stop performance monitoring and include metrics
-            let metrics = {};
             if (enableTracking) {
-                metrics = this.performanceMonitor.stopMeasurement(job.id);
+                performance = this.performanceMonitor.stopMeasurement(job.id);
+            }
+            let metrics = { ...performance };
+            if (runner.retries.length > 0) {
+                metrics = { ...metrics, retries: runner.retries };
+            }
+            if (runner.steps.length > 0) {
+                metrics = { ...metrics, steps: runner.steps };
             }
 
-            // Complete job with result and metrics
-            await this.apiClient.completeJob(job.id, result, metrics);
-            logger.info(`Job ${job.id} completed successfully`);
+            if (schemaViolations.length > 0) {
+                metrics = { ...metrics, schemaWarnings: OutputSchema.report(schemaViolations) };
+            }
+            if (truncation) {
+                metrics = { ...metrics, truncation };
+            }
+
+            // Spool the result, then upload it (failed uploads are retried in the background)
+            outcome = { status: 'completed', result, metadata: metrics };
+            const delivery = await this.resultSpool.submit(job.id, result, metrics);
+            this.notify('jobCompleted', {
+                jobId: job.id,
+                result,
+                metadata: metrics,
+                delivered: delivery.delivered,
+                duration: Date.now() - receivedAt
+            });
+            if (delivery.delivered) {
+                logger.info(`Job ${job.id} completed successfully`);
+            } else {
+                logger.warn(`Job ${job.id} completed, result spooled for retry`);
+            }
+            await this.journal.jobReported(job.id, delivery.delivered ? 'completed' : 'spooled');
 
         } catch (error) {
             logger.error(`Failed to process job ${job.id}:`, error);
 
-            // Stop monitoring on error
-            if (enableTracking) {
-                this.performanceMonitor.stopMeasurement(job.id);
+            // Stop monitoring on error; failed jobs report their metrics too
+            if (enableTracking && !performance) {
+                performance = this.performanceMonitor.stopMeasurement(job.id);
             }
 
-            await this.apiClient.reportError(job.id, "PROCESSING_FAILED", { message: error.message });
+            try {
+                // Stable code, retryable flag, failing step and sanitized details (see errors.js)
+                const report = errorReport(error);
+                const metadata = { ...performance };
+                if (runner && runner.retries.length > 0) {
+                    metadata.retries = runner.retries;
+                }
+                if (runner && runner.steps.length > 0) {
+                    metadata.steps = runner.steps;
+                }
+                const { code, ...fields } = report;
+                outcome = { status: 'failed', error: code, ...fields, metadata };
+                this.notify('jobFailed', { jobId: job.id, error: report, metadata, duration: Date.now() - receivedAt });
+                await this.apiClient.reportError(job.id, report, metadata);
+                await this.journal.jobReported(job.id, 'failed');
+            } catch (reportError) {
+                logger.error(`Failed to report error for job ${job.id}: ${reportError.message}`);
+            }
+        } finally {
+            if (deadline) {
+                deadline.clear();
+            }
+            await this.closeFixtures(fixtures, job.id, outcome);
         }
     }
 
-    async stop() {
-        this.isRunning = false;
-        await this.scraper.close();
-        this.performanceMonitor.clearAll();
-        logger.info('JobManager stopped');
+    /**
+     * Settings applied to job results by finishResult() (see jobExecution.js)
+     * @returns {{outputSchemaMode: string, resultMaxBytes: number, resultFieldMaxLength: number,
+     *   resultTruncation: string}}
+     */
+    getResultSettings() {
+        return {
+            outputSchemaMode: this.configManager.get('outputSchemaMode', OutputSchema.SCHEMA_MODES.FAIL),
+            resultMaxBytes: this.configManager.get('resultMaxBytes', 0),
+            resultFieldMaxLength: this.configManager.get('resultFieldMaxLength', 0),
+            resultTruncation: this.configManager.get('resultTruncation', TRUNCATION_POLICIES.TRUNCATE)
+        };
+    }
+
+    /**
+     * Run a job's steps in a worker thread or process (see JobSandbox)
+     * Browser tools, and tools the worker cannot load (registered at runtime),
+     * are called back in this process.
+     * @param {string} mode - ISOLATION_MODES.THREAD or PROCESS
+     * @param {Object} job - Job
+     * @param {Object} options
+     * @param {Object|null} options.parsedRules - Validated rules, fragments expanded
+     * @param {Object} options.variables - Job variables
+     * @param {boolean} options.strict - Strict templates
+     * @param {Deadline} options.deadline - Job deadline
+     * @param {Object} options.summary - Receives the runner's `steps` and `retries`, and the
+     *   `schemaViolations` and `truncation` of the result checks run in the worker
+     * @returns {Promise<*>} Job result, checked and size-limited
+     */
+    runIsolated(mode, job, options) {
+        const tools = this.toolRegistry.list().map(name => {
+            const tool = this.toolRegistry.get(name);
+            return { name, className: tool.constructor.name, usesBrowser: tool.usesBrowser };
+        });
+
+        return this.sandbox.run({
+            job,
+            parsedRules: options.parsedRules,
+            variables: options.variables,
+            strict: options.strict,
+            timeout: options.deadline.timeout,
+            startedAt: options.deadline.startedAt,
+            resultSettings: this.getResultSettings(),
+            tools,
+            plugins: {
+                dir: this.pluginLoader.dir,
+                packages: this.pluginLoader.packages,
+                disabled: this.pluginLoader.disabled
+            }
+        }, {
+            mode,
+            memoryLimitMb: this.configManager.get('isolationMemoryMb', 0),
+            deadline: options.deadline,
+            summary: options.summary,
+            journal: this.journal,
+            notify: (event, payload) => this.notify(event, payload),
+            callTool: (name, params, context) => this.toolRegistry.prepare(name, params).execute(params, {
+                ...context,
+                jobId: job.id,
+                logger
+            })
+        });
+    }
+
+    /**
+     * Fixture bundle for a job
+     * @param {Object} job - Job
+     * @returns {FixtureBundle|null} The bundle passed to the constructor, a new
+     *   recording under <data dir>/fixtures/<job id> (recordFixtures: failed|all), or null
+     */
+    openFixtures(job) {
+        if (this.fixtures) {
+            return this.fixtures;
+        }
+        const mode = this.configManager.get('recordFixtures', 'off');
+        if (mode !== 'failed' && mode !== 'all') {
+            return null;
+        }
+        const name = String(job.id).replace(/[^\w.-]/g, '_');
+        return new FixtureBundle(path.join(this.dataDir, 'fixtures', name), { mode: FIXTURE_MODES.RECORD });
+    }
+
+    /**
+     * Finish a recording: save the outcome, or drop the bundle of a completed
+     * job when only failures are kept (recordFixtures: failed)
+     * @param {FixtureBundle|null} fixtures - Bundle from openFixtures()
+     * @param {string} jobId - Job identifier
+     * @param {Object|null} outcome - How the job ended
+     */
+    async closeFixtures(fixtures, jobId, outcome) {
+        if (!fixtures || !fixtures.recording) return;
+
+        try {
+            const keepFailedOnly = fixtures !== this.fixtures && this.configManager.get('recordFixtures') === 'failed';
+            if (keepFailedOnly && outcome && outcome.status === 'completed') {
+                await fixtures.remove();
+                return;
+            }
+            await fixtures.saveOutcome(outcome || { status: 'unknown' });
+            logger.info(`[FixtureBundle] Recorded job ${jobId} to ${fixtures.dir}`);
+        } catch (error) {
+            logger.warn(`[FixtureBundle] Failed to finish recording for job ${jobId}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Stop the worker: stop polling, wait for in-flight jobs, then close the browser
+     * Jobs still running after the timeout stay in the journal and are reported
+     * as WORKER_RESTARTED on the next start.
+     *
+     * @param {Object} [options]
+     * @param {number} [options.timeout] - Max time to wait for in-flight jobs (ms)
+     * @returns {Promise<void>}
+     */
+    async stop(options = {}) {
+        if (this.state === STATES.STOPPED) return;
+        if (this.stopping) return this.stopping;
+
+        const timeout = options.timeout !== undefined ? options.timeout : CONFIG.SHUTDOWN_TIMEOUT;
+
+        this.stopping = (async () => {
+            if (this.isRunning) {
+                this.setState(STATES.DRAINING, 'stop requested');
+            }
+
+            if (this.scheduler.activeCount > 0) {
+                logger.info(`Waiting for ${this.scheduler.activeCount} in-flight job(s) to finish...`);
+                let timer = null;
+                const finished = await Promise.race([
+                    this.scheduler.onIdle().then(() => true),
+                    Number.isFinite(timeout)
+                        ? new Promise(resolve => { timer = setTimeout(() => resolve(false), timeout); })
+                        : new Promise(() => {})
+                ]);
+                clearTimeout(timer);
+
+                if (!finished) {
+                    logger.warn(`Stopping with ${this.scheduler.activeCount} job(s) still running: ${this.scheduler.activeJobIds.join(', ')}`);
+                    this.sandbox.killAll();
+                }
+            }
+
+            if (this.pingTimer) {
+                clearInterval(this.pingTimer);
+                this.pingTimer = null;
+            }
+            await this.resultSpool.stop();
+            await this.scraper.close();
+            if (this.ownsPerformanceMonitor) {
+                this.performanceMonitor.clearAll();
+            } else {
+                // Other workers share the monitor: only drop measurements of jobs left running
+                for (const jobId of this.scheduler.activeJobIds) {
+                    this.performanceMonitor.stopMeasurement(jobId);
+                }
+            }
+            this.setState(STATES.STOPPED, 'stopped');
+            logger.info('JobManager stopped');
+        })().finally(() => {
+            this.stopping = null;
+        });
+
+        return this.stopping;
     }
 }
 
+JobManager.HOOKS = HOOKS;
+
 module.exports = JobManager;
@@ -0,0 +1,299 @@
+const path = require('path');
+const EventEmitter = require('events');
+const { Worker } = require('worker_threads');
+const { fork } = require('child_process');
+const { logger, jobLogger } = require('./logger');
+const Deadline = require('./Deadline');
+const { TimeoutError, JobCrashedError, serializeError, deserializeError } = require('./errors');
+
+/**
+ * Where a job's steps run (`jobIsolation` setting)
+ */
+const ISOLATION_MODES = {
+    NONE: 'none',           // In the main process (default)
+    THREAD: 'thread',       // In a worker thread per job
+    PROCESS: 'process'      // In a child process per job
+};
+
+const WORKER_FILE = path.join(__dirname, 'jobWorker.js');
+
+// Time a worker gets to report its own timeout before it is killed
+const DEFAULT_KILL_GRACE = 1000;
+
+// Bytes of a child process's stderr kept to explain a crash
+const STDERR_TAIL = 4096;
+
+/**
+ * Worker thread running one job
+ * Emits `message` and `crash` (JobCrashedError).
+ */
+function spawnThread(memoryLimitMb) {
+    const channel = new EventEmitter();
+    const worker = new Worker(WORKER_FILE, {
+        resourceLimits: memoryLimitMb > 0 ? { maxOldGenerationSizeMb: memoryLimitMb } : undefined
+    });
+
+    worker.on('message', message => channel.emit('message', message));
+    worker.on('error', error => {
+        channel.emit('crash', error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+            ? new JobCrashedError(`Isolated job ran out of memory (limit ${memoryLimitMb} MB)`, { reason: 'memory', memoryLimitMb })
+            : new JobCrashedError(`Isolated job crashed: ${error.message}`));
+    });
+    worker.on('exit', exitCode => {
+        channel.emit('crash', new JobCrashedError(`Isolated job thread exited with code ${exitCode}`, { exitCode }));
+    });
+
+    channel.send = message => worker.postMessage(message);
+    channel.kill = () => worker.terminate();
+    return channel;
+}
+
+/**
+ * Child process running one job
+ * Emits `message` and `crash` (JobCrashedError).
+ */
+function spawnProcess(memoryLimitMb) {
+    const channel = new EventEmitter();
+    const child = fork(WORKER_FILE, [], {
+        execArgv: memoryLimitMb > 0 ? [`--max-old-space-size=${memoryLimitMb}`] : [],
+        serialization: 'advanced',
+        stdio: ['ignore', 'inherit', 'pipe', 'ipc']
+    });
+
+    let stderr = '';
+    child.stderr.on('data', chunk => {
+        process.stderr.write(chunk);
+        stderr = (stderr + chunk).slice(-STDERR_TAIL);
+    });
+
+    child.on('message', message => channel.emit('message', message));
+    child.on('error', error => channel.emit('crash', new JobCrashedError(`Isolated job process failed: ${error.message}`)));
+    child.on('exit', (exitCode, signal) => {
+        channel.emit('crash', /heap out of memory/i.test(stderr)
+            ? new JobCrashedError(`Isolated job ran out of memory (limit ${memoryLimitMb} MB)`, { reason: 'memory', memoryLimitMb, exitCode, signal })
+            : new JobCrashedError(`Isolated job process exited with ${signal ? `signal ${signal}` : `code ${exitCode}`}`, { exitCode, signal }));
+    });
+
+    channel.send = message => {
+        if (child.connected) child.send(message);
+    };
+    channel.kill = () => child.kill('SIGKILL');
+    return channel;
+}
+
+/**
+ * Job Sandbox
+ * Runs a job's steps in a worker thread or child process (see jobWorker.js), so
+ * a runaway regex, a huge JSON.stringify or a memory leak in a job cannot block
+ * the main event loop - heartbeats, polling and signals keep working.
+ *
+ * Each job gets a fresh worker with a heap limit. The worker runs the steps
+ * with the same RuleRunner as in-process jobs; tools that use the shared
+ * browser, or that only exist in the main process, are called back here
+ * (`callTool`). Log entries, step events and journal records are passed back
+ * as messages. When the job deadline expires, the worker gets a short grace
+ * period to fail the job itself, then it is killed and the job fails with a
+ * TimeoutError naming the step that was running. A worker that crashes or
+ * runs out of memory fails the job with JOB_CRASHED or MEMORY_LIMIT.
+ */
+class JobSandbox {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.killGrace=1000] - Time a worker gets to stop after the deadline (ms)
+     */
+    constructor(options = {}) {
+        this.killGrace = options.killGrace !== undefined ? options.killGrace : DEFAULT_KILL_GRACE;
+
+        // worker channel -> finish(error) of its run
+        this.running = new Map();
+    }
+
+    /**
+     * Whether a `jobIsolation` setting runs jobs outside the main process
+     * @param {string} mode - Setting value
+     * @returns {boolean}
+     */
+    static isIsolated(mode) {
+        return mode === ISOLATION_MODES.THREAD || mode === ISOLATION_MODES.PROCESS;
+    }
+
+    /**
+     * Number of workers running a job
+     * @returns {number}
+     */
+    get activeCount() {
+        return this.running.size;
+    }
+
+    /**
+     * Run a job's steps in a new worker
+     * @param {Object} task - Sent to the worker: { job, parsedRules, variables, strict, timeout,
+     *   startedAt, resultSettings (see JobManager#getResultSettings), tools: [{ name, className, usesBrowser }],
+     *   plugins: PluginLoader options }
+     * @param {Object} options
+     * @param {string} options.mode - ISOLATION_MODES.THREAD or PROCESS
+     * @param {number} [options.memoryLimitMb] - Worker heap limit (0 = Node's default)
+     * @param {Deadline} [options.deadline] - Job deadline; the worker is killed once it expires
+     * @param {Function} options.callTool - (name, params, { variables, signal }) => tool result,
+     *   for tools that run in this process
+     * @param {JobJournal} [options.journal] - Receives the worker's step records
+     * @param {Function} [options.notify] - (event, payload) => void, for stepStarted / stepCompleted
+     * @param {Object} [options.summary] - Receives the runner's `steps` and `retries`, and
+     *   the result's `schemaViolations` and `truncation`
+     * @returns {Promise<*>} Job result
+     * @throws {Error} The job's error, a TimeoutError or a JobCrashedError
+     */
+    run(task, options) {
+        const mode = options.mode === ISOLATION_MODES.PROCESS ? ISOLATION_MODES.PROCESS : ISOLATION_MODES.THREAD;
+        const jobId = task.job.id;
+        const deadline = options.deadline || null;
+
+        return new Promise((resolve, reject) => {
+            const channel = mode === ISOLATION_MODES.PROCESS
+                ? spawnProcess(options.memoryLimitMb)
+                : spawnThread(options.memoryLimitMb);
+            const calls = new Map();
+            let currentStep = null;
+            let killTimer = null;
+            let settled = false;
+
+            const finish = (error, result) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(killTimer);
+                if (deadline) deadline.signal.removeEventListener('abort', onDeadline);
+                for (const call of calls.values()) {
+                    call.abort(new Error('Isolated job ended'));
+                }
+                this.running.delete(channel);
+                channel.kill();
+
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(result);
+                }
+            };
+
+            // The worker's own deadline normally fails the job first; a worker
+            // whose event loop is stuck never does
+            const onDeadline = () => {
+                killTimer = setTimeout(() => {
+                    const reason = deadline.signal.reason;
+                    const where = currentStep ? ` in step ${currentStep.index} (${currentStep.use})` : '';
+                    const error = new TimeoutError(`${reason.message}${where}, isolated job killed`, {
+                        timeout: reason.timeout,
+                        scope: reason.scope,
+                        step: currentStep
+                    });
+                    logger.error(`[JobSandbox] Job ${jobId}: worker did not stop within ${this.killGrace}ms of the deadline, killed`);
+                    finish(error);
+                }, this.killGrace);
+            };
+
+            const send = message => {
+                try {
+                    channel.send(message);
+                } catch (error) {
+                    // Tool results that cannot be cloned fail the step instead of the sandbox
+                    if (message.type !== 'toolResult' || message.error) throw error;
+                    channel.send({
+                        type: 'toolResult',
+                        id: message.id,
+                        error: serializeError(new Error(`Result of ${message.name} cannot be passed to the isolated job: ${error.message}`))
+                    });
+                }
+            };
+
+            const callTool = message => {
+                const call = new Deadline(null, { scope: 'step', parent: deadline });
+                calls.set(message.id, call);
+                call.run(signal => options.callTool(message.name, message.params, { variables: message.variables, signal }))
+                    .then(
+                        result => send({ type: 'toolResult', id: message.id, name: message.name, result }),
+                        error => send({ type: 'toolResult', id: message.id, name: message.name, error: serializeError(error) })
+                    )
+                    .catch(error => logger.warn(`[JobSandbox] Job ${jobId}: cannot return ${message.name} result: ${error.message}`))
+                    .finally(() => {
+                        calls.delete(message.id);
+                        call.clear();
+                    });
+            };
+
+            const summarize = message => {
+                if (options.summary) {
+                    options.summary.steps = message.steps;
+                    options.summary.retries = message.retries;
+                    options.summary.schemaViolations = message.schemaViolations || [];
+                    options.summary.truncation = message.truncation || null;
+                }
+            };
+
+            channel.on('message', message => {
+                switch (message.type) {
+                    case 'log':
+                        (message.target === 'jobLogger' ? jobLogger : logger).log(message.entry);
+                        break;
+                    case 'notify':
+                        if (message.event === 'stepStarted') {
+                            currentStep = { index: message.payload.stepIndex, use: message.payload.tool };
+                        }
+                        if (options.notify) options.notify(message.event, message.payload);
+                        break;
+                    case 'journal':
+                        if (options.journal) {
+                            Promise.resolve(options.journal[message.method](...message.args)).catch(error => {
+                                logger.warn(`[JobSandbox] Job ${jobId}: journal ${message.method} failed: ${error.message}`);
+                            });
+                        }
+                        break;
+                    case 'callTool':
+                        callTool(message);
+                        break;
+                    case 'cancelTool':
+                        if (calls.has(message.id)) calls.get(message.id).abort(deserializeError(message.reason));
+                        break;
+                    case 'done':
+                        summarize(message);
+                        finish(null, message.result);
+                        break;
+                    case 'failed':
+                        summarize(message);
+                        finish(deserializeError(message.error));
+                        break;
+                }
+            });
+            channel.on('crash', error => {
+                if (!settled) logger.error(`[JobSandbox] Job ${jobId}: ${error.message}`);
+                finish(error);
+            });
+
+            this.running.set(channel, finish);
+            if (deadline) {
+                if (deadline.signal.aborted) {
+                    onDeadline();
+                } else {
+                    deadline.signal.addEventListener('abort', onDeadline, { once: true });
+                }
+            }
+
+            logger.debug(`[JobSandbox] Running job ${jobId} in a worker ${mode}`);
+            try {
+                send({ type: 'run', task });
+            } catch (error) {
+                finish(error);
+            }
+        });
+    }
+
+    /**
+     * Kill every worker; their jobs fail as interrupted by a worker stop
+     */
+    killAll() {
+        for (const finish of Array.from(this.running.values())) {
+            finish(new JobCrashedError('Worker stopped while the isolated job was running', { reason: 'stopped' }));
+        }
+    }
+}
+
+module.exports = { JobSandbox, ISOLATION_MODES };
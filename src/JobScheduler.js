@@ -0,0 +1,123 @@
+const { logger } = require('./logger');
+
+/**
+ * Job Scheduler
+ * Keeps up to `limit` jobs in flight and lets the job loop wait for a free slot.
+ * The limit can be changed at any time; lowering it never interrupts running jobs,
+ * it only delays new ones until enough of them have finished.
+ */
+class JobScheduler {
+    /**
+     * @param {number} [limit=1] - Maximum number of concurrent jobs
+     */
+    constructor(limit = 1) {
+        this.limit = JobScheduler.normalizeLimit(limit);
+        this.active = new Map();
+        this.waiters = [];
+    }
+
+    /**
+     * Coerce a configured limit into a positive integer
+     * @param {*} limit - Raw limit value
+     * @returns {number} Limit (at least 1)
+     */
+    static normalizeLimit(limit) {
+        const parsed = parseInt(limit, 10);
+        return Number.isFinite(parsed) && parsed > 0 ? parsed : 1;
+    }
+
+    /**
+     * Change the concurrency limit
+     * @param {number} limit - New maximum number of concurrent jobs
+     */
+    setLimit(limit) {
+        const normalized = JobScheduler.normalizeLimit(limit);
+        if (normalized === this.limit) return;
+
+        logger.info(`[JobScheduler] Concurrency limit changed: ${this.limit} -> ${normalized}`);
+        this.limit = normalized;
+        this.notify();
+    }
+
+    /**
+     * Number of jobs currently running
+     * @returns {number}
+     */
+    get activeCount() {
+        return this.active.size;
+    }
+
+    /**
+     * IDs of jobs currently running
+     * @returns {string[]}
+     */
+    get activeJobIds() {
+        return Array.from(this.active.keys());
+    }
+
+    /**
+     * Check whether another job can be started
+     * @returns {boolean} True if below the limit
+     */
+    hasCapacity() {
+        return this.active.size < this.limit;
+    }
+
+    /**
+     * Resolve once a slot is free
+     * @returns {Promise<void>}
+     */
+    waitForSlot() {
+        if (this.hasCapacity()) return Promise.resolve();
+        return new Promise(resolve => this.waiters.push({ test: () => this.hasCapacity(), resolve }));
+    }
+
+    /**
+     * Resolve once no jobs are running
+     * @returns {Promise<void>}
+     */
+    onIdle() {
+        if (this.active.size === 0) return Promise.resolve();
+        return new Promise(resolve => this.waiters.push({ test: () => this.active.size === 0, resolve }));
+    }
+
+    /**
+     * Start a job without waiting for it
+     * Errors are logged, never rethrown, so a failing job cannot break the loop.
+     *
+     * @param {string} jobId - Job identifier
+     * @param {Function} task - Async function running the job
+     * @returns {Promise<void>} Settles when the job finishes
+     */
+    run(jobId, task) {
+        const promise = Promise.resolve()
+            .then(task)
+            .catch(error => {
+                logger.error(`[JobScheduler] Job ${jobId} failed outside of processing: ${error.message}`);
+            })
+            .finally(() => {
+                this.active.delete(jobId);
+                this.notify();
+            });
+
+        this.active.set(jobId, promise);
+        return promise;
+    }
+
+    /**
+     * Wake any waiters whose condition now holds
+     */
+    notify() {
+        const pending = [];
+        for (const waiter of this.waiters) {
+            if (waiter.test()) {
+                waiter.resolve();
+            } else {
+                pending.push(waiter);
+            }
+        }
+        this.waiters = pending;
+    }
+}
+
+module.exports = JobScheduler;
@@ -0,0 +1,63 @@
+/**
+ * Local API Client
+ * Stands in for ApiClient when a job runs from the command line: nothing is
+ * sent to the API, completed results and reported errors are kept for the
+ * caller to print. Needs no JWT.
+ */
+class LocalApiClient {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.deviceId='local'] - Device id (selects the data directory)
+     * @param {Object} [options.configuration={}] - Returned by getConfiguration()
+     */
+    constructor(options = {}) {
+        this.deviceId = options.deviceId || 'local';
+        this.configuration = options.configuration || {};
+        this.completed = [];
+        this.errors = [];
+    }
+
+    async ping() {
+        return true;
+    }
+
+    async getConfiguration() {
+        return this.configuration;
+    }
+
+    async getJob() {
+        return { job: null, retryAfter: null };
+    }
+
+    async completeJob(jobId, result, metadata = {}) {
+        this.completed.push({ jobId, result, metadata });
+        return {};
+    }
+
+    async reportError(jobId, error, metadata = {}) {
+        this.errors.push({ jobId, error, metadata });
+        return {};
+    }
+
+    /**
+     * Outcome of a job
+     * @param {string} jobId - Job identifier
+     * @returns {Object|null} { jobId, status: 'completed', result, metadata } or
+     *   { jobId, status: 'failed', error, message, retryable, stepIndex, tool, details, metadata },
+     *   null if the job was not reported
+     */
+    getOutcome(jobId) {
+        const completed = this.completed.find(entry => entry.jobId === jobId);
+        if (completed) {
+            return { jobId, status: 'completed', result: completed.result, metadata: completed.metadata };
+        }
+        const failed = this.errors.find(entry => entry.jobId === jobId);
+        if (failed) {
+            const { code, ...report } = typeof failed.error === 'string' ? { code: failed.error } : failed.error;
+            return { jobId, status: 'failed', error: code, ...report, metadata: failed.metadata };
+        }
+        return null;
+    }
+}
+
+module.exports = LocalApiClient;
@@ -0,0 +1,211 @@
+/**
+ * Types of the `type` keyword
+ */
+const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+/**
+ * Keywords of the supported JSON Schema subset
+ */
+const SCHEMA_KEYWORDS = ['type', 'required', 'properties', 'items', 'pattern', 'minItems', 'description'];
+
+/**
+ * How results that do not match their schema are handled (`outputSchemaMode` setting)
+ */
+const SCHEMA_MODES = {
+    FAIL: 'fail',   // Fail the job with SCHEMA_MISMATCH (default)
+    WARN: 'warn'    // Complete the job, violations in `metadata.schemaWarnings`
+};
+
+// Violations listed in job metadata
+const MAX_REPORTED_VIOLATIONS = 20;
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+function hasType(value, type) {
+    switch (type) {
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        default:
+            return typeOf(value) === type;
+    }
+}
+
+/**
+ * Output Schema
+ * Checks a job result against the rules' `output_schema:`, a subset of JSON
+ * Schema, so a layout change that turns every field into null fails the job
+ * instead of completing it:
+ *
+ *   output_schema:
+ *     type: object
+ *     required: [title, price]
+ *     properties:
+ *       title: { type: string }
+ *       price: { type: string, pattern: '^\$[0-9.]+$' }
+ *       reviews: { type: array, minItems: 1, items: { type: object, required: [author] } }
+ *
+ * Supported keywords: `type` (a type or a list), `required`, `properties`, `items`,
+ * `pattern` and `minItems`; `description` is ignored. Unlike JSON Schema, a
+ * required field that is null counts as missing; an optional field may be left
+ * out, but a null value must be allowed by its `type` (e.g. `[string, 'null']`).
+ */
+class OutputSchema {
+    /**
+     * @param {Object} schema - Schema (checked with OutputSchema.check() by RuleValidator)
+     */
+    constructor(schema) {
+        this.schema = schema;
+        this.patterns = new Map();
+    }
+
+    /**
+     * Problems with a schema itself
+     * @param {*} schema - Schema
+     * @param {string} [path='output_schema'] - Path of the schema
+     * @returns {Array<{message: string, severity: string, node: Object, key: (string|null)}>}
+     *   Errors and warnings (unknown keywords), with the schema mapping and keyword they are in
+     */
+    static check(schema, path = 'output_schema') {
+        const problems = [];
+        const problem = (severity, message, node, key = null) => problems.push({ message, severity, node, key });
+
+        const visit = (node, nodePath) => {
+            if (typeOf(node) !== 'object') {
+                problems.push({ message: `'${nodePath}' must be a mapping, got ${typeOf(node)}`, severity: 'error', node: null, key: null });
+                return;
+            }
+
+            for (const key of Object.keys(node)) {
+                if (!SCHEMA_KEYWORDS.includes(key)) {
+                    problem('warning', `Unknown schema keyword '${nodePath}.${key}' (supported: ${SCHEMA_KEYWORDS.join(', ')})`, node, key);
+                }
+            }
+
+            if (node.type !== undefined) {
+                const types = [].concat(node.type);
+                const unknown = types.filter(type => !SCHEMA_TYPES.includes(type));
+                if (types.length === 0 || unknown.length > 0) {
+                    problem('error', `'${nodePath}.type' must be one or more of: ${SCHEMA_TYPES.join(', ')}`, node, 'type');
+                }
+            }
+            if (node.required !== undefined &&
+                (!Array.isArray(node.required) || !node.required.every(name => typeof name === 'string'))) {
+                problem('error', `'${nodePath}.required' must be a list of field names`, node, 'required');
+            }
+            if (node.pattern !== undefined) {
+                try {
+                    new RegExp(node.pattern);
+                } catch (error) {
+                    problem('error', `'${nodePath}.pattern' is not a valid regular expression: ${error.message}`, node, 'pattern');
+                }
+            }
+            if (node.minItems !== undefined && !(Number.isInteger(node.minItems) && node.minItems >= 0)) {
+                problem('error', `'${nodePath}.minItems' must be a non-negative integer`, node, 'minItems');
+            }
+            if (node.properties !== undefined) {
+                if (typeOf(node.properties) !== 'object') {
+                    problem('error', `'${nodePath}.properties' must be a mapping`, node, 'properties');
+                } else {
+                    for (const [name, property] of Object.entries(node.properties)) {
+                        if (typeOf(property) !== 'object') {
+                            problem('error', `'${nodePath}.properties.${name}' must be a mapping, got ${typeOf(property)}`, node.properties, name);
+                        } else {
+                            visit(property, `${nodePath}.properties.${name}`);
+                        }
+                    }
+                }
+            }
+            if (node.items !== undefined) {
+                if (typeOf(node.items) !== 'object') {
+                    problem('error', `'${nodePath}.items' must be a mapping, got ${typeOf(node.items)}`, node, 'items');
+                } else {
+                    visit(node.items, `${nodePath}.items`);
+                }
+            }
+        };
+
+        visit(schema, path);
+        return problems;
+    }
+
+    /**
+     * Violations as attached to job metadata in warn mode
+     * @param {Array<{path: string, message: string}>} violations - Violations from validate()
+     * @returns {{count: number, violations: Array}} Count and the first 20 violations
+     */
+    static report(violations) {
+        return { count: violations.length, violations: violations.slice(0, MAX_REPORTED_VIOLATIONS) };
+    }
+
+    /**
+     * Compiled `pattern` of a schema node
+     */
+    pattern(node) {
+        if (!this.patterns.has(node)) {
+            this.patterns.set(node, new RegExp(node.pattern));
+        }
+        return this.patterns.get(node);
+    }
+
+    /**
+     * Check a value against the schema
+     * @param {*} value - Job result
+     * @returns {Array<{path: string, message: string}>} Violations (empty if the value matches),
+     *   with paths such as `result.items[0].title`
+     */
+    validate(value) {
+        const violations = [];
+        this.visit(this.schema, value, 'result', violations);
+        return violations;
+    }
+
+    /**
+     * Check a value against a schema node, collecting violations
+     */
+    visit(node, value, path, violations) {
+        if (node.type !== undefined) {
+            const types = [].concat(node.type);
+            if (!types.some(type => hasType(value, type))) {
+                violations.push({ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+                return;
+            }
+        }
+
+        if (node.pattern !== undefined && typeof value === 'string' && !this.pattern(node).test(value)) {
+            violations.push({ path, message: `does not match pattern /${node.pattern}/` });
+        }
+
+        if (Array.isArray(value)) {
+            if (node.minItems !== undefined && value.length < node.minItems) {
+                violations.push({ path, message: `expected at least ${node.minItems} item(s), got ${value.length}` });
+            }
+            if (node.items) {
+                value.forEach((item, index) => this.visit(node.items, item, `${path}[${index}]`, violations));
+            }
+        } else if (typeOf(value) === 'object') {
+            const required = node.required || [];
+            for (const name of required) {
+                if (value[name] === undefined || value[name] === null) {
+                    violations.push({ path: `${path}.${name}`, message: 'is required' });
+                }
+            }
+            for (const [name, property] of Object.entries(node.properties || {})) {
+                const missing = value[name] === undefined || (value[name] === null && required.includes(name));
+                if (!missing) {
+                    this.visit(property, value[name], `${path}.${name}`, violations);
+                }
+            }
+        }
+    }
+}
+
+OutputSchema.SCHEMA_TYPES = SCHEMA_TYPES;
+OutputSchema.SCHEMA_MODES = SCHEMA_MODES;
+
+module.exports = OutputSchema;
@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const CONFIG = require('./config');
+const Tool = require('./tools/Tool');
+const errors = require('./errors');
+
+const { PluginError } = errors;
+
+/**
+ * Plugin Loader
+ * Loads custom tools without forking the worker, from
+ *  - the plugins directory: every `*.js` file and every subdirectory with a
+ *    package.json or index.js, in name order
+ *  - npm packages listed by name (resolved from the working directory, then the worker)
+ *
+ * A plugin module exports a Tool subclass, a list of them, or a factory
+ * `({ Tool, errors, API_VERSION }) => class | class[]` for packages that should not
+ * require the worker's own files. Every class declares the tool API it was
+ * written against:
+ *
+ *   class InventoryTool extends Tool {
+ *       static apiVersion = 1;
+ *       constructor({ scraper }) { super('inventory'); }
+ *       async execute(params, context) { ... }
+ *   }
+ *   module.exports = InventoryTool;
+ *
+ * Tools are constructed with `{ scraper }` (null when only metadata is needed,
+ * e.g. for lint). Load problems - a missing package, a module that throws,
+ * something that isn't a Tool, a different API version - fail with a
+ * PluginError naming the plugin.
+ */
+class PluginLoader {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.dir] - Plugins directory (default CONFIG.PLUGINS_DIR)
+     * @param {string[]} [options.packages] - Package names (default CONFIG.PLUGINS)
+     * @param {string[]} [options.disabled] - Built-in tools not to register (default CONFIG.DISABLED_TOOLS)
+     */
+    constructor(options = {}) {
+        this.dir = options.dir !== undefined ? options.dir : CONFIG.PLUGINS_DIR;
+        this.packages = options.packages || CONFIG.PLUGINS;
+        this.disabled = options.disabled || CONFIG.DISABLED_TOOLS;
+    }
+
+    /**
+     * Plugin modules in the plugins directory
+     * @returns {string[]} Absolute paths (empty if the directory does not exist)
+     */
+    findFiles() {
+        if (!this.dir) return [];
+
+        const dir = path.resolve(this.dir);
+        let entries;
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw new PluginError(`cannot read plugins directory: ${error.message}`, this.dir);
+        }
+
+        return entries
+            .filter(entry => !entry.name.startsWith('.'))
+            .filter(entry => (entry.isFile() && entry.name.endsWith('.js')) ||
+                (entry.isDirectory() && ['package.json', 'index.js'].some(file => fs.existsSync(path.join(dir, entry.name, file)))))
+            .map(entry => path.join(dir, entry.name))
+            .sort();
+    }
+
+    /**
+     * Tool classes exported by a plugin module
+     * @param {string} source - Plugin name, for errors
+     * @param {string} file - Resolved module path
+     * @returns {Function[]} Tool classes
+     * @throws {PluginError} If the module cannot be loaded or exports no tools
+     */
+    static toolClasses(source, file) {
+        let exported;
+        try {
+            exported = require(file);
+        } catch (error) {
+            throw new PluginError(`failed to load: ${error.message}`, source);
+        }
+
+        // A factory gets the worker's Tool class instead of requiring it
+        if (typeof exported === 'function' && !(exported.prototype instanceof Tool)) {
+            try {
+                exported = exported({ Tool, errors, API_VERSION: Tool.API_VERSION });
+            } catch (error) {
+                throw new PluginError(`factory failed: ${error.message}`, source);
+            }
+        }
+
+        const classes = [].concat(exported);
+        if (classes.length === 0) {
+            throw new PluginError('exports no tools', source);
+        }
+        for (const ToolClass of classes) {
+            if (typeof ToolClass !== 'function' || !(ToolClass.prototype instanceof Tool)) {
+                throw new PluginError('must export a Tool subclass, a list of them or a factory returning them', source);
+            }
+            const name = ToolClass.name || 'anonymous class';
+            if (ToolClass.apiVersion === undefined) {
+                throw new PluginError(`${name} does not declare \`static apiVersion\` (this worker supports ${Tool.API_VERSION})`, source);
+            }
+            if (ToolClass.apiVersion !== Tool.API_VERSION) {
+                throw new PluginError(`${name} targets tool API version ${ToolClass.apiVersion}, this worker supports ${Tool.API_VERSION}`, source);
+            }
+        }
+        return classes;
+    }
+
+    /**
+     * Version of an npm package, if its package.json can be read
+     * @param {string} file - Resolved main module of the package
+     * @returns {string|null} Version
+     */
+    static packageVersion(file) {
+        let dir = path.dirname(file);
+        while (dir !== path.dirname(dir)) {
+            const manifest = path.join(dir, 'package.json');
+            if (fs.existsSync(manifest)) {
+                try {
+                    return JSON.parse(fs.readFileSync(manifest, 'utf8')).version || null;
+                } catch (error) {
+                    return null;
+                }
+            }
+            dir = path.dirname(dir);
+        }
+        return null;
+    }
+
+    /**
+     * Load every plugin and construct its tools
+     * @param {Object} [options]
+     * @param {Scraper|null} [options.scraper=null] - Shared browser, passed to tool constructors
+     * @returns {Array<{tool: Tool, name: string, source: string, apiVersion: number, version: (string|null)}>}
+     * @throws {PluginError} If a plugin fails to load
+     */
+    load(options = {}) {
+        const modules = this.findFiles().map(file => ({
+            source: path.relative(process.cwd(), file) || file,
+            file,
+            version: null
+        }));
+
+        for (const name of this.packages) {
+            let file;
+            try {
+                file = require.resolve(name, { paths: [process.cwd(), __dirname] });
+            } catch (error) {
+                throw new PluginError(`package not found (${error.message.split('\n')[0]})`, name);
+            }
+            modules.push({ source: name, file, version: PluginLoader.packageVersion(file) });
+        }
+
+        const plugins = [];
+        for (const { source, file, version } of modules) {
+            for (const ToolClass of PluginLoader.toolClasses(source, file)) {
+                let tool;
+                try {
+                    tool = new ToolClass({ scraper: options.scraper || null });
+                } catch (error) {
+                    throw new PluginError(`cannot construct ${ToolClass.name}: ${error.message}`, source);
+                }
+                plugins.push({ tool, name: tool.name, source, apiVersion: ToolClass.apiVersion, version });
+            }
+        }
+        return plugins;
+    }
+
+    /**
+     * Register built-in tools (minus disabled ones) and plugin tools
+     * A plugin may replace a built-in tool only if the built-in is disabled.
+     * @param {ToolRegistry} registry - Registry to fill
+     * @param {Tool[]} builtIns - Built-in tool instances
+     * @param {Object} [options] - Passed to load()
+     * @returns {Object[]} Registered plugins (see load()), without the tool instances
+     * @throws {PluginError} If a plugin fails to load or clashes with a registered tool
+     */
+    registerAll(registry, builtIns, options = {}) {
+        const plugins = this.load(options);
+
+        for (const name of this.disabled) {
+            if (!builtIns.some(tool => tool.name === name)) {
+                logger.warn(`[PluginLoader] Cannot disable '${name}': not a built-in tool`);
+            }
+        }
+
+        registry.registerAll(builtIns.filter(tool => !this.disabled.includes(tool.name)));
+
+        const registered = [];
+        for (const { tool, ...plugin } of plugins) {
+            if (registry.has(plugin.name)) {
+                const builtIn = builtIns.some(other => other.name === plugin.name);
+                throw new PluginError(`tool '${plugin.name}' is already registered` +
+                    (builtIn ? ` (add it to DATAHIVE_DISABLED_TOOLS to replace the built-in)` : ''), plugin.source);
+            }
+            registry.register(tool);
+            registered.push(plugin);
+        }
+        return registered;
+    }
+}
+
+module.exports = PluginLoader;
@@ -0,0 +1,143 @@
+const { logger } = require('./logger');
+const CONFIG = require('./config');
+
+/**
+ * Outcomes of a poll for jobs
+ */
+const POLL_OUTCOMES = {
+    JOB: 'job',                     // A job was received
+    EMPTY: 'empty',                 // The API had no job for us
+    RATE_LIMITED: 'rate_limited',   // HTTP 429
+    ERROR: 'error'                  // Any other failure
+};
+
+/**
+ * Polling Strategy
+ * Decides how long the job loop waits before polling `/job` again.
+ *
+ * The base delay is the server-controlled `jobInterval`. Consecutive empty polls
+ * and consecutive failures multiply it by `pollBackoffFactor` each time, up to
+ * `pollMaxInterval`; receiving a job resets it. A `Retry-After` (or exhausted
+ * rate-limit) hint from the API is honoured even beyond the cap. Every delay is
+ * randomized by ±`pollJitter` so workers started together drift apart; a
+ * `Retry-After` delay is only ever lengthened.
+ */
+class PollingStrategy {
+    /**
+     * @param {ConfigManager} configManager - Source of the interval settings
+     * @param {Object} [options]
+     * @param {Function} [options.random=Math.random] - Random source for jitter
+     */
+    constructor(configManager, options = {}) {
+        this.configManager = configManager;
+        this.random = options.random || Math.random;
+        this.emptyPolls = 0;
+        this.failures = 0;
+        this.lastOutcome = null;
+        this.lastDelay = null;
+        this.retryAfter = null;
+        this.nextPollAt = null;
+    }
+
+    /**
+     * Interval between polls when jobs are flowing
+     * @returns {number} Base interval (ms)
+     */
+    get baseInterval() {
+        return this.configManager.get('jobInterval', CONFIG.JOB_INTERVAL);
+    }
+
+    /**
+     * Record the outcome of a poll
+     * @param {string} outcome - One of POLL_OUTCOMES
+     * @param {Object} [options]
+     * @param {number|null} [options.retryAfter] - Delay requested by the API (ms)
+     * @returns {number} Delay before the next poll (ms)
+     */
+    next(outcome, options = {}) {
+        const base = this.baseInterval;
+        const backedOff = this.emptyPolls > 1 || this.failures > 0;
+
+        let streak = 0;
+        if (outcome === POLL_OUTCOMES.JOB) {
+            this.emptyPolls = 0;
+            this.failures = 0;
+        } else if (outcome === POLL_OUTCOMES.EMPTY) {
+            this.emptyPolls++;
+            this.failures = 0;
+            streak = this.emptyPolls - 1;
+        } else {
+            this.failures++;
+            // A rate limit without Retry-After backs off at least one step
+            streak = outcome === POLL_OUTCOMES.RATE_LIMITED ? this.failures : this.failures - 1;
+        }
+
+        const factor = Math.max(1, this.configManager.get('pollBackoffFactor', 2));
+        const maxInterval = Math.max(base, this.configManager.get('pollMaxInterval', 0));
+        let delay = this.applyJitter(Math.min(maxInterval, base * Math.pow(factor, streak)));
+
+        const retryAfter = options.retryAfter > 0 ? options.retryAfter : null;
+        this.retryAfter = retryAfter;
+        if (retryAfter !== null && retryAfter >= delay) {
+            delay = Math.round(retryAfter * (1 + this.jitter * this.random()));
+        }
+
+        this.lastOutcome = outcome;
+        this.lastDelay = delay;
+        this.nextPollAt = Date.now() + delay;
+        this.log(outcome, delay, backedOff);
+        return delay;
+    }
+
+    /**
+     * Configured jitter ratio, clamped to [0, 1]
+     * @returns {number}
+     */
+    get jitter() {
+        return Math.min(1, Math.max(0, this.configManager.get('pollJitter', 0)));
+    }
+
+    /**
+     * Randomize a delay by ±jitter
+     * @param {number} delay - Delay (ms)
+     * @returns {number} Jittered delay (ms)
+     */
+    applyJitter(delay) {
+        return Math.max(0, Math.round(delay + delay * this.jitter * (this.random() * 2 - 1)));
+    }
+
+    log(outcome, delay, backedOff) {
+        const seconds = `${Math.round(delay / 1000)}s`;
+        if (this.retryAfter !== null) {
+            logger.warn(`[PollingStrategy] API asked to wait ${Math.round(this.retryAfter / 1000)}s, next poll in ${seconds}`);
+        } else if (outcome === POLL_OUTCOMES.RATE_LIMITED) {
+            logger.warn(`[PollingStrategy] Rate limited ${this.failures} time(s) in a row, backing off: next poll in ${seconds}`);
+        } else if (outcome === POLL_OUTCOMES.ERROR) {
+            logger.warn(`[PollingStrategy] ${this.failures} failed poll(s) in a row, next poll in ${seconds}`);
+        } else if (outcome === POLL_OUTCOMES.EMPTY && this.emptyPolls > 1) {
+            logger.info(`[PollingStrategy] No job in ${this.emptyPolls} polls, backing off: next poll in ${seconds}`);
+        } else if (outcome === POLL_OUTCOMES.JOB && backedOff) {
+            logger.info(`[PollingStrategy] Job received, backoff reset: next poll in ${seconds}`);
+        } else {
+            logger.debug(`[PollingStrategy] Next poll in ${seconds}`);
+        }
+    }
+
+    /**
+     * Status snapshot
+     * @returns {Object} Backoff state
+     */
+    getStatus() {
+        return {
+            baseInterval: this.baseInterval,
+            lastOutcome: this.lastOutcome,
+            emptyPolls: this.emptyPolls,
+            consecutiveFailures: this.failures,
+            retryAfter: this.retryAfter,
+            nextDelay: this.lastDelay,
+            nextPollAt: this.nextPollAt ? new Date(this.nextPollAt).toISOString() : null
+        };
+    }
+}
+
+module.exports = { PollingStrategy, POLL_OUTCOMES };
@@ -0,0 +1,94 @@
+/**
+ * Recycle modes
+ */
+const RECYCLE_MODES = {
+    BROWSER: 'browser', // Close Chromium in-process; the next job relaunches it
+    EXIT: 'exit'        // Drain and exit so the supervisor (PM2/systemd) restarts the worker
+};
+
+/**
+ * Recycle Policy
+ * Decides when the worker should be recycled, based on the server-controlled
+ * `reloadAfterJobs` plus local browser RSS and uptime limits.
+ */
+class RecyclePolicy {
+    /**
+     * @param {ConfigManager} configManager - Source of thresholds
+     * @param {Scraper} scraper - Shared browser to measure
+     */
+    constructor(configManager, scraper) {
+        this.configManager = configManager;
+        this.scraper = scraper;
+        this.jobsSinceRecycle = 0;
+        this.recycleCount = 0;
+        this.lastRecycleAt = null;
+    }
+
+    /**
+     * Configured recycle mode
+     * @returns {string} One of RECYCLE_MODES
+     */
+    get mode() {
+        const mode = this.configManager.get('recycleMode', RECYCLE_MODES.BROWSER);
+        return Object.values(RECYCLE_MODES).includes(mode) ? mode : RECYCLE_MODES.BROWSER;
+    }
+
+    /**
+     * Count a processed job (completed or failed)
+     */
+    recordJob() {
+        this.jobsSinceRecycle++;
+    }
+
+    /**
+     * Check whether a recycle is due
+     * @returns {Promise<string|null>} Reason, or null if no recycle is needed
+     */
+    async check() {
+        const reloadAfterJobs = this.configManager.get('reloadAfterJobs', 0);
+        if (reloadAfterJobs > 0 && this.jobsSinceRecycle >= reloadAfterJobs) {
+            return `processed ${this.jobsSinceRecycle} jobs (reloadAfterJobs=${reloadAfterJobs})`;
+        }
+
+        const maxUptime = this.configManager.get('recycleMaxBrowserUptime', 0);
+        const uptime = this.scraper.getBrowserUptime();
+        if (maxUptime > 0 && uptime !== null && uptime >= maxUptime) {
+            return `browser uptime ${Math.round(uptime / 1000)}s exceeds ${Math.round(maxUptime / 1000)}s`;
+        }
+
+        const maxRssMb = this.configManager.get('recycleMaxBrowserRssMb', 0);
+        if (maxRssMb > 0) {
+            const rssMb = await this.scraper.getBrowserRssMb();
+            if (rssMb !== null && rssMb >= maxRssMb) {
+                return `browser RSS ${Math.round(rssMb)}MB exceeds ${maxRssMb}MB`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Reset counters after a recycle
+     */
+    reset() {
+        this.jobsSinceRecycle = 0;
+        this.recycleCount++;
+        this.lastRecycleAt = Date.now();
+    }
+
+    /**
+     * Status snapshot
+     * @returns {Object} Counters and mode
+     */
+    getStatus() {
+        return {
+            mode: this.mode,
+            jobsSinceRecycle: this.jobsSinceRecycle,
+            reloadAfterJobs: this.configManager.get('reloadAfterJobs', 0),
+            recycleCount: this.recycleCount,
+            lastRecycleAt: this.lastRecycleAt ? new Date(this.lastRecycleAt).toISOString() : null
+        };
+    }
+}
+
+module.exports = { RecyclePolicy, RECYCLE_MODES };
@@ -0,0 +1,468 @@
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const CONFIG = require('./config');
+const AppendLog = require('./AppendLog');
+const { DataHiveError, ERROR_CODES, errorReport } = require('./errors');
+
+/**
+ * Result Spool
+ * Durable on-disk queue for completed job results.
+ *
+ * Every result is appended to the spool before it is uploaded, so a failed
+ * `completeJob` (network blip, 5xx, expired JWT) or a crash never loses finished
+ * work. A background flusher retries pending results with exponential backoff,
+ * and pending results are replayed on startup. A result the API rejects with a
+ * non-retryable error (RESULT_TOO_LARGE, RESULT_REJECTED) is dropped instead -
+ * retrying cannot help.
+ *
+ * Log records:
+ *   { type: 'add', id, jobId, result, metadata, createdAt, bytes }
+ *   { type: 'retry', id, attempts, nextAttemptAt, lastError }
+ *   { type: 'ack', id }
+ *   { type: 'drop', id, reason }
+ */
+class ResultSpool {
+    /**
+     * @param {ApiClient|null} apiClient - Client used for uploads (null for inspection only)
+     * @param {Object} [options]
+     * @param {string} [options.dir] - Spool directory
+     * @param {number} [options.maxEntries] - Maximum pending results
+     * @param {number} [options.maxBytes] - Maximum size of pending results
+     * @param {number} [options.maxAge] - Pending results older than this (ms) are dropped
+     * @param {number} [options.baseDelay] - First retry delay (ms)
+     * @param {number} [options.maxDelay] - Retry delay cap (ms)
+     * @param {number} [options.flushInterval] - Background flush interval (ms)
+     * @param {boolean} [options.enabled=true] - Set to false to upload directly without writing to disk
+     */
+    constructor(apiClient, options = {}) {
+        this.apiClient = apiClient;
+        this.dir = options.dir || path.join(CONFIG.DATA_DIR, 'spool');
+        this.maxEntries = options.maxEntries || CONFIG.SPOOL_MAX_ENTRIES;
+        this.maxBytes = options.maxBytes || CONFIG.SPOOL_MAX_BYTES;
+        this.maxAge = options.maxAge || CONFIG.SPOOL_MAX_AGE;
+        this.baseDelay = options.baseDelay || CONFIG.SPOOL_RETRY_BASE_DELAY;
+        this.maxDelay = options.maxDelay || CONFIG.SPOOL_RETRY_MAX_DELAY;
+        this.flushInterval = options.flushInterval || CONFIG.SPOOL_FLUSH_INTERVAL;
+        this.enabled = options.enabled !== false;
+
+        this.log = new AppendLog(path.join(this.dir, 'results.jsonl'));
+        this.entries = new Map();
+        this.loaded = false;
+        this.timer = null;
+        this.flushing = null;
+    }
+
+    /**
+     * Rebuild pending entries from the log and compact it
+     * @returns {Promise<number>} Number of pending entries
+     */
+    async load() {
+        const records = await this.log.readAll();
+        this.entries.clear();
+
+        for (const record of records) {
+            switch (record.type) {
+                case 'add':
+                    if (this.entries.has(record.id)) break;
+                    this.entries.set(record.id, {
+                        id: record.id,
+                        jobId: record.jobId,
+                        result: record.result,
+                        metadata: record.metadata,
+                        createdAt: record.createdAt,
+                        bytes: record.bytes,
+                        attempts: 0,
+                        nextAttemptAt: record.createdAt,
+                        lastError: null
+                    });
+                    break;
+                case 'retry': {
+                    const entry = this.entries.get(record.id);
+                    if (entry) {
+                        entry.attempts = record.attempts;
+                        entry.nextAttemptAt = record.nextAttemptAt;
+                        entry.lastError = record.lastError;
+                    }
+                    break;
+                }
+                case 'ack':
+                case 'drop':
+                    this.entries.delete(record.id);
+                    break;
+            }
+        }
+
+        await this.compact();
+        this.loaded = true;
+
+        if (this.entries.size > 0) {
+            logger.info(`[ResultSpool] Replaying ${this.entries.size} pending result(s) from ${this.dir}`);
+        }
+        return this.entries.size;
+    }
+
+    /**
+     * Rewrite the log with only pending entries
+     * @returns {Promise<void>}
+     */
+    async compact() {
+        await this.log.rewrite(() => this.toRecords());
+    }
+
+    /**
+     * Serialize pending entries as log records
+     * @returns {Object[]} Records
+     */
+    toRecords() {
+        const records = [];
+        for (const entry of this.entries.values()) {
+            records.push({
+                type: 'add',
+                id: entry.id,
+                jobId: entry.jobId,
+                result: entry.result,
+                metadata: entry.metadata,
+                createdAt: entry.createdAt,
+                bytes: entry.bytes
+            });
+            if (entry.attempts > 0) {
+                records.push({
+                    type: 'retry',
+                    id: entry.id,
+                    attempts: entry.attempts,
+                    nextAttemptAt: entry.nextAttemptAt,
+                    lastError: entry.lastError
+                });
+            }
+        }
+        return records;
+    }
+
+    /**
+     * Total size of pending entries
+     * @returns {number} Bytes
+     */
+    get pendingBytes() {
+        let total = 0;
+        for (const entry of this.entries.values()) {
+            total += entry.bytes || 0;
+        }
+        return total;
+    }
+
+    /**
+     * Write a result to the spool
+     * Oldest pending results are dropped when the size limits are exceeded.
+     *
+     * @param {string} jobId - Job identifier
+     * @param {*} result - Job result
+     * @param {Object} [metadata={}] - Job metadata
+     * @param {Object} [options]
+     * @param {boolean} [options.held=false] - Keep the entry from the flusher until
+     *   `held` is cleared (submit makes the first attempt itself)
+     * @returns {Promise<Object|null>} Spool entry, or null if the result is too large to spool
+     */
+    async add(jobId, result, metadata = {}, options = {}) {
+        const createdAt = Date.now();
+        const record = {
+            type: 'add',
+            id: `${jobId}-${crypto.randomBytes(4).toString('hex')}`,
+            jobId,
+            result,
+            metadata,
+            createdAt
+        };
+        record.bytes = Buffer.byteLength(JSON.stringify(record));
+
+        if (record.bytes > this.maxBytes) {
+            logger.warn(`[ResultSpool] Result for job ${jobId} (${record.bytes} bytes) exceeds spool limit, not spooled`);
+            return null;
+        }
+
+        while (this.entries.size > 0 &&
+            (this.entries.size >= this.maxEntries || this.pendingBytes + record.bytes > this.maxBytes)) {
+            const oldest = this.entries.values().next().value;
+            logger.error(`[ResultSpool] Spool full, dropping result for job ${oldest.jobId}`);
+            await this.drop(oldest, 'spool_full');
+        }
+
+        const entry = {
+            id: record.id,
+            jobId,
+            result,
+            metadata,
+            createdAt,
+            bytes: record.bytes,
+            attempts: 0,
+            nextAttemptAt: createdAt,
+            lastError: null,
+            held: options.held === true
+        };
+
+        // Register before appending so a concurrent compaction keeps it
+        this.entries.set(entry.id, entry);
+        try {
+            await this.log.append(record);
+        } catch (error) {
+            this.entries.delete(entry.id);
+            throw error;
+        }
+        return entry;
+    }
+
+    /**
+     * Remove an entry without delivering it
+     * @param {Object} entry - Spool entry
+     * @param {string} reason - Why it was dropped
+     */
+    async drop(entry, reason) {
+        this.entries.delete(entry.id);
+        await this.log.append({ type: 'drop', id: entry.id, reason });
+    }
+
+    /**
+     * Backoff delay before the next attempt
+     * @param {number} attempts - Failed attempts so far
+     * @returns {number} Delay in ms
+     */
+    getRetryDelay(attempts) {
+        return Math.min(this.maxDelay, this.baseDelay * Math.pow(2, Math.max(0, attempts - 1)));
+    }
+
+    /**
+     * Try to upload one entry
+     * @param {Object} entry - Spool entry
+     * @returns {Promise<boolean>} True if the API accepted the result
+     * @throws {DataHiveError} If the API rejected the result with a non-retryable error
+     *   (the entry is dropped)
+     */
+    async deliver(entry) {
+        if (entry.inFlight || !this.entries.has(entry.id)) return false;
+        entry.inFlight = true;
+
+        try {
+            await this.apiClient.completeJob(entry.jobId, entry.result, entry.metadata);
+            this.entries.delete(entry.id);
+            await this.log.append({ type: 'ack', id: entry.id });
+            if (entry.attempts > 0) {
+                logger.info(`[ResultSpool] Delivered result for job ${entry.jobId} after ${entry.attempts} failed attempt(s)`);
+            }
+            return true;
+
+        } catch (error) {
+            if (error instanceof DataHiveError && !error.retryable) {
+                logger.error(`[ResultSpool] Result for job ${entry.jobId} rejected (${error.code}), dropping: ${error.message}`);
+                await this.drop(entry, error.code === ERROR_CODES.RESULT_TOO_LARGE ? 'too_large' : 'rejected');
+                throw error;
+            }
+
+            entry.attempts++;
+            entry.lastError = error.message;
+            entry.nextAttemptAt = Date.now() + this.getRetryDelay(entry.attempts);
+            await this.log.append({
+                type: 'retry',
+                id: entry.id,
+                attempts: entry.attempts,
+                nextAttemptAt: entry.nextAttemptAt,
+                lastError: entry.lastError
+            });
+            logger.warn(`[ResultSpool] Upload for job ${entry.jobId} failed (attempt ${entry.attempts}): ${error.message}. ` +
+                `Next retry at ${new Date(entry.nextAttemptAt).toISOString()}`);
+            return false;
+
+        } finally {
+            entry.inFlight = false;
+        }
+    }
+
+    /**
+     * Spool a result, then try to upload it right away
+     * Upload failures are left to the background flusher.
+     *
+     * @param {string} jobId - Job identifier
+     * @param {*} result - Job result
+     * @param {Object} [metadata={}] - Job metadata
+     * @returns {Promise<{delivered: boolean, spooled: boolean}>}
+     * @throws {Error} If the result could neither be spooled nor uploaded, or the API
+     *   rejected it with a non-retryable error
+     */
+    async submit(jobId, result, metadata = {}) {
+        let entry = null;
+        if (this.enabled) {
+            try {
+                entry = await this.add(jobId, result, metadata, { held: true });
+            } catch (error) {
+                logger.error(`[ResultSpool] Failed to write spool for job ${jobId}: ${error.message}`);
+            }
+        }
+
+        if (!entry) {
+            // Not durable - upload directly and let the caller handle failures
+            await this.apiClient.completeJob(jobId, result, metadata);
+            return { delivered: true, spooled: false };
+        }
+
+        // Held from the flusher until this attempt is over, so its outcome is ours
+        try {
+            const delivered = await this.deliver(entry);
+            return { delivered, spooled: !delivered };
+        } finally {
+            entry.held = false;
+        }
+    }
+
+    /**
+     * Upload all due entries and drop expired ones
+     * Results rejected with a non-retryable error are dropped and reported as failed jobs.
+     * @returns {Promise<{delivered: number, failed: number, expired: number, rejected: number}>}
+     */
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.flushDue().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    /**
+     * Flush implementation (see flush())
+     * @returns {Promise<{delivered: number, failed: number, expired: number, rejected: number}>}
+     */
+    async flushDue() {
+        const stats = { delivered: 0, failed: 0, expired: 0, rejected: 0 };
+        const now = Date.now();
+
+        for (const entry of Array.from(this.entries.values())) {
+            if (now - entry.createdAt > this.maxAge) {
+                logger.error(`[ResultSpool] Result for job ${entry.jobId} expired after ${entry.attempts} attempt(s), dropping`);
+                await this.drop(entry, 'expired');
+                stats.expired++;
+                continue;
+            }
+
+            if (entry.nextAttemptAt > now || entry.inFlight || entry.held) continue;
+
+            let delivered;
+            try {
+                delivered = await this.deliver(entry);
+            } catch (error) {
+                stats.rejected++;
+                await this.reportRejected(entry, error);
+                continue;
+            }
+            if (delivered) {
+                stats.delivered++;
+            } else {
+                stats.failed++;
+            }
+        }
+
+        // Keep the log small once everything is delivered
+        if (this.entries.size === 0 && (stats.delivered > 0 || stats.expired > 0 || stats.rejected > 0)) {
+            await this.compact();
+        }
+
+        return stats;
+    }
+
+    /**
+     * Report a spooled result the API rejected, so the job fails instead of timing out
+     * @param {Object} entry - Dropped spool entry
+     * @param {Error} error - Rejection
+     */
+    async reportRejected(entry, error) {
+        try {
+            await this.apiClient.reportError(entry.jobId, errorReport(error), entry.metadata);
+        } catch (reportError) {
+            logger.error(`[ResultSpool] Failed to report rejected result for job ${entry.jobId}: ${reportError.message}`);
+        }
+    }
+
+    /**
+     * Load pending results and start the background flusher
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (!this.loaded) {
+            await this.load();
+        }
+        if (this.entries.size > 0) {
+            await this.flush();
+        }
+
+        if (!this.timer) {
+            this.timer = setInterval(() => {
+                this.flush().catch(error => {
+                    logger.error(`[ResultSpool] Flush failed: ${error.message}`);
+                });
+            }, this.flushInterval);
+            this.timer.unref();
+        }
+    }
+
+    /**
+     * Stop the background flusher (pending results stay on disk)
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.flushing) {
+            await this.flushing;
+        }
+    }
+
+    /**
+     * List pending entries (without result payloads)
+     * @returns {Object[]} Entry summaries
+     */
+    list() {
+        return Array.from(this.entries.values()).map(entry => ({
+            id: entry.id,
+            jobId: entry.jobId,
+            createdAt: new Date(entry.createdAt).toISOString(),
+            bytes: entry.bytes,
+            attempts: entry.attempts,
+            nextAttemptAt: new Date(entry.nextAttemptAt).toISOString(),
+            lastError: entry.lastError
+        }));
+    }
+
+    /**
+     * Spool statistics
+     * @returns {Object} Counts and limits
+     */
+    getStats() {
+        let oldest = null;
+        for (const entry of this.entries.values()) {
+            if (oldest === null || entry.createdAt < oldest) oldest = entry.createdAt;
+        }
+
+        return {
+            dir: this.dir,
+            pending: this.entries.size,
+            pendingBytes: this.pendingBytes,
+            oldest: oldest ? new Date(oldest).toISOString() : null,
+            maxEntries: this.maxEntries,
+            maxBytes: this.maxBytes,
+            maxAge: this.maxAge
+        };
+    }
+
+    /**
+     * Drop all pending entries
+     * @returns {Promise<number>} Number of entries removed
+     */
+    async clear() {
+        const count = this.entries.size;
+        this.entries.clear();
+        await this.log.rewrite([]);
+        return count;
+    }
+}
+
+module.exports = ResultSpool;
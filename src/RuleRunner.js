@@ -0,0 +1,708 @@
+const { logger } = require('./logger');
+const { ConditionalGateTool } = require('./tools');
+const Deadline = require('./Deadline');
+const { TimeoutError, MissingVariablesError, ParallelBranchesError } = require('./errors');
+const { mapLimit } = require('./concurrency');
+
+const DEFAULT_MAX_JUMPS = 100;
+const DEFAULT_MAX_ITEMS = 1000;
+
+// Keys holding nested step lists
+const NESTED_LISTS = ['then', 'else', 'on_failure', 'steps', 'parallel'];
+
+const PARALLEL_MODES = ['fail_fast', 'collect_all'];
+
+// Step kinds besides `use:`, in dispatch order
+const BLOCK_KINDS = ['foreach', 'parallel', 'if', 'goto', 'return', 'include', 'call'];
+
+const STEP_STATUS = {
+    OK: 'ok',
+    SKIPPED: 'skipped',
+    FAILED: 'failed'
+};
+
+// Condition strings treated as false
+const FALSY_STRINGS = ['', 'false', '0', 'no', 'null', 'undefined', '[]', '{}'];
+
+const gate = new ConditionalGateTool();
+
+/**
+ * Rule Runner
+ * Executes the `steps` of a parsed rule collection for one job.
+ *
+ * Besides tool steps (`use:`), a step list may contain:
+ *
+ *   - id: primary                      # name a step (for goto / on_failure)
+ *     use: offscreen
+ *     url: "{{ vars.url }}"
+ *     on_failure:                      # fallback steps, a step id, or "continue"
+ *       - use: fetch-and-extract
+ *         url: "{{ vars.url }}"
+ *
+ *   - if: "{{ vars.passed }}"          # template, boolean, or an inline gate rule:
+ *     then: [ ... ]                    #   if: { value: ..., operator: EQUALS, expected: ... }
+ *     else: [ ... ]
+ *
+ *   - goto: primary                    # jump to a step in this or an enclosing list
+ *   - return: detail                   # stop and use the named output as the job result
+ *
+ *   - foreach: "{{ vars.links }}"      # a list, or a range: { from: 1, to: 5, step: 1 }
+ *     as: link                         # item variable (default `item`, index in `link_index`)
+ *     concurrency: 3                   # items processed at once (default 1)
+ *     max_items: 50                    # cap on items (default 1000)
+ *     output: details                  # per-item results, in order
+ *     steps: [ ... ]
+ *
+ *   - parallel:                        # branches run concurrently, each a step or { steps: [...] }
+ *       - use: fetch
+ *         url: https://api.example.com/a
+ *         output: a
+ *       - steps: [ ... ]
+ *     concurrency: 2                   # default: all branches at once
+ *     mode: fail_fast                  # or collect_all (run every branch, then report failures)
+ *     output: branches                 # per-branch results, in order
+ *
+ *   - include: login-check             # a fragment (see FragmentLibrary); `call:` is an alias
+ *     args: { selector: "#user" }      # bound as variables in the fragment's child scope
+ *     output: login                    # the fragment's result
+ *
+ * Jumps are capped by the collection's `max_jumps` (default 100) to stop loops.
+ *
+ * Each top-level step gets a summary entry (`steps`): its status (ok, skipped,
+ * failed), duration and, if it failed, the error message. A step that failed
+ * but whose `on_failure` handled it is `failed` with `recovered: true`. Results
+ * of top-level steps are collected by step id (or index, for steps without an
+ * id) in `results`.
+ */
+class RuleRunner {
+    /**
+     * @param {Object} options
+     * @param {string} options.jobId - Job identifier
+     * @param {ToolRegistry} options.toolRegistry - Registry used to execute tools
+     * @param {JobJournal} [options.journal] - Journal for step progress
+     * @param {Function} options.substitute - (target, scope) => copy with variables substituted
+     * @param {Object} options.context - Tool context (jobId, logger, variables, signal)
+     * @param {Deadline} [options.deadline] - Job-wide deadline
+     * @param {number} [options.maxJumps] - Maximum goto/on_failure jumps per job
+     * @param {Function} [options.notify] - (event, payload) => void, called with
+     *   `stepStarted` and `stepCompleted` around every tool step
+     */
+    constructor(options) {
+        this.options = options;
+        this.jobId = options.jobId;
+        this.toolRegistry = options.toolRegistry;
+        this.journal = options.journal || null;
+        this.substitute = options.substitute;
+        this.context = options.context;
+        this.deadline = options.deadline || null;
+        this.maxJumps = options.maxJumps || DEFAULT_MAX_JUMPS;
+        this.notify = options.notify || null;
+
+        this.result = null;
+        this.executed = false;
+        this.returned = false;
+        this.retries = [];
+        this.steps = [];
+        this.results = {};
+
+        this.halted = false;
+        this.jumpTo = null;
+        this.jumps = 0;
+    }
+
+    /**
+     * Visit every step, including nested step lists
+     * @param {Object[]} steps - Step list
+     * @param {Function} visit - Called with (step, location)
+     * @param {string} [prefix] - Location of the enclosing list
+     */
+    static walk(steps, visit, prefix = '') {
+        if (!Array.isArray(steps)) return;
+
+        steps.forEach((step, index) => {
+            const location = prefix ? `${prefix}.${index}` : index;
+            visit(step, location);
+            if (!step || typeof step !== 'object') return;
+
+            for (const key of NESTED_LISTS) {
+                if (Array.isArray(step[key])) {
+                    RuleRunner.walk(step[key], visit, `${location}.${key}`);
+                }
+            }
+        });
+    }
+
+    /**
+     * Check step ids and jump targets before anything runs
+     * @param {Object[]} steps - Step list
+     * @throws {Error} On duplicate ids or jumps to unknown ids
+     */
+    static validate(steps) {
+        const ids = new Set();
+        const targets = [];
+
+        RuleRunner.walk(steps, (step, location) => {
+            if (!step || typeof step !== 'object') {
+                throw new Error(`Step ${location} must be a mapping`);
+            }
+            if (step.id !== undefined) {
+                if (ids.has(step.id)) {
+                    throw new Error(`Duplicate step id '${step.id}' at step ${location}`);
+                }
+                ids.add(step.id);
+            }
+            if (step.goto !== undefined) {
+                targets.push({ id: step.goto, location });
+            }
+            if (typeof step.on_failure === 'string' && step.on_failure !== 'continue') {
+                targets.push({ id: step.on_failure, location });
+            }
+        });
+
+        for (const target of targets) {
+            if (!ids.has(target.id)) {
+                throw new Error(`Unknown step id '${target.id}' referenced at step ${target.location}`);
+            }
+        }
+    }
+
+    /**
+     * Run a step list
+     * @param {Object[]} steps - Top-level steps
+     * @param {VariableScope} scope - Job scope
+     * @returns {Promise<{result: *, executed: boolean, returned: boolean, results: Object, steps: Object[]}>}
+     */
+    async run(steps, scope) {
+        RuleRunner.validate(steps);
+        this.steps = steps.map((step, index) => {
+            const entry = { step: index, kind: RuleRunner.kindOf(step), status: STEP_STATUS.SKIPPED };
+            if (step.id !== undefined) entry.id = step.id;
+            return entry;
+        });
+
+        await this.runSteps(steps, scope, '');
+
+        if (this.jumpTo !== null) {
+            throw new Error(`Cannot goto '${this.jumpTo}': it is not in the current or an enclosing step list`);
+        }
+
+        return {
+            result: this.result,
+            executed: this.executed,
+            returned: this.returned,
+            results: this.results,
+            steps: this.steps
+        };
+    }
+
+    /**
+     * Kind of a step: its tool name, or the block keyword
+     * @param {Object} step - Step definition
+     * @returns {string} e.g. "fetch", "foreach", "if"
+     */
+    static kindOf(step) {
+        if (!step || typeof step !== 'object') return 'unknown';
+        return step.use || BLOCK_KINDS.find(kind => kind in step) || 'unknown';
+    }
+
+    /**
+     * Run steps in order, following jumps that target this list
+     * @param {Object[]} steps - Step list
+     * @param {VariableScope} scope - Scope for substitution and outputs
+     * @param {string} prefix - Location of the list
+     */
+    async runSteps(steps, scope, prefix) {
+        let index = 0;
+
+        while (index < steps.length && !this.halted) {
+            const location = prefix ? `${prefix}.${index}` : index;
+            if (prefix) {
+                await this.runStep(steps[index], scope, location);
+            } else {
+                await this.runTopLevelStep(steps[index], scope, index);
+            }
+
+            if (this.jumpTo !== null) {
+                const target = steps.findIndex(step => step.id === this.jumpTo);
+                if (target === -1) return; // An enclosing list owns the target
+
+                this.jumpTo = null;
+                index = target;
+                continue;
+            }
+            index++;
+        }
+    }
+
+    /**
+     * Run a top-level step, recording its summary entry and result
+     * A step run again after a goto keeps only its last run.
+     * @param {Object} step - Step definition
+     * @param {VariableScope} scope - Job scope
+     * @param {number} index - Step index
+     */
+    async runTopLevelStep(step, scope, index) {
+        const entry = this.steps[index];
+        const key = step.id !== undefined ? String(step.id) : String(index);
+        const executedBefore = this.executed;
+        const startedAt = Date.now();
+
+        delete entry.error;
+        delete entry.recovered;
+        this.executed = false;
+
+        try {
+            const recovered = await this.runStep(step, scope, index);
+            entry.status = recovered ? STEP_STATUS.FAILED : STEP_STATUS.OK;
+            if (recovered) {
+                entry.error = recovered.message;
+                entry.recovered = true;
+            }
+            if (this.executed) {
+                this.results[key] = this.result;
+            }
+        } catch (error) {
+            entry.status = STEP_STATUS.FAILED;
+            entry.error = error.message;
+            throw error;
+        } finally {
+            entry.duration = Date.now() - startedAt;
+            this.executed = this.executed || executedBefore;
+        }
+    }
+
+    /**
+     * Run one step, applying its `on_failure` if it throws
+     * @param {Object} step - Step definition
+     * @param {VariableScope} scope - Scope for substitution and outputs
+     * @param {number|string} location - Step location (index, or path for nested steps)
+     * @returns {Promise<Error|null>} The error `on_failure` handled, if any
+     */
+    async runStep(step, scope, location) {
+        try {
+            await this.dispatch(step, scope, location);
+            return null;
+        } catch (error) {
+            // Innermost failing step, for the error report
+            if (error && typeof error === 'object' && !error.step) {
+                error.step = { index: location, use: RuleRunner.kindOf(step) };
+            }
+            const deadlineExpired = this.deadline && this.deadline.signal.aborted;
+            if (step.on_failure === undefined || deadlineExpired) {
+                throw error;
+            }
+            logger.warn(`Step ${location} (${step.use || 'block'}) failed: ${error.message}. Running on_failure`);
+            await this.handleFailure(step.on_failure, error, step, scope, location);
+            return error;
+        }
+    }
+
+    /**
+     * Run a step according to its kind
+     */
+    async dispatch(step, scope, location) {
+        if ('foreach' in step) {
+            return this.runForeach(step, scope, location);
+        }
+        if ('parallel' in step) {
+            return this.runParallel(step, scope, location);
+        }
+        if ('if' in step) {
+            return this.runBranch(step, scope, location);
+        }
+        if ('goto' in step) {
+            return this.jump(step.goto, location);
+        }
+        if ('return' in step) {
+            return this.returnOutput(step.return, scope);
+        }
+        if ('include' in step || 'call' in step) {
+            return this.runFragment(step, scope, location);
+        }
+        return this.runTool(step, scope, location);
+    }
+
+    /**
+     * Runner for a nested body with its own result and flow state
+     * Retry records are shared with this runner.
+     * @param {Object} [overrides] - Options to replace (e.g. a group deadline)
+     * @returns {RuleRunner} Child runner
+     */
+    fork(overrides = {}) {
+        const child = new RuleRunner({ ...this.options, ...overrides });
+        child.retries = this.retries;
+        return child;
+    }
+
+    /**
+     * Items of a `foreach` step: a list, or a numeric range
+     * @returns {Array} Items, capped at `max_items`
+     * @throws {Error} If the source is not a list or a valid range
+     */
+    resolveItems(step, scope, location) {
+        const maxItems = Number(this.substitute(step.max_items, scope)) || DEFAULT_MAX_ITEMS;
+        const source = this.substitute(step.foreach, scope);
+        let items;
+
+        if (Array.isArray(source)) {
+            items = source;
+        } else if (source && typeof source === 'object') {
+            const from = Number(source.from);
+            const to = Number(source.to);
+            const increment = Number(source.step || 1);
+            if ([from, to, increment].some(Number.isNaN) || increment === 0 || (to - from) / increment < 0) {
+                throw new Error(`Invalid foreach range at step ${location}: ${JSON.stringify(source)}`);
+            }
+            const count = Math.floor((to - from) / increment) + 1;
+            items = Array.from({ length: Math.min(count, maxItems + 1) }, (_, i) => from + i * increment);
+        } else {
+            throw new Error(`foreach at step ${location} needs a list or a range, got ${JSON.stringify(source)}`);
+        }
+
+        if (items.length > maxItems) {
+            logger.warn(`foreach at step ${location}: limiting ${Array.isArray(source) ? items.length : 'range'} items to max_items=${maxItems}`);
+            items = items.slice(0, maxItems);
+        }
+        return items;
+    }
+
+    /**
+     * Run a `foreach` step: the nested `steps` once per item, in a child scope
+     * holding the item. Each item's result (its last tool result, or what it
+     * returned) is collected in order. `return` and `shouldContinue: false`
+     * inside the body end only the current item.
+     */
+    async runForeach(step, scope, location) {
+        const items = this.resolveItems(step, scope, location);
+        const as = step.as || 'item';
+        const concurrency = Number(this.substitute(step.concurrency, scope)) || 1;
+
+        logger.info(`Step ${location}: foreach over ${items.length} item(s), concurrency ${concurrency}`);
+
+        const results = await mapLimit(items, concurrency, async (item, index) => {
+            const itemScope = scope.child({ [as]: item, [`${as}_index`]: index });
+            const child = this.fork();
+
+            await child.runSteps(step.steps || [], itemScope, `${location}[${index}]`);
+            if (child.jumpTo !== null) {
+                throw new Error(`Cannot goto '${child.jumpTo}' from inside the foreach at step ${location}`);
+            }
+            return child.executed ? child.result : null;
+        });
+
+        this.result = results;
+        this.executed = true;
+        if (step.output) {
+            scope.set(step.output, results);
+        }
+    }
+
+    /**
+     * Run a `parallel` step: every branch in a forked runner and child scope,
+     * at most `concurrency` at a time. Named outputs of successful branches are
+     * merged back into the scope in branch order.
+     *
+     * fail_fast: the first failure cancels the other branches (their tools see
+     * an aborted signal) and is rethrown.
+     * collect_all: every branch runs to completion; failures are then thrown
+     * together as a ParallelBranchesError, after the successful branches'
+     * outputs were merged.
+     */
+    async runParallel(step, scope, location) {
+        const branches = Array.isArray(step.parallel) ? step.parallel : [];
+        const mode = PARALLEL_MODES.includes(step.mode) ? step.mode : 'fail_fast';
+        const concurrency = Number(this.substitute(step.concurrency, scope)) || branches.length;
+
+        // Aborting the group cancels in-flight branches without touching the job deadline
+        const group = new Deadline(0, { scope: 'step', parent: this.deadline });
+
+        logger.info(`Step ${location}: ${branches.length} parallel branch(es), concurrency ${concurrency}, ${mode}`);
+
+        const runBranch = async (branch, index) => {
+            const branchScope = scope.child();
+            const child = this.fork({ deadline: group });
+            const branchLocation = `${location}.parallel.${index}`;
+
+            if (Array.isArray(branch.steps) && branch.use === undefined) {
+                await child.runSteps(branch.steps, branchScope, branchLocation);
+            } else {
+                await child.runStep(branch, branchScope, branchLocation);
+            }
+            if (child.jumpTo !== null) {
+                throw new Error(`Cannot goto '${child.jumpTo}' from inside parallel branch ${branchLocation}`);
+            }
+            return { scope: branchScope, result: child.executed ? child.result : null };
+        };
+
+        let outcomes;
+        try {
+            outcomes = await mapLimit(branches, concurrency, async (branch, index) => {
+                try {
+                    return await runBranch(branch, index);
+                } catch (error) {
+                    // A job deadline expiry is never collected
+                    if (mode === 'collect_all' && !group.signal.aborted) {
+                        return { error, index };
+                    }
+                    group.abort(error);
+                    throw error;
+                }
+            });
+        } finally {
+            group.clear();
+        }
+
+        const failures = outcomes.filter(outcome => outcome.error);
+        for (const outcome of outcomes) {
+            if (!outcome.error) scope.merge(outcome.scope.values);
+        }
+
+        const results = outcomes.map(outcome => (outcome.error ? null : outcome.result));
+        if (step.output) {
+            scope.set(step.output, results);
+        }
+
+        if (failures.length > 0) {
+            const details = failures.map(failure => `branch ${failure.index}: ${failure.error.message}`).join('; ');
+            throw new ParallelBranchesError(`${failures.length} of ${branches.length} parallel branch(es) failed at step ${location}: ${details}`,
+                failures.map(failure => ({ branch: failure.index, error: failure.error })));
+        }
+
+        this.result = results;
+        this.executed = true;
+    }
+
+    /**
+     * Run an expanded `include:` / `call:` step: the fragment's steps in a child
+     * scope holding its arguments (rendered in the caller's scope) over the
+     * fragment's defaults. Only `output` reaches the caller's scope. `return`
+     * ends the fragment with that output as its result; `shouldContinue: false`
+     * stops the job as if the steps were inline. Jumps cannot leave a fragment.
+     */
+    async runFragment(step, scope, location) {
+        const fragment = step.fragment;
+        if (!fragment) {
+            throw new Error(`Fragment '${step.include !== undefined ? step.include : step.call}' at step ${location} was not expanded`);
+        }
+
+        const args = this.substitute(step.args || {}, scope);
+        const fragmentScope = scope.child({ ...fragment.defaults, ...args });
+        const child = this.fork();
+
+        logger.info(`Step ${location}: fragment '${fragment.name}'`);
+        await child.runSteps(fragment.steps, fragmentScope, `${location}.fragment`);
+        if (child.jumpTo !== null) {
+            throw new Error(`Cannot goto '${child.jumpTo}' from inside fragment '${fragment.name}' at step ${location}`);
+        }
+
+        const result = child.executed ? child.result : null;
+        if (child.executed) {
+            this.result = result;
+            this.executed = true;
+        }
+        if (step.output) {
+            scope.set(step.output, result);
+        }
+        if (child.halted && !child.returned) {
+            this.halted = true;
+        }
+    }
+
+    /**
+     * Run the `then` or `else` branch of an `if` step
+     */
+    async runBranch(step, scope, location) {
+        const passed = this.evaluateCondition(step.if, scope);
+        const branch = passed ? 'then' : 'else';
+        logger.info(`Condition at step ${location} ${passed ? 'passed' : 'failed'}`);
+
+        if (Array.isArray(step[branch])) {
+            await this.runSteps(step[branch], scope, `${location}.${branch}`);
+        }
+    }
+
+    /**
+     * Evaluate an `if` condition
+     * @param {boolean|string|Object} condition - Boolean, template string, or gate rule
+     * @param {VariableScope} scope - Scope for substitution
+     * @returns {boolean} True if the condition holds
+     */
+    evaluateCondition(condition, scope) {
+        if (typeof condition === 'boolean') {
+            return condition;
+        }
+
+        if (condition && typeof condition === 'object') {
+            const rule = this.substitute(condition, scope);
+            gate.validate({ rule });
+            return gate.evaluate(rule.value, rule.operator, rule.expected, rule.caseSensitive !== false);
+        }
+
+        // Missing variables count as false, also with strict templates
+        let value;
+        try {
+            value = String(this.substitute(String(condition), scope)).trim();
+        } catch (error) {
+            if (!(error instanceof MissingVariablesError)) throw error;
+            logger.debug(`Condition '${condition}' is false: ${error.message}`);
+            return false;
+        }
+        // Unresolved placeholders count as false
+        if (value.includes('{{')) return false;
+        return !FALSY_STRINGS.includes(value.toLowerCase());
+    }
+
+    /**
+     * Request a jump to a step id
+     * @param {string} id - Target step id
+     * @param {number|string} location - Step requesting the jump
+     * @throws {Error} If the jump limit is exceeded
+     */
+    jump(id, location) {
+        this.jumps++;
+        if (this.jumps > this.maxJumps) {
+            throw new Error(`Jump limit (${this.maxJumps}) exceeded at step ${location} - possible infinite loop`);
+        }
+        logger.info(`Jumping to step '${id}'`);
+        this.jumpTo = id;
+    }
+
+    /**
+     * Stop the job, optionally with a named output as its result
+     * @param {string|null} name - Output name
+     * @param {VariableScope} scope - Scope holding the output
+     */
+    returnOutput(name, scope) {
+        if (typeof name === 'string' && name) {
+            if (scope.has(name)) {
+                this.result = scope.get(name);
+                this.executed = true;
+            } else {
+                logger.warn(`Return output not found: ${name}`);
+            }
+        }
+        logger.info('Returning early');
+        this.returned = true;
+        this.halted = true;
+    }
+
+    /**
+     * Run a tool step
+     */
+    async runTool(step, scope, location) {
+        // Fallback steps are substituted when (and if) they run
+        const params = { ...step };
+        delete params.on_failure;
+
+        let processedStep;
+        try {
+            processedStep = this.substitute(params, scope);
+        } catch (error) {
+            if (error instanceof MissingVariablesError && error.step === null) {
+                error.step = { index: location, use: step.use };
+                error.message = `${error.message} in step ${location} (${step.use})`;
+            }
+            throw error;
+        }
+
+        logger.info(`Executing step: ${processedStep.use}`);
+        if (this.journal) await this.journal.stepStarted(this.jobId, location, processedStep.use);
+
+        const event = { jobId: this.jobId, stepIndex: location, tool: processedStep.use };
+        const startedAt = Date.now();
+        if (this.notify) this.notify('stepStarted', event);
+
+        let toolResult;
+        try {
+            toolResult = await this.executeStep(processedStep, location);
+        } catch (error) {
+            if (this.notify) {
+                this.notify('stepCompleted', { ...event, status: STEP_STATUS.FAILED, duration: Date.now() - startedAt, error: error.message });
+            }
+            throw error;
+        }
+
+        if (this.journal) await this.journal.stepCompleted(this.jobId, location, processedStep.use);
+        if (this.notify) {
+            this.notify('stepCompleted', {
+                ...event,
+                status: STEP_STATUS.OK,
+                duration: Date.now() - startedAt,
+                result: toolResult ? toolResult.result : undefined
+            });
+        }
+
+        // Store result
+        if (toolResult && toolResult.result) {
+            this.result = toolResult.result;
+            this.executed = true;
+        }
+
+        // Expose named outputs to later steps
+        if (toolResult && toolResult.output) {
+            scope.merge(toolResult.output);
+            logger.debug(`Stored outputs: ${Object.keys(toolResult.output).join(', ')}`);
+        }
+
+        // Check if we should continue
+        if (toolResult && toolResult.shouldContinue === false) {
+            logger.info('Step indicated to stop processing');
+            this.halted = true;
+        }
+    }
+
+    /**
+     * Apply a step's `on_failure`: run fallback steps, jump to a step id, or continue
+     * The error is available to fallbacks as `vars.last_error`.
+     */
+    async handleFailure(onFailure, error, step, scope, location) {
+        scope.set('last_error', { message: error.message, step: location, use: step.use });
+
+        if (Array.isArray(onFailure)) {
+            await this.runSteps(onFailure, scope, `${location}.on_failure`);
+        } else if (onFailure !== 'continue') {
+            this.jump(onFailure, location);
+        }
+    }
+
+    /**
+     * Execute one tool under the job deadline and the step's own `timeout`
+     * The tool receives `context.signal`, which aborts when either expires.
+     *
+     * @param {Object} step - Step with variables substituted (`use` plus tool params)
+     * @param {number|string} location - Step location (for timeout reports)
+     * @returns {Promise<Object>} Tool result
+     * @throws {TimeoutError} If a deadline expires, naming the step that was running
+     */
+    async executeStep(step, location) {
+        const stepDeadline = new Deadline(step.timeout, { scope: 'step', parent: this.deadline });
+
+        try {
+            const toolResult = await stepDeadline.run(signal =>
+                this.toolRegistry.execute(step.use, step, { ...this.context, signal })
+            );
+            if (toolResult && toolResult.retry) {
+                this.retries.push({ step: location, use: step.use, ...toolResult.retry });
+            }
+            return toolResult;
+        } catch (error) {
+            if (error.retry) {
+                this.retries.push({ step: location, use: step.use, ...error.retry });
+            }
+            if (error instanceof TimeoutError && !error.step) {
+                error.step = { index: location, use: step.use };
+                error.message = `${error.message} in step ${location} (${step.use})`;
+                logger.error(`Job ${this.jobId}: ${error.message}`);
+            }
+            throw error;
+        } finally {
+            stepDeadline.clear();
+        }
+    }
+}
+
+RuleRunner.NESTED_LISTS = NESTED_LISTS;
+RuleRunner.PARALLEL_MODES = PARALLEL_MODES;
+RuleRunner.STEP_STATUS = STEP_STATUS;
+
+module.exports = RuleRunner;
@@ -0,0 +1,630 @@
+const yaml = require('js-yaml');
+const RuleRunner = require('./RuleRunner');
+const VariableScope = require('./VariableScope');
+const template = require('./template');
+const OutputSchema = require('./OutputSchema');
+const { ConditionalGateTool, ERROR_CATEGORIES } = require('./tools');
+
+/**
+ * Top-level keys of a rule collection
+ */
+const TOP_LEVEL_KEYS = {
+    steps: { type: 'array', required: true },
+    result: { type: ['string', 'object', 'array'] },
+    fragments: { type: 'object' },
+    timeout: { type: 'number' },
+    strict: { type: 'boolean' },
+    max_jumps: { type: 'number' },
+    output_schema: { type: 'object' }
+};
+
+/**
+ * Keys every step may carry
+ */
+const COMMON_KEYS = {
+    id: { type: ['string', 'number'] },
+    on_failure: { type: ['string', 'array'] }
+};
+
+/**
+ * Keys a tool step may carry besides the tool's own parameters
+ */
+const TOOL_KEYS = {
+    ...COMMON_KEYS,
+    use: { type: 'string', required: true },
+    output: { type: 'string' },
+    timeout: { type: 'number' },
+    retry: {
+        type: ['object', 'number'],
+        properties: {
+            attempts: { type: 'number' },
+            backoff: { type: 'string', enum: ['fixed', 'linear', 'exponential'] },
+            delay: { type: 'number' },
+            max_delay: { type: 'number' },
+            jitter: { type: 'number' },
+            on: {
+                type: ['string', 'array'],
+                enum: [...Object.values(ERROR_CATEGORIES), 'any'],
+                items: { type: 'string', enum: [...Object.values(ERROR_CATEGORIES), 'any'] }
+            },
+            statuses: { type: 'array', items: { type: 'number' } }
+        }
+    }
+};
+
+/**
+ * Keys of each block step, by kind
+ */
+const BLOCK_KEYS = {
+    if: {
+        ...COMMON_KEYS,
+        if: { type: ['boolean', 'string', 'object'], required: true },
+        then: { type: 'array' },
+        else: { type: 'array' }
+    },
+    foreach: {
+        ...COMMON_KEYS,
+        foreach: { type: ['array', 'object'], required: true },
+        as: { type: 'string' },
+        steps: { type: 'array', required: true },
+        concurrency: { type: 'number' },
+        max_items: { type: 'number' },
+        output: { type: 'string' }
+    },
+    parallel: {
+        ...COMMON_KEYS,
+        parallel: { type: 'array', required: true },
+        concurrency: { type: 'number' },
+        mode: { type: 'string', enum: RuleRunner.PARALLEL_MODES },
+        output: { type: 'string' }
+    },
+    goto: { ...COMMON_KEYS, goto: { type: ['string', 'number'], required: true } },
+    return: { ...COMMON_KEYS, return: { type: 'string', required: true } },
+    include: { ...COMMON_KEYS, include: { type: 'string', required: true }, args: { type: 'object' }, output: { type: 'string' } },
+    call: { ...COMMON_KEYS, call: { type: 'string', required: true }, args: { type: 'object' }, output: { type: 'string' } }
+};
+
+/**
+ * Keys of a fragment under the top-level `fragments:`
+ */
+const FRAGMENT_KEYS = {
+    params: { type: ['array', 'object'], items: { type: 'string' } },
+    steps: { type: 'array', required: true },
+    description: { type: 'string' }
+};
+
+const STEP_KINDS = ['use', ...Object.keys(BLOCK_KEYS)];
+
+const FOREACH_RANGE = {
+    type: 'object',
+    properties: {
+        from: { type: 'number', required: true },
+        to: { type: 'number', required: true },
+        step: { type: 'number' }
+    }
+};
+
+const GATE_RULE = new ConditionalGateTool().getMetadata().parameters.rule;
+
+/**
+ * Type name used in parameter metadata
+ */
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+function isMapping(value) {
+    return typeOf(value) === 'object';
+}
+
+function isTemplate(value) {
+    return typeof value === 'string' && template.findExpressions(value).length > 0;
+}
+
+/**
+ * Edit distance (adjacent transpositions count once), for "did you mean" hints
+ */
+function distance(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[a.length][b.length];
+}
+
+function suggest(name, candidates) {
+    const text = String(name);
+    let best = null;
+    for (const candidate of candidates) {
+        const score = distance(text.toLowerCase(), candidate.toLowerCase());
+        if (score <= Math.max(1, Math.floor(candidate.length / 3)) && (!best || score < best.score)) {
+            best = { candidate, score };
+        }
+    }
+    return best ? ` (did you mean '${best.candidate}'?)` : '';
+}
+
+/**
+ * Parse YAML, remembering where each mapping and sequence starts
+ * @param {string} text - YAML source
+ * @returns {{rules: *, offsets: Map<Object, number>}} Parsed rules and node offsets
+ * @throws {YAMLException} On syntax errors
+ */
+function parseWithOffsets(text) {
+    const offsets = new Map();
+    const open = [];
+    const rules = yaml.load(text, {
+        listener: (event, state) => {
+            if (event === 'open') {
+                open.push(state.position);
+            } else {
+                const offset = open.pop();
+                if (state.result !== null && typeof state.result === 'object' && !offsets.has(state.result)) {
+                    offsets.set(state.result, offset);
+                }
+            }
+        }
+    });
+    return { rules, offsets };
+}
+
+/**
+ * One validation run over a rule collection
+ */
+class Validation {
+    constructor(toolRegistry, text, offsets, options) {
+        this.toolRegistry = toolRegistry;
+        this.text = text;
+        this.offsets = offsets;
+        this.variables = Object.keys(options.variables || {});
+        this.strict = options.strict === true;
+        this.errors = [];
+        this.warnings = [];
+        this.ids = new Set();
+        this.targets = [];
+        this.outputs = new Set();
+
+        this.lineStarts = [0];
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\n') this.lineStarts.push(i + 1);
+        }
+    }
+
+    /**
+     * 1-based line and column of an offset (leading whitespace skipped)
+     */
+    point(offset) {
+        while (offset < this.text.length && /\s/.test(this.text[offset])) offset++;
+        let line = 0;
+        while (line + 1 < this.lineStarts.length && this.lineStarts[line + 1] <= offset) line++;
+        return { line: line + 1, column: offset - this.lineStarts[line] + 1 };
+    }
+
+    /**
+     * Position of a mapping or sequence
+     */
+    at(node) {
+        return this.offsets.has(node) ? this.point(this.offsets.get(node)) : { line: null, column: null };
+    }
+
+    /**
+     * Position of a key inside a mapping (the match in the mapping's column wins)
+     */
+    keyAt(node, key) {
+        const start = this.at(node);
+        if (start.line === null) return start;
+
+        const escaped = String(key).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = new RegExp(`(^|[\\s{,])(["']?)${escaped}\\2\\s*:`, 'g');
+        pattern.lastIndex = Math.max(0, this.offsets.get(node) - 1);
+
+        let first = null;
+        let match;
+        while ((match = pattern.exec(this.text)) !== null) {
+            const found = this.point(match.index + match[1].length);
+            if (found.column === start.column) return found;
+            if (!first) first = found;
+        }
+        return first || start;
+    }
+
+    error(message, point, step, extra = {}) {
+        this.errors.push({ message, ...point, step, ...extra });
+    }
+
+    warning(message, point, step, extra = {}) {
+        this.warnings.push({ message, ...point, step, ...extra });
+    }
+
+    /**
+     * Check a rule collection
+     */
+    run(rules) {
+        if (!isMapping(rules)) {
+            this.error('Rules must be a mapping with a `steps` list', this.point(0), null);
+            return;
+        }
+        if (typeof rules.strict === 'boolean') {
+            this.strict = rules.strict;
+        }
+
+        this.checkMapping(rules, TOP_LEVEL_KEYS, { label: 'top-level key', path: '', step: null });
+        if (!Array.isArray(rules.steps)) return;
+
+        RuleRunner.walk(rules.steps, step => {
+            if (isMapping(step) && typeof step.output === 'string') {
+                this.outputs.add(step.output);
+            }
+        });
+
+        const names = new Set([...this.variables, 'last_error']);
+        this.checkSteps(rules.steps, '', names);
+
+        if (isMapping(rules.fragments)) {
+            this.checkFragments(rules.fragments);
+        }
+
+        this.checkTargets();
+
+        if (isMapping(rules.output_schema)) {
+            for (const problem of OutputSchema.check(rules.output_schema)) {
+                const point = problem.key !== null ? this.keyAt(problem.node, problem.key) : this.keyAt(rules, 'output_schema');
+                if (problem.severity === 'error') {
+                    this.error(problem.message, point, null);
+                } else {
+                    this.warning(problem.message, point, null);
+                }
+            }
+        }
+
+        // `result:` names an output, or is a template rendered after the last step
+        if (typeof rules.result === 'string' && !isTemplate(rules.result)) {
+            if (!this.outputs.has(rules.result)) {
+                this.warning(`Result output '${rules.result}' is not set by any step`, this.keyAt(rules, 'result'), null);
+            }
+        } else if (rules.result !== undefined) {
+            this.checkReferences(rules, names, null);
+        }
+    }
+
+    /**
+     * Check fragments defined in the rules
+     * A fragment can be included anywhere, so its steps may use any job
+     * variable or output besides its params. Its step ids are its own.
+     */
+    checkFragments(fragments) {
+        const ids = this.ids;
+        const targets = this.targets;
+
+        for (const name of Object.keys(fragments)) {
+            const fragment = fragments[name];
+            const path = `fragments.${name}`;
+            if (!isMapping(fragment)) {
+                this.error(`Fragment '${name}' must be a mapping with a \`steps\` list`, this.keyAt(fragments, name), null);
+                continue;
+            }
+            this.checkMapping(fragment, FRAGMENT_KEYS, { label: 'fragment key', path, step: null });
+            if (!Array.isArray(fragment.steps)) continue;
+
+            const params = Array.isArray(fragment.params) ? fragment.params : Object.keys(fragment.params || {});
+            this.ids = new Set();
+            this.targets = [];
+            this.checkSteps(fragment.steps, path, new Set([...this.variables, ...this.outputs, ...params, 'last_error']));
+            this.checkTargets();
+        }
+
+        this.ids = ids;
+        this.targets = targets;
+    }
+
+    /**
+     * Report goto / on_failure targets that name no step id
+     */
+    checkTargets() {
+        for (const target of this.targets) {
+            if (!this.ids.has(target.id)) {
+                this.error(`Unknown step id '${target.id}'${suggest(target.id, Array.from(this.ids, String))}`, target.point, target.step);
+            }
+        }
+    }
+
+    /**
+     * Check a step list
+     * @param {Array} steps - Step list
+     * @param {string} prefix - Location of the list
+     * @param {Set<string>} names - Variables visible to the list (outputs are added as they are set)
+     * @param {boolean} [branches=false] - Items are parallel branches (`{steps: [...]}` allowed)
+     */
+    checkSteps(steps, prefix, names, branches = false) {
+        steps.forEach((step, index) => {
+            const location = prefix ? `${prefix}.${index}` : index;
+            this.checkStep(step, location, steps, names, branches);
+        });
+    }
+
+    checkStep(step, location, list, names, branch) {
+        if (!isMapping(step)) {
+            this.error(`Step ${location} must be a mapping`, this.at(list), { index: location });
+            return;
+        }
+
+        const ref = { index: location, use: step.use };
+        const kinds = STEP_KINDS.filter(kind => kind in step);
+
+        if (kinds.length === 0 && branch && Array.isArray(step.steps)) {
+            this.checkMapping(step, { steps: { type: 'array' } }, { label: 'branch key', path: '', step: ref });
+            this.checkSteps(step.steps, `${location}.steps`, names);
+            return;
+        }
+        if (kinds.length === 0) {
+            this.error(`Step ${location} needs one of: ${STEP_KINDS.join(', ')}`, this.at(step), ref);
+            return;
+        }
+        if (kinds.length > 1) {
+            this.error(`Step ${location} mixes ${kinds.join(' and ')}; use one per step`, this.at(step), ref);
+            return;
+        }
+
+        if (step.id !== undefined) {
+            if (this.ids.has(step.id)) {
+                this.error(`Duplicate step id '${step.id}'`, this.keyAt(step, 'id'), ref);
+            }
+            this.ids.add(step.id);
+        }
+        if (step.goto !== undefined) {
+            this.targets.push({ id: step.goto, point: this.keyAt(step, 'goto'), step: ref });
+        }
+        if (typeof step.on_failure === 'string' && step.on_failure !== 'continue') {
+            this.targets.push({ id: step.on_failure, point: this.keyAt(step, 'on_failure'), step: ref });
+        }
+
+        this.checkReferences(step, names, ref);
+
+        const kind = kinds[0];
+        if (kind === 'use') {
+            this.checkTool(step, ref);
+        } else {
+            this.checkMapping(step, BLOCK_KEYS[kind], { label: `${kind} key`, path: '', step: ref });
+        }
+
+        if (kind === 'if') {
+            this.checkCondition(step, ref);
+            for (const key of ['then', 'else']) {
+                if (Array.isArray(step[key])) this.checkSteps(step[key], `${location}.${key}`, names);
+            }
+        } else if (kind === 'foreach') {
+            if (isMapping(step.foreach)) {
+                this.checkValue(step.foreach, FOREACH_RANGE, 'foreach', this.keyAt(step, 'foreach'), ref, 'foreach key');
+            }
+            if (Array.isArray(step.steps)) {
+                const as = typeof step.as === 'string' ? step.as : 'item';
+                this.checkSteps(step.steps, `${location}.steps`, new Set([...names, as, `${as}_index`]));
+            }
+        } else if (kind === 'parallel' && Array.isArray(step.parallel)) {
+            const merged = [];
+            step.parallel.forEach((branchStep, index) => {
+                const branchNames = new Set(names);
+                this.checkStep(branchStep, `${location}.parallel.${index}`, step.parallel, branchNames, true);
+                merged.push(...branchNames);
+            });
+            merged.forEach(name => names.add(name));
+        } else if (kind === 'return' && typeof step.return === 'string' && !this.outputs.has(step.return) && !names.has(step.return)) {
+            this.warning(`Return output '${step.return}' is not set by any step`, this.keyAt(step, 'return'), ref);
+        }
+
+        if (Array.isArray(step.on_failure)) {
+            this.checkSteps(step.on_failure, `${location}.on_failure`, names);
+        }
+        if (typeof step.output === 'string') {
+            names.add(step.output);
+        }
+    }
+
+    /**
+     * Check a tool step against the tool's parameter metadata
+     */
+    checkTool(step, ref) {
+        if (typeof step.use !== 'string' || isTemplate(step.use)) {
+            this.checkMapping(step, TOOL_KEYS, { label: 'step key', path: '', step: ref, allowUnknown: true });
+            return;
+        }
+        if (!this.toolRegistry.has(step.use)) {
+            this.error(`Unknown tool '${step.use}'${suggest(step.use, this.toolRegistry.list())}`, this.keyAt(step, 'use'), ref);
+            return;
+        }
+
+        const { parameters } = this.toolRegistry.get(step.use).getMetadata();
+        this.checkMapping(step, { ...TOOL_KEYS, ...(parameters || {}) }, {
+            label: `${step.use} parameter`,
+            path: '',
+            step: ref,
+            // Without metadata any key may be a parameter
+            allowUnknown: !parameters
+        });
+    }
+
+    /**
+     * Check an `if:` condition given as a gate rule
+     */
+    checkCondition(step, ref) {
+        if (isMapping(step.if)) {
+            this.checkValue(step.if, GATE_RULE, 'if', this.keyAt(step, 'if'), ref, 'if key');
+        }
+    }
+
+    /**
+     * Check a mapping's keys against property specs
+     * @param {Object} mapping - Mapping to check
+     * @param {Object} properties - Property specs by key
+     * @param {Object} options - label (for messages), path (prefix), step, allowUnknown
+     */
+    checkMapping(mapping, properties, options) {
+        const { label, path, step, allowUnknown = false } = options;
+        const name = key => (path ? `${path}.${key}` : key);
+
+        for (const [key, spec] of Object.entries(properties)) {
+            if (spec.required && !(key in mapping)) {
+                this.error(`Missing required ${label} '${name(key)}'`, this.at(mapping), step);
+            }
+        }
+
+        for (const key of Object.keys(mapping)) {
+            if (!(key in properties)) {
+                if (!allowUnknown) {
+                    this.warning(`Unknown ${label} '${name(key)}'${suggest(key, Object.keys(properties))}`, this.keyAt(mapping, key), step);
+                }
+                continue;
+            }
+            this.checkValue(mapping[key], properties[key], name(key), this.keyAt(mapping, key), step, label);
+        }
+    }
+
+    /**
+     * Check a value against a property spec (type, enum, properties, items)
+     * Template strings are only known at run time, so they always pass.
+     */
+    checkValue(value, spec, path, point, step, label = 'parameter') {
+        if (isTemplate(value)) return;
+
+        const types = [].concat(spec.type || []);
+        const actual = typeOf(value);
+        if (types.length > 0 && !types.includes(actual)) {
+            this.error(`'${path}' must be ${types.join(' or ')}, got ${actual}`, point, step);
+            return;
+        }
+
+        if (spec.enum && actual !== 'array' && !spec.enum.includes(value)) {
+            this.error(`'${path}' must be one of: ${spec.enum.join(', ')}${suggest(value, spec.enum.map(String))}`, point, step);
+        }
+
+        if (actual === 'object' && spec.properties) {
+            this.checkMapping(value, spec.properties, { label, path, step });
+        } else if (actual === 'array' && spec.items) {
+            value.forEach((item, index) => {
+                const itemPoint = isMapping(item) ? this.at(item) : this.at(value);
+                this.checkValue(item, spec.items, `${path}[${index}]`, itemPoint, step, label);
+            });
+        }
+    }
+
+    /**
+     * Check `{{ vars.* }}` references in a step (nested step lists excluded)
+     */
+    checkReferences(step, names, ref) {
+        const reported = new Set();
+
+        const visit = (value, parent, key) => {
+            if (typeof value === 'string') {
+                for (const expression of template.findExpressions(value)) {
+                    this.checkExpression(expression, names, ref, () => (Array.isArray(parent) ? this.at(parent) : this.keyAt(parent, key)), reported);
+                }
+            } else if (Array.isArray(value)) {
+                value.forEach(item => visit(item, value, null));
+            } else if (isMapping(value)) {
+                for (const childKey of Object.keys(value)) {
+                    visit(value[childKey], value, childKey);
+                }
+            }
+        };
+
+        for (const key of Object.keys(step)) {
+            if (RuleRunner.NESTED_LISTS.includes(key) && Array.isArray(step[key])) continue;
+            visit(step[key], step, key);
+        }
+    }
+
+    checkExpression(expression, names, ref, locate, reported) {
+        let parsed;
+        try {
+            parsed = template.parseExpression(expression);
+        } catch (error) {
+            this.error(error.message, locate(), ref);
+            return;
+        }
+
+        // default(...) covers a missing variable
+        if (parsed.filters.some(filter => filter.name === 'default')) return;
+
+        const root = String(VariableScope.parsePath(parsed.path)[0]);
+        if (names.has(root) || reported.has(parsed.path)) return;
+        reported.add(parsed.path);
+
+        if (this.outputs.has(root)) {
+            this.warning(`Variable '${parsed.path}' is only set by a later step`, locate(), ref);
+        } else if (this.strict) {
+            this.error(`Unknown variable '${parsed.path}'${suggest(root, names)}`, locate(), ref, { variable: parsed.path });
+        } else {
+            this.warning(`Unknown variable '${parsed.path}'${suggest(root, names)}`, locate(), ref, { variable: parsed.path });
+        }
+    }
+}
+
+/**
+ * Rule Validator
+ * Checks a YAML rule collection before anything runs: YAML syntax, step
+ * structure, tool names and parameters (from each tool's
+ * `getMetadata().parameters`), step ids and goto targets, and `{{ vars.* }}`
+ * references. Every problem is reported with its 1-based YAML line and column.
+ *
+ * Unknown variables are errors in strict mode (YAML `strict:` or the `strict`
+ * option) and warnings otherwise; unknown keys are always warnings.
+ */
+class RuleValidator {
+    /**
+     * @param {ToolRegistry} toolRegistry - Tools steps may use
+     */
+    constructor(toolRegistry) {
+        this.toolRegistry = toolRegistry;
+    }
+
+    /**
+     * Validate a rule collection
+     * @param {string} text - YAML rules
+     * @param {Object} [options]
+     * @param {Object} [options.variables] - Job variables known up front
+     * @param {boolean} [options.strict=false] - Unknown variables are errors (YAML `strict:` overrides)
+     * @returns {{rules: *, errors: Object[], warnings: Object[]}} Parsed rules (null on syntax errors)
+     *   and problems as {message, line, column, step: {index, use}|null}
+     */
+    validate(text, options = {}) {
+        let parsed;
+        try {
+            parsed = parseWithOffsets(String(text));
+        } catch (error) {
+            if (!(error instanceof yaml.YAMLException)) throw error;
+            const mark = error.mark || {};
+            return {
+                rules: null,
+                errors: [{
+                    message: `YAML syntax error: ${error.reason}`,
+                    line: mark.line !== undefined ? mark.line + 1 : null,
+                    column: mark.column !== undefined ? mark.column + 1 : null,
+                    step: null
+                }],
+                warnings: []
+            };
+        }
+
+        const validation = new Validation(this.toolRegistry, String(text), parsed.offsets, options);
+        validation.run(parsed.rules);
+
+        const byPosition = (a, b) => (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0);
+        return {
+            rules: parsed.rules,
+            errors: validation.errors.sort(byPosition),
+            warnings: validation.warnings.sort(byPosition)
+        };
+    }
+}
+
+module.exports = RuleValidator;
@@ -1,4 +1,6 @@
+const fs = require('fs');
 const puppeteer = require('puppeteer');
+const ScraperContext = require('./ScraperContext');
 
 /**
  * Enhanced Scraper with Header Interception
@@ -7,6 +9,9 @@ const puppeteer = require('puppeteer');
 class Scraper {
     constructor() {
         this.browser = null;
+        this.launching = null;
+        this.launchedAt = null;
+        this.openPages = 0;
         this.headersToStrip = [
             'x-frame-options',
             'frame-options',
@@ -17,34 +22,63 @@ class Scraper {
 
     /**
      * Initialize the browser
+     * Concurrent callers share a single launch, so parallel jobs never start
+     * more than one Chromium instance.
      */
     async init() {
-        if (!this.browser) {
-            console.log('[Scraper] Launching Puppeteer browser...');
-            this.browser = await puppeteer.launch({
-                headless: "new",
-                args: [
-                    '--no-sandbox',
-                    '--disable-setuid-sandbox',
-                    '--disable-web-security', // Helps with CORS
-                    '--disable-features=IsolateOrigins,site-per-process' // Helps with frames
-                ]
+        if (this.browser) return;
+
+        if (!this.launching) {
+            this.launching = (async () => {
+                console.log('[Scraper] Launching Puppeteer browser...');
+                const browser = await puppeteer.launch({
+                    headless: "new",
+                    args: [
+                        '--no-sandbox',
+                        '--disable-setuid-sandbox',
+                        '--disable-web-security', // Helps with CORS
+                        '--disable-features=IsolateOrigins,site-per-process' // Helps with frames
+                    ]
+                });
+
+                // Relaunch on next use if Chromium crashes
+                browser.on('disconnected', () => {
+                    if (this.browser === browser) {
+                        console.warn('[Scraper] Browser disconnected');
+                        this.browser = null;
+                    }
+                });
+
+                this.browser = browser;
+                this.launchedAt = Date.now();
+            })().finally(() => {
+                this.launching = null;
             });
         }
+
+        await this.launching;
     }
 
     /**
      * Create a new page with header interception
+     * @param {BrowserContext} [browserContext] - Context to open the page in (default: the browser's default context)
      * @returns {Promise<Page>} Puppeteer page with request interception enabled
      */
-    async createPage() {
+    async createPage(browserContext) {
         await this.init();
-        const page = await this.browser.newPage();
+        const page = await (browserContext || this.browser).newPage();
+
+        this.openPages++;
+        page.once('close', () => {
+            this.openPages--;
+        });
 
         // Enable request interception
         await page.setRequestInterception(true);
 
         // Intercept and modify requests
+        // Cooperative interception: other handlers (fixture replay) can still respond
+        // or abort with a higher priority
         page.on('request', (interceptedRequest) => {
             const headers = { ...interceptedRequest.headers() };
 
@@ -55,14 +89,25 @@ class Scraper {
             delete headers['sec-fetch-user'];
 
             // Continue with modified headers
-            interceptedRequest.continue({ headers });
+            interceptedRequest.continue({ headers }, puppeteer.DEFAULT_INTERCEPT_RESOLUTION_PRIORITY).catch(error => {
+                console.warn(`[Scraper] Failed to continue ${interceptedRequest.url()}: ${error.message}`);
+            });
         });
 
-        console.log('[Scraper] Created page with request interception');
+        console.log(`[Scraper] Created page with request interception (${this.openPages} open)`);
 
         return page;
     }
 
+    /**
+     * Browser-compatible alias for createPage()
+     * Lets tools that expect a Puppeteer browser (e.g. OffscreenTool) use the shared scraper
+     * @returns {Promise<Page>} Puppeteer page
+     */
+    async newPage() {
+        return this.createPage();
+    }
+
     /**
      * Extract data from a URL using XPath rules
      * @param {string} url - URL to scrape
@@ -174,13 +219,79 @@ class Scraper {
         }
     }
 
+    /**
+     * View of this browser for one device, with its own browser context
+     * @param {string} name - Device identifier, for logs
+     * @returns {ScraperContext} Scraper-compatible context
+     */
+    createContext(name) {
+        return new ScraperContext(this, name);
+    }
+
+    /**
+     * Milliseconds since the current browser was launched
+     * @returns {number|null} Uptime, or null if no browser is running
+     */
+    getBrowserUptime() {
+        return this.browser && this.launchedAt ? Date.now() - this.launchedAt : null;
+    }
+
+    /**
+     * Resident memory of the Chromium process tree (Linux only)
+     * @returns {Promise<number|null>} RSS in MB, or null if unavailable
+     */
+    async getBrowserRssMb() {
+        const child = this.browser && this.browser.process();
+        if (!child || !child.pid || process.platform !== 'linux') return null;
+
+        try {
+            // Map parent pid -> child pids from /proc/<pid>/stat
+            const children = new Map();
+            for (const entry of await fs.promises.readdir('/proc')) {
+                if (!/^\d+$/.test(entry)) continue;
+                try {
+                    const stat = await fs.promises.readFile(`/proc/${entry}/stat`, 'utf8');
+                    // Field 4 (ppid) follows the ")" that closes the command name
+                    const ppid = Number(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1]);
+                    if (!children.has(ppid)) children.set(ppid, []);
+                    children.get(ppid).push(Number(entry));
+                } catch (error) {
+                    // Process exited while scanning
+                }
+            }
+
+            let totalKb = 0;
+            const pending = [child.pid];
+            while (pending.length > 0) {
+                const pid = pending.pop();
+                try {
+                    const status = await fs.promises.readFile(`/proc/${pid}/status`, 'utf8');
+                    const match = status.match(/^VmRSS:\s+(\d+)\s+kB/m);
+                    if (match) totalKb += Number(match[1]);
+                } catch (error) {
+                    // Process exited while scanning
+                }
+                pending.push(...(children.get(pid) || []));
+            }
+
+            return totalKb / 1024;
+        } catch (error) {
+            return null;
+        }
+    }
+
     /**
      * Close the browser
      */
     async close() {
+        if (this.launching) {
+            await this.launching.catch(() => {});
+        }
         if (this.browser) {
-            await this.browser.close();
+            const browser = this.browser;
             this.browser = null;
+            this.launchedAt = null;
+            await browser.close();
             console.log('[Scraper] Browser closed');
         }
     }
@@ -0,0 +1,110 @@
+/**
+ * Scraper Context
+ * One device's share of a Scraper used by several devices in one process.
+ * Pages open in the device's own Puppeteer browser context (separate cookies,
+ * storage and cache), while Chromium itself is launched once by the shared Scraper.
+ *
+ * Offers the Scraper methods JobManager, RecyclePolicy and OffscreenTool use.
+ * close() - a browser recycle or stop of that device - closes only the context;
+ * the next page opens a fresh one. Uptime is the context's age. RSS is not
+ * reported: closing one context cannot bring the shared browser's memory down,
+ * so DeviceHost recycles the shared browser itself.
+ */
+class ScraperContext {
+    /**
+     * @param {Scraper} scraper - Shared browser
+     * @param {string} name - Device identifier, for logs
+     */
+    constructor(scraper, name) {
+        this.scraper = scraper;
+        this.name = name;
+        this.context = null;
+        this.contextBrowser = null;
+        this.creating = null;
+        this.createdAt = null;
+        this.openPages = 0;
+    }
+
+    /**
+     * Open the browser context, launching the shared browser if needed
+     * A context of a browser that has since crashed or been closed is replaced.
+     */
+    async init() {
+        await this.scraper.init();
+        if (this.context && this.contextBrowser === this.scraper.browser) return;
+
+        if (!this.creating) {
+            this.creating = (async () => {
+                const browser = this.scraper.browser;
+                this.context = await browser.createBrowserContext();
+                this.contextBrowser = browser;
+                this.createdAt = Date.now();
+                console.log(`[Scraper] Opened browser context for ${this.name}`);
+            })().finally(() => {
+                this.creating = null;
+            });
+        }
+
+        await this.creating;
+    }
+
+    /**
+     * Create a page with header interception in this context
+     * @returns {Promise<Page>} Puppeteer page
+     */
+    async createPage() {
+        await this.init();
+        const page = await this.scraper.createPage(this.context);
+
+        this.openPages++;
+        page.once('close', () => {
+            this.openPages--;
+        });
+        return page;
+    }
+
+    /**
+     * Browser-compatible alias for createPage()
+     * @returns {Promise<Page>} Puppeteer page
+     */
+    async newPage() {
+        return this.createPage();
+    }
+
+    /**
+     * Milliseconds since this context was opened
+     * @returns {number|null} Uptime, or null if no context is open
+     */
+    getBrowserUptime() {
+        return this.context && this.createdAt ? Date.now() - this.createdAt : null;
+    }
+
+    /**
+     * Resident memory of this context - not measurable on its own
+     * The shared browser's RSS is checked by DeviceHost, which recycles it for all devices.
+     * @returns {Promise<null>}
+     */
+    async getBrowserRssMb() {
+        return null;
+    }
+
+    /**
+     * Close this context and its pages; the shared browser keeps running
+     */
+    async close() {
+        if (this.creating) {
+            await this.creating.catch(() => {});
+        }
+        if (this.context) {
+            const context = this.context;
+            this.context = null;
+            this.contextBrowser = null;
+            this.createdAt = null;
+            // Already gone if the browser crashed or was closed
+            await context.close().catch(() => {});
+            console.log(`[Scraper] Closed browser context for ${this.name}`);
+        }
+    }
+}
+
+module.exports = ScraperContext;
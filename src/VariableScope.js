@@ -0,0 +1,141 @@
+/**
+ * Variable Scope
+ * Holds job variables and named step outputs, with dotted/indexed path lookup
+ *
+ * Example:
+ *   const scope = new VariableScope({ user_id: 42 });
+ *   scope.merge({ api_response: { data: { items: [{ url: 'https://...' }] } } });
+ *   scope.get('api_response.data.items[0].url'); // 'https://...'
+ */
+class VariableScope {
+    /**
+     * @param {Object} [initial={}] - Initial variables
+     * @param {VariableScope} [parent=null] - Parent scope for lookups that miss locally
+     */
+    constructor(initial = {}, parent = null) {
+        this.values = { ...initial };
+        this.parent = parent;
+    }
+
+    /**
+     * Split a path like `a.b[0]["c"]` into segments
+     * @param {string} path - Variable path
+     * @returns {Array<string|number>} Path segments
+     * @throws {Error} If the path is malformed
+     */
+    static parsePath(path) {
+        const segments = [];
+        const source = String(path).trim();
+        const pattern = /([^.[\]]+)|\[\s*(\d+)\s*\]|\[\s*(['"])(.*?)\3\s*\]/g;
+        let lastIndex = 0;
+        let match;
+
+        while ((match = pattern.exec(source)) !== null) {
+            const gap = source.slice(lastIndex, match.index);
+            if (gap !== '' && gap !== '.') {
+                throw new Error(`Invalid variable path: ${path}`);
+            }
+
+            if (match[1] !== undefined) {
+                segments.push(match[1].trim());
+            } else if (match[2] !== undefined) {
+                segments.push(Number(match[2]));
+            } else {
+                segments.push(match[4]);
+            }
+            lastIndex = pattern.lastIndex;
+        }
+
+        if (segments.length === 0 || lastIndex !== source.length) {
+            throw new Error(`Invalid variable path: ${path}`);
+        }
+
+        return segments;
+    }
+
+    /**
+     * Create a child scope that falls back to this one
+     * @param {Object} [initial={}] - Variables local to the child
+     * @returns {VariableScope} Child scope
+     */
+    child(initial = {}) {
+        return new VariableScope(initial, this);
+    }
+
+    /**
+     * Set a variable in this scope
+     * @param {string} name - Variable name
+     * @param {*} value - Variable value
+     */
+    set(name, value) {
+        this.values[name] = value;
+    }
+
+    /**
+     * Merge named values (e.g. a tool's `output`) into this scope
+     * @param {Object} [values] - Name → value map
+     */
+    merge(values) {
+        if (!values || typeof values !== 'object') return;
+        Object.assign(this.values, values);
+    }
+
+    /**
+     * Resolve a path against this scope and its parents
+     * @param {string} path - Variable path (e.g. `api_response.data.items[0].url`)
+     * @returns {{found: boolean, value: *}} Lookup result
+     */
+    lookup(path) {
+        const [root, ...rest] = VariableScope.parsePath(path);
+
+        let scope = this;
+        while (scope && !Object.prototype.hasOwnProperty.call(scope.values, root)) {
+            scope = scope.parent;
+        }
+        if (!scope) {
+            return { found: false, value: undefined };
+        }
+
+        let value = scope.values[root];
+        for (const segment of rest) {
+            if (value === null || value === undefined ||
+                !Object.prototype.hasOwnProperty.call(Object(value), segment)) {
+                return { found: false, value: undefined };
+            }
+            value = value[segment];
+        }
+
+        return { found: true, value };
+    }
+
+    /**
+     * Check whether a path resolves
+     * @param {string} path - Variable path
+     * @returns {boolean} True if the path exists
+     */
+    has(path) {
+        return this.lookup(path).found;
+    }
+
+    /**
+     * Get the value at a path
+     * @param {string} path - Variable path
+     * @param {*} [defaultValue] - Returned when the path does not resolve
+     * @returns {*} Resolved value
+     */
+    get(path, defaultValue = undefined) {
+        const { found, value } = this.lookup(path);
+        return found ? value : defaultValue;
+    }
+
+    /**
+     * Flatten this scope and its parents into a plain object
+     * @returns {Object} Visible variables (child values win)
+     */
+    toObject() {
+        const inherited = this.parent ? this.parent.toObject() : {};
+        return { ...inherited, ...this.values };
+    }
+}
+
+module.exports = VariableScope;
@@ -0,0 +1,41 @@
+/**
+ * Worker lifecycle states
+ *
+ *   IDLE ──start──▶ RUNNING ◀──resume── PAUSED
+ *                     │  └────pause────▶   │
+ *                     └──drain──▶ DRAINING ◀┘
+ *                                    │
+ *   any ────────stop──────────▶ STOPPED
+ */
+const STATES = {
+    IDLE: 'IDLE',           // Created, not started
+    RUNNING: 'RUNNING',     // Polling for jobs
+    PAUSED: 'PAUSED',       // In-flight jobs finish, no polling
+    DRAINING: 'DRAINING',   // In-flight jobs finish, then the worker stops
+    STOPPED: 'STOPPED',     // Browser closed, nothing running
+    ERROR: 'ERROR'          // Failed to start or loop crashed
+};
+
+/**
+ * Allowed transitions (from → to[])
+ */
+const TRANSITIONS = {
+    [STATES.IDLE]: [STATES.RUNNING, STATES.STOPPED, STATES.ERROR],
+    [STATES.RUNNING]: [STATES.PAUSED, STATES.DRAINING, STATES.STOPPED, STATES.ERROR],
+    [STATES.PAUSED]: [STATES.RUNNING, STATES.DRAINING, STATES.STOPPED, STATES.ERROR],
+    [STATES.DRAINING]: [STATES.STOPPED, STATES.ERROR],
+    [STATES.STOPPED]: [STATES.RUNNING],
+    [STATES.ERROR]: [STATES.RUNNING, STATES.STOPPED]
+};
+
+/**
+ * Check whether a transition is allowed
+ * @param {string} from - Current state
+ * @param {string} to - Target state
+ * @returns {boolean} True if allowed
+ */
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+module.exports = { STATES, TRANSITIONS, canTransition };
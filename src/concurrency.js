@@ -0,0 +1,36 @@
+/**
+ * Run a task for every item with at most `limit` tasks in flight
+ * Results keep the input order. After the first failure no new items are
+ * started; the error is rethrown once the running tasks have settled.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent tasks (minimum 1)
+ * @param {Function} task - Async (item, index) => result
+ * @returns {Promise<Array>} Results, in input order
+ */
+async function mapLimit(items, limit, task) {
+    const results = new Array(items.length);
+    const workers = Math.max(1, Math.min(parseInt(limit) || 1, items.length));
+    let next = 0;
+    let failure = null;
+
+    const worker = async () => {
+        while (failure === null && next < items.length) {
+            const index = next++;
+            try {
+                results[index] = await task(items[index], index);
+            } catch (error) {
+                if (failure === null) failure = { error };
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    if (failure !== null) {
+        throw failure.error;
+    }
+    return results;
+}
+
+module.exports = { mapLimit };
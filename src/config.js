@@ -1,3 +1,12 @@
+/**
+ * Comma-separated environment value as a list
+ * @param {string} [value] - e.g. "a, b"
+ * @returns {string[]} Trimmed, non-empty entries
+ */
+function list(value) {
+    return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
 /**
  * Application Configuration
  */
@@ -6,7 +15,37 @@ const CONFIG = {
     APP_VERSION: '0.2.4',
     USER_AGENT: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
     JOB_INTERVAL: parseInt(process.env.DATAHIVE_JOB_INTERVAL) || 60000,
-    PING_INTERVAL: parseInt(process.env.DATAHIVE_PING_INTERVAL) || 120000
+    PING_INTERVAL: parseInt(process.env.DATAHIVE_PING_INTERVAL) || 120000,
+    SHUTDOWN_TIMEOUT: parseInt(process.env.DATAHIVE_SHUTDOWN_TIMEOUT) || 30000, // Wait for in-flight jobs on stop
+
+    // Several device identities in one process (see DeviceHost); unset runs the single .env device
+    DEVICES_FILE: process.env.DATAHIVE_DEVICES_FILE || null,
+
+    // Compression of result uploads: 'none', 'gzip' or 'br' (sent with Content-Encoding)
+    UPLOAD_COMPRESSION: process.env.DATAHIVE_UPLOAD_COMPRESSION || 'none',
+
+    // Local worker state (result spool, job journal), one subdirectory per device
+    DATA_DIR: process.env.DATAHIVE_DATA_DIR || 'data',
+
+    // Library of reusable rule fragments (`include:` / `call:` steps), one <name>.yaml per fragment
+    FRAGMENTS_DIR: process.env.DATAHIVE_FRAGMENTS_DIR || 'fragments',
+
+    // Tool plugins: *.js files or package directories in PLUGINS_DIR, plus npm packages by name
+    PLUGINS_DIR: process.env.DATAHIVE_PLUGINS_DIR || 'plugins',
+    PLUGINS: list(process.env.DATAHIVE_PLUGINS),
+    // Built-in tools that are not registered (a plugin may then take the name)
+    DISABLED_TOOLS: list(process.env.DATAHIVE_DISABLED_TOOLS),
+
+    // Job journal (crash recovery for in-flight jobs)
+    JOURNAL_MAX_AGE: parseInt(process.env.DATAHIVE_JOURNAL_MAX_AGE) || 24 * 60 * 60 * 1000, // 24h
+
+    // Result spool (results kept on disk until the API accepts them)
+    SPOOL_MAX_ENTRIES: parseInt(process.env.DATAHIVE_SPOOL_MAX_ENTRIES) || 1000,
+    SPOOL_MAX_BYTES: parseInt(process.env.DATAHIVE_SPOOL_MAX_BYTES) || 50 * 1024 * 1024, // 50MB
+    SPOOL_MAX_AGE: parseInt(process.env.DATAHIVE_SPOOL_MAX_AGE) || 24 * 60 * 60 * 1000, // 24h
+    SPOOL_RETRY_BASE_DELAY: parseInt(process.env.DATAHIVE_SPOOL_RETRY_BASE_DELAY) || 5000,
+    SPOOL_RETRY_MAX_DELAY: parseInt(process.env.DATAHIVE_SPOOL_RETRY_MAX_DELAY) || 10 * 60 * 1000,
+    SPOOL_FLUSH_INTERVAL: parseInt(process.env.DATAHIVE_SPOOL_FLUSH_INTERVAL) || 15000
 };
 
 module.exports = CONFIG;
@@ -0,0 +1,594 @@
+const { RetryPolicy, ERROR_CATEGORIES } = require('./tools/RetryPolicy');
+
+/**
+ * Stable error codes reported to the API
+ */
+const ERROR_CODES = {
+    PROCESSING_FAILED: 'PROCESSING_FAILED',     // Anything not classified below
+    TIMEOUT: 'TIMEOUT',                         // Job or step deadline expired
+    TEMPLATE_ERROR: 'TEMPLATE_ERROR',           // Invalid {{ ... }} expression
+    MISSING_VARIABLES: 'MISSING_VARIABLES',     // Strict templates: unknown variables
+    INVALID_RULES: 'INVALID_RULES',             // Rule collection failed validation
+    INVALID_FRAGMENT: 'INVALID_FRAGMENT',       // include:/call: could not be expanded
+    INVALID_PARAMS: 'INVALID_PARAMS',           // Tool rejected its parameters
+    UNKNOWN_TOOL: 'UNKNOWN_TOOL',               // Step uses a tool that is not registered
+    GATE_FAILED: 'GATE_FAILED',                 // conditional-gate condition did not hold
+    NETWORK_TIMEOUT: 'NETWORK_TIMEOUT',         // Request or navigation timed out
+    DNS_ERROR: 'DNS_ERROR',                     // Host could not be resolved
+    CONNECTION_ERROR: 'CONNECTION_ERROR',       // Connection refused or reset
+    NETWORK_ERROR: 'NETWORK_ERROR',             // Other transport errors
+    NAVIGATION_FAILED: 'NAVIGATION_FAILED',     // Browser navigation failed for a non-network reason
+    FIXTURE_MISSING: 'FIXTURE_MISSING',         // Replay: request not in the fixture bundle
+    JOB_VETOED: 'JOB_VETOED',                   // A beforeJob hook refused the job
+    INVALID_PLUGIN: 'INVALID_PLUGIN',           // Tool plugin failed to load (startup only, never reported)
+    JOB_CRASHED: 'JOB_CRASHED',                 // Isolated job's worker died before finishing
+    MEMORY_LIMIT: 'MEMORY_LIMIT',               // Isolated job exceeded its memory limit
+    WORKER_RESTARTED: 'WORKER_RESTARTED',       // Worker stopped while the job was running
+    RESULT_TOO_LARGE: 'RESULT_TOO_LARGE',       // Result over resultMaxBytes, or rejected by the API (413)
+    SCHEMA_MISMATCH: 'SCHEMA_MISMATCH',         // Result does not match the rules' output_schema
+    PARALLEL_FAILED: 'PARALLEL_FAILED',         // Parallel branches failed with different codes
+    RESULT_REJECTED: 'RESULT_REJECTED'          // API refused the result upload (HTTP 4xx other than 413)
+};
+
+// Error code for each network error category
+const NETWORK_CODES = {
+    [ERROR_CATEGORIES.TIMEOUT]: ERROR_CODES.NETWORK_TIMEOUT,
+    [ERROR_CATEGORIES.DNS]: ERROR_CODES.DNS_ERROR,
+    [ERROR_CATEGORIES.CONNECTION]: ERROR_CODES.CONNECTION_ERROR,
+    [ERROR_CATEGORIES.NETWORK]: ERROR_CODES.NETWORK_ERROR
+};
+
+// Keys whose values never leave the worker, in details or URL query strings
+const SENSITIVE_KEY = /authorization|cookie|password|passwd|secret|token|api[-_]?key|session|signature/i;
+const SENSITIVE_QUERY = /([?&][^=&#\s]*(?:authorization|password|passwd|secret|token|api[-_]?key|session|signature|sig)[^=&#\s]*=)[^&#\s]*/gi;
+
+const MAX_STRING = 500;
+const MAX_ITEMS = 20;
+const MAX_DEPTH = 5;
+
+/**
+ * Copy of a value that is safe to send: secrets redacted, long strings and
+ * lists cut, no functions, buffers or cycles
+ * @param {*} value - Value to sanitize
+ * @returns {*} Sanitized copy
+ */
+function sanitize(value, depth = 0, seen = new WeakSet()) {
+    if (typeof value === 'string') {
+        const redacted = value.replace(SENSITIVE_QUERY, '$1[redacted]');
+        return redacted.length > MAX_STRING
+            ? `${redacted.slice(0, MAX_STRING)}... (${redacted.length - MAX_STRING} more chars)`
+            : redacted;
+    }
+    if (value === null || typeof value === 'number' || typeof value === 'boolean') {
+        return value;
+    }
+    if (typeof value !== 'object') {
+        return undefined;
+    }
+    if (Buffer.isBuffer(value)) {
+        return `[${value.length} bytes]`;
+    }
+    if (value instanceof Error) {
+        return sanitize(value.message, depth, seen);
+    }
+    if (seen.has(value)) {
+        return '[circular]';
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[truncated]';
+    }
+
+    seen.add(value);
+    let copy;
+    if (Array.isArray(value)) {
+        copy = value.slice(0, MAX_ITEMS).map(item => sanitize(item, depth + 1, seen));
+        if (value.length > MAX_ITEMS) {
+            copy.push(`... (${value.length - MAX_ITEMS} more items)`);
+        }
+    } else {
+        copy = {};
+        for (const [key, item] of Object.entries(value)) {
+            copy[key] = SENSITIVE_KEY.test(key) ? '[redacted]' : sanitize(item, depth + 1, seen);
+        }
+    }
+    seen.delete(value);
+    return copy;
+}
+
+/**
+ * Base class of every classified error
+ * Carries a stable `code`, whether retrying the job may help (`retryable`),
+ * and the failing step (`step: { index, use }`, set by RuleRunner).
+ */
+class DataHiveError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [options]
+     * @param {string} [options.code='PROCESSING_FAILED'] - One of ERROR_CODES
+     * @param {boolean} [options.retryable=false] - Whether a retry may succeed
+     */
+    constructor(message, options = {}) {
+        super(message);
+        this.name = 'DataHiveError';
+        this.code = options.code || ERROR_CODES.PROCESSING_FAILED;
+        this.retryable = options.retryable === true;
+        this.step = null;
+    }
+
+    /**
+     * Code-specific details for the error report
+     * @returns {Object} Details (sanitized by toReport())
+     */
+    getDetails() {
+        return {};
+    }
+
+    /**
+     * Report sent to the API
+     * @returns {{code: string, message: string, retryable: boolean, stepIndex: (number|string|null),
+     *   tool: (string|null), details: Object}}
+     */
+    toReport() {
+        return {
+            code: this.code,
+            message: sanitize(this.message),
+            retryable: this.retryable,
+            stepIndex: this.step ? this.step.index : null,
+            tool: this.step ? this.step.use || null : null,
+            details: sanitize(this.getDetails())
+        };
+    }
+}
+
+/**
+ * Error raised when a job or step exceeds its deadline
+ */
+class TimeoutError extends DataHiveError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [details]
+     * @param {number} [details.timeout] - Deadline that was exceeded (ms)
+     * @param {string} [details.scope] - 'job' or 'step'
+     * @param {Object} [details.step] - Step that was running ({ index, use })
+     */
+    constructor(message, details = {}) {
+        super(message, { code: ERROR_CODES.TIMEOUT, retryable: true });
+        this.name = 'TimeoutError';
+        this.timeout = details.timeout;
+        this.scope = details.scope;
+        this.step = details.step || null;
+    }
+
+    getDetails() {
+        return { scope: this.scope, timeout: this.timeout };
+    }
+}
+
+/**
+ * Error raised for an invalid template expression (syntax, unknown filter)
+ */
+class TemplateError extends DataHiveError {
+    /**
+     * @param {string} message - Error message
+     */
+    constructor(message) {
+        super(message, { code: ERROR_CODES.TEMPLATE_ERROR });
+        this.name = 'TemplateError';
+    }
+}
+
+/**
+ * Error raised in strict template mode when variables are missing
+ */
+class MissingVariablesError extends DataHiveError {
+    /**
+     * @param {string[]} missing - Paths of every missing variable
+     */
+    constructor(missing) {
+        super(`Missing variable(s): ${missing.join(', ')}`, { code: ERROR_CODES.MISSING_VARIABLES });
+        this.name = 'MissingVariablesError';
+        this.missing = missing;
+    }
+
+    getDetails() {
+        return { missing: this.missing };
+    }
+}
+
+/**
+ * Error raised when a rule collection fails validation, before any step runs
+ */
+class RuleValidationError extends DataHiveError {
+    /**
+     * @param {Array<{message: string, line: number, column: number, step: Object}>} errors - Validation errors
+     */
+    constructor(errors) {
+        const first = errors[0];
+        const where = first && first.line ? ` (line ${first.line}, column ${first.column})` : '';
+        const more = errors.length > 1 ? ` and ${errors.length - 1} more error(s)` : '';
+        super(`Invalid rules: ${first ? first.message : 'unknown error'}${where}${more}`, { code: ERROR_CODES.INVALID_RULES });
+        this.name = 'RuleValidationError';
+        this.errors = errors;
+    }
+
+    getDetails() {
+        return { errors: this.errors };
+    }
+}
+
+/**
+ * Error raised in replay mode when a request was not recorded in the fixture bundle
+ */
+class FixtureMissingError extends DataHiveError {
+    /**
+     * @param {string} source - Recording tool (fetch, offscreen)
+     * @param {Object} request - { method, url }
+     */
+    constructor(source, request) {
+        super(`No recorded ${source} response for ${request.method} ${request.url}`, { code: ERROR_CODES.FIXTURE_MISSING });
+        this.name = 'FixtureMissingError';
+        this.source = source;
+        this.request = { method: request.method, url: request.url };
+    }
+
+    getDetails() {
+        return { source: this.source, request: this.request };
+    }
+}
+
+/**
+ * Error raised when `include:` / `call:` steps cannot be expanded
+ */
+class FragmentError extends DataHiveError {
+    /**
+     * @param {string} message - Error message
+     * @param {string[]} chain - Fragment names from the outermost include to the failing one
+     */
+    constructor(message, chain) {
+        super(chain.length > 0 ? `${message} (include chain: ${chain.join(' > ')})` : message, { code: ERROR_CODES.INVALID_FRAGMENT });
+        this.name = 'FragmentError';
+        this.chain = chain;
+    }
+
+    getDetails() {
+        return { chain: this.chain };
+    }
+}
+
+/**
+ * Error raised when a tool rejects its parameters
+ */
+class ValidationError extends DataHiveError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [options]
+     * @param {string} [options.code='INVALID_PARAMS'] - INVALID_PARAMS or UNKNOWN_TOOL
+     */
+    constructor(message, options = {}) {
+        super(message, { code: options.code || ERROR_CODES.INVALID_PARAMS });
+        this.name = 'ValidationError';
+    }
+}
+
+/**
+ * Error raised when a conditional gate's condition does not hold
+ */
+class GateFailedError extends DataHiveError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} rule - { value, operator, expected }
+     */
+    constructor(message, rule) {
+        super(message, { code: ERROR_CODES.GATE_FAILED });
+        this.name = 'GateFailedError';
+        this.rule = { value: rule.value, operator: rule.operator, expected: rule.expected };
+    }
+
+    getDetails() {
+        return this.rule;
+    }
+}
+
+/**
+ * Error raised when a tool plugin cannot be loaded or registered
+ */
+class PluginError extends DataHiveError {
+    /**
+     * @param {string} message - Error message
+     * @param {string} source - Plugin file or package name
+     */
+    constructor(message, source) {
+        super(`Plugin '${source}': ${message}`, { code: ERROR_CODES.INVALID_PLUGIN });
+        this.name = 'PluginError';
+        this.source = source;
+    }
+
+    getDetails() {
+        return { source: this.source };
+    }
+}
+
+/**
+ * Error raised when a `beforeJob` hook refuses a job
+ * Retryable: another worker, with other policies, may take the job.
+ */
+class JobVetoedError extends DataHiveError {
+    /**
+     * @param {string} reason - Why the job was refused
+     */
+    constructor(reason) {
+        super(reason, { code: ERROR_CODES.JOB_VETOED, retryable: true });
+        this.name = 'JobVetoedError';
+    }
+}
+
+// Error code for each reason an isolated job's worker can die
+const CRASH_CODES = {
+    crash: ERROR_CODES.JOB_CRASHED,
+    memory: ERROR_CODES.MEMORY_LIMIT,
+    stopped: ERROR_CODES.WORKER_RESTARTED
+};
+
+/**
+ * Error raised when the worker thread or process running an isolated job dies
+ * before the job finishes (see JobSandbox)
+ * Only a job cut short by a worker stop is retryable.
+ */
+class JobCrashedError extends DataHiveError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [details]
+     * @param {string} [details.reason='crash'] - crash, memory (heap limit reached) or stopped
+     * @param {number} [details.exitCode] - Exit code of the worker
+     * @param {string} [details.signal] - Signal that ended a worker process
+     * @param {number} [details.memoryLimitMb] - Heap limit of the worker
+     */
+    constructor(message, details = {}) {
+        const reason = CRASH_CODES[details.reason] ? details.reason : 'crash';
+        super(message, { code: CRASH_CODES[reason], retryable: reason === 'stopped' });
+        this.name = 'JobCrashedError';
+        this.reason = reason;
+        this.exitCode = details.exitCode;
+        this.signal = details.signal;
+        this.memoryLimitMb = details.memoryLimitMb;
+    }
+
+    getDetails() {
+        return { reason: this.reason, exitCode: this.exitCode, signal: this.signal, memoryLimitMb: this.memoryLimitMb };
+    }
+}
+
+/**
+ * Error raised when a job result is too large to upload: over `resultMaxBytes`
+ * (and it cannot be truncated to fit), or rejected by the API with HTTP 413
+ * Not retryable: the same job produces the same result.
+ */
+class ResultTooLargeError extends DataHiveError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [details]
+     * @param {number} [details.bytes] - Size of the result (JSON bytes)
+     * @param {number} [details.maxBytes] - Size limit, if known
+     * @param {string} [details.source='worker'] - worker (resultMaxBytes) or api (HTTP 413)
+     */
+    constructor(message, details = {}) {
+        super(message, { code: ERROR_CODES.RESULT_TOO_LARGE });
+        this.name = 'ResultTooLargeError';
+        this.bytes = details.bytes;
+        this.maxBytes = details.maxBytes;
+        this.source = details.source || 'worker';
+    }
+
+    getDetails() {
+        return { bytes: this.bytes, maxBytes: this.maxBytes, source: this.source };
+    }
+}
+
+/**
+ * Error raised when the API refuses a result upload with a client error
+ * (HTTP 4xx) other than 413, e.g. 400, 404 for an unknown job or 409 for a job
+ * already completed. Not retryable: the same upload gets the same answer.
+ */
+class ResultRejectedError extends DataHiveError {
+    /**
+     * @param {string} message - Error message
+     * @param {number} status - HTTP status
+     */
+    constructor(message, status) {
+        super(message, { code: ERROR_CODES.RESULT_REJECTED });
+        this.name = 'ResultRejectedError';
+        this.status = status;
+    }
+
+    getDetails() {
+        return { status: this.status };
+    }
+}
+
+// Violations named in a SchemaMismatchError message
+const MESSAGE_VIOLATIONS = 3;
+
+/**
+ * Error raised when a job result does not match the rules' `output_schema:`
+ * (see OutputSchema), e.g. after a layout change on the target site
+ */
+class SchemaMismatchError extends DataHiveError {
+    /**
+     * @param {Array<{path: string, message: string}>} violations - Schema violations
+     */
+    constructor(violations) {
+        const listed = violations.slice(0, MESSAGE_VIOLATIONS).map(violation => `${violation.path} ${violation.message}`);
+        const more = violations.length > MESSAGE_VIOLATIONS ? ` and ${violations.length - MESSAGE_VIOLATIONS} more` : '';
+        super(`Result does not match output_schema: ${listed.join('; ')}${more}`, { code: ERROR_CODES.SCHEMA_MISMATCH });
+        this.name = 'SchemaMismatchError';
+        this.violations = violations;
+    }
+
+    getDetails() {
+        return { count: this.violations.length, violations: this.violations };
+    }
+}
+
+/**
+ * Error raised when branches of a `parallel` step fail (collect_all mode)
+ * When every failed branch has the same code, that code and its retryability
+ * are reported; otherwise PARALLEL_FAILED, retryable only if every branch is.
+ */
+class ParallelBranchesError extends DataHiveError {
+    /**
+     * @param {string} message - Error message
+     * @param {Array<{branch: number, error: Error}>} failures - Failed branches
+     */
+    constructor(message, failures) {
+        const reports = failures.map(failure => ({ branch: failure.branch, ...errorReport(failure.error) }));
+        const codes = new Set(reports.map(report => report.code));
+        super(message, {
+            code: codes.size === 1 ? reports[0].code : ERROR_CODES.PARALLEL_FAILED,
+            retryable: reports.length > 0 && reports.every(report => report.retryable)
+        });
+        this.name = 'ParallelBranchesError';
+        this.failures = reports;
+    }
+
+    getDetails() {
+        return { failures: this.failures };
+    }
+}
+
+/**
+ * Error raised when a request or page navigation fails in transport
+ * The code follows the category (timeout, dns, connection, network).
+ */
+class NetworkError extends DataHiveError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} details
+     * @param {string} details.category - ERROR_CATEGORIES value (drives `retry: { on: [...] }`)
+     * @param {string} [details.url] - Requested URL
+     * @param {string} [details.cause] - Underlying error code (ECONNREFUSED, net::ERR_..., ...)
+     */
+    constructor(message, details) {
+        super(message, { code: NETWORK_CODES[details.category] || ERROR_CODES.NETWORK_ERROR, retryable: true });
+        this.name = 'NetworkError';
+        this.category = details.category;
+        this.url = details.url;
+        this.cause = details.cause;
+    }
+
+    getDetails() {
+        return { category: this.category, url: this.url, cause: this.cause };
+    }
+}
+
+/**
+ * Error raised when browser navigation fails for a reason other than the network
+ * (aborted navigation, crashed page, ...)
+ */
+class NavigationError extends DataHiveError {
+    /**
+     * @param {string} message - Error message
+     * @param {string} url - Page URL
+     */
+    constructor(message, url) {
+        super(message, { code: ERROR_CODES.NAVIGATION_FAILED });
+        this.name = 'NavigationError';
+        this.url = url;
+    }
+
+    getDetails() {
+        return { url: this.url };
+    }
+}
+
+/**
+ * Report for any error thrown while processing a job
+ * Unclassified errors are PROCESSING_FAILED, unless they look like transport
+ * errors (see RetryPolicy.categorize), which get the network code and are retryable.
+ * @param {Error} error - Error
+ * @returns {Object} Report (see DataHiveError#toReport)
+ */
+function errorReport(error) {
+    if (error instanceof DataHiveError) {
+        return error.toReport();
+    }
+
+    const category = RetryPolicy.categorize(error || {});
+    const network = NETWORK_CODES[category];
+    const step = error && error.step;
+    return {
+        code: network || ERROR_CODES.PROCESSING_FAILED,
+        message: sanitize(error && error.message ? error.message : String(error)),
+        retryable: Boolean(network),
+        stepIndex: step ? step.index : null,
+        tool: step ? step.use || null : null,
+        details: network ? sanitize({ category, cause: error.code }) : {}
+    };
+}
+
+/**
+ * Plain copy of an error that survives postMessage / IPC
+ * @param {Error} error - Error
+ * @returns {{name: string, message: string, stack: string, props: Object}} Serialized error
+ */
+function serializeError(error) {
+    if (!(error instanceof Error)) {
+        return { name: 'Error', message: String(error), stack: undefined, props: {} };
+    }
+
+    const props = {};
+    for (const [key, value] of Object.entries(error)) {
+        try {
+            props[key] = structuredClone(value);
+        } catch (cloneError) {
+            props[key] = sanitize(value);
+        }
+    }
+    return { name: error.name, message: error.message, stack: error.stack, props };
+}
+
+/**
+ * Error from serializeError(), as an instance of the original class when it is
+ * one of the classes above (so codes and details are kept)
+ * @param {Object} data - Serialized error
+ * @returns {Error} Error
+ */
+function deserializeError(data) {
+    const ErrorClass = module.exports[data.name];
+    const error = typeof ErrorClass === 'function' && ErrorClass.prototype instanceof DataHiveError
+        ? Object.create(ErrorClass.prototype)
+        : new Error(data.message);
+
+    Object.defineProperty(error, 'message', { value: data.message, writable: true, configurable: true });
+    Object.defineProperty(error, 'stack', { value: data.stack, writable: true, configurable: true });
+    Object.assign(error, data.props);
+    if (!(error instanceof DataHiveError) && data.name !== 'Error') {
+        error.name = data.name;
+    }
+    return error;
+}
+
+module.exports = {
+    ERROR_CODES,
+    DataHiveError,
+    TimeoutError,
+    TemplateError,
+    MissingVariablesError,
+    RuleValidationError,
+    FixtureMissingError,
+    FragmentError,
+    ValidationError,
+    GateFailedError,
+    JobVetoedError,
+    PluginError,
+    NetworkError,
+    NavigationError,
+    JobCrashedError,
+    ResultTooLargeError,
+    ResultRejectedError,
+    SchemaMismatchError,
+    ParallelBranchesError,
+    errorReport,
+    sanitize,
+    serializeError,
+    deserializeError
+};
@@ -1,9 +1,36 @@
 // Core components
 module.exports.ApiClient = require('./ApiClient');
+module.exports.LocalApiClient = require('./LocalApiClient');
 module.exports.JobManager = require('./JobManager');
+module.exports.DeviceHost = require('./DeviceHost');
 module.exports.ConfigManager = require('./ConfigManager');
 module.exports.PerformanceMonitor = require('./PerformanceMonitor');
 module.exports.Scraper = require('./Scraper');
+module.exports.ScraperContext = require('./ScraperContext');
+module.exports.VariableScope = require('./VariableScope');
+module.exports.RuleRunner = require('./RuleRunner');
+module.exports.RuleValidator = require('./RuleValidator');
+module.exports.OutputSchema = require('./OutputSchema');
+module.exports.FragmentLibrary = require('./FragmentLibrary');
+module.exports.PluginLoader = require('./PluginLoader');
+module.exports.JobScheduler = require('./JobScheduler');
+module.exports.ResultSpool = require('./ResultSpool');
+module.exports.JobJournal = require('./JobJournal');
+module.exports.WorkerState = require('./WorkerState');
+module.exports.RecyclePolicy = require('./RecyclePolicy').RecyclePolicy;
+module.exports.PollingStrategy = require('./PollingStrategy').PollingStrategy;
+module.exports.Deadline = require('./Deadline');
+module.exports.JobSandbox = require('./JobSandbox').JobSandbox;
+module.exports.FixtureBundle = require('./FixtureBundle').FixtureBundle;
+
+// Errors
+module.exports.errors = require('./errors');
+
+// Templates
+module.exports.template = require('./template');
+
+// Result size limits
+module.exports.resultLimits = require('./resultLimits');
 
 // Loggers
 const { logger, jobLogger } = require('./logger');
@@ -22,4 +49,5 @@ module.exports.ConditionalGateTool = tools.ConditionalGateTool;
 module.exports.FetchTool = tools.FetchTool;
 module.exports.OffscreenTool = tools.OffscreenTool;
 module.exports.FetchAndExtractTool = tools.FetchAndExtractTool;
+module.exports.RetryPolicy = tools.RetryPolicy;
 module.exports.OPERATORS = tools.OPERATORS;
@@ -0,0 +1,149 @@
+const { logger, jobLogger } = require('./logger');
+const template = require('./template');
+const OutputSchema = require('./OutputSchema');
+const { limitResult } = require('./resultLimits');
+const { SchemaMismatchError } = require('./errors');
+
+/**
+ * Job execution steps shared by JobManager (jobs run in-process) and the
+ * isolated job worker (see JobSandbox), so both produce the same result.
+ */
+
+/**
+ * Write the full job and its variables to the job log
+ * @param {Object} job - Job
+ * @param {Object} variables - Job variables
+ */
+function logJob(job, variables) {
+    jobLogger.info('='.repeat(80));
+    jobLogger.info(`JOB ID: ${job.id}`);
+    jobLogger.info('FULL JOB OBJECT:');
+    jobLogger.info(JSON.stringify(job, null, 2));
+    jobLogger.info('='.repeat(80));
+
+    logger.debug('Job variables:', JSON.stringify(variables));
+    jobLogger.info(`EXTRACTED VARIABLES: ${JSON.stringify(variables, null, 2)}`);
+}
+
+/**
+ * Final job result from the rules' `result:` key
+ * A plain string names an output; anything else - a template
+ * string, a mapping or a list - is rendered against the job scope.
+ * @param {string|Object|Array} spec - `result:` value
+ * @param {VariableScope} scope - Job scope after all steps ran
+ * @param {Function} substitute - (target, scope) => copy with variables substituted
+ * @returns {*} Result
+ * @throws {MissingVariablesError} In strict mode, if the template references missing variables
+ */
+function composeResult(spec, scope, substitute) {
+    if (typeof spec === 'string' && template.findExpressions(spec).length === 0) {
+        if (scope.has(spec)) {
+            return scope.get(spec);
+        }
+        logger.warn(`Result output not found: ${spec}`);
+        return null;
+    }
+    return substitute(spec, scope);
+}
+
+/**
+ * Run a job's steps and compose its result
+ * Jobs without rule steps fall back to the legacy `type: offscreen` payload.
+ * @param {RuleRunner} runner - Runner for the job
+ * @param {Object} job - Job
+ * @param {Object|null} parsedRules - Validated rules, fragments expanded
+ * @param {VariableScope} scope - Job scope
+ * @param {Function} substitute - (target, scope) => copy with variables substituted
+ * @returns {Promise<*>} Job result
+ */
+async function executeRules(runner, job, parsedRules, scope, substitute) {
+    let result = null;
+    let executed = false;
+
+    // Execute YAML rules using tool registry
+    if (parsedRules && parsedRules.steps) {
+        try {
+            const outcome = await runner.run(parsedRules.steps, scope);
+            executed = outcome.executed;
+
+            // A returned output wins, then `result:`, then every step's result by step id
+            if (outcome.returned) {
+                result = outcome.result;
+            } else if (parsedRules.result !== undefined && parsedRules.result !== null) {
+                result = composeResult(parsedRules.result, scope, substitute);
+                executed = true;
+            } else {
+                result = outcome.results;
+            }
+        } catch (e) {
+            logger.error('Failed to execute YAML rules:', e);
+            throw e;
+        }
+    }
+
+    // Fallback for legacy jobs
+    if (!executed) {
+        if (job.type === 'offscreen' || job.type === 'fetch-and-extract') {
+            let url = job.params?.url || job.url;
+            let rules = job.params?.rules || job.ruleCollection;
+
+            // Legacy payloads are never rendered strictly
+            url = template.render(url, scope);
+            rules = template.render(rules, scope);
+
+            if (url) {
+                const toolResult = await runner.executeStep({ use: 'offscreen', url, rules }, 0);
+                result = toolResult.result;
+            } else {
+                logger.warn('No URL for fallback job processing');
+            }
+        } else {
+            logger.warn(`No executable steps found for job ${job.id}`);
+            result = { status: "skipped", reason: "no_steps" };
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Check a job result against the rules' `output_schema:`, then apply the
+ * result size limits (see resultLimits.js)
+ * @param {Object} job - Job
+ * @param {Object|null} parsedRules - Validated rules
+ * @param {*} result - Job result
+ * @param {Object} [settings] - ConfigManager values: outputSchemaMode, resultMaxBytes,
+ *   resultFieldMaxLength, resultTruncation
+ * @returns {{result: *, schemaViolations: Array, truncation: (Object|null)}} The result to
+ *   upload, violations to attach as warnings (`outputSchemaMode: warn`) and the truncation report
+ * @throws {SchemaMismatchError} If the result does not match (`outputSchemaMode: fail`)
+ * @throws {ResultTooLargeError} If the result is over the size limit and cannot be truncated
+ */
+function finishResult(job, parsedRules, result, settings = {}) {
+    // The schema is checked before the result is truncated
+    let schemaViolations = [];
+    if (parsedRules && parsedRules.output_schema) {
+        schemaViolations = new OutputSchema(parsedRules.output_schema).validate(result);
+    }
+    if (schemaViolations.length > 0) {
+        if (settings.outputSchemaMode !== OutputSchema.SCHEMA_MODES.WARN) {
+            throw new SchemaMismatchError(schemaViolations);
+        }
+        logger.warn(`Job ${job.id}: result does not match output_schema, ${schemaViolations.length} violation(s) ` +
+            `(first: ${schemaViolations[0].path} ${schemaViolations[0].message})`);
+    }
+
+    const limited = limitResult(result, {
+        maxBytes: settings.resultMaxBytes,
+        fieldMaxLength: settings.resultFieldMaxLength,
+        policy: settings.resultTruncation
+    });
+    if (limited.truncation) {
+        const { originalBytes, bytes, count } = limited.truncation;
+        logger.warn(`Job ${job.id}: truncated ${count} field(s) of the result (${originalBytes} -> ${bytes} bytes)`);
+    }
+
+    return { result: limited.result, schemaViolations, truncation: limited.truncation };
+}
+
+module.exports = { logJob, composeResult, executeRules, finishResult };
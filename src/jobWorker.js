@@ -0,0 +1,165 @@
+const { parentPort } = require('worker_threads');
+const { logger, forwardLogs } = require('./logger');
+const { Tool, ToolRegistry, builtInTools } = require('./tools');
+const PluginLoader = require('./PluginLoader');
+const RuleRunner = require('./RuleRunner');
+const VariableScope = require('./VariableScope');
+const Deadline = require('./Deadline');
+const template = require('./template');
+const { logJob, executeRules, finishResult } = require('./jobExecution');
+const { serializeError, deserializeError } = require('./errors');
+
+/**
+ * Isolated job worker
+ * Entry point of the worker thread or child process started by JobSandbox for
+ * one job. Receives `{ type: 'run', task }`, runs the job's steps and answers
+ * with `done` or `failed`. Everything else the job does outside this worker -
+ * logging, step events, journal records, calls to browser tools - travels as
+ * messages to the main process.
+ */
+
+// Channel to the main process: parentPort in a worker thread, IPC in a child process
+const send = parentPort ? message => parentPort.postMessage(message) : message => process.send(message);
+const channel = parentPort || process;
+
+// Tool calls waiting for the main process: id -> { resolve, reject }
+const pending = new Map();
+let nextCallId = 1;
+
+/**
+ * Send a message, or a fallback when it cannot be cloned (functions, sockets, ...)
+ * @param {Object} message - Message
+ * @param {Function} fallback - (error) => message to send instead
+ */
+function sendOr(message, fallback) {
+    try {
+        send(message);
+    } catch (error) {
+        send(fallback(error));
+    }
+}
+
+/**
+ * Tool that runs in the main process: browser tools, and tools this worker
+ * cannot load because they were registered at runtime
+ */
+class RemoteTool extends Tool {
+    execute(params, context = {}) {
+        const id = nextCallId++;
+        const signal = context.signal;
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => send({ type: 'cancelTool', id, reason: serializeError(signal.reason) });
+            pending.set(id, {
+                resolve,
+                reject,
+                cleanup: () => signal && signal.removeEventListener('abort', onAbort)
+            });
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+            try {
+                send({ type: 'callTool', id, name: this.name, params, variables: context.variables });
+            } catch (error) {
+                pending.get(id).cleanup();
+                pending.delete(id);
+                reject(error);
+            }
+        });
+    }
+}
+
+/**
+ * Tools of the main process's registry: run here when this worker loads the
+ * same class, otherwise (and for browser tools) call back
+ * @param {Object} task - Task from JobSandbox
+ * @returns {ToolRegistry} Registry
+ */
+function createRegistry(task) {
+    const registry = new ToolRegistry({ quiet: true });
+    new PluginLoader(task.plugins).registerAll(registry, builtInTools(null));
+
+    for (const name of registry.list()) {
+        if (!task.tools.some(tool => tool.name === name)) {
+            registry.unregister(name);
+        }
+    }
+    for (const { name, className, usesBrowser } of task.tools) {
+        const local = registry.has(name) && registry.get(name).constructor.name === className;
+        if (usesBrowser || !local) {
+            registry.unregister(name);
+            registry.register(new RemoteTool(name));
+        }
+    }
+    return registry;
+}
+
+/**
+ * Run a job's steps, check and size-limit the result, and report the outcome
+ * @param {Object} task - { job, parsedRules, variables, strict, timeout, startedAt, resultSettings, tools, plugins }
+ */
+async function run(task) {
+    const { job, parsedRules, variables, strict } = task;
+    const deadline = new Deadline(task.timeout, { scope: 'job', startedAt: task.startedAt });
+    let runner = null;
+
+    try {
+        logJob(job, variables);
+
+        const scope = new VariableScope(variables);
+        const substitute = (target, targetScope) => template.render(target, targetScope, { strict });
+        const record = method => (...args) => send({ type: 'journal', method, args });
+
+        runner = new RuleRunner({
+            jobId: job.id,
+            toolRegistry: createRegistry(task),
+            journal: { stepStarted: record('stepStarted'), stepCompleted: record('stepCompleted') },
+            substitute,
+            context: { jobId: job.id, logger, variables: scope.values, signal: deadline.signal },
+            deadline,
+            maxJumps: parsedRules && parsedRules.max_jumps,
+            notify: (event, payload) => sendOr({ type: 'notify', event, payload }, () => {
+                const { result, ...rest } = payload;
+                return { type: 'notify', event, payload: rest };
+            })
+        });
+
+        const { result, schemaViolations, truncation } = finishResult(job, parsedRules,
+            await executeRules(runner, job, parsedRules, scope, substitute), task.resultSettings);
+        sendOr({ type: 'done', result, schemaViolations, truncation, steps: runner.steps, retries: runner.retries }, error => ({
+            type: 'failed',
+            error: serializeError(new Error(`Job result cannot be passed back from the isolated job: ${error.message}`)),
+            steps: runner.steps,
+            retries: runner.retries
+        }));
+    } catch (error) {
+        send({
+            type: 'failed',
+            error: serializeError(error),
+            steps: runner ? runner.steps : [],
+            retries: runner ? runner.retries : []
+        });
+    } finally {
+        deadline.clear();
+    }
+}
+
+forwardLogs((target, entry) => sendOr({ type: 'log', target, entry }, () => ({
+    type: 'log',
+    target,
+    entry: { level: entry.level, message: String(entry.message) }
+})));
+
+channel.on('message', message => {
+    if (message.type === 'run') {
+        run(message.task);
+    } else if (message.type === 'toolResult' && pending.has(message.id)) {
+        const call = pending.get(message.id);
+        pending.delete(message.id);
+        call.cleanup();
+        if (message.error) {
+            call.reject(deserializeError(message.error));
+        } else {
+            call.resolve(message.result);
+        }
+    }
+});
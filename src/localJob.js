@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/**
+ * Jobs loaded from local files (`node datahive.js run`)
+ *
+ * A file holds either a job object, as the API hands it out (JSON or YAML,
+ * `ruleCollection.yamlRules` may be a string or a mapping), or a bare rule
+ * collection (a YAML mapping with `steps`).
+ */
+
+/**
+ * Build a job from file contents
+ * @param {string} text - File contents
+ * @param {Object} [options]
+ * @param {string} [options.id='local'] - Job id, unless the job has one
+ * @param {Object} [options.variables={}] - Variables merged over the job's own
+ * @returns {Object} Job object
+ */
+function parseJob(text, options = {}) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (jsonError) {
+        try {
+            parsed = yaml.load(text);
+        } catch (yamlError) {
+            // Broken rules: let the rule validator report where
+            parsed = null;
+        }
+    }
+
+    let job;
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed) && !('steps' in parsed)) {
+        job = { ...parsed };
+        if (job.ruleCollection && job.ruleCollection.yamlRules && typeof job.ruleCollection.yamlRules !== 'string') {
+            job.ruleCollection = { ...job.ruleCollection, yamlRules: yaml.dump(job.ruleCollection.yamlRules) };
+        }
+    } else {
+        // Bare rules keep their text so validation errors point at the right lines
+        const yamlRules = parsed && typeof parsed === 'object' && text.trim().startsWith('{')
+            ? yaml.dump(parsed)
+            : text;
+        job = { ruleCollection: { yamlRules } };
+    }
+
+    return prepareJob(job, options);
+}
+
+/**
+ * Fill in a job id and merge command-line variables over the job's own
+ * @param {Object} job - Job object
+ * @param {Object} [options] - Same as parseJob()
+ * @returns {Object} Copy of the job
+ */
+function prepareJob(job, options = {}) {
+    const prepared = { ...job };
+    prepared.id = prepared.id || options.id || 'local';
+    const variables = prepared.vars || prepared.variables || prepared.params || {};
+    prepared.vars = { ...variables, ...(options.variables || {}) };
+    return prepared;
+}
+
+/**
+ * Read a job file
+ * @param {string} file - Path to a .json, .yaml or .yml file
+ * @param {Object} [variables={}] - Variables merged over the job's own
+ * @returns {Promise<Object>} Job object (id defaults to `local-<file name>`)
+ */
+async function readJob(file, variables = {}) {
+    const text = await fs.promises.readFile(file, 'utf8');
+    const id = `local-${path.basename(file, path.extname(file))}`;
+    return parseJob(text, { id, variables });
+}
+
+module.exports = { parseJob, prepareJob, readJob };
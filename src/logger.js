@@ -48,4 +48,45 @@ const jobLogger = winston.createLogger({
     ]
 });
 
-module.exports = { logger, jobLogger };
+/**
+ * Send console logs to stderr, keeping stdout for command output
+ */
+function logToStderr() {
+    for (const transport of logger.transports) {
+        if (transport instanceof winston.transports.Console) {
+            transport.stderrLevels = Object.fromEntries(Object.keys(logger.levels).map(level => [level, true]));
+        }
+    }
+}
+
+/**
+ * Transport handing every entry to a callback (see forwardLogs)
+ */
+class ForwardTransport extends winston.Transport {
+    constructor(options) {
+        super(options);
+        this.target = options.target;
+        this.send = options.send;
+    }
+
+    log(info, callback) {
+        const { level, message, ...meta } = info;
+        this.send(this.target, { level, message, ...meta });
+        callback();
+    }
+}
+
+/**
+ * Replace every transport with a callback, so an isolated job worker (see
+ * JobSandbox) can hand its log entries to the main process
+ * @param {Function} send - (target, entry) => void; target is 'logger' or 'jobLogger',
+ *   entry is { level, message, ...meta }
+ */
+function forwardLogs(send) {
+    for (const [target, instance] of Object.entries({ logger, jobLogger })) {
+        instance.clear();
+        instance.add(new ForwardTransport({ target, send }));
+    }
+}
+
+module.exports = { logger, jobLogger, logToStderr, forwardLogs };
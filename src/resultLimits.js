@@ -0,0 +1,187 @@
+const { ResultTooLargeError } = require('./errors');
+
+/**
+ * Size limits for job results
+ *
+ * A result is uploaded as JSON, spooled to disk and handed to `jobCompleted`
+ * listeners, so a tool that returns a whole page (`offscreen` without fields)
+ * or a whole response body (`fetch`) can produce megabytes per job. Two
+ * settings keep results bounded:
+ *
+ *   resultFieldMaxLength - strings longer than this are cut
+ *   resultMaxBytes       - JSON size of the whole result
+ *
+ * Cut strings end with an explicit marker, `...[truncated 1234 chars]`, and the
+ * job metadata lists the truncated fields. A result over `resultMaxBytes` is
+ * either truncated to fit (policy `truncate`: the longest strings are cut until
+ * it fits) or fails the job with RESULT_TOO_LARGE (policy `fail`).
+ */
+
+const TRUNCATION_POLICIES = {
+    TRUNCATE: 'truncate',   // Cut the longest strings until the result fits (default)
+    FAIL: 'fail'            // Fail the job with RESULT_TOO_LARGE
+};
+
+// Truncated fields listed in the job metadata
+const MAX_REPORTED_FIELDS = 20;
+
+/**
+ * String cut to a maximum length, with a truncation marker
+ * @param {string} value - String
+ * @param {number} maxLength - Characters to keep
+ * @returns {string} The string itself if short enough, otherwise the kept part and the marker
+ */
+function truncateString(value, maxLength) {
+    if (value.length <= maxLength) {
+        return value;
+    }
+    let keep = Math.max(0, maxLength);
+    // Do not split a surrogate pair
+    const code = value.charCodeAt(keep - 1);
+    if (keep > 0 && code >= 0xd800 && code <= 0xdbff) {
+        keep--;
+    }
+    return `${value.slice(0, keep)}...[truncated ${value.length - keep} chars]`;
+}
+
+function isPlainObject(value) {
+    if (value === null || typeof value !== 'object') return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Copy of a value with every string longer than `maxLength` truncated
+ * @param {*} value - Value
+ * @param {number} maxLength - Maximum string length
+ * @param {Array} [truncated] - Receives { path, length } of each truncated string
+ * @param {string} [path='result'] - Path of the value, for `truncated`
+ * @returns {*} Copy
+ */
+function capStrings(value, maxLength, truncated = [], path = 'result') {
+    if (typeof value === 'string') {
+        if (value.length <= maxLength) return value;
+        truncated.push({ path, length: value.length });
+        return truncateString(value, maxLength);
+    }
+    if (Array.isArray(value)) {
+        return value.map((item, index) => capStrings(item, maxLength, truncated, `${path}[${index}]`));
+    }
+    if (isPlainObject(value)) {
+        const copy = {};
+        for (const [key, item] of Object.entries(value)) {
+            copy[key] = capStrings(item, maxLength, truncated, `${path}.${key}`);
+        }
+        return copy;
+    }
+    return value;
+}
+
+/**
+ * Length of the longest string in a value
+ * @param {*} value - Value
+ * @returns {number} Length (0 if there are no strings)
+ */
+function longestString(value) {
+    if (typeof value === 'string') return value.length;
+    const items = Array.isArray(value) ? value : isPlainObject(value) ? Object.values(value) : [];
+    let longest = 0;
+    for (const item of items) {
+        longest = Math.max(longest, longestString(item));
+    }
+    return longest;
+}
+
+/**
+ * Size of a value as uploaded
+ * @param {*} value - Value
+ * @returns {number} JSON size in bytes
+ */
+function jsonBytes(value) {
+    const json = JSON.stringify(value);
+    return json === undefined ? 0 : Buffer.byteLength(json);
+}
+
+/**
+ * Short JSON preview of a value for log lines
+ * Strings are cut before encoding, so large results are never encoded in full.
+ * @param {*} value - Value
+ * @param {number} [length=200] - Maximum preview length
+ * @returns {string} Preview
+ */
+function preview(value, length = 200) {
+    const json = JSON.stringify(capStrings(value, length));
+    return json === undefined ? String(json) : json.substring(0, length);
+}
+
+/**
+ * Apply the result size settings to a job result
+ * @param {*} result - Job result
+ * @param {Object} [limits]
+ * @param {number} [limits.maxBytes=0] - Maximum JSON size of the result (0 = unlimited)
+ * @param {number} [limits.fieldMaxLength=0] - Maximum string length (0 = unlimited)
+ * @param {string} [limits.policy='truncate'] - TRUNCATION_POLICIES value for results over maxBytes
+ * @returns {{result: *, bytes: number, truncation: (Object|null)}} The result to upload, its
+ *   size, and { originalBytes, bytes, count, fields: [{ path, length }] } if strings were cut
+ * @throws {ResultTooLargeError} If the result is over maxBytes and the policy is `fail`,
+ *   or it does not fit even with every string truncated
+ */
+function limitResult(result, limits = {}) {
+    const maxBytes = limits.maxBytes > 0 ? limits.maxBytes : 0;
+    const fieldMaxLength = limits.fieldMaxLength > 0 ? limits.fieldMaxLength : Infinity;
+    const policy = limits.policy === TRUNCATION_POLICIES.FAIL ? TRUNCATION_POLICIES.FAIL : TRUNCATION_POLICIES.TRUNCATE;
+
+    let truncated = [];
+    let limited = fieldMaxLength < Infinity ? capStrings(result, fieldMaxLength, truncated) : result;
+    if (truncated.length === 0) {
+        limited = result;
+    }
+    let bytes = jsonBytes(limited);
+    const originalBytes = truncated.length > 0 ? jsonBytes(result) : bytes;
+
+    if (maxBytes > 0 && bytes > maxBytes) {
+        if (policy === TRUNCATION_POLICIES.FAIL) {
+            throw new ResultTooLargeError(`Result is ${bytes} bytes, over the limit of ${maxBytes} bytes`, { bytes, maxBytes });
+        }
+
+        // Largest string length at which the result fits
+        let low = 0;
+        let high = Math.min(fieldMaxLength, longestString(result)) - 1;
+        let fit = null;
+        while (low <= high) {
+            const maxLength = Math.floor((low + high) / 2);
+            const attempt = { truncated: [] };
+            attempt.result = capStrings(result, maxLength, attempt.truncated);
+            attempt.bytes = jsonBytes(attempt.result);
+            if (attempt.bytes <= maxBytes) {
+                fit = attempt;
+                low = maxLength + 1;
+            } else {
+                high = maxLength - 1;
+            }
+        }
+
+        if (!fit) {
+            throw new ResultTooLargeError(`Result is ${bytes} bytes, over the limit of ${maxBytes} bytes even with every string truncated`,
+                { bytes, maxBytes });
+        }
+        ({ result: limited, bytes, truncated } = fit);
+    }
+
+    const truncation = truncated.length === 0 ? null : {
+        originalBytes,
+        bytes,
+        count: truncated.length,
+        fields: truncated.slice(0, MAX_REPORTED_FIELDS)
+    };
+    return { result: limited, bytes, truncation };
+}
+
+module.exports = {
+    TRUNCATION_POLICIES,
+    truncateString,
+    capStrings,
+    jsonBytes,
+    preview,
+    limitResult
+};
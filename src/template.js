@@ -0,0 +1,240 @@
+const { logger } = require('./logger');
+const VariableScope = require('./VariableScope');
+const { TemplateError, MissingVariablesError } = require('./errors');
+
+/**
+ * Template expressions used in rule collections
+ *
+ *   {{ vars.api_response.data.items[0].url }}
+ *   {{ vars.title | trim | lower }}
+ *   {{ vars.page | default(1) | int }}
+ *   {{ vars.query | urlencode }}
+ *
+ * Only placeholders starting with `vars` are expressions; any other `{{ ... }}`
+ * text is left alone. A value that is exactly one expression keeps the
+ * expression's type (list, object, number, ...); inside longer strings objects
+ * are JSON-encoded. Filter arguments are literals only - nothing is evaluated.
+ */
+
+const PLACEHOLDER = /\{\{\s*(vars(?:\.|\[)[\s\S]*?)\s*\}\}/g;
+
+/**
+ * Filters: (value, ...args) => value
+ * Except for `default`, filters pass missing (undefined) values through.
+ */
+const FILTERS = {
+    default: (value, fallback = '') => (value === undefined || value === null || value === '' ? fallback : value),
+    trim: value => String(value).trim(),
+    lower: value => String(value).toLowerCase(),
+    json: value => JSON.stringify(value),
+    urlencode: value => encodeURIComponent(typeof value === 'object' ? JSON.stringify(value) : String(value)),
+    int: value => {
+        const number = parseInt(value, 10);
+        if (Number.isNaN(number)) {
+            throw new TemplateError(`Filter 'int' cannot convert ${JSON.stringify(value)} to a number`);
+        }
+        return number;
+    }
+};
+
+/**
+ * Split on a separator, ignoring separators inside quotes or parentheses
+ * @param {string} text - Text to split
+ * @param {string} separator - Single character
+ * @returns {string[]} Trimmed parts
+ */
+function splitTopLevel(text, separator) {
+    const parts = [];
+    let current = '';
+    let quote = null;
+    let depth = 0;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === '\\' && i + 1 < text.length) {
+                current += char + text[++i];
+                continue;
+            }
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '(') {
+            depth++;
+        } else if (char === ')') {
+            depth--;
+        } else if (char === separator && depth === 0) {
+            parts.push(current.trim());
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+
+    if (quote) {
+        throw new TemplateError(`Unterminated string in '${text}'`);
+    }
+    parts.push(current.trim());
+    return parts;
+}
+
+/**
+ * Parse a filter argument literal: quoted string, number, true/false/null
+ * @param {string} token - Literal text
+ * @returns {*} Value
+ */
+function parseLiteral(token) {
+    const quoted = token.match(/^(['"])([\s\S]*)\1$/);
+    if (quoted) {
+        return quoted[2].replace(/\\(.)/g, '$1');
+    }
+    if (token === 'true') return true;
+    if (token === 'false') return false;
+    if (token === 'null') return null;
+    if (token !== '' && !Number.isNaN(Number(token))) return Number(token);
+    throw new TemplateError(`Invalid literal '${token}' (quote strings)`);
+}
+
+/**
+ * Parse an expression into a variable path and filter calls
+ * @param {string} expression - Text between the braces, e.g. "vars.a.b | default('x')"
+ * @returns {{path: string, filters: Array<{name: string, args: Array}>}}
+ * @throws {TemplateError} On syntax errors or unknown filters
+ */
+function parseExpression(expression) {
+    const [head, ...filterParts] = splitTopLevel(expression, '|');
+    const path = head.replace(/^vars\.?/, '');
+
+    try {
+        VariableScope.parsePath(path);
+    } catch (error) {
+        throw new TemplateError(`${error.message} in '{{ ${expression} }}'`);
+    }
+
+    const filters = filterParts.map(part => {
+        const call = part.match(/^([a-z_]+)\s*(?:\(([\s\S]*)\))?$/i);
+        if (!call) {
+            throw new TemplateError(`Invalid filter '${part}' in '{{ ${expression} }}'`);
+        }
+        const name = call[1];
+        if (!FILTERS[name]) {
+            throw new TemplateError(`Unknown filter '${name}' in '{{ ${expression} }}'. Available: ${Object.keys(FILTERS).join(', ')}`);
+        }
+        const args = call[2] !== undefined && call[2].trim() !== ''
+            ? splitTopLevel(call[2], ',').map(parseLiteral)
+            : [];
+        return { name, args };
+    });
+
+    return { path, filters };
+}
+
+/**
+ * Evaluate one expression
+ * @param {string} expression - Expression text
+ * @param {VariableScope} scope - Variables
+ * @returns {{value: *, missing: (string|null)}} Value, and the path if it was missing
+ */
+function evaluate(expression, scope) {
+    const { path, filters } = parseExpression(expression);
+    const lookup = scope.lookup(path);
+    let value = lookup.found ? lookup.value : undefined;
+
+    for (const filter of filters) {
+        if (value === undefined && filter.name !== 'default') continue;
+        value = FILTERS[filter.name](value, ...filter.args);
+    }
+
+    return { value, missing: value === undefined ? path : null };
+}
+
+/**
+ * Expressions in a string
+ * @param {string} text - Template string
+ * @returns {string[]} Expression texts (between the braces)
+ */
+function findExpressions(text) {
+    return Array.from(text.matchAll(PLACEHOLDER), match => match[1]);
+}
+
+/**
+ * Render a string
+ * @param {string} text - Template string
+ * @param {VariableScope} scope - Variables
+ * @param {string[]} missing - Collects missing variable paths
+ * @returns {*} Rendered string, or the raw value if the string is one expression
+ */
+function renderString(text, scope, missing) {
+    const matches = Array.from(text.matchAll(PLACEHOLDER));
+    if (matches.length === 0) return text;
+
+    // Whole value is one expression: keep its type
+    if (matches.length === 1 && matches[0][0] === text.trim()) {
+        const { value, missing: path } = evaluate(matches[0][1], scope);
+        if (path !== null) {
+            missing.push(path);
+            return text;
+        }
+        return value;
+    }
+
+    return text.replace(PLACEHOLDER, (placeholder, expression) => {
+        const { value, missing: path } = evaluate(expression, scope);
+        if (path !== null) {
+            missing.push(path);
+            return placeholder;
+        }
+        if (value === null) return 'null';
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+}
+
+/**
+ * Render strings, arrays and objects recursively
+ */
+function renderValue(target, scope, missing) {
+    if (typeof target === 'string') {
+        return renderString(target, scope, missing);
+    } else if (Array.isArray(target)) {
+        return target.map(item => renderValue(item, scope, missing));
+    } else if (typeof target === 'object' && target !== null) {
+        const rendered = {};
+        for (const key in target) {
+            rendered[key] = renderValue(target[key], scope, missing);
+        }
+        return rendered;
+    }
+    return target;
+}
+
+/**
+ * Render a template target
+ * Missing variables leave their placeholder in place with a warning, or - in
+ * strict mode - fail with every missing variable listed.
+ *
+ * @param {*} target - String, array or object
+ * @param {VariableScope|Object} variables - Scope (or plain object) to resolve against
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=false] - Throw MissingVariablesError on missing variables
+ * @returns {*} Rendered copy
+ * @throws {TemplateError} On invalid expressions
+ * @throws {MissingVariablesError} In strict mode, if any variable is missing
+ */
+function render(target, variables, options = {}) {
+    const scope = variables instanceof VariableScope ? variables : new VariableScope(variables);
+    const missing = [];
+    const rendered = renderValue(target, scope, missing);
+
+    if (missing.length > 0) {
+        const unique = Array.from(new Set(missing));
+        if (options.strict) {
+            throw new MissingVariablesError(unique);
+        }
+        for (const path of unique) {
+            logger.warn(`Variable not found: ${path}`);
+        }
+    }
+    return rendered;
+}
+
+module.exports = { render, parseExpression, findExpressions, FILTERS };
@@ -1,4 +1,5 @@
 const Tool = require('./Tool');
+const { DataHiveError, GateFailedError, ValidationError } = require('../errors');
 
 /**
  * Operators supported by ConditionalGateTool
@@ -49,11 +50,14 @@ class ConditionalGateTool extends Tool {
      * @param {boolean} [params.rule.caseSensitive=true] - Case sensitive comparison
      * @param {boolean} [params.rule.throwOnFailure=true] - Throw error or return false
      * @param {string} [params.rule.errorMessage] - Custom error message
+     * @param {string} [params.output] - Variable name to store the outcome (true/false)
+     * @param {boolean} [params.continue_on_fail=false] - Let the job continue after a failed
+     *   non-throwing gate, so later `if:` steps can branch on `output`
      * @param {Object} context - Execution context
      * @returns {Promise<{result: boolean, shouldContinue: boolean}>}
      */
     async execute(params, context) {
-        const { rule } = params;
+        const { rule, output, continue_on_fail: continueOnFail = false } = params;
         const {
             value,
             operator,
@@ -75,25 +79,42 @@ class ConditionalGateTool extends Tool {
                     `Condition failed: ${JSON.stringify(value)} ${operator} ${JSON.stringify(expected)}`;
 
                 if (throwOnFailure) {
-                    throw new Error(message);
+                    throw new GateFailedError(message, { value, operator, expected });
                 }
 
                 logger.warn(`[ConditionalGate] ${message}`);
-                return { result: false, shouldContinue: false };
+                return this.outcome(false, output, continueOnFail);
             }
 
             logger.info(`[ConditionalGate] Condition passed ✓`);
-            return { result: true, shouldContinue: true };
+            return this.outcome(true, output, continueOnFail);
 
         } catch (error) {
             logger.error(`[ConditionalGate] Evaluation error:`, error);
 
             if (throwOnFailure) {
-                throw error;
+                // Operator/type mismatches are parameter errors
+                throw error instanceof DataHiveError ? error : new ValidationError(error.message);
             }
 
-            return { result: false, shouldContinue: false };
+            return this.outcome(false, output, continueOnFail);
+        }
+    }
+
+    /**
+     * Build the tool result for a gate outcome
+     *
+     * @param {boolean} passed - Whether the condition passed
+     * @param {string} [output] - Variable name to store the outcome
+     * @param {boolean} [continueOnFail=false] - Continue even if the condition failed
+     * @returns {{result: boolean, shouldContinue: boolean, output: (Object|undefined)}}
+     */
+    outcome(passed, output, continueOnFail = false) {
+        const shouldContinue = passed || continueOnFail;
+        if (!output) {
+            return { result: passed, shouldContinue };
         }
+        return { result: passed, shouldContinue, output: { [output]: passed } };
     }
 
     /**
@@ -235,6 +256,23 @@ class ConditionalGateTool extends Tool {
         return {
             name: this.name,
             description: 'Validates data against conditions and controls flow execution',
+            parameters: {
+                rule: {
+                    type: 'object',
+                    required: true,
+                    description: 'Condition to test',
+                    properties: {
+                        value: { required: true, description: 'Value to test' },
+                        operator: { type: 'string', required: true, enum: Object.values(OPERATORS), description: 'Comparison operator' },
+                        expected: { required: false, description: 'Expected value (not needed for IS_EMPTY/IS_NOT_EMPTY)' },
+                        caseSensitive: { type: 'boolean', required: false, default: true, description: 'Case sensitive comparison' },
+                        throwOnFailure: { type: 'boolean', required: false, default: true, description: 'Throw or return false' },
+                        errorMessage: { type: 'string', required: false, description: 'Custom error message' }
+                    }
+                },
+                output: { type: 'string', required: false, description: 'Variable name for the outcome (true/false)' },
+                continue_on_fail: { type: 'boolean', required: false, default: false, description: 'Continue the job after a failed non-throwing gate' }
+            },
             operators: Object.values(OPERATORS),
             examples: [
                 {
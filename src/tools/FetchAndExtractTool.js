@@ -122,7 +122,25 @@ class FetchAndExtractTool extends Tool {
             description: 'Fetches HTML and extracts data using simple selectors',
             parameters: {
                 url: { type: 'string', required: true, description: 'URL to fetch' },
-                rules: { type: 'object', required: true, description: 'Extraction rules' },
+                rules: {
+                    type: 'object',
+                    required: true,
+                    description: 'Extraction rules',
+                    properties: {
+                        fields: {
+                            type: 'array',
+                            required: true,
+                            description: 'Fields to extract',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    field_name: { type: 'string', required: true, description: 'Result key' },
+                                    selector: { type: 'string', required: false, description: 'Tag name to match' }
+                                }
+                            }
+                        }
+                    }
+                },
                 headers: { type: 'object', required: false, description: 'HTTP headers' },
                 timeout: { type: 'number', required: false, default: 30000, description: 'Timeout in ms' },
                 output: { type: 'string', required: false, description: 'Variable name for result' }
@@ -1,5 +1,8 @@
 const Tool = require('./Tool');
 const axios = require('axios');
+const { ERROR_CATEGORIES } = require('./RetryPolicy');
+const { FixtureMissingError, NetworkError } = require('../errors');
+const { preview } = require('../resultLimits');
 
 /**
  * FetchTool - HTTP request tool
@@ -45,19 +48,30 @@ class FetchTool extends Tool {
         } = params;
 
         const logger = context.logger || console;
+        const fixtures = context.fixtures;
+        const request = { method, url, body };
 
-        logger.info(`[FetchTool] ${method} ${url}`);
+        logger.info(`[FetchTool] ${method} ${url}${fixtures && fixtures.replaying ? ' (replay)' : ''}`);
 
         try {
-            const response = await axios({
-                url,
-                method,
-                headers,
-                data: body,
-                timeout,
-                maxRedirects: followRedirects ? 5 : 0,
-                validateStatus: () => true // Don't throw on any status
-            });
+            let response;
+            if (fixtures && fixtures.replaying) {
+                response = fixtures.find(this.name, request);
+                if (!response) {
+                    throw new FixtureMissingError(this.name, request);
+                }
+            } else {
+                response = await axios({
+                    url,
+                    method,
+                    headers,
+                    data: body,
+                    timeout,
+                    signal: context.signal,
+                    maxRedirects: followRedirects ? 5 : 0,
+                    validateStatus: () => true // Don't throw on any status
+                });
+            }
 
             const result = {
                 status: response.status,
@@ -66,8 +80,12 @@ class FetchTool extends Tool {
                 data: response.data
             };
 
+            if (fixtures) {
+                await fixtures.record(this.name, request, result);
+            }
+
             logger.info(`[FetchTool] Response: ${response.status} ${response.statusText}`);
-            logger.debug(`[FetchTool] Data:`, JSON.stringify(result.data).substring(0, 200));
+            logger.debug(`[FetchTool] Data:`, preview(result.data));
 
             // Check for HTTP errors
             if (response.status >= 400) {
@@ -82,18 +100,28 @@ class FetchTool extends Tool {
             };
 
         } catch (error) {
+            // Cancelled by the job/step deadline - surface the deadline error as is
+            if (context.signal && context.signal.aborted) {
+                throw context.signal.reason || error;
+            }
+            if (error instanceof FixtureMissingError) {
+                throw error;
+            }
+
             logger.error(`[FetchTool] Request failed:`, error.message);
 
-            // Categorize error
-            if (error.code === 'ECONNABORTED') {
-                throw new Error(`Request timeout after ${timeout}ms`);
-            } else if (error.code === 'ENOTFOUND') {
-                throw new Error(`Host not found: ${url}`);
-            } else if (error.code === 'ECONNREFUSED') {
-                throw new Error(`Connection refused: ${url}`);
-            } else {
-                throw new Error(`Network error: ${error.message}`);
+            // Categorize error (the category drives `retry: { on: [...] }` and the error code)
+            const cause = error.code;
+            if (cause === 'ECONNABORTED' || cause === 'ETIMEDOUT') {
+                throw new NetworkError(`Request timeout after ${timeout}ms`, { category: ERROR_CATEGORIES.TIMEOUT, url, cause });
+            } else if (cause === 'ENOTFOUND' || cause === 'EAI_AGAIN') {
+                throw new NetworkError(`Host not found: ${url}`, { category: ERROR_CATEGORIES.DNS, url, cause });
+            } else if (cause === 'ECONNREFUSED') {
+                throw new NetworkError(`Connection refused: ${url}`, { category: ERROR_CATEGORIES.CONNECTION, url, cause });
+            } else if (cause === 'ECONNRESET' || cause === 'EPIPE') {
+                throw new NetworkError(`Connection reset: ${url}`, { category: ERROR_CATEGORIES.CONNECTION, url, cause });
             }
+            throw new NetworkError(`Network error: ${error.message}`, { category: ERROR_CATEGORIES.NETWORK, url, cause });
         }
     }
 
@@ -132,7 +160,8 @@ class FetchTool extends Tool {
                 url: { type: 'string', required: true, description: 'URL to fetch' },
                 method: { type: 'string', required: false, default: 'GET', description: 'HTTP method' },
                 headers: { type: 'object', required: false, description: 'HTTP headers' },
-                body: { type: 'object', required: false, description: 'Request body' },
+                body: { type: ['object', 'array', 'string'], required: false, description: 'Request body' },
+                followRedirects: { type: 'boolean', required: false, default: true, description: 'Follow redirects' },
                 timeout: { type: 'number', required: false, default: 30000, description: 'Timeout in ms' },
                 output: { type: 'string', required: false, description: 'Variable name for result' }
             },
@@ -1,4 +1,14 @@
 const Tool = require('./Tool');
+const { RetryPolicy, ERROR_CATEGORIES } = require('./RetryPolicy');
+const { NetworkError, NavigationError } = require('../errors');
+const { preview } = require('../resultLimits');
+
+// Replayed bodies are stored decoded
+const REPLAY_SKIPPED_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
+
+// Cooperative interception priority of replay: above the default (0) that
+// Scraper#createPage continues every request with
+const REPLAY_PRIORITY = 1;
 
 /**
  * OffscreenTool - Puppeteer-based web scraping tool
@@ -22,6 +32,10 @@ class OffscreenTool extends Tool {
         this.browser = browser;
     }
 
+    get usesBrowser() {
+        return true;
+    }
+
     /**
      * Set the browser instance
      * This is called by JobManager after browser initialization
@@ -30,6 +44,75 @@ class OffscreenTool extends Tool {
         this.browser = browser;
     }
 
+    /**
+     * Connect a page to a fixture bundle
+     * Recording stores every network response the page receives; replaying
+     * answers every request from the bundle and fails the ones never recorded,
+     * with a priority that wins over the page's own request handlers.
+     *
+     * @param {Page} page - Puppeteer page
+     * @param {FixtureBundle} fixtures - Bundle
+     * @param {Object} logger - Logger
+     * @returns {Promise<Function>} Resolves once pending recordings are written
+     */
+    async attachFixtures(page, fixtures, logger) {
+        const pending = [];
+
+        if (fixtures.replaying) {
+            await page.setRequestInterception(true);
+            const failed = error => logger.error(`[OffscreenTool] Failed to replay a request: ${error.message}`);
+            page.on('request', request => {
+                if (request.url().startsWith('data:')) {
+                    request.continue({}, REPLAY_PRIORITY).catch(failed);
+                    return;
+                }
+                const recorded = fixtures.find(this.name, {
+                    method: request.method(),
+                    url: request.url(),
+                    body: request.postData()
+                });
+                if (!recorded) {
+                    logger.warn(`[OffscreenTool] No recorded response for ${request.method()} ${request.url()}`);
+                    request.abort('internetdisconnected', REPLAY_PRIORITY).catch(failed);
+                    return;
+                }
+
+                const headers = { ...recorded.headers };
+                REPLAY_SKIPPED_HEADERS.forEach(name => delete headers[name]);
+                request.respond({
+                    status: recorded.status,
+                    headers,
+                    body: Buffer.from(recorded.body || '', 'base64')
+                }, REPLAY_PRIORITY).catch(failed);
+            });
+        } else {
+            page.on('response', response => {
+                const request = response.request();
+                if (response.url().startsWith('data:')) return;
+
+                pending.push((async () => {
+                    let body = '';
+                    try {
+                        body = (await response.buffer()).toString('base64');
+                    } catch (error) {
+                        // Redirects and evicted resources have no body
+                    }
+                    await fixtures.record(this.name, {
+                        method: request.method(),
+                        url: response.url(),
+                        body: request.postData()
+                    }, {
+                        status: response.status(),
+                        headers: response.headers(),
+                        body
+                    });
+                })());
+            });
+        }
+
+        return () => Promise.all(pending);
+    }
+
     /**
      * Execute web scraping
      * 
@@ -40,7 +123,7 @@ class OffscreenTool extends Tool {
      * @param {number} [params.timeout=60000] - Page load timeout
      * @param {string} [params.waitUntil='networkidle2'] - Wait condition
      * @param {string} [params.output] - Variable name to store result
-     * @param {Object} context
+     * @param {Object} context - Execution context (`context.fixtures` records or replays network traffic)
      * @returns {Promise<{result: Object, shouldContinue: boolean}>}
      */
     async execute(params, context) {
@@ -53,6 +136,7 @@ class OffscreenTool extends Tool {
         } = params;
 
         const logger = context.logger || console;
+        const fixtures = context.fixtures;
 
         if (!this.browser) {
             throw new Error('Browser not initialized. Call setBrowser() first.');
@@ -62,10 +146,26 @@ class OffscreenTool extends Tool {
 
         const page = await this.browser.newPage();
 
+        // Closing the page makes a pending goto/evaluate reject immediately
+        const closePage = () => page.close().catch(() => {});
+        if (context.signal) {
+            context.signal.addEventListener('abort', closePage, { once: true });
+        }
+
+        let recordingDone = null;
+
         try {
+            if (fixtures) {
+                recordingDone = await this.attachFixtures(page, fixtures, logger);
+            }
+
             // Navigate to URL
             logger.debug(`[OffscreenTool] Navigating to ${url}...`);
-            await page.goto(url, { waitUntil, timeout });
+            try {
+                await page.goto(url, { waitUntil, timeout });
+            } catch (error) {
+                throw OffscreenTool.navigationError(error, url, context.signal);
+            }
 
             // Extract data using rules
             const result = await page.evaluate((rules) => {
@@ -149,7 +249,7 @@ class OffscreenTool extends Tool {
             }, rules);
 
             logger.info(`[OffscreenTool] Extraction complete`);
-            logger.debug(`[OffscreenTool] Extracted data:`, JSON.stringify(result).substring(0, 200));
+            logger.debug(`[OffscreenTool] Extracted data:`, preview(result));
 
             return {
                 result,
@@ -158,13 +258,45 @@ class OffscreenTool extends Tool {
             };
 
         } catch (error) {
+            if (context.signal && context.signal.aborted) {
+                throw context.signal.reason || error;
+            }
             logger.error(`[OffscreenTool] Scraping failed:`, error.message);
             throw error;
         } finally {
-            await page.close();
+            if (context.signal) {
+                context.signal.removeEventListener('abort', closePage);
+            }
+            // Bodies can only be read while the page is open
+            if (recordingDone) {
+                await recordingDone();
+            }
+            if (!page.isClosed()) {
+                await page.close();
+            }
         }
     }
 
+    /**
+     * Classify a failed page.goto()
+     * @param {Error} error - Puppeteer error
+     * @param {string} url - Page URL
+     * @param {AbortSignal} [signal] - Job/step deadline signal
+     * @returns {Error} NetworkError for transport failures (net::ERR_*, timeouts),
+     *   NavigationError otherwise; the original error if the deadline expired
+     */
+    static navigationError(error, url, signal) {
+        if (signal && signal.aborted) {
+            return error;
+        }
+        const category = RetryPolicy.categorize(error);
+        if (category === ERROR_CATEGORIES.UNKNOWN) {
+            return new NavigationError(`Navigation to ${url} failed: ${error.message}`, url);
+        }
+        const cause = (error.message.match(/net::ERR_[A-Z_]+/) || [error.name])[0];
+        return new NetworkError(`Navigation to ${url} failed: ${error.message}`, { category, url, cause });
+    }
+
     /**
      * Validate parameters
      */
@@ -208,9 +340,27 @@ class OffscreenTool extends Tool {
             description: 'Scrapes web pages using Puppeteer and XPath selectors',
             parameters: {
                 url: { type: 'string', required: true, description: 'URL to scrape' },
-                rules: { type: 'object', required: false, description: 'Extraction rules with XPath' },
+                rules: {
+                    type: 'object',
+                    required: false,
+                    description: 'Extraction rules with XPath',
+                    properties: {
+                        fields: {
+                            type: 'array',
+                            required: false,
+                            description: 'Fields to extract',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    field_name: { type: 'string', required: true, description: 'Result key' },
+                                    xpath: { type: 'string', required: true, description: 'XPath selector' }
+                                }
+                            }
+                        }
+                    }
+                },
                 timeout: { type: 'number', required: false, default: 60000, description: 'Page load timeout' },
-                waitUntil: { type: 'string', required: false, default: 'networkidle2', description: 'Wait condition' },
+                waitUntil: { type: 'string', required: false, default: 'networkidle2', enum: ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'], description: 'Wait condition' },
                 output: { type: 'string', required: false, description: 'Variable name for result' }
             },
             examples: [
@@ -0,0 +1,131 @@
+/**
+ * Error categories a step can retry on
+ */
+const ERROR_CATEGORIES = {
+    TIMEOUT: 'timeout',         // Request or navigation timed out
+    CONNECTION: 'connection',   // Refused/reset connections
+    DNS: 'dns',                 // Host could not be resolved
+    NETWORK: 'network',         // Other transport errors
+    HTTP: 'http',               // Response status listed in `statuses`
+    UNKNOWN: 'unknown'          // Anything else (tool bugs, validation, ...)
+};
+
+const BACKOFF_TYPES = ['fixed', 'linear', 'exponential'];
+
+const DEFAULTS = {
+    attempts: 1,
+    backoff: 'exponential',
+    delay: 1000,
+    max_delay: 30000,
+    jitter: 0,
+    on: [ERROR_CATEGORIES.TIMEOUT, ERROR_CATEGORIES.CONNECTION, ERROR_CATEGORIES.NETWORK],
+    statuses: []
+};
+
+const CONNECTION_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH'];
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+const DNS_CODES = ['ENOTFOUND', 'EAI_AGAIN'];
+
+/**
+ * Retry Policy
+ * Built from a step's `retry:` block:
+ *
+ *   retry:
+ *     attempts: 3              # total attempts, including the first
+ *     backoff: exponential     # fixed | linear | exponential
+ *     delay: 1000              # base delay (ms)
+ *     max_delay: 30000         # delay cap (ms)
+ *     jitter: 0.2              # randomize each delay by ±20%
+ *     on: [timeout, connection, network]   # error categories, or "any"
+ *     statuses: [429, 502, 503]            # retry results with these HTTP statuses
+ */
+class RetryPolicy {
+    /**
+     * @param {Object|number} [config] - `retry:` block, or just the number of attempts
+     */
+    constructor(config = {}) {
+        if (typeof config === 'number') {
+            config = { attempts: config };
+        }
+        const options = { ...DEFAULTS, ...config };
+
+        this.attempts = Math.max(1, parseInt(options.attempts) || 1);
+        this.backoff = BACKOFF_TYPES.includes(options.backoff) ? options.backoff : DEFAULTS.backoff;
+        this.delay = Math.max(0, Number(options.delay) || 0);
+        this.maxDelay = Math.max(this.delay, Number(options.max_delay) || 0);
+        this.jitter = Math.min(1, Math.max(0, Number(options.jitter) || 0));
+        this.on = [].concat(options.on);
+        this.statuses = [].concat(options.statuses).map(Number);
+    }
+
+    /**
+     * Categorize an error thrown by a tool
+     * @param {Error} error - Tool error
+     * @returns {string} One of ERROR_CATEGORIES
+     */
+    static categorize(error) {
+        if (error.category) return error.category;
+
+        const code = error.code || '';
+        const message = error.message || '';
+
+        if (error.name === 'TimeoutError' || TIMEOUT_CODES.includes(code) || /timed? ?out/i.test(message)) {
+            return ERROR_CATEGORIES.TIMEOUT;
+        }
+        if (DNS_CODES.includes(code) || /ERR_NAME_NOT_RESOLVED/.test(message)) {
+            return ERROR_CATEGORIES.DNS;
+        }
+        if (CONNECTION_CODES.includes(code) || /ERR_CONNECTION_(REFUSED|RESET|CLOSED)/.test(message)) {
+            return ERROR_CATEGORIES.CONNECTION;
+        }
+        if (/net::ERR_|socket hang up/i.test(message)) {
+            return ERROR_CATEGORIES.NETWORK;
+        }
+        return ERROR_CATEGORIES.UNKNOWN;
+    }
+
+    /**
+     * Whether an error category should be retried
+     * `any` leaves out errors marked non-retryable (validation, failed gates, ...):
+     * the same step fails the same way again.
+     * @param {string} category - Error category
+     * @param {Error} [error] - The error itself
+     * @returns {boolean} True if retryable
+     */
+    shouldRetryCategory(category, error = null) {
+        if (this.on.includes(category)) return true;
+        return this.on.includes('any') && !(error && error.retryable === false);
+    }
+
+    /**
+     * Whether a successful tool result should be retried (HTTP status match)
+     * @param {Object} toolResult - Tool result
+     * @returns {boolean} True if the status is listed in `statuses`
+     */
+    shouldRetryResult(toolResult) {
+        const status = toolResult && toolResult.result && toolResult.result.status;
+        return this.statuses.length > 0 && this.statuses.includes(status);
+    }
+
+    /**
+     * Delay before the next attempt
+     * @param {number} attempt - Attempt that just failed (1-based)
+     * @returns {number} Delay in ms
+     */
+    getDelay(attempt) {
+        let delay = this.delay;
+        if (this.backoff === 'linear') {
+            delay = this.delay * attempt;
+        } else if (this.backoff === 'exponential') {
+            delay = this.delay * Math.pow(2, attempt - 1);
+        }
+        delay = Math.min(this.maxDelay, delay);
+
+        if (this.jitter > 0) {
+            delay += delay * this.jitter * (Math.random() * 2 - 1);
+        }
+        return Math.max(0, Math.round(delay));
+    }
+}
+
+module.exports = { RetryPolicy, ERROR_CATEGORIES };
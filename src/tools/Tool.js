@@ -22,6 +22,8 @@ class Tool {
      * @param {string} context.jobId - ID of the current job
      * @param {Object} context.variables - Available variables for substitution
      * @param {Object} context.logger - Logger instance
+     * @param {AbortSignal} [context.signal] - Aborted when the job or step deadline expires
+     * @param {FixtureBundle} [context.fixtures] - Records network responses, or replays them (see FixtureBundle)
      * @returns {Promise<{result: any, shouldContinue: boolean}>}
      */
     async execute(params, context) {
@@ -41,9 +43,25 @@ class Tool {
         return true;
     }
 
+    /**
+     * Whether the tool drives the shared browser
+     * Such tools always run in the main process, also when jobs are isolated
+     * in worker threads or processes (see JobSandbox).
+     *
+     * @returns {boolean}
+     */
+    get usesBrowser() {
+        return false;
+    }
+
     /**
      * Get tool metadata (name, description, etc.)
      * Override in subclasses for custom metadata
+     *
+     * `parameters` maps each step parameter to a spec used by RuleValidator:
+     *   { type, required, default, description, enum, properties, items }
+     * `type` is one of string/number/boolean/object/array (or a list of them),
+     * `properties` describes object members and `items` array elements.
      * 
      * @returns {Object} Tool metadata
      */
@@ -55,4 +73,10 @@ class Tool {
     }
 }
 
+/**
+ * Tool API version; plugins declare the version they were written against
+ * as `static apiVersion` (see PluginLoader)
+ */
+Tool.API_VERSION = 1;
+
 module.exports = Tool;
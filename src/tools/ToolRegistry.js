@@ -1,12 +1,42 @@
 const Tool = require('./Tool');
+const { RetryPolicy, ERROR_CATEGORIES } = require('./RetryPolicy');
+const { DataHiveError, ValidationError, ERROR_CODES } = require('../errors');
+
+/**
+ * Sleep that ends early (rejecting) when the signal aborts
+ * @param {number} ms - Delay
+ * @param {AbortSignal} [signal] - Job/step deadline signal
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            return reject(signal.reason);
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
 
 /**
  * Registry for managing and executing tools
  * Provides centralized tool management and execution
  */
 class ToolRegistry {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.quiet=false] - Don't log registrations (CLI commands)
+     */
+    constructor(options = {}) {
         this.tools = new Map();
+        this.quiet = options.quiet === true;
     }
 
     /**
@@ -25,7 +55,9 @@ class ToolRegistry {
         }
 
         this.tools.set(tool.name, tool);
-        console.log(`[ToolRegistry] Registered tool: ${tool.name}`);
+        if (!this.quiet) {
+            console.log(`[ToolRegistry] Registered tool: ${tool.name}`);
+        }
     }
 
     /**
@@ -39,19 +71,30 @@ class ToolRegistry {
         }
     }
 
+    /**
+     * Remove a tool from the registry
+     *
+     * @param {string} name - Tool name
+     * @returns {boolean} False if no such tool was registered
+     */
+    unregister(name) {
+        return this.tools.delete(name);
+    }
+
     /**
      * Get a tool by name
      * 
      * @param {string} name - Tool name
      * @returns {Tool} Tool instance
-     * @throws {Error} If tool not found
+     * @throws {ValidationError} If tool not found (code UNKNOWN_TOOL)
      */
     get(name) {
         const tool = this.tools.get(name);
         if (!tool) {
             const availableTools = Array.from(this.tools.keys()).join(', ');
-            throw new Error(
-                `Tool '${name}' not found. Available tools: ${availableTools || 'none'}`
+            throw new ValidationError(
+                `Tool '${name}' not found. Available tools: ${availableTools || 'none'}`,
+                { code: ERROR_CODES.UNKNOWN_TOOL }
             );
         }
         return tool;
@@ -85,24 +128,85 @@ class ToolRegistry {
         return Array.from(this.tools.values()).map(tool => tool.getMetadata());
     }
 
+    /**
+     * Get a tool and validate parameters for it
+     *
+     * @param {string} name - Tool name
+     * @param {Object} params - Tool parameters
+     * @returns {Tool} Tool instance
+     * @throws {ValidationError} If the tool is unknown or rejects the parameters
+     */
+    prepare(name, params) {
+        const tool = this.get(name);
+        try {
+            tool.validate(params);
+        } catch (error) {
+            throw error instanceof DataHiveError ? error : new ValidationError(error.message);
+        }
+        return tool;
+    }
+
     /**
      * Execute a tool by name
+     * If params contain a `retry:` block (see RetryPolicy), failed attempts are
+     * retried and the result carries `retry: { attempts, errors }`. When all
+     * attempts fail, the last error is thrown with the same `retry` property.
      * 
      * @param {string} name - Tool name
      * @param {Object} params - Tool parameters
      * @param {Object} context - Execution context
      * @returns {Promise<{result: any, shouldContinue: boolean}>}
      */
-    async execute(name, params, context) {
-        const tool = this.get(name);
+    async execute(name, params, context = {}) {
+        const tool = this.prepare(name, params);
 
-        // Validate params before execution
-        tool.validate(params);
+        if (!params || !params.retry) {
+            // Execute the tool
+            const result = await tool.execute(params, context);
 
-        // Execute the tool
-        const result = await tool.execute(params, context);
+            return result;
+        }
 
-        return result;
+        const policy = new RetryPolicy(params.retry);
+        const logger = context.logger || console;
+        const errors = [];
+
+        for (let attempt = 1; ; attempt++) {
+            let result;
+            try {
+                result = await tool.execute(params, context);
+            } catch (error) {
+                // Deadline expired - never retry
+                if (context.signal && context.signal.aborted) {
+                    throw error;
+                }
+
+                const category = RetryPolicy.categorize(error);
+                errors.push({ attempt, category, message: error.message });
+
+                if (attempt >= policy.attempts || !policy.shouldRetryCategory(category, error)) {
+                    error.retry = { attempts: attempt, errors };
+                    throw error;
+                }
+
+                const delay = policy.getDelay(attempt);
+                logger.warn(`[ToolRegistry] ${name} failed (${category}, attempt ${attempt}/${policy.attempts}): ${error.message}. Retrying in ${delay}ms`);
+                await wait(delay, context.signal);
+                continue;
+            }
+
+            if (policy.shouldRetryResult(result) && attempt < policy.attempts) {
+                const status = result.result.status;
+                errors.push({ attempt, category: ERROR_CATEGORIES.HTTP, status, message: `HTTP ${status}` });
+
+                const delay = policy.getDelay(attempt);
+                logger.warn(`[ToolRegistry] ${name} returned HTTP ${status} (attempt ${attempt}/${policy.attempts}). Retrying in ${delay}ms`);
+                await wait(delay, context.signal);
+                continue;
+            }
+
+            return { ...result, retry: { attempts: attempt, errors } };
+        }
     }
 
     /**
@@ -11,6 +11,21 @@ const { ConditionalGateTool, OPERATORS } = require('./ConditionalGateTool');
 const FetchTool = require('./FetchTool');
 const OffscreenTool = require('./OffscreenTool');
 const FetchAndExtractTool = require('./FetchAndExtractTool');
+const { RetryPolicy, ERROR_CATEGORIES } = require('./RetryPolicy');
+
+/**
+ * Built-in tools
+ * @param {Scraper|null} scraper - Browser for OffscreenTool (null when only metadata is needed)
+ * @returns {Tool[]} Tool instances
+ */
+function builtInTools(scraper) {
+    return [
+        new ConditionalGateTool(),
+        new FetchTool(),
+        new OffscreenTool(scraper),
+        new FetchAndExtractTool()
+    ];
+}
 
 module.exports = {
     Tool,
@@ -19,5 +34,8 @@ module.exports = {
     FetchTool,
     OffscreenTool,
     FetchAndExtractTool,
-    OPERATORS
+    RetryPolicy,
+    ERROR_CATEGORIES,
+    OPERATORS,
+    builtInTools
 };
@@ -0,0 +1,67 @@
+const Deadline = require('../src/Deadline');
+const { TimeoutError } = require('../src/errors');
+
+describe('Deadline', () => {
+    test('should resolve with the task result before expiry', async () => {
+        const deadline = new Deadline(1000);
+        await expect(deadline.run(async () => 'done')).resolves.toBe('done');
+        deadline.clear();
+    });
+
+    test('should reject with a TimeoutError and abort the signal on expiry', async () => {
+        const deadline = new Deadline(10, { scope: 'step' });
+        let signal;
+
+        const error = await deadline.run(s => {
+            signal = s;
+            return new Promise(() => {});
+        }).catch(e => e);
+
+        expect(error).toBeInstanceOf(TimeoutError);
+        expect(error.code).toBe('TIMEOUT');
+        expect(error.scope).toBe('step');
+        expect(error.timeout).toBe(10);
+        expect(signal.aborted).toBe(true);
+    });
+
+    test('should be cancelled when the parent expires', async () => {
+        const parent = new Deadline(10, { scope: 'job' });
+        const child = new Deadline(0, { scope: 'step', parent });
+
+        const error = await child.run(() => new Promise(() => {})).catch(e => e);
+
+        expect(error.scope).toBe('job');
+        expect(child.signal.aborted).toBe(true);
+    });
+
+    test('should reject immediately if the parent already expired', async () => {
+        const parent = new Deadline(1000);
+        parent.abort(new TimeoutError('expired'));
+        const child = new Deadline(1000, { parent });
+
+        await expect(child.run(async () => 'late')).rejects.toThrow('expired');
+        child.clear();
+    });
+
+    test('should count time spent before it was created', async () => {
+        const started = new Deadline(1000, { startedAt: Date.now() - 990 });
+        const expired = new Deadline(1000, { scope: 'job', startedAt: Date.now() - 1500 });
+
+        expect(started.remaining()).toBeLessThanOrEqual(10);
+        await expect(started.run(() => new Promise(() => {}))).rejects.toBeInstanceOf(TimeoutError);
+        expect(expired.signal.aborted).toBe(true);
+        await expect(expired.run(async () => 'late')).rejects.toThrow('Job timed out after 1000ms');
+    });
+
+    test('should report the smaller of own and parent remaining time', () => {
+        const parent = new Deadline(100);
+        const child = new Deadline(5000, { parent });
+        const unbounded = new Deadline();
+
+        expect(child.remaining()).toBeLessThanOrEqual(100);
+        expect(unbounded.remaining()).toBe(Infinity);
+
+        child.clear();
+        parent.clear();
+    });
+});
@@ -0,0 +1,282 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const DeviceHost = require('../src/DeviceHost');
+const Scraper = require('../src/Scraper');
+const ScraperContext = require('../src/ScraperContext');
+
+const createApiClient = device => ({
+    deviceId: device.deviceId,
+    jwt: device.jwt,
+    ping: jest.fn().mockResolvedValue(true),
+    getJob: jest.fn().mockResolvedValue({ job: null, retryAfter: null }),
+    getConfiguration: jest.fn().mockResolvedValue({}),
+    completeJob: jest.fn().mockResolvedValue({}),
+    reportError: jest.fn().mockResolvedValue({})
+});
+
+const waitFor = async (predicate) => {
+    while (!predicate()) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+};
+
+describe('DeviceHost', () => {
+    describe('Devices File', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'devices-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+            delete process.env.DATAHIVE_TEST_JWT;
+        });
+
+        test('should read devices from YAML, with JWTs from the environment', async () => {
+            process.env.DATAHIVE_TEST_JWT = 'jwt-b';
+            const file = path.join(dir, 'devices.yaml');
+            fs.writeFileSync(file, `
+devices:
+  - deviceId: worker-a
+    jwt: jwt-a
+  - deviceId: worker-b
+    jwtEnv: DATAHIVE_TEST_JWT
+    config:
+      maxConcurrentJobs: 2
+`);
+
+            expect(await DeviceHost.readDevices(file)).toEqual([
+                { deviceId: 'worker-a', jwt: 'jwt-a', config: {} },
+                { deviceId: 'worker-b', jwt: 'jwt-b', config: { maxConcurrentJobs: 2 } }
+            ]);
+        });
+
+        test('should accept a bare JSON list', async () => {
+            const file = path.join(dir, 'devices.json');
+            fs.writeFileSync(file, JSON.stringify([{ deviceId: 42, jwt: 'jwt' }]));
+
+            expect(await DeviceHost.readDevices(file)).toEqual([{ deviceId: '42', jwt: 'jwt', config: {} }]);
+        });
+
+        test('should name the file on parse errors', async () => {
+            const file = path.join(dir, 'devices.yaml');
+            fs.writeFileSync(file, 'devices: [');
+
+            await expect(DeviceHost.readDevices(file)).rejects.toThrow(file);
+        });
+
+        test.each([
+            [{}, 'expected a non-empty `devices` list'],
+            [{ devices: [] }, 'expected a non-empty `devices` list'],
+            [['worker-a'], 'devices[0] must be a mapping'],
+            [[{ jwt: 'jwt' }], 'devices[0]: missing deviceId'],
+            [[{ deviceId: 'a' }], 'devices[0] (a): missing jwt'],
+            [[{ deviceId: 'a', jwtEnv: 'DATAHIVE_TEST_JWT' }], 'missing jwt (DATAHIVE_TEST_JWT is not set)'],
+            [[{ deviceId: 'a', jwt: 'x' }, { deviceId: 'a', jwt: 'y' }], "devices[1]: duplicate deviceId 'a'"],
+            [[{ deviceId: 'a', jwt: 'x', config: [1] }], 'config must be a mapping']
+        ])('should reject invalid devices %j', (parsed, message) => {
+            expect(() => DeviceHost.normalizeDevices(parsed, 'devices.yaml')).toThrow(message);
+        });
+    });
+
+    describe('Hosting', () => {
+        let host;
+        let apiClients;
+
+        beforeEach(() => {
+            apiClients = {};
+            host = new DeviceHost([
+                { deviceId: 'worker-a', jwt: 'jwt-a', config: { jobInterval: 10 } },
+                { deviceId: 'worker-b', jwt: 'jwt-b', config: { jobInterval: 10, maxConcurrentJobs: 3 } }
+            ], {
+                createApiClient: device => (apiClients[device.deviceId] = createApiClient(device)),
+                jobManager: { spool: { enabled: false }, journal: { enabled: false } }
+            });
+        });
+
+        afterEach(async () => {
+            await host.stop();
+        });
+
+        test('should share the browser and metrics but keep config and polling per device', () => {
+            const a = host.workers.get('worker-a');
+            const b = host.workers.get('worker-b');
+
+            expect(host.deviceIds).toEqual(['worker-a', 'worker-b']);
+            expect(host.scraper).toBeInstanceOf(Scraper);
+            for (const jobManager of [a, b]) {
+                expect(jobManager.scraper).toBeInstanceOf(ScraperContext);
+                expect(jobManager.scraper.scraper).toBe(host.scraper);
+                expect(jobManager.performanceMonitor).toBe(host.performanceMonitor);
+            }
+            expect(a.scraper).not.toBe(b.scraper);
+            expect(a.apiClient).toBe(apiClients['worker-a']);
+            expect(a.configManager).not.toBe(b.configManager);
+            expect(a.polling).not.toBe(b.polling);
+            expect(a.configManager.get('maxConcurrentJobs')).toBe(1);
+            expect(b.configManager.get('maxConcurrentJobs')).toBe(3);
+        });
+
+        test('should keep per-device config over server configuration', async () => {
+            const b = host.workers.get('worker-b');
+            b.apiClient.getConfiguration.mockResolvedValue({ maxConcurrentJobs: 5, reloadAfterJobs: 7 });
+
+            await b.configManager.fetchConfiguration();
+
+            expect(b.configManager.get('maxConcurrentJobs')).toBe(3);
+            expect(b.configManager.get('reloadAfterJobs')).toBe(7);
+            b.configManager.reset();
+            expect(b.configManager.get('maxConcurrentJobs')).toBe(3);
+        });
+
+        test('should poll for every device and forward events with the device id', async () => {
+            const changes = [];
+            host.on('stateChanged', ({ deviceId, to }) => changes.push(`${deviceId}:${to}`));
+
+            await host.start();
+            await waitFor(() => apiClients['worker-a'].getJob.mock.calls.length > 1 &&
+                apiClients['worker-b'].getJob.mock.calls.length > 1);
+
+            expect(host.state).toBe('RUNNING');
+            expect(changes).toEqual(['worker-a:RUNNING', 'worker-b:RUNNING']);
+            expect(host.getStatus()).toMatchObject({
+                state: 'RUNNING',
+                browser: { running: false, openPages: 0 },
+                devices: {
+                    'worker-a': { state: 'RUNNING', deviceId: 'worker-a' },
+                    'worker-b': { state: 'RUNNING', deviceId: 'worker-b' }
+                }
+            });
+        });
+
+        test('should pause and resume every device', async () => {
+            await host.start();
+
+            expect(await host.pause()).toBe(true);
+            expect(host.state).toBe('PAUSED');
+            expect(await host.resume()).toBe(true);
+            expect(host.state).toBe('RUNNING');
+        });
+
+        test('should keep the devices that started when one fails', async () => {
+            host.workers.get('worker-b').resultSpool.start = jest.fn().mockRejectedValue(new Error('disk full'));
+
+            await host.start();
+
+            expect(host.workers.get('worker-a').state).toBe('RUNNING');
+            expect(host.workers.get('worker-b').state).toBe('ERROR');
+            expect(host.state).toBe('MIXED');
+        });
+
+        test('should fail to start when no device starts', async () => {
+            for (const jobManager of host.workers.values()) {
+                jobManager.resultSpool.start = jest.fn().mockRejectedValue(new Error('disk full'));
+            }
+
+            await expect(host.start()).rejects.toThrow('No device started (2 failed)');
+        });
+
+        test('should recycle the shared browser once for all devices when its RSS is too high', async () => {
+            host.workers.get('worker-b').configManager.set('recycleMaxBrowserRssMb', 500);
+            jest.spyOn(host.scraper, 'getBrowserRssMb').mockResolvedValue(800);
+            const closeBrowser = jest.spyOn(host.scraper, 'close');
+            const recycles = [];
+            host.on('recycle', event => recycles.push(event));
+            await host.start();
+
+            await Promise.all([host.checkBrowserRss(), host.checkBrowserRss()]);
+
+            expect(closeBrowser).toHaveBeenCalledTimes(1);
+            expect(recycles).toEqual([{ deviceId: null, mode: 'browser', reason: 'shared browser RSS 800MB exceeds 500MB' }]);
+            expect(host.state).toBe('RUNNING');
+            for (const jobManager of host.workers.values()) {
+                expect(await jobManager.scraper.getBrowserRssMb()).toBeNull();
+            }
+        });
+
+        test('should not check the shared browser RSS without a limit', async () => {
+            const getRss = jest.spyOn(host.scraper, 'getBrowserRssMb');
+
+            expect(await host.checkBrowserRss()).toBe(false);
+            expect(getRss).not.toHaveBeenCalled();
+        });
+
+        test('should close the shared browser once every device has stopped', async () => {
+            const closeBrowser = jest.spyOn(host.scraper, 'close');
+            const closeContexts = Array.from(host.workers.values(), jobManager => jest.spyOn(jobManager.scraper, 'close'));
+            await host.start();
+
+            await host.stop();
+
+            expect(host.state).toBe('STOPPED');
+            closeContexts.forEach(close => expect(close).toHaveBeenCalled());
+            expect(closeBrowser).toHaveBeenCalledTimes(1);
+        });
+    });
+});
+
+describe('ScraperContext', () => {
+    let browserContexts;
+    let scraper;
+
+    beforeEach(() => {
+        browserContexts = [];
+        const browser = {
+            createBrowserContext: jest.fn(async () => {
+                const context = {
+                    newPage: jest.fn(async () => new EventEmitter()),
+                    close: jest.fn().mockResolvedValue()
+                };
+                browserContexts.push(context);
+                return context;
+            })
+        };
+        scraper = {
+            browser,
+            init: jest.fn().mockResolvedValue(),
+            createPage: jest.fn(context => context.newPage()),
+            getBrowserRssMb: jest.fn().mockResolvedValue(512)
+        };
+    });
+
+    test('should open pages in its own browser context', async () => {
+        const context = new ScraperContext(scraper, 'worker-a');
+
+        const [first, second] = await Promise.all([context.newPage(), context.createPage()]);
+
+        expect(scraper.browser.createBrowserContext).toHaveBeenCalledTimes(1);
+        expect(scraper.createPage).toHaveBeenCalledWith(browserContexts[0]);
+        expect(context.openPages).toBe(2);
+        first.emit('close');
+        second.emit('close');
+        expect(context.openPages).toBe(0);
+        expect(context.getBrowserUptime()).toBeGreaterThanOrEqual(0);
+        // The shared browser's RSS is left to DeviceHost
+        expect(await context.getBrowserRssMb()).toBeNull();
+    });
+
+    test('should close only its context and reopen one on demand', async () => {
+        const context = new ScraperContext(scraper, 'worker-a');
+        await context.createPage();
+
+        await context.close();
+        expect(browserContexts[0].close).toHaveBeenCalled();
+        expect(context.getBrowserUptime()).toBeNull();
+
+        await context.createPage();
+        expect(scraper.browser.createBrowserContext).toHaveBeenCalledTimes(2);
+    });
+
+    test('should replace the context when the shared browser was relaunched', async () => {
+        const context = new ScraperContext(scraper, 'worker-a');
+        await context.createPage();
+
+        scraper.browser = { createBrowserContext: jest.fn().mockResolvedValue({ newPage: jest.fn(async () => new EventEmitter()) }) };
+        await context.createPage();
+
+        expect(scraper.browser.createBrowserContext).toHaveBeenCalledTimes(1);
+    });
+});
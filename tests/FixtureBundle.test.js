@@ -0,0 +1,237 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { EventEmitter } = require('events');
+const { CdpHTTPRequest } = require('puppeteer-core/lib/cjs/puppeteer/cdp/HTTPRequest.js');
+const { FixtureBundle, FIXTURE_MODES } = require('../src/FixtureBundle');
+const LocalApiClient = require('../src/LocalApiClient');
+const JobManager = require('../src/JobManager');
+const Scraper = require('../src/Scraper');
+const { OffscreenTool } = require('../src/tools');
+
+describe('FixtureBundle', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('Record and find', () => {
+        test('should serve responses in recorded order, repeating the last one', async () => {
+            const recorder = new FixtureBundle(dir);
+            await recorder.record('fetch', { method: 'get', url: 'https://example.com/a' }, { status: 500 });
+            await recorder.record('fetch', { method: 'GET', url: 'https://example.com/a' }, { status: 200 });
+
+            const bundle = await FixtureBundle.open(dir);
+            const request = { method: 'GET', url: 'https://example.com/a' };
+
+            expect(bundle.replaying).toBe(true);
+            expect(bundle.find('fetch', request).status).toBe(500);
+            expect(bundle.find('fetch', request).status).toBe(200);
+            expect(bundle.find('fetch', request).status).toBe(200);
+        });
+
+        test('should match on source, method, URL and request body', async () => {
+            const recorder = new FixtureBundle(dir);
+            await recorder.record('fetch', { method: 'POST', url: 'https://example.com/q', body: { page: 1 } }, { status: 201 });
+
+            const bundle = await FixtureBundle.open(dir);
+
+            expect(bundle.find('fetch', { method: 'POST', url: 'https://example.com/q', body: { page: 1 } }).status).toBe(201);
+            expect(bundle.find('fetch', { method: 'POST', url: 'https://example.com/q', body: { page: 2 } })).toBeNull();
+            expect(bundle.find('fetch', { method: 'GET', url: 'https://example.com/q' })).toBeNull();
+            expect(bundle.find('offscreen', { method: 'POST', url: 'https://example.com/q', body: { page: 1 } })).toBeNull();
+        });
+
+        test('should not record in replay mode', async () => {
+            const bundle = new FixtureBundle(dir, { mode: FIXTURE_MODES.REPLAY });
+            await bundle.record('fetch', { url: 'https://example.com' }, { status: 200 });
+
+            expect(fs.existsSync(path.join(dir, 'responses.jsonl'))).toBe(false);
+        });
+
+        test('should save the job and outcome', async () => {
+            const bundle = new FixtureBundle(dir);
+            await bundle.saveJob({ id: 'job-1', vars: { a: 1 } });
+            await bundle.saveOutcome({ status: 'completed', result: 'ok' });
+
+            expect(await bundle.loadJob()).toEqual({ id: 'job-1', vars: { a: 1 } });
+            expect(JSON.parse(fs.readFileSync(path.join(dir, 'outcome.json'), 'utf8'))).toMatchObject({
+                status: 'completed',
+                result: 'ok',
+                responses: 0
+            });
+        });
+    });
+
+    describe('Browser replay', () => {
+        let page;
+        let tool;
+        let logger;
+
+        // Emit a request the way a Puppeteer page does: every handler runs, then the
+        // highest-priority resolution is sent to the browser
+        const intercept = async url => {
+            const client = { send: jest.fn().mockResolvedValue({}) };
+            const request = new CdpHTTPRequest(client, null, 'interception-1', true, {
+                requestId: 'request-1',
+                request: { url, method: 'GET', headers: { 'sec-fetch-mode': 'navigate' } }
+            }, []);
+            page.emit('request', request);
+            await request.finalizeInterceptions();
+            return client.send.mock.calls.map(([method, params]) => ({ method, params }));
+        };
+
+        beforeEach(async () => {
+            const scraper = new Scraper();
+            scraper.init = jest.fn().mockResolvedValue();
+            scraper.browser = {
+                newPage: jest.fn(async () => Object.assign(new EventEmitter(), { setRequestInterception: jest.fn().mockResolvedValue() }))
+            };
+            page = await scraper.createPage();
+
+            const recorder = new FixtureBundle(dir);
+            await recorder.record('offscreen', { method: 'GET', url: 'https://example.com/' }, {
+                status: 200,
+                headers: { 'content-type': 'text/html', 'content-length': '99' },
+                body: Buffer.from('<h1>Recorded</h1>').toString('base64')
+            });
+            tool = new OffscreenTool(scraper);
+            logger = { warn: jest.fn(), error: jest.fn() };
+            await tool.attachFixtures(page, await FixtureBundle.open(dir), logger);
+        });
+
+        test('should answer page requests from the bundle instead of continuing them', async () => {
+            const calls = await intercept('https://example.com/');
+
+            expect(calls).toEqual([{
+                method: 'Fetch.fulfillRequest',
+                params: expect.objectContaining({
+                    requestId: 'interception-1',
+                    responseCode: 200,
+                    responseHeaders: [{ name: 'content-type', value: 'text/html' }, { name: 'content-length', value: '17' }],
+                    body: Buffer.from('<h1>Recorded</h1>').toString('base64')
+                })
+            }]);
+            expect(logger.error).not.toHaveBeenCalled();
+        });
+
+        test('should abort page requests that were not recorded', async () => {
+            const calls = await intercept('https://example.com/tracker.js');
+
+            expect(calls).toEqual([{
+                method: 'Fetch.failRequest',
+                params: { requestId: 'interception-1', errorReason: 'InternetDisconnected' }
+            }]);
+            expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('No recorded response for GET https://example.com/tracker.js'));
+        });
+    });
+
+    describe('Jobs', () => {
+        let server;
+        let baseUrl;
+        let hits;
+
+        const rules = () => `
+steps:
+  - use: fetch
+    url: ${baseUrl}/items
+    output: api
+  - use: conditional-gate
+    rule: { value: "{{ vars.api.data.count }}", operator: EQUALS, expected: 2 }
+    throwOnFailure: false
+  - use: fetch
+    url: ${baseUrl}/items
+`;
+
+        const createJobManager = (options = {}) => {
+            const apiClient = new LocalApiClient({ deviceId: 'fixtures-test' });
+            const jobManager = new JobManager(apiClient, {
+                spool: { enabled: false },
+                journal: { enabled: false },
+                tools: { quiet: true },
+                ...options
+            });
+            jobManager.dataDir = dir;
+            return { apiClient, jobManager };
+        };
+
+        beforeEach(async () => {
+            hits = 0;
+            server = http.createServer((req, res) => {
+                hits++;
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify({ count: 2, hit: hits }));
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        afterEach(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        test('should replay a recorded job without network access', async () => {
+            const bundleDir = path.join(dir, 'bundle');
+            const job = { id: 'job-1', ruleCollection: { yamlRules: rules() } };
+
+            const recording = createJobManager({ fixtures: new FixtureBundle(bundleDir) });
+            await recording.jobManager.processJob(job);
+            const recorded = recording.apiClient.getOutcome('job-1');
+            expect(recorded.result[2]).toMatchObject({ status: 200, data: { count: 2, hit: 2 } });
+            expect(hits).toBe(2);
+
+            const replay = createJobManager({ fixtures: await FixtureBundle.open(bundleDir) });
+            await replay.jobManager.processJob(await replay.jobManager.fixtures.loadJob());
+
+            expect(hits).toBe(2);
+            expect(replay.apiClient.getOutcome('job-1').result).toEqual(JSON.parse(JSON.stringify(recorded.result)));
+            expect(JSON.parse(fs.readFileSync(path.join(bundleDir, 'outcome.json'), 'utf8'))).toMatchObject({
+                status: 'completed',
+                responses: 2
+            });
+        });
+
+        test('should record the job as changed by beforeJob hooks', async () => {
+            const bundleDir = path.join(dir, 'bundle');
+            const { jobManager } = createJobManager({ fixtures: new FixtureBundle(bundleDir) });
+            jobManager.addHook('beforeJob', job => ({ ...job, vars: { ...job.vars, region: 'eu' } }));
+
+            await jobManager.processJob({ id: 'job-1', vars: { page: 1 }, ruleCollection: { yamlRules: rules() } });
+
+            expect((await FixtureBundle.open(bundleDir).then(bundle => bundle.loadJob())).vars).toEqual({ page: 1, region: 'eu' });
+        });
+
+        test('should fail with FIXTURE_MISSING for requests that were not recorded', async () => {
+            const { apiClient, jobManager } = createJobManager({
+                fixtures: new FixtureBundle(path.join(dir, 'empty'), { mode: FIXTURE_MODES.REPLAY })
+            });
+
+            await jobManager.processJob({ id: 'job-2', ruleCollection: { yamlRules: rules() } });
+
+            expect(hits).toBe(0);
+            expect(apiClient.getOutcome('job-2')).toMatchObject({
+                status: 'failed',
+                error: 'FIXTURE_MISSING',
+                details: { request: { method: 'GET', url: `${baseUrl}/items` } }
+            });
+        });
+
+        test('should keep bundles of failed jobs only when recordFixtures is "failed"', async () => {
+            const { jobManager } = createJobManager();
+            jobManager.configManager.config.recordFixtures = 'failed';
+
+            await jobManager.processJob({ id: 'ok', ruleCollection: { yamlRules: rules() } });
+            await jobManager.processJob({ id: 'broken', ruleCollection: { yamlRules: `${rules()}  - use: fetch\n    url: http://127.0.0.1:1/\n` } });
+
+            expect(fs.readdirSync(path.join(dir, 'fixtures'))).toEqual(['broken']);
+            expect(JSON.parse(fs.readFileSync(path.join(dir, 'fixtures', 'broken', 'job.json'), 'utf8')).id).toBe('broken');
+            expect(JSON.parse(fs.readFileSync(path.join(dir, 'fixtures', 'broken', 'outcome.json'), 'utf8')).status).toBe('failed');
+        });
+    });
+});
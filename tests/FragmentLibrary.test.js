@@ -0,0 +1,127 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FragmentLibrary = require('../src/FragmentLibrary');
+const { FragmentError } = require('../src/errors');
+
+describe('FragmentLibrary', () => {
+    let dir;
+    let library;
+
+    const write = (name, text) => {
+        const file = path.join(dir, `${name}.yaml`);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, text);
+    };
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fragments-'));
+        library = new FragmentLibrary({ dir });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('Expansion', () => {
+        test('should attach fragment steps and defaults to include steps', async () => {
+            const steps = await library.expand([
+                { use: 'fetch', url: 'https://example.com' },
+                { include: 'paginate', args: { url: 'https://example.com' }, output: 'pages' }
+            ], {
+                paginate: { params: { url: null, pages: 3 }, steps: [{ use: 'fetch', url: '{{ vars.url }}' }] }
+            });
+
+            expect(steps[0]).toEqual({ use: 'fetch', url: 'https://example.com' });
+            expect(steps[1]).toEqual({
+                include: 'paginate',
+                args: { url: 'https://example.com' },
+                output: 'pages',
+                fragment: {
+                    name: 'paginate',
+                    defaults: { url: null, pages: 3 },
+                    steps: [{ use: 'fetch', url: '{{ vars.url }}' }]
+                }
+            });
+        });
+
+        test('should expand includes in nested step lists and inside fragments', async () => {
+            const steps = await library.expand([
+                { if: true, then: [{ call: 'outer' }] }
+            ], {
+                outer: { steps: [{ include: 'inner' }] },
+                inner: { steps: [{ use: 'echo' }] }
+            });
+
+            const outer = steps[0].then[0].fragment;
+            expect(outer.name).toBe('outer');
+            expect(outer.steps[0].fragment).toEqual({ name: 'inner', defaults: {}, steps: [{ use: 'echo' }] });
+        });
+
+        test('should load fragments from the library directory', async () => {
+            write('auth/login-check', 'params: [selector]\nsteps:\n  - use: conditional-gate\n    rule: { value: "{{ vars.selector }}", operator: IS_NOT_EMPTY }\n');
+
+            const steps = await library.expand([{ include: 'auth/login-check', args: { selector: '#user' } }]);
+
+            expect(steps[0].fragment.steps[0].use).toBe('conditional-gate');
+        });
+
+        test('should prefer payload fragments over the library', async () => {
+            write('shared', 'steps:\n  - use: from-library\n');
+
+            const steps = await library.expand([{ include: 'shared' }], { shared: { steps: [{ use: 'from-payload' }] } });
+
+            expect(steps[0].fragment.steps[0].use).toBe('from-payload');
+        });
+
+        test('should not read outside the library directory', async () => {
+            fs.writeFileSync(path.join(path.dirname(dir), 'outside.yaml'), 'steps: []\n');
+
+            await expect(library.expand([{ include: `../${path.basename(dir)}/../outside` }]))
+                .rejects.toThrow('Unknown fragment');
+        });
+    });
+
+    describe('Errors', () => {
+        const expandError = (steps, definitions) => library.expand(steps, definitions).catch(error => error);
+
+        test('should report unknown fragments with the include chain', async () => {
+            const error = await expandError([{ include: 'a' }], {
+                a: { steps: [{ include: 'b' }] },
+                b: { steps: [{ include: 'missing' }] }
+            });
+
+            expect(error).toBeInstanceOf(FragmentError);
+            expect(error.code).toBe('INVALID_FRAGMENT');
+            expect(error.chain).toEqual(['a', 'b', 'missing']);
+            expect(error.message).toBe("Unknown fragment 'missing' (include chain: a > b > missing)");
+        });
+
+        test('should stop recursive includes', async () => {
+            const error = await expandError([{ include: 'a' }], {
+                a: { steps: [{ if: true, then: [{ call: 'b' }] }] },
+                b: { steps: [{ include: 'a' }] }
+            });
+
+            expect(error.message).toBe("Recursive include of fragment 'a' (include chain: a > b > a)");
+        });
+
+        test('should check arguments against params', async () => {
+            const definitions = { login: { params: ['selector'], steps: [] } };
+
+            expect((await expandError([{ include: 'login' }], definitions)).message)
+                .toBe("Missing argument(s) for fragment 'login': selector (include chain: login)");
+            expect((await expandError([{ include: 'login', args: { selector: 'a', slector: 'b' } }], definitions)).message)
+                .toBe("Unknown argument(s) for fragment 'login': slector (params: selector) (include chain: login)");
+        });
+
+        test('should reject malformed fragments', async () => {
+            write('broken', 'use: fetch\n');
+
+            expect((await expandError([{ include: 'broken' }])).message)
+                .toBe("Fragment 'broken' must be a mapping with a `steps` list (include chain: broken)");
+            expect((await expandError([{ include: 'dup' }], { dup: { steps: [{ id: 'x', use: 'a' }, { id: 'x', use: 'b' }] } })).message)
+                .toMatch(/^Fragment 'dup': Duplicate step id 'x'/);
+        });
+    });
+});
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JobJournal = require('../src/JobJournal');
+
+describe('JobJournal', () => {
+    let dir;
+    let file;
+    let apiClient;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+        file = path.join(dir, 'journal.jsonl');
+        apiClient = { reportError: jest.fn().mockResolvedValue({}) };
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should find jobs that were never reported', async () => {
+        const journal = new JobJournal({ file });
+        await journal.jobReceived('job-1');
+        await journal.stepStarted('job-1', 0, 'fetch');
+        await journal.stepCompleted('job-1', 0, 'fetch');
+        await journal.stepStarted('job-1', 1, 'offscreen');
+        await journal.jobReceived('job-2');
+        await journal.jobReported('job-2', 'completed');
+
+        const unfinished = await new JobJournal({ file }).findUnfinished();
+
+        expect(unfinished).toHaveLength(1);
+        expect(unfinished[0]).toMatchObject({
+            jobId: 'job-1',
+            lastCompletedStep: { index: 0, use: 'fetch' },
+            currentStep: { index: 1, use: 'offscreen' }
+        });
+    });
+
+    test('should record nothing when disabled', async () => {
+        const journal = new JobJournal({ file, enabled: false });
+        await journal.jobReceived('job-1');
+        await journal.stepStarted('job-1', 0, 'fetch');
+
+        expect(fs.existsSync(file)).toBe(false);
+        expect(journal.open.size).toBe(0);
+    });
+
+    test('should report interrupted jobs as WORKER_RESTARTED', async () => {
+        const crashed = new JobJournal({ file });
+        await crashed.jobReceived('job-1');
+        await crashed.stepStarted('job-1', 0, 'fetch');
+        await crashed.stepCompleted('job-1', 0, 'fetch');
+
+        const restarted = new JobJournal({ file });
+        const count = await restarted.recover(apiClient);
+
+        expect(count).toBe(1);
+        expect(apiClient.reportError).toHaveBeenCalledWith('job-1', expect.objectContaining({
+            code: 'WORKER_RESTARTED',
+            retryable: true,
+            stepIndex: null,
+            details: expect.objectContaining({
+                lastCompletedStep: { index: 0, use: 'fetch' },
+                interruptedStep: null
+            })
+        }));
+        expect(await restarted.findUnfinished()).toEqual([]);
+    });
+
+    test('should keep jobs whose recovery report failed', async () => {
+        const crashed = new JobJournal({ file });
+        await crashed.jobReceived('job-1');
+
+        apiClient.reportError.mockRejectedValue(new Error('offline'));
+        const restarted = new JobJournal({ file });
+        expect(await restarted.recover(apiClient)).toBe(0);
+
+        const unfinished = await new JobJournal({ file }).findUnfinished();
+        expect(unfinished.map(job => job.jobId)).toEqual(['job-1']);
+    });
+
+    test('should drop stale jobs without reporting them', async () => {
+        const crashed = new JobJournal({ file });
+        await crashed.jobReceived('job-1');
+
+        const restarted = new JobJournal({ file, maxAge: 1 });
+        await new Promise(resolve => setTimeout(resolve, 5));
+
+        expect(await restarted.recover(apiClient)).toBe(0);
+        expect(apiClient.reportError).not.toHaveBeenCalled();
+        expect(await restarted.findUnfinished()).toEqual([]);
+    });
+
+    test('should compact the file once no jobs are open', async () => {
+        const journal = new JobJournal({ file });
+        await journal.jobReceived('job-1');
+        await journal.jobReported('job-1', 'completed');
+
+        expect(fs.readFileSync(file, 'utf8')).toBe('');
+    });
+});
@@ -0,0 +1,959 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JobManager = require('../src/JobManager');
+const Tool = require('../src/tools/Tool');
+const { ResultTooLargeError } = require('../src/errors');
+
+// Tool that echoes its params back and stores them under `output`
+class EchoTool extends Tool {
+    constructor() {
+        super('echo');
+        this.calls = [];
+    }
+
+    async execute(params) {
+        this.calls.push(params);
+        return {
+            result: params.value,
+            shouldContinue: true,
+            output: params.output ? { [params.output]: params.value } : undefined
+        };
+    }
+}
+
+const createApiClient = () => ({
+    deviceId: 'test-device',
+    ping: jest.fn().mockResolvedValue(true),
+    getJob: jest.fn().mockResolvedValue({ job: null, retryAfter: null }),
+    getConfiguration: jest.fn().mockResolvedValue({}),
+    completeJob: jest.fn().mockResolvedValue({}),
+    reportError: jest.fn().mockResolvedValue({})
+});
+
+// Error report passed to reportError (see errors.errorReport)
+const report = (code, fields = {}) => expect.objectContaining({ code, ...fields });
+
+const createJob = (yamlRules, extra = {}) => ({
+    id: 'job-1',
+    ruleCollection: { yamlRules },
+    ...extra
+});
+
+describe('JobManager', () => {
+    let apiClient;
+    let jobManager;
+    let echo;
+    let dataDir;
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobmanager-'));
+        apiClient = createApiClient();
+        jobManager = new JobManager(apiClient, {
+            spool: { dir: path.join(dataDir, 'spool') },
+            journal: { file: path.join(dataDir, 'journal.jsonl') }
+        });
+        echo = new EchoTool();
+        jobManager.toolRegistry.register(echo);
+    });
+
+    afterEach(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    describe('Variable Scope', () => {
+        test('should expose step outputs to later steps', async () => {
+            await jobManager.processJob(createJob(`
+steps:
+  - use: echo
+    value:
+      data:
+        items:
+          - url: https://example.com/detail
+    output: api_response
+  - use: echo
+    value: "{{ vars.api_response.data.items[0].url }}"
+`));
+
+            expect(echo.calls[1].value).toBe('https://example.com/detail');
+            expect(apiClient.completeJob).toHaveBeenCalledWith('job-1', expect.objectContaining({
+                1: 'https://example.com/detail'
+            }), expect.any(Object));
+        });
+
+        test('should fail with MISSING_VARIABLES in strict mode', async () => {
+            await jobManager.processJob(createJob(`
+strict: true
+steps:
+  - use: echo
+    value: "{{ vars.url }}?q={{ vars.query }}"
+`));
+
+            expect(echo.calls).toHaveLength(0);
+            expect(apiClient.reportError).toHaveBeenCalledWith('job-1', report('MISSING_VARIABLES', {
+                retryable: false,
+                stepIndex: 0,
+                tool: 'echo',
+                details: { missing: ['url', 'query'] }
+            }), expect.any(Object));
+        });
+
+        test('should use the configured strict mode', async () => {
+            jobManager.configManager.set('strictTemplates', true);
+
+            await jobManager.processJob(createJob(`
+steps:
+  - use: echo
+    value: "{{ vars.missing }}"
+`));
+
+            expect(apiClient.reportError).toHaveBeenCalledWith('job-1', report('MISSING_VARIABLES'), expect.anything());
+        });
+
+        test('should pick the final result from a named output', async () => {
+            await jobManager.processJob(createJob(`
+result: first
+steps:
+  - use: echo
+    value: one
+    output: first
+  - use: echo
+    value: two
+`));
+
+            expect(apiClient.completeJob).toHaveBeenCalledWith('job-1', 'one', expect.any(Object));
+        });
+
+        test('should resolve job variables', async () => {
+            await jobManager.processJob(createJob(`
+steps:
+  - use: echo
+    value: "id={{ vars.user.id }}"
+`, { vars: { user: { id: 7 } } }));
+
+            expect(echo.calls[0].value).toBe('id=7');
+        });
+    });
+
+    describe('Result Composition', () => {
+        test('should send every step result by step id with a step summary', async () => {
+            await jobManager.processJob(createJob(`
+steps:
+  - id: api
+    use: echo
+    value: { total: 3 }
+  - use: echo
+    value: page
+`));
+
+            expect(apiClient.completeJob).toHaveBeenCalledWith('job-1', { api: { total: 3 }, 1: 'page' }, {
+                steps: [
+                    { step: 0, id: 'api', kind: 'echo', status: 'ok', duration: expect.any(Number) },
+                    { step: 1, kind: 'echo', status: 'ok', duration: expect.any(Number) }
+                ]
+            });
+        });
+
+        test('should assemble the result from a template', async () => {
+            await jobManager.processJob(createJob(`
+result:
+  title: "{{ vars.page.title }}"
+  total: "{{ vars.api.total }}"
+  source: "{{ vars.source }}"
+steps:
+  - use: echo
+    value: { total: 3 }
+    output: api
+  - use: echo
+    value: { title: Widget }
+    output: page
+`, { vars: { source: 'shop' } }));
+
+            expect(apiClient.completeJob).toHaveBeenCalledWith('job-1', { title: 'Widget', total: 3, source: 'shop' }, expect.any(Object));
+        });
+
+        test('should fail on missing result variables in strict mode', async () => {
+            await jobManager.processJob(createJob(`
+strict: true
+result: "{{ vars.page }}"
+steps:
+  - use: echo
+    value: x
+`));
+
+            expect(apiClient.completeJob).not.toHaveBeenCalled();
+            expect(apiClient.reportError).toHaveBeenCalledWith('job-1', report('MISSING_VARIABLES', {
+                details: { missing: ['page'] }
+            }), expect.any(Object));
+        });
+
+        test('should report the step summary when the job fails', async () => {
+            await jobManager.processJob(createJob(`
+steps:
+  - use: echo
+    value: first
+  - use: echo
+    value: "{{ vars.x | int }}"
+  - use: echo
+    value: third
+`, { vars: { x: 'abc' } }));
+
+            expect(apiClient.reportError).toHaveBeenCalledWith('job-1', report('TEMPLATE_ERROR', { stepIndex: 1 }), expect.objectContaining({
+                steps: [
+                    expect.objectContaining({ step: 0, status: 'ok' }),
+                    expect.objectContaining({ step: 1, status: 'failed', error: expect.stringContaining("Filter 'int'") }),
+                    { step: 2, kind: 'echo', status: 'skipped' }
+                ]
+            }));
+        });
+    });
+
+    describe('Fragments', () => {
+        test('should run included fragments with their arguments in a child scope', async () => {
+            await jobManager.processJob(createJob(`
+fragments:
+  greet:
+    params: { name: null, greeting: Hello }
+    steps:
+      - use: echo
+        value: "{{ vars.greeting }} {{ vars.name }} from {{ vars.site }}"
+        output: message
+result:
+  first: "{{ vars.first }}"
+  second: "{{ vars.second }}"
+  leaked: "{{ vars.message | default('no') }}"
+steps:
+  - include: greet
+    args: { name: "{{ vars.user }}" }
+    output: first
+  - call: greet
+    args: { name: Bob, greeting: Hi }
+    output: second
+`, { vars: { user: 'Ann', site: 'shop' } }));
+
+            expect(apiClient.completeJob).toHaveBeenCalledWith('job-1', {
+                first: 'Hello Ann from shop',
+                second: 'Hi Bob from shop',
+                leaked: 'no'
+            }, expect.any(Object));
+        });
+
+        test('should use fragments from the job payload and the library directory', async () => {
+            const libraryDir = path.join(dataDir, 'fragments');
+            fs.mkdirSync(libraryDir);
+            fs.writeFileSync(path.join(libraryDir, 'tail.yaml'), 'steps:\n  - use: echo\n    value: from library\n');
+            jobManager.fragmentLibrary.dir = libraryDir;
+
+            await jobManager.processJob(createJob(`
+steps:
+  - include: head
+    id: head
+  - include: tail
+    id: tail
+`, { fragments: { head: { steps: [{ use: 'echo', value: 'from payload' }] } } }));
+
+            expect(echo.calls.map(call => call.value)).toEqual(['from payload', 'from library']);
+            expect(apiClient.completeJob).toHaveBeenCalledWith('job-1', { head: 'from payload', tail: 'from library' }, expect.any(Object));
+        });
+
+        test('should fail with INVALID_FRAGMENT and the include chain before any step runs', async () => {
+            await jobManager.processJob(createJob(`
+fragments:
+  outer:
+    steps:
+      - include: inner
+  inner:
+    steps:
+      - include: outer
+steps:
+  - use: echo
+    value: first
+  - include: outer
+`));
+
+            expect(echo.calls).toHaveLength(0);
+            expect(apiClient.reportError).toHaveBeenCalledWith('job-1', report('INVALID_FRAGMENT', {
+                message: "Recursive include of fragment 'outer' (include chain: outer > inner > outer)",
+                details: { chain: ['outer', 'inner', 'outer'] }
+            }), {});
+        });
+    });
+
+    describe('Result Delivery', () => {
+        test('should spool the result instead of failing the job when upload fails', async () => {
+            apiClient.completeJob.mockRejectedValue(new Error('HTTP 502: {}'));
+
+            await jobManager.processJob(createJob(`
+steps:
+  - use: echo
+    value: scraped
+`));
+
+            expect(apiClient.reportError).not.toHaveBeenCalled();
+            expect(jobManager.resultSpool.list()).toHaveLength(1);
+        });
+
+        test('should truncate long fields and list them in the metadata', async () => {
+            jobManager.configManager.set('resultFieldMaxLength', 10);
+
+            await jobManager.processJob(createJob(`
+steps:
+  - use: echo
+    value: "{{ vars.html }}"
+`, { vars: { html: '<html>'.repeat(10) } }));
+
+            expect(apiClient.completeJob).toHaveBeenCalledWith('job-1', { 0: '<html><htm...[truncated 50 chars]' }, expect.objectContaining({
+                truncation: expect.objectContaining({ count: 1, fields: [{ path: 'result.0', length: 60 }] })
+            }));
+        });
+
+        test('should fail oversized results with RESULT_TOO_LARGE', async () => {
+            jobManager.configManager.set('resultMaxBytes', 100);
+            jobManager.configManager.set('resultTruncation', 'fail');
+
+            await jobManager.processJob(createJob(`
+steps:
+  - use: echo
+    value: "{{ vars.html }}"
+`, { vars: { html: '<html>'.repeat(100) } }));
+
+            expect(apiClient.completeJob).not.toHaveBeenCalled();
+            expect(apiClient.reportError).toHaveBeenCalledWith('job-1', report('RESULT_TOO_LARGE', {
+                retryable: false,
+                details: { bytes: 608, maxBytes: 100, source: 'worker' }
+            }), expect.any(Object));
+        });
+
+        test('should report spooled results the API rejects as too large', async () => {
+            const tooLarge = new ResultTooLargeError('API rejected the result of job job-1 as too large (20 bytes)', { bytes: 20, source: 'api' });
+            apiClient.completeJob.mockRejectedValue(tooLarge);
+
+            await jobManager.processJob(createJob(`
+steps:
+  - use: echo
+    value: scraped
+`));
+
+            expect(apiClient.reportError).toHaveBeenCalledWith('job-1', report('RESULT_TOO_LARGE', {
+                details: { bytes: 20, source: 'api' }
+            }), expect.any(Object));
+            expect(jobManager.resultSpool.list()).toHaveLength(0);
+        });
+    });
+
+    describe('Output Schema', () => {
+        const rules = `
+steps:
+  - use: echo
+    value: { title: null, items: [] }
+    output: page
+result: page
+output_schema:
+  type: object
+  required: [title]
+  properties:
+    items: { type: array, minItems: 1 }
+`;
+
+        test('should fail results that do not match with SCHEMA_MISMATCH', async () => {
+            await jobManager.processJob(createJob(rules));
+
+            expect(apiClient.completeJob).not.toHaveBeenCalled();
+            expect(apiClient.reportError).toHaveBeenCalledWith('job-1', report('SCHEMA_MISMATCH', {
+                message: 'Result does not match output_schema: result.title is required; result.items expected at least 1 item(s), got 0',
+                retryable: false,
+                details: {
+                    count: 2,
+                    violations: [
+                        { path: 'result.title', message: 'is required' },
+                        { path: 'result.items', message: 'expected at least 1 item(s), got 0' }
+                    ]
+                }
+            }), expect.any(Object));
+        });
+
+        test('should attach violations as warnings in warn mode', async () => {
+            jobManager.configManager.set('outputSchemaMode', 'warn');
+
+            await jobManager.processJob(createJob(rules));
+
+            expect(apiClient.reportError).not.toHaveBeenCalled();
+            expect(apiClient.completeJob).toHaveBeenCalledWith('job-1', { title: null, items: [] }, expect.objectContaining({
+                schemaWarnings: { count: 2, violations: expect.any(Array) }
+            }));
+        });
+    });
+
+    describe('Job Journal', () => {
+        test('should close the journal entry once the job is reported', async () => {
+            await jobManager.processJob(createJob(`
+steps:
+  - use: echo
+    value: done
+`));
+
+            expect(await jobManager.journal.findUnfinished()).toEqual([]);
+        });
+
+        test('should close the journal entry when the job fails', async () => {
+            echo.execute = jest.fn().mockRejectedValue(new Error('boom'));
+
+            await jobManager.processJob(createJob(`
+steps:
+  - use: echo
+`));
+
+            expect(apiClient.reportError).toHaveBeenCalledWith('job-1', report('PROCESSING_FAILED'), expect.any(Object));
+            expect(await jobManager.journal.findUnfinished()).toEqual([]);
+        });
+    });
+
+    describe('Validation', () => {
+        test('should fail with INVALID_RULES before any step runs', async () => {
+            await jobManager.processJob(createJob(`
+steps:
+  - use: echo
+    value: first
+  - use: fecth
+    url: https://example.com
+`));
+
+            expect(echo.calls).toHaveLength(0);
+            expect(apiClient.reportError).toHaveBeenCalledWith('job-1', report('INVALID_RULES', {
+                details: {
+                    errors: [expect.objectContaining({
+                        message: "Unknown tool 'fecth' (did you mean 'fetch'?)",
+                        line: 5,
+                        column: 5,
+                        step: { index: 1, use: 'fecth' }
+                    })]
+                }
+            }), {});
+        });
+
+        test('should run rules that only have warnings', async () => {
+            await jobManager.processJob(createJob(`
+steps:
+  - use: echo
+    value: "{{ vars.later }}"
+  - use: echo
+    value: two
+    output: later
+`));
+
+            expect(echo.calls).toHaveLength(2);
+            expect(apiClient.reportError).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Retry', () => {
+        test('should record retried attempts in the completeJob metadata', async () => {
+            let calls = 0;
+            echo.execute = jest.fn(async params => {
+                if (++calls === 1) {
+                    throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+                }
+                return { result: params.value, shouldContinue: true };
+            });
+
+            await jobManager.processJob(createJob(`
+steps:
+  - use: echo
+    value: done
+    retry:
+      attempts: 2
+      delay: 1
+`));
+
+            expect(apiClient.completeJob).toHaveBeenCalledWith('job-1', { 0: 'done' }, expect.objectContaining({
+                retries: [{
+                    step: 0,
+                    use: 'echo',
+                    attempts: 2,
+                    errors: [{ attempt: 1, category: 'connection', message: 'socket hang up' }]
+                }]
+            }));
+        });
+
+        test('should report attempts when retries are exhausted', async () => {
+            echo.execute = jest.fn().mockRejectedValue(Object.assign(new Error('refused'), { code: 'ECONNREFUSED' }));
+
+            await jobManager.processJob(createJob(`
+steps:
+  - use: echo
+    retry: { attempts: 2, delay: 1 }
+`));
+
+            expect(echo.execute).toHaveBeenCalledTimes(2);
+            expect(apiClient.reportError).toHaveBeenCalledWith('job-1', report('CONNECTION_ERROR', {
+                message: 'refused',
+                retryable: true
+            }), expect.objectContaining({
+                retries: [expect.objectContaining({ step: 0, attempts: 2 })]
+            }));
+        });
+    });
+
+    describe('Deadlines', () => {
+        // Tool that never finishes unless cancelled
+        class HangTool extends Tool {
+            constructor() {
+                super('hang');
+                this.signals = [];
+            }
+
+            execute(params, context) {
+                this.signals.push(context.signal);
+                return new Promise(() => {});
+            }
+        }
+
+        let hang;
+
+        beforeEach(() => {
+            hang = new HangTool();
+            jobManager.toolRegistry.register(hang);
+        });
+
+        test('should report TIMEOUT with the step that hung when a step timeout expires', async () => {
+            await jobManager.processJob(createJob(`
+steps:
+  - use: echo
+    value: first
+  - use: hang
+    timeout: 20
+`));
+
+            expect(apiClient.completeJob).not.toHaveBeenCalled();
+            expect(apiClient.reportError).toHaveBeenCalledWith('job-1', report('TIMEOUT', {
+                retryable: true,
+                stepIndex: 1,
+                tool: 'hang',
+                details: { scope: 'step', timeout: 20 }
+            }), expect.any(Object));
+            expect(hang.signals[0].aborted).toBe(true);
+        });
+
+        test('should apply the job timeout from the job payload', async () => {
+            await jobManager.processJob(createJob(`
+steps:
+  - use: hang
+`, { timeout: 20 }));
+
+            expect(apiClient.reportError).toHaveBeenCalledWith('job-1', report('TIMEOUT', {
+                stepIndex: 0,
+                tool: 'hang',
+                details: { scope: 'job', timeout: 20 }
+            }), expect.any(Object));
+        });
+
+        test('should count the time spent before the steps run against the job timeout', async () => {
+            const expand = jobManager.fragmentLibrary.expand.bind(jobManager.fragmentLibrary);
+            jobManager.fragmentLibrary.expand = async (...args) => {
+                await new Promise(resolve => setTimeout(resolve, 50));
+                return expand(...args);
+            };
+
+            await jobManager.processJob(createJob(`
+steps:
+  - use: echo
+    value: late
+`, { timeout: 30 }));
+
+            expect(apiClient.completeJob).not.toHaveBeenCalled();
+            expect(apiClient.reportError).toHaveBeenCalledWith('job-1', report('TIMEOUT', {
+                details: { scope: 'job', timeout: 30 }
+            }), expect.any(Object));
+        });
+
+        test('should let YAML override the configured job timeout', async () => {
+            jobManager.configManager.set('timeout', 60000);
+
+            await jobManager.processJob(createJob(`
+timeout: 20
+steps:
+  - use: hang
+`));
+
+            expect(apiClient.reportError).toHaveBeenCalledWith('job-1', report('TIMEOUT', {
+                details: expect.objectContaining({ timeout: 20 })
+            }), expect.any(Object));
+        });
+
+        test('should pass the job signal to tools', async () => {
+            const signals = [];
+            echo.execute = jest.fn(async (params, context) => {
+                signals.push(context.signal);
+                return { result: 'ok', shouldContinue: true };
+            });
+
+            await jobManager.processJob(createJob(`
+steps:
+  - use: echo
+`));
+
+            expect(signals[0]).toBeInstanceOf(AbortSignal);
+            expect(signals[0].aborted).toBe(false);
+            expect(apiClient.completeJob).toHaveBeenCalledWith('job-1', { 0: 'ok' }, expect.any(Object));
+        });
+    });
+
+    describe('Events & Hooks', () => {
+        const record = (events) => {
+            const seen = [];
+            for (const event of events) {
+                jobManager.on(event, payload => seen.push([event, payload]));
+            }
+            return seen;
+        };
+
+        test('should emit job and step events', async () => {
+            const seen = record(['jobReceived', 'stepStarted', 'stepCompleted', 'jobCompleted', 'jobFailed']);
+
+            await jobManager.processJob(createJob(`
+steps:
+  - use: echo
+    value: hello
+`));
+
+            expect(seen.map(([event]) => event)).toEqual(['jobReceived', 'stepStarted', 'stepCompleted', 'jobCompleted']);
+            expect(seen[0][1]).toEqual({ jobId: 'job-1', job: expect.objectContaining({ id: 'job-1' }), receivedAt: expect.any(String) });
+            expect(seen[1][1]).toEqual({ jobId: 'job-1', stepIndex: 0, tool: 'echo' });
+            expect(seen[2][1]).toEqual({ jobId: 'job-1', stepIndex: 0, tool: 'echo', status: 'ok', duration: expect.any(Number), result: 'hello' });
+            expect(seen[3][1]).toEqual({
+                jobId: 'job-1',
+                result: { 0: 'hello' },
+                metadata: expect.objectContaining({ steps: [expect.objectContaining({ status: 'ok' })] }),
+                delivered: true,
+                duration: expect.any(Number)
+            });
+        });
+
+        test('should emit jobFailed with the error report', async () => {
+            echo.execute = jest.fn().mockRejectedValue(new Error('boom'));
+            const seen = record(['stepCompleted', 'jobFailed']);
+
+            await jobManager.processJob(createJob(`
+steps:
+  - use: echo
+`));
+
+            expect(seen).toEqual([
+                ['stepCompleted', expect.objectContaining({ status: 'failed', error: 'boom' })],
+                ['jobFailed', {
+                    jobId: 'job-1',
+                    error: expect.objectContaining({ code: 'PROCESSING_FAILED', message: 'boom', stepIndex: 0, tool: 'echo' }),
+                    metadata: expect.any(Object),
+                    duration: expect.any(Number)
+                }]
+            ]);
+        });
+
+        test('should not let listener errors affect the job', async () => {
+            jobManager.on('stepStarted', () => { throw new Error('listener bug'); });
+
+            await jobManager.processJob(createJob(`
+steps:
+  - use: echo
+    value: ok
+`));
+
+            expect(apiClient.completeJob).toHaveBeenCalledWith('job-1', { 0: 'ok' }, expect.any(Object));
+        });
+
+        test('should emit configChanged for server and local changes', async () => {
+            const seen = record(['configChanged']);
+            apiClient.getConfiguration.mockResolvedValue({ job_execution_delay: 10, maxConcurrentJobs: 1 });
+
+            await jobManager.configManager.fetchConfiguration();
+            jobManager.configManager.set('timeout', 500);
+
+            expect(seen.map(([, payload]) => payload)).toEqual([
+                { changes: { jobInterval: { from: expect.any(Number), to: 15000 } }, source: 'server' },
+                { changes: { timeout: { from: expect.any(Number), to: 500 } }, source: 'local' }
+            ]);
+        });
+
+        test('should let beforeJob hooks modify the job', async () => {
+            jobManager.addHook('beforeJob', job => ({ ...job, id: 'other', vars: { value: 'patched' } }));
+            jobManager.addHook('beforeJob', async job => {
+                expect(job.vars.value).toBe('patched');
+            });
+
+            await jobManager.processJob(createJob(`
+steps:
+  - use: echo
+    value: "{{ vars.value }}"
+`));
+
+            expect(apiClient.completeJob).toHaveBeenCalledWith('job-1', { 0: 'patched' }, expect.any(Object));
+        });
+
+        test('should report vetoed jobs as JOB_VETOED', async () => {
+            const { JobVetoedError } = require('../src/errors');
+            const hook = jest.fn().mockReturnValueOnce(false).mockRejectedValueOnce(new JobVetoedError('Blocked domain'));
+            jobManager = new JobManager(apiClient, {
+                spool: { dir: path.join(dataDir, 'spool') },
+                journal: { file: path.join(dataDir, 'journal.jsonl') },
+                hooks: { beforeJob: hook }
+            });
+            jobManager.toolRegistry.register(echo);
+
+            await jobManager.processJob(createJob('steps:\n  - use: echo\n'));
+            await jobManager.processJob(createJob('steps:\n  - use: echo\n'));
+
+            expect(echo.calls).toEqual([]);
+            expect(apiClient.reportError).toHaveBeenNthCalledWith(1, 'job-1', report('JOB_VETOED', {
+                message: 'Job job-1 vetoed by a beforeJob hook',
+                retryable: true
+            }), {});
+            expect(apiClient.reportError).toHaveBeenNthCalledWith(2, 'job-1', report('JOB_VETOED', { message: 'Blocked domain' }), {});
+        });
+
+        test('should reject unknown hooks', () => {
+            expect(() => jobManager.addHook('afterJob', () => {})).toThrow("Unknown hook 'afterJob'. Available hooks: beforeJob");
+        });
+    });
+
+    describe('Isolation', () => {
+        beforeEach(() => {
+            jobManager.configManager.set('jobIsolation', 'thread');
+        });
+
+        test('should run the steps in a worker thread and call back runtime tools', async () => {
+            const steps = [];
+            jobManager.on('stepCompleted', event => steps.push(`${event.tool}:${event.status}`));
+
+            await jobManager.processJob(createJob(`
+steps:
+  - use: echo
+    value: "{{ vars.name }}"
+    output: name
+  - use: conditional-gate
+    rule:
+      value: "{{ vars.name }}"
+      operator: EQUALS
+      expected: datahive
+result: "hello {{ vars.name }}"
+`, { vars: { name: 'datahive' } }));
+
+            expect(echo.calls).toEqual([expect.objectContaining({ value: 'datahive' })]);
+            expect(steps).toEqual(['echo:ok', 'conditional-gate:ok']);
+            expect(apiClient.completeJob).toHaveBeenCalledWith('job-1', 'hello datahive', expect.objectContaining({
+                steps: [expect.objectContaining({ status: 'ok' }), expect.objectContaining({ status: 'ok' })]
+            }));
+            expect(jobManager.getStatus().isolation).toEqual({ mode: 'thread', activeWorkers: 0 });
+        });
+
+        test('should report errors raised in the worker with their code and step', async () => {
+            await jobManager.processJob(createJob(`
+steps:
+  - use: conditional-gate
+    rule:
+      value: 1
+      operator: EQUALS
+      expected: 2
+`));
+
+            expect(apiClient.reportError).toHaveBeenCalledWith('job-1', report('GATE_FAILED', {
+                stepIndex: 0,
+                tool: 'conditional-gate'
+            }), expect.objectContaining({
+                steps: [expect.objectContaining({ status: 'failed' })]
+            }));
+        });
+
+        test('should check and size-limit the result in the worker', async () => {
+            jobManager.configManager.set('resultFieldMaxLength', 5);
+            jobManager.configManager.set('outputSchemaMode', 'warn');
+
+            await jobManager.processJob(createJob(`
+steps:
+  - use: echo
+    value: { title: "a long title" }
+    output: page
+result: page
+output_schema:
+  type: object
+  required: [price]
+`));
+
+            expect(apiClient.completeJob).toHaveBeenCalledWith('job-1', { title: 'a lon...[truncated 7 chars]' }, expect.objectContaining({
+                schemaWarnings: { count: 1, violations: [{ path: 'result.price', message: 'is required' }] },
+                truncation: expect.objectContaining({ count: 1, fields: [{ path: 'result.title', length: 12 }] })
+            }));
+        });
+
+        test('should fail schema mismatches raised in the worker', async () => {
+            await jobManager.processJob(createJob(`
+steps:
+  - use: echo
+    value: { title: null }
+    output: page
+result: page
+output_schema: { type: object, required: [title] }
+`));
+
+            expect(apiClient.reportError).toHaveBeenCalledWith('job-1', report('SCHEMA_MISMATCH', {
+                details: { count: 1, violations: [{ path: 'result.title', message: 'is required' }] }
+            }), expect.any(Object));
+        });
+    });
+
+    describe('Lifecycle', () => {
+        let release;
+
+        // Job that stays in flight until release() is called
+        const blockUntilReleased = () => {
+            jobManager.processJob = jest.fn(() => new Promise(resolve => { release = resolve; }));
+            apiClient.getJob.mockResolvedValueOnce({ job: { id: 'job-1' }, retryAfter: null });
+        };
+
+        const waitFor = async (predicate) => {
+            while (!predicate()) {
+                await new Promise(resolve => setTimeout(resolve, 5));
+            }
+        };
+
+        beforeEach(() => {
+            jobManager.configManager.set('jobInterval', 10);
+        });
+
+        afterEach(async () => {
+            if (release) release();
+            await jobManager.stop();
+        });
+
+        test('should emit state changes', async () => {
+            const changes = [];
+            jobManager.on('stateChanged', change => changes.push(`${change.from}->${change.to}`));
+
+            await jobManager.start();
+            await jobManager.pause();
+            jobManager.resume();
+            await jobManager.stop();
+
+            expect(changes).toEqual([
+                'IDLE->RUNNING',
+                'RUNNING->PAUSED',
+                'PAUSED->RUNNING',
+                'RUNNING->DRAINING',
+                'DRAINING->STOPPED'
+            ]);
+        });
+
+        test('should stop polling while paused', async () => {
+            await jobManager.start();
+            await jobManager.pause();
+            const polls = apiClient.getJob.mock.calls.length;
+
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            expect(apiClient.getJob.mock.calls.length).toBe(polls);
+            expect(jobManager.getStatus().state).toBe('PAUSED');
+        });
+
+        test('should finish the in-flight job before pause resolves', async () => {
+            blockUntilReleased();
+            await jobManager.start();
+            await waitFor(() => jobManager.scheduler.activeCount === 1);
+
+            let paused = false;
+            const pausing = jobManager.pause().then(() => { paused = true; });
+            await new Promise(resolve => setTimeout(resolve, 20));
+            expect(paused).toBe(false);
+
+            release();
+            await pausing;
+            expect(jobManager.scheduler.activeCount).toBe(0);
+        });
+
+        test('should drain in-flight jobs before stopping', async () => {
+            blockUntilReleased();
+            const closeBrowser = jest.spyOn(jobManager.scraper, 'close');
+            await jobManager.start();
+            await waitFor(() => jobManager.scheduler.activeCount === 1);
+
+            const draining = jobManager.drain();
+            await new Promise(resolve => setTimeout(resolve, 20));
+            expect(jobManager.state).toBe('DRAINING');
+            expect(closeBrowser).not.toHaveBeenCalled();
+
+            release();
+            await draining;
+            expect(jobManager.state).toBe('STOPPED');
+            expect(closeBrowser).toHaveBeenCalled();
+        });
+
+        test('should recycle the browser after reloadAfterJobs jobs', async () => {
+            jobManager.configManager.set('reloadAfterJobs', 1);
+            jobManager.processJob = jest.fn().mockResolvedValue();
+            apiClient.getJob.mockResolvedValueOnce({ job: { id: 'job-1' }, retryAfter: null });
+            const closeBrowser = jest.spyOn(jobManager.scraper, 'close');
+
+            await jobManager.start();
+            await waitFor(() => jobManager.recyclePolicy.recycleCount === 1);
+
+            expect(closeBrowser).toHaveBeenCalled();
+            expect(jobManager.getStatus()).toMatchObject({ jobsProcessed: 1, state: 'RUNNING' });
+        });
+
+        test('should keep polling when the browser RSS stays high after a recycle', async () => {
+            jobManager.configManager.set('recycleMaxBrowserRssMb', 500);
+            jest.spyOn(jobManager.scraper, 'getBrowserRssMb').mockResolvedValue(800);
+            const closeBrowser = jest.spyOn(jobManager.scraper, 'close');
+
+            await jobManager.start();
+            await waitFor(() => apiClient.getJob.mock.calls.length >= 3);
+
+            // One recycle per poll interval, not a tight recycle loop
+            expect(jobManager.recyclePolicy.recycleCount).toBeLessThanOrEqual(apiClient.getJob.mock.calls.length);
+            expect(closeBrowser.mock.calls.length).toBeLessThanOrEqual(apiClient.getJob.mock.calls.length);
+        });
+
+        test('should drain and request an exit in exit recycle mode', async () => {
+            jobManager.configManager.set('reloadAfterJobs', 1);
+            jobManager.configManager.set('recycleMode', 'exit');
+            jobManager.processJob = jest.fn().mockResolvedValue();
+            apiClient.getJob.mockResolvedValueOnce({ job: { id: 'job-1' }, retryAfter: null });
+
+            const exitRequested = new Promise(resolve => jobManager.once('exitRequested', resolve));
+            await jobManager.start();
+
+            expect(await exitRequested).toEqual({ reason: expect.stringContaining('processed 1 jobs') });
+            expect(jobManager.state).toBe('STOPPED');
+        });
+
+        test('should back off while rate limited and report it in the status', async () => {
+            const rateLimited = Object.assign(new Error('HTTP 429: {}'), { status: 429, retryAfter: 60000 });
+            apiClient.getJob.mockRejectedValueOnce(rateLimited);
+
+            await jobManager.start();
+            await waitFor(() => jobManager.polling.lastOutcome !== null);
+
+            expect(jobManager.getStatus().polling).toMatchObject({
+                lastOutcome: 'rate_limited',
+                consecutiveFailures: 1,
+                retryAfter: 60000,
+                nextDelay: expect.any(Number)
+            });
+            expect(jobManager.getStatus().polling.nextDelay).toBeGreaterThanOrEqual(60000);
+            expect(apiClient.getJob).toHaveBeenCalledTimes(1);
+        });
+
+        test('should wait as long as the poll response asks', async () => {
+            apiClient.getJob.mockResolvedValueOnce({ job: null, retryAfter: 60000 });
+
+            await jobManager.start();
+            await waitFor(() => jobManager.polling.lastOutcome !== null);
+
+            expect(jobManager.getStatus().polling).toMatchObject({ lastOutcome: 'empty', retryAfter: 60000 });
+            expect(jobManager.getStatus().polling.nextDelay).toBeGreaterThanOrEqual(60000);
+        });
+
+        test('should reject invalid transitions', () => {
+            expect(jobManager.resume()).toBe(false);
+            expect(() => jobManager.setState('PAUSED')).toThrow('Invalid state transition: IDLE -> PAUSED');
+        });
+    });
+});
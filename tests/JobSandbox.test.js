@@ -0,0 +1,170 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JobSandbox, ISOLATION_MODES } = require('../src/JobSandbox');
+const Deadline = require('../src/Deadline');
+const { errorReport } = require('../src/errors');
+
+const task = (steps, extra = {}) => ({
+    job: { id: 'job-1' },
+    parsedRules: { steps },
+    variables: { name: 'world' },
+    strict: false,
+    timeout: 0,
+    tools: [
+        { name: 'conditional-gate', className: 'ConditionalGateTool', usesBrowser: false },
+        { name: 'echo', className: 'EchoTool', usesBrowser: false }
+    ],
+    plugins: { dir: null, packages: [], disabled: [] },
+    ...extra
+});
+
+// Tool that only exists in the main process
+const callTool = jest.fn(async (name, params) => ({
+    result: params.value,
+    shouldContinue: true,
+    output: params.output ? { [params.output]: params.value } : undefined
+}));
+
+describe('JobSandbox', () => {
+    let sandbox;
+
+    beforeEach(() => {
+        sandbox = new JobSandbox({ killGrace: 100 });
+        callTool.mockClear();
+    });
+
+    afterEach(() => {
+        sandbox.killAll();
+    });
+
+    test('should recognize isolated modes', () => {
+        expect(JobSandbox.isIsolated(ISOLATION_MODES.THREAD)).toBe(true);
+        expect(JobSandbox.isIsolated(ISOLATION_MODES.PROCESS)).toBe(true);
+        expect(JobSandbox.isIsolated(ISOLATION_MODES.NONE)).toBe(false);
+        expect(JobSandbox.isIsolated(undefined)).toBe(false);
+    });
+
+    test('should run steps in a worker thread and call back main-process tools', async () => {
+        const events = [];
+        const journal = { stepStarted: jest.fn(), stepCompleted: jest.fn() };
+        const summary = {};
+
+        const result = await sandbox.run(task([
+            { use: 'echo', value: 'hello {{ vars.name }}', output: 'greeting' },
+            { use: 'conditional-gate', rule: { value: '{{ vars.greeting }}', operator: 'CONTAINS', expected: 'world' } },
+            { return: 'greeting' }
+        ]), {
+            mode: ISOLATION_MODES.THREAD,
+            callTool,
+            journal,
+            summary,
+            notify: (event, payload) => events.push(`${event}:${payload.tool}`)
+        });
+
+        expect(result).toBe('hello world');
+        expect(callTool).toHaveBeenCalledWith('echo', expect.objectContaining({ value: 'hello world' }), expect.objectContaining({
+            variables: { name: 'world' },
+            signal: expect.any(AbortSignal)
+        }));
+        expect(events).toEqual([
+            'stepStarted:echo', 'stepCompleted:echo',
+            'stepStarted:conditional-gate', 'stepCompleted:conditional-gate'
+        ]);
+        expect(journal.stepCompleted).toHaveBeenCalledWith('job-1', 1, 'conditional-gate');
+        expect(summary.steps.map(step => step.status)).toEqual(['ok', 'ok', 'ok']);
+        expect(sandbox.activeCount).toBe(0);
+    });
+
+    test('should run steps in a child process', async () => {
+        const result = await sandbox.run(task([
+            { use: 'echo', value: '{{ vars.name }}', output: 'name' },
+            { return: 'name' }
+        ]), { mode: ISOLATION_MODES.PROCESS, callTool });
+
+        expect(result).toBe('world');
+    });
+
+    test('should keep the error class of a failed job', async () => {
+        const summary = {};
+        const error = await sandbox.run(task([
+            { use: 'conditional-gate', rule: { value: 1, operator: 'EQUALS', expected: 2 } }
+        ]), { mode: ISOLATION_MODES.THREAD, callTool, summary }).catch(e => e);
+
+        expect(errorReport(error)).toMatchObject({ code: 'GATE_FAILED', stepIndex: 0, tool: 'conditional-gate' });
+        expect(summary.steps[0].status).toBe('failed');
+    });
+
+    test('should pass errors of main-process tools back to the job', async () => {
+        callTool.mockRejectedValueOnce(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+
+        const error = await sandbox.run(task([{ use: 'echo', value: 1 }]), {
+            mode: ISOLATION_MODES.THREAD,
+            callTool
+        }).catch(e => e);
+
+        expect(errorReport(error)).toMatchObject({ code: 'CONNECTION_ERROR', retryable: true, tool: 'echo' });
+    });
+
+    test('should kill a worker stuck past the deadline while the main loop keeps running', async () => {
+        const deadline = new Deadline(300, { scope: 'job' });
+        let ticks = 0;
+        const ticker = setInterval(() => ticks++, 20);
+
+        // Catastrophic backtracking: never yields to the worker's event loop
+        const error = await sandbox.run(task([
+            { use: 'conditional-gate', rule: { value: `${'a'.repeat(40)}!`, operator: 'MATCHES_PATTERN', expected: '^(a+)+$' } }
+        ], { timeout: 300 }), { mode: ISOLATION_MODES.THREAD, callTool, deadline }).catch(e => e);
+        clearInterval(ticker);
+        deadline.clear();
+
+        expect(errorReport(error)).toMatchObject({ code: 'TIMEOUT', stepIndex: 0, tool: 'conditional-gate' });
+        expect(error.message).toContain('isolated job killed');
+        expect(ticks).toBeGreaterThan(5);
+        expect(sandbox.activeCount).toBe(0);
+    });
+
+    test('should fail with MEMORY_LIMIT when the worker exceeds its heap limit', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sandbox-plugins-'));
+        fs.writeFileSync(path.join(dir, 'hog.js'), `
+module.exports = ({ Tool, API_VERSION }) => class HogTool extends Tool {
+    static apiVersion = API_VERSION;
+    constructor() { super('hog'); }
+    async execute() {
+        const chunks = [];
+        for (;;) chunks.push(new Array(100000).fill(chunks.length));
+    }
+};
+`);
+
+        try {
+            const error = await sandbox.run(task([{ use: 'hog' }], {
+                tools: [{ name: 'hog', className: 'HogTool', usesBrowser: false }],
+                plugins: { dir, packages: [], disabled: [] }
+            }), { mode: ISOLATION_MODES.THREAD, memoryLimitMb: 32, callTool }).catch(e => e);
+
+            expect(errorReport(error)).toMatchObject({
+                code: 'MEMORY_LIMIT',
+                retryable: false,
+                details: { reason: 'memory', memoryLimitMb: 32 }
+            });
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('should fail running jobs as WORKER_RESTARTED when killed', async () => {
+        callTool.mockImplementationOnce(() => new Promise(() => {}));
+        const running = sandbox.run(task([{ use: 'echo', value: 1 }]), {
+            mode: ISOLATION_MODES.THREAD,
+            callTool
+        }).catch(e => e);
+        while (callTool.mock.calls.length === 0) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+
+        sandbox.killAll();
+
+        expect(errorReport(await running)).toMatchObject({ code: 'WORKER_RESTARTED', retryable: true });
+    });
+});
@@ -0,0 +1,70 @@
+const JobScheduler = require('../src/JobScheduler');
+
+// Promise that can be resolved from the outside
+const deferred = () => {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+};
+
+describe('JobScheduler', () => {
+    test('should normalize invalid limits to 1', () => {
+        expect(new JobScheduler(0).limit).toBe(1);
+        expect(new JobScheduler('3').limit).toBe(3);
+        expect(new JobScheduler(undefined).limit).toBe(1);
+    });
+
+    test('should keep up to limit jobs in flight', async () => {
+        const scheduler = new JobScheduler(2);
+        const a = deferred();
+        const b = deferred();
+
+        scheduler.run('a', () => a.promise);
+        scheduler.run('b', () => b.promise);
+
+        expect(scheduler.activeCount).toBe(2);
+        expect(scheduler.hasCapacity()).toBe(false);
+
+        const slot = scheduler.waitForSlot();
+        a.resolve();
+        await slot;
+
+        expect(scheduler.activeJobIds).toEqual(['b']);
+        b.resolve();
+        await scheduler.onIdle();
+        expect(scheduler.activeCount).toBe(0);
+    });
+
+    test('should free a slot when a job throws', async () => {
+        const scheduler = new JobScheduler(1);
+        await scheduler.run('bad', async () => { throw new Error('boom'); });
+        expect(scheduler.hasCapacity()).toBe(true);
+    });
+
+    test('should wake waiters when the limit is raised', async () => {
+        const scheduler = new JobScheduler(1);
+        const job = deferred();
+        scheduler.run('a', () => job.promise);
+
+        const slot = scheduler.waitForSlot();
+        scheduler.setLimit(2);
+        await slot;
+
+        expect(scheduler.hasCapacity()).toBe(true);
+        job.resolve();
+        await scheduler.onIdle();
+    });
+
+    test('should not start new jobs after the limit is lowered', async () => {
+        const scheduler = new JobScheduler(2);
+        const a = deferred();
+        scheduler.run('a', () => a.promise);
+
+        scheduler.setLimit(1);
+        expect(scheduler.hasCapacity()).toBe(false);
+
+        a.resolve();
+        await scheduler.onIdle();
+        expect(scheduler.hasCapacity()).toBe(true);
+    });
+});
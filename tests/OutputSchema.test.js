@@ -0,0 +1,63 @@
+const OutputSchema = require('../src/OutputSchema');
+
+describe('OutputSchema', () => {
+    const schema = new OutputSchema({
+        type: 'object',
+        required: ['title', 'price'],
+        properties: {
+            title: { type: 'string' },
+            price: { type: 'string', pattern: '^\\$[0-9.]+$' },
+            rating: { type: ['number', 'null'] },
+            stock: { type: 'integer' },
+            reviews: { type: 'array', minItems: 1, items: { type: 'object', required: ['author'] } }
+        }
+    });
+
+    test('should accept matching results', () => {
+        expect(schema.validate({
+            title: 'Widget',
+            price: '$9.99',
+            rating: null,
+            stock: 3,
+            reviews: [{ author: 'Ann', text: 'Good' }]
+        })).toEqual([]);
+    });
+
+    test('should report every violation with its path', () => {
+        expect(schema.validate({
+            title: 42,
+            price: '9.99 EUR',
+            stock: 2.5,
+            reviews: [{ author: 'Ann' }, { text: 'No author' }]
+        })).toEqual([
+            { path: 'result.title', message: 'expected string, got number' },
+            { path: 'result.price', message: 'does not match pattern /^\\$[0-9.]+$/' },
+            { path: 'result.stock', message: 'expected integer, got number' },
+            { path: 'result.reviews[1].author', message: 'is required' }
+        ]);
+    });
+
+    test('should treat null required fields as missing and check null optional fields', () => {
+        expect(schema.validate({ title: null, stock: null, reviews: [] })).toEqual([
+            { path: 'result.title', message: 'is required' },
+            { path: 'result.price', message: 'is required' },
+            { path: 'result.stock', message: 'expected integer, got null' },
+            { path: 'result.reviews', message: 'expected at least 1 item(s), got 0' }
+        ]);
+    });
+
+    test('should check the type of the whole result', () => {
+        expect(schema.validate(null)).toEqual([{ path: 'result', message: 'expected object, got null' }]);
+        expect(new OutputSchema({ type: 'array', items: { type: 'string' } }).validate(['a', 1]))
+            .toEqual([{ path: 'result[1]', message: 'expected string, got number' }]);
+    });
+
+    test('should report the first violations for job metadata', () => {
+        const violations = Array.from({ length: 30 }, (_, index) => ({ path: `result[${index}]`, message: 'is required' }));
+
+        const report = OutputSchema.report(violations);
+
+        expect(report.count).toBe(30);
+        expect(report.violations).toHaveLength(20);
+    });
+});
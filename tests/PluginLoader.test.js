@@ -0,0 +1,167 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PluginLoader = require('../src/PluginLoader');
+const JobManager = require('../src/JobManager');
+const { ToolRegistry } = require('../src/tools');
+const { PluginError } = require('../src/errors');
+
+const TOOL_PATH = JSON.stringify(path.resolve(__dirname, '../src/tools/Tool'));
+
+// Source of a plugin module exporting one tool class
+const pluginSource = (name, { apiVersion = 1, className = 'PluginTool' } = {}) => `
+const Tool = require(${TOOL_PATH});
+class ${className} extends Tool {
+    constructor(options) {
+        super('${name}');
+        this.options = options;
+    }
+    async execute(params) {
+        return { result: { plugin: '${name}', value: params.value }, shouldContinue: true };
+    }
+}
+${apiVersion === null ? '' : `${className}.apiVersion = ${apiVersion};`}
+module.exports = ${className};
+`;
+
+describe('PluginLoader', () => {
+    let dir;
+
+    const write = (file, text) => {
+        const target = path.join(dir, file);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, text);
+        return target;
+    };
+
+    const loaderFor = (options = {}) => new PluginLoader({ dir: path.join(dir, 'plugins'), packages: [], disabled: [], ...options });
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plugins-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('Loading', () => {
+        test('should load files and package directories from the plugins directory', () => {
+            write('plugins/b-tool.js', pluginSource('b-tool'));
+            write('plugins/a-pkg/index.js', pluginSource('a-tool'));
+            write('plugins/notes.txt', 'ignored');
+
+            const plugins = loaderFor().load({ scraper: 'browser' });
+
+            expect(plugins.map(plugin => plugin.name)).toEqual(['a-tool', 'b-tool']);
+            expect(plugins[0]).toEqual(expect.objectContaining({ source: expect.stringMatching(/a-pkg$/), apiVersion: 1, version: null }));
+            expect(plugins[1].tool.options).toEqual({ scraper: 'browser' });
+        });
+
+        test('should load nothing when the plugins directory does not exist', () => {
+            expect(loaderFor().load()).toEqual([]);
+        });
+
+        test('should load packages with their version', () => {
+            write('pkg/package.json', JSON.stringify({ name: 'inventory-tool', version: '1.2.3', main: 'main.js' }));
+            write('pkg/main.js', pluginSource('inventory'));
+
+            const plugins = loaderFor({ packages: [path.join(dir, 'pkg')] }).load();
+
+            expect(plugins).toEqual([expect.objectContaining({ name: 'inventory', version: '1.2.3' })]);
+        });
+
+        test('should call factories with the worker Tool class', () => {
+            write('plugins/factory.js', `
+module.exports = ({ Tool, API_VERSION }) => {
+    class One extends Tool { constructor() { super('one'); } }
+    class Two extends Tool { constructor() { super('two'); } }
+    One.apiVersion = Two.apiVersion = API_VERSION;
+    return [One, Two];
+};
+`);
+
+            expect(loaderFor().load().map(plugin => plugin.name)).toEqual(['one', 'two']);
+        });
+    });
+
+    describe('Errors', () => {
+        const loadError = (loader) => {
+            try {
+                loader.load();
+            } catch (error) {
+                return error;
+            }
+            throw new Error('expected load() to fail');
+        };
+
+        test('should reject other API versions', () => {
+            write('plugins/old.js', pluginSource('old', { apiVersion: 0, className: 'OldTool' }));
+
+            const error = loadError(loaderFor());
+            expect(error).toBeInstanceOf(PluginError);
+            expect(error.message).toBe(`Plugin '${path.relative(process.cwd(), path.join(dir, 'plugins', 'old.js'))}': OldTool targets tool API version 0, this worker supports 1`);
+        });
+
+        test('should require a declared API version', () => {
+            write('plugins/bare.js', pluginSource('bare', { apiVersion: null, className: 'BareTool' }));
+
+            expect(loadError(loaderFor()).message).toMatch(/BareTool does not declare `static apiVersion` \(this worker supports 1\)$/);
+        });
+
+        test('should name the plugin when it does not load or export tools', () => {
+            write('plugins/broken.js', 'throw new Error("syntax is fine, init is not");');
+            expect(loadError(loaderFor()).message).toMatch(/broken\.js': failed to load: syntax is fine, init is not$/);
+
+            fs.rmSync(path.join(dir, 'plugins/broken.js'));
+            write('plugins/object.js', 'module.exports = { execute() {} };');
+            expect(loadError(loaderFor()).message).toMatch(/object\.js': must export a Tool subclass/);
+        });
+
+        test('should report missing packages', () => {
+            const error = loadError(loaderFor({ packages: ['datahive-no-such-plugin'] }));
+
+            expect(error.message).toMatch(/^Plugin 'datahive-no-such-plugin': package not found/);
+            expect(error.code).toBe('INVALID_PLUGIN');
+        });
+    });
+
+    describe('Registration', () => {
+        test('should let a plugin replace a disabled built-in', () => {
+            write('plugins/fetch.js', pluginSource('fetch'));
+            const registry = new ToolRegistry({ quiet: true });
+
+            const plugins = loaderFor({ disabled: ['offscreen', 'fetch'] }).registerAll(registry, JobManager.builtInTools(null));
+
+            expect(registry.list()).toEqual(['conditional-gate', 'fetch-and-extract', 'fetch']);
+            expect(plugins).toEqual([expect.objectContaining({ name: 'fetch', apiVersion: 1 })]);
+            expect(plugins[0].tool).toBeUndefined();
+        });
+
+        test('should refuse to shadow an enabled built-in', () => {
+            write('plugins/fetch.js', pluginSource('fetch'));
+
+            expect(() => loaderFor().registerAll(new ToolRegistry({ quiet: true }), JobManager.builtInTools(null)))
+                .toThrow(/tool 'fetch' is already registered \(add it to DATAHIVE_DISABLED_TOOLS to replace the built-in\)/);
+        });
+    });
+
+    test('should run plugin tools in jobs and list them in the status', async () => {
+        write('plugins/inventory.js', pluginSource('inventory'));
+        const apiClient = { deviceId: 'test-device', completeJob: jest.fn().mockResolvedValue({}), reportError: jest.fn() };
+        const jobManager = new JobManager(apiClient, {
+            spool: { enabled: false },
+            journal: { enabled: false },
+            plugins: { dir: path.join(dir, 'plugins'), packages: [], disabled: ['offscreen'] }
+        });
+
+        await jobManager.processJob({ id: 'job-1', ruleCollection: { yamlRules: 'steps:\n  - use: inventory\n    value: 3\n' } });
+
+        expect(apiClient.completeJob).toHaveBeenCalledWith('job-1', { 0: { plugin: 'inventory', value: 3 } }, expect.any(Object));
+        expect(jobManager.getStatus()).toEqual(expect.objectContaining({
+            plugins: [expect.objectContaining({ name: 'inventory', apiVersion: 1 })],
+            disabledTools: ['offscreen']
+        }));
+        expect(jobManager.getStatus().tools).not.toContain('offscreen');
+        await jobManager.stop();
+    });
+});
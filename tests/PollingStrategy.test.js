@@ -0,0 +1,126 @@
+const { PollingStrategy, POLL_OUTCOMES } = require('../src/PollingStrategy');
+const http = require('http');
+const ApiClient = require('../src/ApiClient');
+
+describe('PollingStrategy', () => {
+    let config;
+    let random;
+    let strategy;
+
+    beforeEach(() => {
+        config = { jobInterval: 1000, pollMaxInterval: 10000, pollBackoffFactor: 2, pollJitter: 0 };
+        const configManager = { get: (key, fallback) => (config[key] !== undefined ? config[key] : fallback) };
+        random = jest.fn().mockReturnValue(0.5);
+        strategy = new PollingStrategy(configManager, { random });
+    });
+
+    test('should poll at jobInterval while jobs arrive', () => {
+        expect(strategy.next(POLL_OUTCOMES.JOB)).toBe(1000);
+        expect(strategy.next(POLL_OUTCOMES.JOB)).toBe(1000);
+    });
+
+    test('should back off exponentially on empty polls up to the cap', () => {
+        const delays = [1, 2, 3, 4, 5, 6].map(() => strategy.next(POLL_OUTCOMES.EMPTY));
+
+        expect(delays).toEqual([1000, 2000, 4000, 8000, 10000, 10000]);
+        expect(strategy.getStatus()).toMatchObject({ lastOutcome: 'empty', emptyPolls: 6, nextDelay: 10000 });
+    });
+
+    test('should reset after a job', () => {
+        strategy.next(POLL_OUTCOMES.EMPTY);
+        strategy.next(POLL_OUTCOMES.EMPTY);
+        strategy.next(POLL_OUTCOMES.ERROR);
+
+        expect(strategy.next(POLL_OUTCOMES.JOB)).toBe(1000);
+        expect(strategy.getStatus()).toMatchObject({ emptyPolls: 0, consecutiveFailures: 0 });
+        expect(strategy.next(POLL_OUTCOMES.EMPTY)).toBe(1000);
+    });
+
+    test('should back off on failures, one step further when rate limited', () => {
+        expect(strategy.next(POLL_OUTCOMES.ERROR)).toBe(1000);
+        expect(strategy.next(POLL_OUTCOMES.ERROR)).toBe(2000);
+
+        strategy.next(POLL_OUTCOMES.JOB);
+        expect(strategy.next(POLL_OUTCOMES.RATE_LIMITED)).toBe(2000);
+        expect(strategy.next(POLL_OUTCOMES.RATE_LIMITED)).toBe(4000);
+    });
+
+    test('should honour Retry-After beyond the cap, never earlier', () => {
+        config.pollJitter = 0.5;
+        random.mockReturnValue(0);
+
+        expect(strategy.next(POLL_OUTCOMES.RATE_LIMITED, { retryAfter: 60000 })).toBe(60000);
+        expect(strategy.getStatus().retryAfter).toBe(60000);
+
+        // A shorter hint than the backoff keeps the backoff
+        expect(strategy.next(POLL_OUTCOMES.RATE_LIMITED, { retryAfter: 100 })).toBe(2000);
+    });
+
+    test('should randomize delays by the jitter ratio', () => {
+        config.pollJitter = 0.2;
+
+        random.mockReturnValue(0);
+        expect(strategy.next(POLL_OUTCOMES.JOB)).toBe(800);
+        random.mockReturnValue(1);
+        expect(strategy.next(POLL_OUTCOMES.JOB)).toBe(1200);
+    });
+});
+
+describe('ApiClient.retryAfter', () => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+
+    test('should read Retry-After seconds and dates', () => {
+        expect(ApiClient.retryAfter({ 'retry-after': '30' }, 429, now)).toBe(30000);
+        expect(ApiClient.retryAfter({ 'retry-after': 'Thu, 01 Jan 2026 00:01:00 GMT' }, 503, now)).toBe(60000);
+    });
+
+    test('should read reset headers once the rate limit is exhausted', () => {
+        expect(ApiClient.retryAfter({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(now / 1000 + 45) }, 200, now)).toBe(45000);
+        expect(ApiClient.retryAfter({ 'ratelimit-remaining': '0', 'ratelimit-reset': '10' }, 200, now)).toBe(10000);
+        expect(ApiClient.retryAfter({ 'x-ratelimit-remaining': '5', 'x-ratelimit-reset': '10' }, 200, now)).toBeNull();
+        expect(ApiClient.retryAfter({}, 200, now)).toBeNull();
+    });
+});
+
+describe('ApiClient.getJob', () => {
+    let server;
+    let client;
+
+    beforeEach(async () => {
+        // /ping asks to wait at once, /job answers later without a hint
+        server = http.createServer((req, res) => {
+            if (req.url === '/ping') {
+                res.writeHead(200, { 'Content-Type': 'application/json', 'Retry-After': '60' });
+                res.end('{}');
+            } else {
+                setTimeout(() => {
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end('null');
+                }, 50);
+            }
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        client = new ApiClient({ jwt: 'token', deviceId: 'device' });
+        client.baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should return the hint of its own response only', async () => {
+        const [poll] = await Promise.all([client.getJob(), client.ping()]);
+
+        expect(poll).toEqual({ job: null, retryAfter: null });
+    });
+
+    test('should return the delay its response asks for', async () => {
+        server.removeAllListeners('request');
+        server.on('request', (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'application/json', 'Retry-After': '30' });
+            res.end(JSON.stringify({ id: 'job-1' }));
+        });
+
+        expect(await client.getJob()).toEqual({ job: { id: 'job-1' }, retryAfter: 30000 });
+    });
+});
@@ -0,0 +1,54 @@
+const { RecyclePolicy, RECYCLE_MODES } = require('../src/RecyclePolicy');
+
+describe('RecyclePolicy', () => {
+    let config;
+    let scraper;
+    let policy;
+
+    beforeEach(() => {
+        config = { reloadAfterJobs: 0, recycleMode: 'browser' };
+        const configManager = { get: (key, fallback) => (config[key] !== undefined ? config[key] : fallback) };
+        scraper = {
+            getBrowserUptime: jest.fn().mockReturnValue(null),
+            getBrowserRssMb: jest.fn().mockResolvedValue(null)
+        };
+        policy = new RecyclePolicy(configManager, scraper);
+    });
+
+    test('should never recycle with default settings', async () => {
+        policy.recordJob();
+        expect(await policy.check()).toBeNull();
+    });
+
+    test('should recycle after reloadAfterJobs jobs', async () => {
+        config.reloadAfterJobs = 2;
+        policy.recordJob();
+        expect(await policy.check()).toBeNull();
+
+        policy.recordJob();
+        expect(await policy.check()).toMatch('processed 2 jobs');
+
+        policy.reset();
+        expect(await policy.check()).toBeNull();
+        expect(policy.getStatus().recycleCount).toBe(1);
+    });
+
+    test('should recycle on browser uptime', async () => {
+        config.recycleMaxBrowserUptime = 60000;
+        scraper.getBrowserUptime.mockReturnValue(61000);
+        expect(await policy.check()).toMatch('browser uptime');
+    });
+
+    test('should recycle on browser RSS', async () => {
+        config.recycleMaxBrowserRssMb = 500;
+        scraper.getBrowserRssMb.mockResolvedValue(650);
+        expect(await policy.check()).toMatch('browser RSS 650MB exceeds 500MB');
+    });
+
+    test('should fall back to browser mode for unknown modes', () => {
+        config.recycleMode = 'reboot';
+        expect(policy.mode).toBe(RECYCLE_MODES.BROWSER);
+        config.recycleMode = 'exit';
+        expect(policy.mode).toBe(RECYCLE_MODES.EXIT);
+    });
+});
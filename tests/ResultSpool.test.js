@@ -0,0 +1,197 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ResultSpool = require('../src/ResultSpool');
+const { ResultTooLargeError, ResultRejectedError } = require('../src/errors');
+
+describe('ResultSpool', () => {
+    let dir;
+    let apiClient;
+
+    const createSpool = (options = {}) => new ResultSpool(apiClient, {
+        dir,
+        baseDelay: 1000,
+        maxDelay: 8000,
+        ...options
+    });
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spool-'));
+        apiClient = { completeJob: jest.fn().mockResolvedValue({}) };
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('Submit', () => {
+        test('should upload and acknowledge results', async () => {
+            const spool = createSpool();
+            await spool.load();
+
+            const outcome = await spool.submit('job-1', { ok: true }, { duration: 5 });
+
+            expect(outcome).toEqual({ delivered: true, spooled: false });
+            expect(apiClient.completeJob).toHaveBeenCalledWith('job-1', { ok: true }, { duration: 5 });
+            expect(spool.getStats().pending).toBe(0);
+        });
+
+        test('should keep results whose upload failed', async () => {
+            apiClient.completeJob.mockRejectedValue(new Error('HTTP 503: {}'));
+            const spool = createSpool();
+            await spool.load();
+
+            const outcome = await spool.submit('job-1', { ok: true });
+
+            expect(outcome).toEqual({ delivered: false, spooled: true });
+            const [entry] = spool.list();
+            expect(entry.jobId).toBe('job-1');
+            expect(entry.attempts).toBe(1);
+            expect(entry.lastError).toBe('HTTP 503: {}');
+        });
+
+        test('should not let the flusher take over its own first attempt', async () => {
+            const spool = createSpool();
+            await spool.load();
+            // The flusher runs while the result is being written
+            const append = spool.log.append.bind(spool.log);
+            let flushed = null;
+            jest.spyOn(spool.log, 'append').mockImplementation(async record => {
+                await append(record);
+                if (record.type === 'add') flushed = await spool.flushDue();
+            });
+
+            const outcome = await spool.submit('job-1', { ok: true });
+
+            expect(flushed).toEqual({ delivered: 0, failed: 0, expired: 0, rejected: 0 });
+            expect(outcome).toEqual({ delivered: true, spooled: false });
+            expect(apiClient.completeJob).toHaveBeenCalledTimes(1);
+        });
+
+        test('should upload without writing to disk when disabled', async () => {
+            const spool = createSpool({ enabled: false });
+
+            const outcome = await spool.submit('job-1', { ok: true });
+
+            expect(outcome).toEqual({ delivered: true, spooled: false });
+            expect(apiClient.completeJob).toHaveBeenCalledWith('job-1', { ok: true }, {});
+            expect(fs.readdirSync(dir)).toEqual([]);
+        });
+    });
+
+    describe('Replay', () => {
+        test('should replay pending results after a restart', async () => {
+            apiClient.completeJob.mockRejectedValueOnce(new Error('ECONNRESET'));
+            const first = createSpool();
+            await first.load();
+            await first.submit('job-1', { value: 1 });
+
+            const second = createSpool();
+            expect(await second.load()).toBe(1);
+
+            second.entries.forEach(entry => { entry.nextAttemptAt = 0; });
+            const stats = await second.flush();
+
+            expect(stats.delivered).toBe(1);
+            expect(apiClient.completeJob).toHaveBeenLastCalledWith('job-1', { value: 1 }, {});
+            expect(await createSpool().load()).toBe(0);
+        });
+
+        test('should ignore a torn last line', async () => {
+            const spool = createSpool();
+            await spool.load();
+            apiClient.completeJob.mockRejectedValue(new Error('down'));
+            await spool.submit('job-1', 'result');
+            fs.appendFileSync(path.join(dir, 'results.jsonl'), '{"type":"ack","id"');
+
+            expect(await createSpool().load()).toBe(1);
+        });
+    });
+
+    describe('Backoff', () => {
+        test('should grow exponentially up to the cap', () => {
+            const spool = createSpool();
+            expect(spool.getRetryDelay(1)).toBe(1000);
+            expect(spool.getRetryDelay(3)).toBe(4000);
+            expect(spool.getRetryDelay(10)).toBe(8000);
+        });
+
+        test('should not retry before the next attempt is due', async () => {
+            apiClient.completeJob.mockRejectedValue(new Error('down'));
+            const spool = createSpool();
+            await spool.load();
+            await spool.submit('job-1', 'result');
+
+            const stats = await spool.flush();
+            expect(stats).toEqual({ delivered: 0, failed: 0, expired: 0, rejected: 0 });
+            expect(apiClient.completeJob).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('Limits', () => {
+        test('should drop the oldest result when full', async () => {
+            apiClient.completeJob.mockRejectedValue(new Error('down'));
+            const spool = createSpool({ maxEntries: 2 });
+            await spool.load();
+
+            await spool.submit('job-1', 'a');
+            await spool.submit('job-2', 'b');
+            await spool.submit('job-3', 'c');
+
+            expect(spool.list().map(entry => entry.jobId)).toEqual(['job-2', 'job-3']);
+        });
+
+        test('should drop expired results', async () => {
+            apiClient.completeJob.mockRejectedValue(new Error('down'));
+            const spool = createSpool({ maxAge: 1000 });
+            await spool.load();
+            await spool.submit('job-1', 'a');
+
+            spool.entries.forEach(entry => { entry.createdAt -= 2000; });
+            const stats = await spool.flush();
+
+            expect(stats.expired).toBe(1);
+            expect(spool.getStats().pending).toBe(0);
+        });
+
+        test('should upload directly when a result is too large to spool', async () => {
+            const spool = createSpool({ maxBytes: 100 });
+            await spool.load();
+
+            const outcome = await spool.submit('job-1', 'x'.repeat(500));
+
+            expect(outcome).toEqual({ delivered: true, spooled: false });
+            expect(apiClient.completeJob).toHaveBeenCalled();
+        });
+
+        test('should drop and report results the API rejects as too large', async () => {
+            apiClient.completeJob.mockRejectedValueOnce(new Error('down'));
+            apiClient.completeJob.mockRejectedValueOnce(new ResultTooLargeError('too large', { bytes: 20, source: 'api' }));
+            apiClient.reportError = jest.fn().mockResolvedValue({});
+            const spool = createSpool();
+            await spool.load();
+            await spool.submit('job-1', 'result', { duration: 5 });
+
+            spool.entries.forEach(entry => { entry.nextAttemptAt = 0; });
+            const stats = await spool.flush();
+
+            expect(stats).toEqual({ delivered: 0, failed: 0, expired: 0, rejected: 1 });
+            expect(spool.getStats().pending).toBe(0);
+            expect(apiClient.reportError).toHaveBeenCalledWith('job-1', expect.objectContaining({ code: 'RESULT_TOO_LARGE' }), { duration: 5 });
+        });
+
+        test('should drop non-retryable rejections right away and keep retrying the others', async () => {
+            apiClient.completeJob.mockRejectedValueOnce(Object.assign(new Error('HTTP 503: {}'), { status: 503 }));
+            apiClient.completeJob.mockRejectedValueOnce(new ResultRejectedError('HTTP 409: {}', 409));
+            apiClient.reportError = jest.fn().mockResolvedValue({});
+            const spool = createSpool();
+            await spool.load();
+
+            expect(await spool.submit('job-1', 'result')).toEqual({ delivered: false, spooled: true });
+            await expect(spool.submit('job-2', 'result')).rejects.toThrow('HTTP 409');
+
+            expect(spool.list().map(entry => entry.jobId)).toEqual(['job-1']);
+            expect(fs.readFileSync(path.join(dir, 'results.jsonl'), 'utf8')).toContain('"reason":"rejected"');
+        });
+    });
+});
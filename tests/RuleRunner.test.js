@@ -0,0 +1,620 @@
+const yaml = require('js-yaml');
+const RuleRunner = require('../src/RuleRunner');
+const VariableScope = require('../src/VariableScope');
+const JobManager = require('../src/JobManager');
+const { ToolRegistry, ConditionalGateTool } = require('../src/tools');
+const Tool = require('../src/tools/Tool');
+const { errorReport } = require('../src/errors');
+
+// Returns `value`, or throws `fail` when set
+class EchoTool extends Tool {
+    constructor() {
+        super('echo');
+        this.calls = [];
+    }
+
+    async execute(params) {
+        this.calls.push(params.value);
+        if (params.fail) {
+            throw new Error(params.fail);
+        }
+        return {
+            result: params.value,
+            shouldContinue: params.stop !== true,
+            output: params.output ? { [params.output]: params.value } : undefined
+        };
+    }
+}
+
+describe('RuleRunner', () => {
+    let registry;
+    let echo;
+
+    const run = (rules, variables = {}) => {
+        const parsed = yaml.load(rules);
+        const scope = new VariableScope(variables);
+        const runner = new RuleRunner({
+            jobId: 'job-1',
+            toolRegistry: registry,
+            substitute: (target, targetScope) => JobManager.prototype.replaceVariables(target, targetScope, { strict: parsed.strict === true }),
+            context: { jobId: 'job-1', variables: scope.values },
+            maxJumps: parsed.max_jumps
+        });
+        return runner.run(parsed.steps, scope).then(outcome => ({ ...outcome, scope, runner }));
+    };
+
+    beforeEach(() => {
+        registry = new ToolRegistry();
+        echo = new EchoTool();
+        registry.register(echo);
+        registry.register(new ConditionalGateTool());
+    });
+
+    describe('Conditions', () => {
+        test('should run the then branch for a truthy template', async () => {
+            const { result } = await run(`
+steps:
+  - if: "{{ vars.enabled }}"
+    then:
+      - use: echo
+        value: yes
+    else:
+      - use: echo
+        value: no
+`, { enabled: true });
+
+            expect(echo.calls).toEqual(['yes']);
+            expect(result).toBe('yes');
+        });
+
+        test('should treat false-like and unresolved templates as false', async () => {
+            await run(`
+steps:
+  - if: "{{ vars.enabled }}"
+    then: [{ use: echo, value: a }]
+    else: [{ use: echo, value: b }]
+  - if: "{{ vars.missing }}"
+    then: [{ use: echo, value: c }]
+`, { enabled: 'false' });
+
+            expect(echo.calls).toEqual(['b']);
+        });
+
+        test('should evaluate an inline gate rule', async () => {
+            await run(`
+steps:
+  - if:
+      value: "{{ vars.status }}"
+      operator: EQUALS
+      expected: "ok"
+    then: [{ use: echo, value: matched }]
+    else: [{ use: echo, value: other }]
+`, { status: 'ok' });
+
+            expect(echo.calls).toEqual(['matched']);
+        });
+
+        test('should treat missing variables in conditions as false with strict templates', async () => {
+            const { result } = await run(`
+strict: true
+steps:
+  - if: "{{ vars.optional.flag }}"
+    then: [{ use: echo, value: flagged }]
+    else: [{ use: echo, value: plain }]
+`);
+
+            expect(result).toBe('plain');
+            await expect(run(`
+strict: true
+steps:
+  - use: echo
+    value: "{{ vars.optional.flag }}"
+`)).rejects.toMatchObject({ code: 'MISSING_VARIABLES' });
+        });
+
+        test('should branch on a conditional-gate output', async () => {
+            await run(`
+steps:
+  - use: conditional-gate
+    output: has_items
+    continue_on_fail: true
+    rule: { value: "{{ vars.count }}", operator: GREATER_THAN, expected: 0, throwOnFailure: false }
+  - if: "{{ vars.has_items }}"
+    then: [{ use: echo, value: scrape }]
+    else: [{ use: echo, value: skip }]
+`, { count: 0 });
+
+            expect(echo.calls).toEqual(['skip']);
+        });
+    });
+
+    describe('Failures', () => {
+        test('should run fallback steps when a step fails', async () => {
+            const { result } = await run(`
+steps:
+  - use: echo
+    fail: page crashed
+    on_failure:
+      - use: echo
+        value: "fallback after {{ vars.last_error.message }}"
+`);
+
+            expect(result).toBe('fallback after page crashed');
+        });
+
+        test('should jump to a step id on failure', async () => {
+            await run(`
+steps:
+  - use: echo
+    fail: boom
+    on_failure: recover
+  - use: echo
+    value: skipped
+  - id: recover
+    use: echo
+    value: recovered
+`);
+
+            expect(echo.calls).toEqual([undefined, 'recovered']);
+        });
+
+        test('should ignore failures with on_failure: continue', async () => {
+            await run(`
+steps:
+  - use: echo
+    fail: boom
+    on_failure: continue
+  - use: echo
+    value: next
+`);
+
+            expect(echo.calls).toEqual([undefined, 'next']);
+        });
+
+        test('should rethrow without on_failure', async () => {
+            await expect(run(`
+steps:
+  - use: echo
+    fail: boom
+`)).rejects.toThrow('boom');
+        });
+    });
+
+    describe('Jumps', () => {
+        test('should jump out of a nested branch to an enclosing step', async () => {
+            await run(`
+steps:
+  - if: true
+    then:
+      - use: echo
+        value: inner
+      - goto: finish
+  - use: echo
+    value: skipped
+  - id: finish
+    use: echo
+    value: done
+`);
+
+            expect(echo.calls).toEqual(['inner', 'done']);
+        });
+
+        test('should stop infinite loops at max_jumps', async () => {
+            await expect(run(`
+max_jumps: 3
+steps:
+  - id: top
+    use: echo
+    value: tick
+  - goto: top
+`)).rejects.toThrow('Jump limit (3) exceeded');
+
+            expect(echo.calls.length).toBe(4);
+        });
+
+        test('should reject unknown and duplicate ids before running', async () => {
+            await expect(run(`
+steps:
+  - use: echo
+    value: a
+  - goto: nowhere
+`)).rejects.toThrow("Unknown step id 'nowhere'");
+
+            await expect(run(`
+steps:
+  - id: a
+    use: echo
+  - id: a
+    use: echo
+`)).rejects.toThrow("Duplicate step id 'a'");
+
+            expect(echo.calls).toEqual([]);
+        });
+    });
+
+    describe('Return', () => {
+        test('should return a named output early', async () => {
+            const { result, returned } = await run(`
+steps:
+  - use: echo
+    value: detail
+    output: page
+  - return: page
+  - use: echo
+    value: never
+`);
+
+            expect(result).toBe('detail');
+            expect(returned).toBe(true);
+            expect(echo.calls).toEqual(['detail']);
+        });
+
+        test('should stop nested lists when a step returns shouldContinue: false', async () => {
+            await run(`
+steps:
+  - if: true
+    then:
+      - use: echo
+        value: first
+        stop: true
+      - use: echo
+        value: second
+  - use: echo
+    value: third
+`);
+
+            expect(echo.calls).toEqual(['first']);
+        });
+    });
+
+    describe('Step Summary', () => {
+        test('should collect top-level results by step id or index', async () => {
+            const { results } = await run(`
+steps:
+  - id: api
+    use: echo
+    value: { count: 2 }
+  - if: true
+    then:
+      - use: echo
+        value: inner
+  - foreach: [1, 2]
+    steps:
+      - use: echo
+        value: "item {{ vars.item }}"
+  - use: echo
+    value: ''
+`);
+
+            expect(results).toEqual({ api: { count: 2 }, 1: 'inner', 2: ['item 1', 'item 2'] });
+        });
+
+        test('should mark steps as ok, skipped or failed', async () => {
+            const { steps } = await run(`
+steps:
+  - use: echo
+    value: a
+  - use: echo
+    fail: boom
+    on_failure: continue
+  - goto: last
+  - use: echo
+    value: never
+  - id: last
+    if: false
+    then: [{ use: echo, value: no }]
+`);
+
+            expect(steps).toEqual([
+                { step: 0, kind: 'echo', status: 'ok', duration: expect.any(Number) },
+                { step: 1, kind: 'echo', status: 'failed', error: 'boom', recovered: true, duration: expect.any(Number) },
+                { step: 2, kind: 'goto', status: 'ok', duration: expect.any(Number) },
+                { step: 3, kind: 'echo', status: 'skipped' },
+                { step: 4, id: 'last', kind: 'if', status: 'ok', duration: expect.any(Number) }
+            ]);
+        });
+
+        test('should keep the summary of a failed run', async () => {
+            const scope = new VariableScope();
+            const runner = new RuleRunner({
+                jobId: 'job-1',
+                toolRegistry: registry,
+                substitute: target => target,
+                context: { jobId: 'job-1', variables: scope.values }
+            });
+
+            await expect(runner.run([
+                { use: 'echo', value: 'a' },
+                { use: 'echo', fail: 'boom' },
+                { use: 'echo', value: 'c' }
+            ], scope)).rejects.toThrow('boom');
+
+            expect(runner.results).toEqual({ 0: 'a' });
+            expect(runner.steps.map(step => step.status)).toEqual(['ok', 'failed', 'skipped']);
+            expect(runner.steps[1].error).toBe('boom');
+        });
+    });
+
+    describe('Foreach', () => {
+        test('should run nested steps per item and collect results', async () => {
+            const { result, scope } = await run(`
+steps:
+  - foreach: "{{ vars.listing.links }}"
+    as: link
+    output: details
+    steps:
+      - use: echo
+        value: "{{ vars.link_index }}:{{ vars.link }}"
+`, { listing: { links: ['/a', '/b', '/c'] } });
+
+            expect(result).toEqual(['0:/a', '1:/b', '2:/c']);
+            expect(scope.get('details')).toEqual(result);
+            expect(scope.has('link')).toBe(false);
+        });
+
+        test('should iterate over a numeric range', async () => {
+            const { result } = await run(`
+steps:
+  - foreach: { from: 1, to: "{{ vars.pages }}" }
+    as: page
+    steps:
+      - use: echo
+        value: "https://example.com/list?page={{ vars.page }}"
+`, { pages: 3 });
+
+            expect(result).toEqual([
+                'https://example.com/list?page=1',
+                'https://example.com/list?page=2',
+                'https://example.com/list?page=3'
+            ]);
+        });
+
+        test('should cap items at max_items', async () => {
+            const { result } = await run(`
+steps:
+  - foreach: { from: 1, to: 1000000 }
+    max_items: 2
+    steps:
+      - use: echo
+        value: "{{ vars.item }}"
+`);
+
+            expect(result).toEqual([1, 2]);
+        });
+
+        test('should process items concurrently and keep order', async () => {
+            let active = 0;
+            let peak = 0;
+            echo.execute = async params => {
+                active++;
+                peak = Math.max(peak, active);
+                await new Promise(resolve => setTimeout(resolve, 10 * (4 - params.value)));
+                active--;
+                return { result: params.value * 10, shouldContinue: true };
+            };
+
+            const { result } = await run(`
+steps:
+  - foreach: [1, 2, 3, 4]
+    concurrency: 2
+    steps:
+      - use: echo
+        value: "{{ vars.item }}"
+`);
+
+            expect(peak).toBe(2);
+            expect(result).toEqual([10, 20, 30, 40]);
+        });
+
+        test('should end only the current item on return', async () => {
+            const { result } = await run(`
+steps:
+  - foreach: [a, b]
+    steps:
+      - use: echo
+        value: "{{ vars.item }}"
+        output: seen
+      - return: seen
+      - use: echo
+        value: never
+  - use: echo
+    value: after
+`);
+
+            expect(echo.calls).toEqual(['a', 'b', 'after']);
+            expect(result).toBe('after');
+        });
+
+        test('should apply on_failure of the foreach step', async () => {
+            const { result } = await run(`
+steps:
+  - foreach: [a, b]
+    steps:
+      - use: echo
+        fail: "broken {{ vars.item }}"
+    on_failure:
+      - use: echo
+        value: "{{ vars.last_error.message }}"
+`);
+
+            expect(result).toBe('broken a');
+        });
+
+        test('should fail when the source is not a list', async () => {
+            await expect(run(`
+steps:
+  - foreach: "{{ vars.missing }}"
+    steps: [{ use: echo }]
+`)).rejects.toThrow('foreach at step 0 needs a list or a range');
+        });
+    });
+
+    describe('Parallel', () => {
+        // Resolves after `delay` ms unless its signal aborts first
+        class SlowTool extends Tool {
+            constructor() {
+                super('slow');
+                this.active = 0;
+                this.peak = 0;
+                this.aborted = [];
+            }
+
+            async execute(params, context) {
+                this.active++;
+                this.peak = Math.max(this.peak, this.active);
+                try {
+                    await new Promise((resolve, reject) => {
+                        const timer = setTimeout(resolve, Number(params.delay));
+                        context.signal.addEventListener('abort', () => {
+                            clearTimeout(timer);
+                            this.aborted.push(params.value);
+                            reject(context.signal.reason);
+                        });
+                    });
+                } finally {
+                    this.active--;
+                }
+                if (params.fail) throw new Error(params.fail);
+                return {
+                    result: params.value,
+                    shouldContinue: true,
+                    output: params.output ? { [params.output]: params.value } : undefined
+                };
+            }
+        }
+
+        let slow;
+
+        beforeEach(() => {
+            slow = new SlowTool();
+            registry.register(slow);
+        });
+
+        test('should run branches concurrently and merge their outputs', async () => {
+            const started = Date.now();
+            const { result, scope } = await run(`
+steps:
+  - parallel:
+      - { use: slow, delay: 40, value: a, output: first }
+      - { use: slow, delay: 40, value: b, output: second }
+      - steps:
+          - { use: slow, delay: 10, value: c1 }
+          - { use: echo, value: "{{ vars.first_or_none }}", output: third }
+    output: branches
+  - use: echo
+    value: "{{ vars.first }}+{{ vars.second }}"
+`, { first_or_none: 'none' });
+
+            expect(Date.now() - started).toBeLessThan(100);
+            expect(slow.peak).toBe(3);
+            expect(scope.get('branches')).toEqual(['a', 'b', 'none']);
+            expect(scope.get('third')).toBe('none');
+            expect(result).toBe('a+b');
+        });
+
+        test('should respect the concurrency cap', async () => {
+            await run(`
+steps:
+  - parallel:
+      - { use: slow, delay: 5, value: a }
+      - { use: slow, delay: 5, value: b }
+      - { use: slow, delay: 5, value: c }
+    concurrency: 1
+`);
+
+            expect(slow.peak).toBe(1);
+        });
+
+        test('should cancel the other branches on the first failure', async () => {
+            const error = await run(`
+steps:
+  - parallel:
+      - { use: slow, delay: 5, value: a, fail: boom }
+      - { use: slow, delay: 1000, value: b }
+`).catch(e => e);
+
+            expect(error.message).toBe('boom');
+            expect(slow.aborted).toEqual(['b']);
+        });
+
+        test('should collect all failures and keep successful outputs in collect_all mode', async () => {
+            let scope;
+            const error = await run(`
+steps:
+  - parallel:
+      - { use: slow, delay: 5, value: a, fail: boom }
+      - { use: slow, delay: 20, value: b, output: second }
+      - { use: slow, delay: 10, value: c, fail: bang }
+    mode: collect_all
+    on_failure:
+      - use: echo
+        value: "{{ vars.second }}"
+        output: recovered
+`).then(outcome => { scope = outcome.scope; });
+
+            expect(error).toBeUndefined();
+            expect(slow.aborted).toEqual([]);
+            expect(scope.get('recovered')).toBe('b');
+            expect(scope.get('last_error.message')).toContain('2 of 3 parallel branch(es) failed');
+        });
+
+        test('should report the branch code when every failed branch shares it', async () => {
+            const error = await run(`
+steps:
+  - parallel:
+      - { use: conditional-gate, rule: { value: 1, operator: EQUALS, expected: 2 } }
+      - { use: slow, delay: 5, value: b }
+      - { use: conditional-gate, rule: { value: a, operator: EQUALS, expected: b } }
+    mode: collect_all
+`).catch(e => e);
+
+            expect(errorReport(error)).toMatchObject({
+                code: 'GATE_FAILED',
+                retryable: false,
+                details: {
+                    failures: [
+                        { branch: 0, code: 'GATE_FAILED', stepIndex: '0.parallel.0', tool: 'conditional-gate' },
+                        { branch: 2, code: 'GATE_FAILED', details: { value: 'a', expected: 'b' } }
+                    ]
+                }
+            });
+        });
+
+        test('should report a retryable TIMEOUT when every branch timed out', async () => {
+            const error = await run(`
+steps:
+  - parallel:
+      - { use: slow, delay: 1000, value: a, timeout: 10 }
+      - { use: slow, delay: 1000, value: b, timeout: 20 }
+    mode: collect_all
+`).catch(e => e);
+
+            expect(errorReport(error)).toMatchObject({
+                code: 'TIMEOUT',
+                retryable: true,
+                details: {
+                    failures: [
+                        { branch: 0, code: 'TIMEOUT', retryable: true, details: { scope: 'step', timeout: 10 } },
+                        { branch: 1, code: 'TIMEOUT', retryable: true, details: { scope: 'step', timeout: 20 } }
+                    ]
+                }
+            });
+        });
+
+        test('should report PARALLEL_FAILED when branches fail with different codes', async () => {
+            const error = await run(`
+steps:
+  - parallel:
+      - { use: conditional-gate, rule: { value: 1, operator: EQUALS, expected: 2 } }
+      - { use: slow, delay: 5, value: b, fail: boom }
+    mode: collect_all
+`).catch(e => e);
+
+            expect(errorReport(error)).toMatchObject({
+                code: 'PARALLEL_FAILED',
+                retryable: false,
+                details: { failures: [{ branch: 0, code: 'GATE_FAILED' }, { branch: 1, code: 'PROCESSING_FAILED', message: 'boom' }] }
+            });
+        });
+    });
+});
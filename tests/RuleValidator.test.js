@@ -0,0 +1,372 @@
+const RuleValidator = require('../src/RuleValidator');
+const JobManager = require('../src/JobManager');
+const { ToolRegistry } = require('../src/tools');
+
+describe('RuleValidator', () => {
+    let validator;
+
+    const messages = entries => entries.map(entry => entry.message);
+
+    beforeEach(() => {
+        const registry = new ToolRegistry({ quiet: true });
+        registry.registerAll(JobManager.builtInTools(null));
+        validator = new RuleValidator(registry);
+    });
+
+    describe('Syntax', () => {
+        test('should report YAML syntax errors with their position', () => {
+            const report = validator.validate('steps:\n  - use: fetch\n    url: [oops\n');
+
+            expect(report.rules).toBeNull();
+            expect(report.errors).toHaveLength(1);
+            expect(report.errors[0].message).toMatch(/^YAML syntax error/);
+            expect(report.errors[0].line).toBe(4);
+        });
+
+        test('should require a mapping with steps', () => {
+            expect(messages(validator.validate('- use: fetch').errors)).toEqual(['Rules must be a mapping with a `steps` list']);
+            expect(messages(validator.validate('timeout: 10').errors)).toEqual(["Missing required top-level key 'steps'"]);
+        });
+
+        test('should accept valid rules', () => {
+            const report = validator.validate(`
+timeout: 30000
+result: page
+steps:
+  - use: fetch
+    url: "https://example.com/{{ vars.id }}"
+    retry: { attempts: 3, on: [timeout, http], statuses: [503] }
+    output: api
+  - use: offscreen
+    url: "{{ vars.api.data.url }}"
+    rules:
+      fields:
+        - field_name: title
+          xpath: //h1/text()
+    output: page
+`, { variables: { id: 1 } });
+
+            expect(report.errors).toEqual([]);
+            expect(report.warnings).toEqual([]);
+            expect(report.rules.steps).toHaveLength(2);
+        });
+    });
+
+    describe('Steps', () => {
+        test('should report unknown tools with a suggestion', () => {
+            const report = validator.validate(`
+steps:
+  - use: ofscreen
+    url: https://example.com
+  - use: fetch
+    url: https://example.com
+`);
+
+            expect(report.errors).toEqual([{
+                message: "Unknown tool 'ofscreen' (did you mean 'offscreen'?)",
+                line: 3,
+                column: 5,
+                step: { index: 0, use: 'ofscreen' }
+            }]);
+        });
+
+        test('should check parameters against tool metadata', () => {
+            const report = validator.validate(`
+steps:
+  - use: offscreen
+    url: 42
+    waitUntil: idle
+    rules:
+      fields:
+        - field_name: title
+  - use: fetch
+`);
+
+            expect(messages(report.errors)).toEqual([
+                "'url' must be string, got number",
+                "'waitUntil' must be one of: load, domcontentloaded, networkidle0, networkidle2",
+                "Missing required offscreen parameter 'rules.fields[0].xpath'",
+                "Missing required fetch parameter 'url'"
+            ]);
+            expect(report.errors.map(error => [error.line, error.column])).toEqual([[4, 5], [5, 5], [8, 11], [9, 5]]);
+        });
+
+        test('should skip type checks for template values', () => {
+            const report = validator.validate(`
+steps:
+  - use: offscreen
+    url: https://example.com
+    timeout: "{{ vars.timeout | int }}"
+`, { variables: { timeout: '500' } });
+
+            expect(report.errors).toEqual([]);
+        });
+
+        test('should warn about unknown parameters', () => {
+            const report = validator.validate(`
+steps:
+  - use: fetch
+    url: https://example.com
+    methd: POST
+`);
+
+            expect(report.errors).toEqual([]);
+            expect(messages(report.warnings)).toEqual(["Unknown fetch parameter 'methd' (did you mean 'method'?)"]);
+            expect(report.warnings[0].line).toBe(5);
+        });
+
+        test('should check the retry block', () => {
+            const report = validator.validate(`
+steps:
+  - use: fetch
+    url: https://example.com
+    retry: { attempts: 3, backoff: expo, on: [timeout, dns, flaky] }
+`);
+
+            expect(messages(report.errors)).toEqual([
+                "'retry.backoff' must be one of: fixed, linear, exponential",
+                "'retry.on[2]' must be one of: timeout, connection, dns, network, http, unknown, any"
+            ]);
+        });
+
+        test('should require exactly one step kind', () => {
+            const report = validator.validate(`
+steps:
+  - url: https://example.com
+  - use: fetch
+    goto: done
+    url: https://example.com
+`);
+
+            expect(messages(report.errors)).toEqual([
+                'Step 0 needs one of: use, if, foreach, parallel, goto, return, include, call',
+                'Step 1 mixes use and goto; use one per step'
+            ]);
+        });
+
+        test('should check block steps', () => {
+            const report = validator.validate(`
+steps:
+  - foreach: {from: 1}
+  - parallel:
+      - use: fetch
+        url: https://example.com
+    mode: fastest
+  - if: { value: 1, operator: EQUAL }
+    then: nothing
+`);
+
+            expect(messages(report.errors)).toEqual([
+                "Missing required foreach key 'steps'",
+                "Missing required foreach key 'foreach.to'",
+                "'mode' must be one of: fail_fast, collect_all",
+                "'if.operator' must be one of: EQUALS, NOT_EQUALS, CONTAINS, NOT_CONTAINS, GREATER_THAN, LESS_THAN, GREATER_THAN_OR_EQUAL, LESS_THAN_OR_EQUAL, MATCHES_PATTERN, IS_EMPTY, IS_NOT_EMPTY (did you mean 'EQUALS'?)",
+                "'then' must be array, got string"
+            ]);
+        });
+
+        test('should check include steps and fragments', () => {
+            const report = validator.validate(`
+fragments:
+  login:
+    params: [selector]
+    steps:
+      - id: check
+        use: fetch
+        url: "https://example.com/{{ vars.selector }}/{{ vars.token }}"
+      - goto: check
+  broken:
+    stesp: []
+steps:
+  - id: check
+    include: login
+    args: { selector: "#user" }
+  - call: 42
+`, { variables: { token: 't' } });
+
+            expect(messages(report.errors)).toEqual([
+                "Missing required fragment key 'fragments.broken.steps'",
+                "'call' must be string, got number"
+            ]);
+            expect(messages(report.warnings)).toEqual(["Unknown fragment key 'fragments.broken.stesp' (did you mean 'steps'?)"]);
+        });
+
+        test('should check step ids and jump targets', () => {
+            const report = validator.validate(`
+steps:
+  - id: start
+    use: fetch
+    url: https://example.com
+    on_failure: recover
+  - id: start
+    goto: finish
+`);
+
+            expect(messages(report.errors)).toEqual([
+                "Unknown step id 'recover'",
+                "Duplicate step id 'start'",
+                "Unknown step id 'finish'"
+            ]);
+        });
+    });
+
+    describe('Variables', () => {
+        test('should warn about unknown variables', () => {
+            const report = validator.validate(`
+steps:
+  - use: fetch
+    url: "https://example.com/?q={{ vars.query }}"
+`);
+
+            expect(report.errors).toEqual([]);
+            expect(report.warnings).toEqual([expect.objectContaining({
+                message: "Unknown variable 'query'",
+                line: 4,
+                column: 5,
+                variable: 'query'
+            })]);
+        });
+
+        test('should report unknown variables as errors in strict mode', () => {
+            const rules = `
+steps:
+  - use: fetch
+    url: "https://example.com/{{ vars.qurey }}"
+`;
+
+            expect(messages(validator.validate(rules, { variables: { query: 'x' }, strict: true }).errors))
+                .toEqual(["Unknown variable 'qurey' (did you mean 'query'?)"]);
+            expect(validator.validate(`strict: true${rules}`).errors).toHaveLength(1);
+            expect(validator.validate(`strict: false${rules}`, { strict: true }).errors).toEqual([]);
+        });
+
+        test('should know outputs, loop variables and last_error', () => {
+            const report = validator.validate(`
+strict: true
+steps:
+  - use: fetch
+    url: https://example.com
+    output: api
+    on_failure:
+      - use: fetch
+        url: "https://example.com/?error={{ vars.last_error.message }}"
+  - foreach: "{{ vars.api.items }}"
+    as: entry
+    steps:
+      - use: fetch
+        url: "https://example.com/{{ vars.entry.id }}?n={{ vars.entry_index }}&p={{ vars.page | default(1) }}"
+  - parallel:
+      - use: fetch
+        url: https://example.com/a
+        output: a
+      - steps:
+          - use: fetch
+            url: https://example.com/b
+            output: b
+  - if: "{{ vars.a }}"
+    then:
+      - return: b
+`);
+
+            expect(report.errors).toEqual([]);
+            expect(report.warnings).toEqual([]);
+        });
+
+        test('should warn about outputs used before they are set', () => {
+            const report = validator.validate(`
+strict: true
+steps:
+  - use: fetch
+    url: "{{ vars.next_url }}"
+  - use: fetch
+    url: https://example.com
+    output: next_url
+`);
+
+            expect(report.errors).toEqual([]);
+            expect(messages(report.warnings)).toEqual(["Variable 'next_url' is only set by a later step"]);
+        });
+
+        test('should report invalid expressions', () => {
+            const report = validator.validate(`
+steps:
+  - use: fetch
+    url: "{{ vars.url | upper }}"
+`, { variables: { url: 'x' } });
+
+            expect(report.errors[0].message).toMatch(/Unknown filter 'upper'/);
+            expect(report.errors[0].line).toBe(4);
+        });
+
+        test('should not check loop variables outside the loop', () => {
+            const report = validator.validate(`
+steps:
+  - foreach: [1, 2]
+    steps:
+      - use: fetch
+        url: "https://example.com/{{ vars.item }}"
+  - use: fetch
+    url: "https://example.com/{{ vars.item }}"
+`);
+
+            expect(messages(report.warnings)).toEqual(["Unknown variable 'item'"]);
+            expect(report.warnings[0].line).toBe(8);
+        });
+
+        test('should check references in a result template', () => {
+            const report = validator.validate(`
+result:
+  title: "{{ vars.page.title }}"
+  price: "{{ vars.prcie }}"
+steps:
+  - use: fetch
+    url: https://example.com
+    output: page
+`);
+
+            expect(report.errors).toEqual([]);
+            expect(messages(report.warnings)).toEqual(["Unknown variable 'prcie'"]);
+            expect(report.warnings[0].line).toBe(4);
+        });
+
+        test('should warn when the result output is never set', () => {
+            const report = validator.validate(`
+result: page
+steps:
+  - use: fetch
+    url: https://example.com
+`);
+
+            expect(messages(report.warnings)).toEqual(["Result output 'page' is not set by any step"]);
+        });
+    });
+
+    describe('Output Schema', () => {
+        test('should check the output schema', () => {
+            const report = validator.validate(`
+steps:
+  - use: fetch
+    url: https://example.com
+output_schema:
+  type: object
+  required: title
+  properties:
+    title: { type: text }
+    price: { type: string, pattern: "^($" }
+    reviews:
+      type: array
+      minItems: -1
+      items: { type: object, maxItems: 3 }
+`);
+
+            expect(messages(report.errors)).toEqual([
+                "'output_schema.required' must be a list of field names",
+                "'output_schema.properties.title.type' must be one or more of: string, number, integer, boolean, object, array, null",
+                expect.stringContaining("'output_schema.properties.price.pattern' is not a valid regular expression"),
+                "'output_schema.properties.reviews.minItems' must be a non-negative integer"
+            ]);
+            expect(report.errors[0].line).toBe(7);
+            expect(messages(report.warnings)).toEqual([expect.stringContaining("Unknown schema keyword 'output_schema.properties.reviews.items.maxItems'")]);
+        });
+    });
+});
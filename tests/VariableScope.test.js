@@ -0,0 +1,53 @@
+const VariableScope = require('../src/VariableScope');
+
+describe('VariableScope', () => {
+    describe('Path Parsing', () => {
+        test('should split dotted and indexed paths', () => {
+            expect(VariableScope.parsePath('a.b[0].c')).toEqual(['a', 'b', 0, 'c']);
+            expect(VariableScope.parsePath('a["x.y"]')).toEqual(['a', 'x.y']);
+        });
+
+        test('should reject malformed paths', () => {
+            expect(() => VariableScope.parsePath('a..b')).toThrow('Invalid variable path');
+            expect(() => VariableScope.parsePath('')).toThrow('Invalid variable path');
+        });
+    });
+
+    describe('Lookup', () => {
+        let scope;
+
+        beforeEach(() => {
+            scope = new VariableScope({ user_id: 42 });
+            scope.merge({
+                api_response: { data: { items: [{ url: 'https://example.com/1' }] } }
+            });
+        });
+
+        test('should resolve nested paths', () => {
+            expect(scope.get('api_response.data.items[0].url')).toBe('https://example.com/1');
+            expect(scope.get('user_id')).toBe(42);
+        });
+
+        test('should report missing paths', () => {
+            expect(scope.has('api_response.data.items[3].url')).toBe(false);
+            expect(scope.get('missing', 'fallback')).toBe('fallback');
+        });
+
+        test('should distinguish falsy values from missing ones', () => {
+            scope.set('zero', 0);
+            expect(scope.lookup('zero')).toEqual({ found: true, value: 0 });
+        });
+    });
+
+    describe('Child Scopes', () => {
+        test('should fall back to parent and shadow it locally', () => {
+            const parent = new VariableScope({ a: 1, b: 2 });
+            const child = parent.child({ b: 3 });
+
+            expect(child.get('a')).toBe(1);
+            expect(child.get('b')).toBe(3);
+            expect(parent.get('b')).toBe(2);
+            expect(child.toObject()).toEqual({ a: 1, b: 3 });
+        });
+    });
+});
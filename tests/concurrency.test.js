@@ -0,0 +1,38 @@
+const { mapLimit } = require('../src/concurrency');
+
+describe('mapLimit', () => {
+    const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    test('should keep input order', async () => {
+        const results = await mapLimit([30, 10, 20], 3, async ms => {
+            await delay(ms);
+            return ms;
+        });
+        expect(results).toEqual([30, 10, 20]);
+    });
+
+    test('should not exceed the limit', async () => {
+        let active = 0;
+        let peak = 0;
+        await mapLimit([1, 2, 3, 4, 5], 2, async () => {
+            active++;
+            peak = Math.max(peak, active);
+            await delay(5);
+            active--;
+        });
+        expect(peak).toBe(2);
+    });
+
+    test('should stop starting items after a failure', async () => {
+        const started = [];
+        await expect(mapLimit([1, 2, 3, 4], 1, async item => {
+            started.push(item);
+            if (item === 2) throw new Error('boom');
+        })).rejects.toThrow('boom');
+        expect(started).toEqual([1, 2]);
+    });
+
+    test('should handle an empty list', async () => {
+        await expect(mapLimit([], 4, async () => 1)).resolves.toEqual([]);
+    });
+});
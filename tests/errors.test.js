@@ -0,0 +1,93 @@
+const {
+    DataHiveError,
+    TimeoutError,
+    NetworkError,
+    ERROR_CODES,
+    errorReport,
+    sanitize
+} = require('../src/errors');
+
+describe('errors', () => {
+    describe('sanitize', () => {
+        test('should redact sensitive keys and query values', () => {
+            expect(sanitize({
+                headers: { Authorization: 'Bearer abc', Accept: 'text/html' },
+                url: 'https://example.com/?q=1&api_key=s3cret&page=2'
+            })).toEqual({
+                headers: { Authorization: '[redacted]', Accept: 'text/html' },
+                url: 'https://example.com/?q=1&api_key=[redacted]&page=2'
+            });
+        });
+
+        test('should cut long strings and lists', () => {
+            const value = sanitize({ text: 'x'.repeat(600), items: Array.from({ length: 25 }, (_, i) => i) });
+
+            expect(value.text).toBe(`${'x'.repeat(500)}... (100 more chars)`);
+            expect(value.items).toHaveLength(21);
+            expect(value.items[20]).toBe('... (5 more items)');
+        });
+
+        test('should drop functions and stop at cycles, buffers and depth', () => {
+            const value = { fn: () => 1, data: Buffer.from('abc'), a: { b: { c: { d: { e: { f: 1 } } } } } };
+            value.self = value;
+
+            expect(sanitize(value)).toEqual({
+                fn: undefined,
+                data: '[3 bytes]',
+                a: { b: { c: { d: { e: '[truncated]' } } } },
+                self: '[circular]'
+            });
+        });
+    });
+
+    describe('errorReport', () => {
+        test('should report classified errors with their step', () => {
+            const error = new TimeoutError('Step timed out', { scope: 'step', timeout: 50 });
+            error.step = { index: 2, use: 'fetch' };
+
+            expect(errorReport(error)).toEqual({
+                code: 'TIMEOUT',
+                message: 'Step timed out',
+                retryable: true,
+                stepIndex: 2,
+                tool: 'fetch',
+                details: { scope: 'step', timeout: 50 }
+            });
+        });
+
+        test('should pick the network code from the category', () => {
+            const error = new NetworkError('getaddrinfo ENOTFOUND nowhere', { category: 'dns', url: 'http://nowhere/?token=t', cause: 'ENOTFOUND' });
+
+            expect(errorReport(error)).toEqual(expect.objectContaining({
+                code: ERROR_CODES.DNS_ERROR,
+                retryable: true,
+                details: { category: 'dns', url: 'http://nowhere/?token=[redacted]', cause: 'ENOTFOUND' }
+            }));
+        });
+
+        test('should categorize unclassified errors', () => {
+            const refused = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED', step: { index: 0, use: 'fetch' } });
+
+            expect(errorReport(refused)).toEqual({
+                code: 'CONNECTION_ERROR',
+                message: 'connect ECONNREFUSED',
+                retryable: true,
+                stepIndex: 0,
+                tool: 'fetch',
+                details: { category: 'connection', cause: 'ECONNREFUSED' }
+            });
+            expect(errorReport(new Error('boom'))).toEqual({
+                code: 'PROCESSING_FAILED',
+                message: 'boom',
+                retryable: false,
+                stepIndex: null,
+                tool: null,
+                details: {}
+            });
+        });
+
+        test('should default base errors to PROCESSING_FAILED', () => {
+            expect(new DataHiveError('oops').toReport()).toEqual(expect.objectContaining({ code: 'PROCESSING_FAILED', retryable: false }));
+        });
+    });
+});
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseJob, readJob } = require('../src/localJob');
+const LocalApiClient = require('../src/LocalApiClient');
+const JobManager = require('../src/JobManager');
+
+describe('localJob', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-job-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('parseJob', () => {
+        test('should load a JSON job and merge variables', () => {
+            const job = parseJob(JSON.stringify({
+                id: 'job-7',
+                vars: { a: '1', b: '2' },
+                ruleCollection: { yamlRules: 'steps: []' }
+            }), { variables: { b: '3' } });
+
+            expect(job).toEqual({
+                id: 'job-7',
+                vars: { a: '1', b: '3' },
+                ruleCollection: { yamlRules: 'steps: []' }
+            });
+        });
+
+        test('should wrap bare rules and keep their text', () => {
+            const rules = 'steps:\n  - use: fetch\n    url: "{{ vars.url }}"\n';
+            const job = parseJob(rules, { id: 'local-rules', variables: { url: 'https://example.com' } });
+
+            expect(job).toEqual({
+                id: 'local-rules',
+                vars: { url: 'https://example.com' },
+                ruleCollection: { yamlRules: rules }
+            });
+        });
+
+        test('should serialize rules given as a mapping in a YAML job', () => {
+            const job = parseJob('id: job-8\nruleCollection:\n  yamlRules:\n    steps:\n      - use: fetch\n');
+
+            expect(job.id).toBe('job-8');
+            expect(job.ruleCollection.yamlRules).toBe('steps:\n  - use: fetch\n');
+        });
+
+        test('should pass broken YAML through to the rule validator', () => {
+            const job = parseJob('steps:\n  - use: [fetch\n');
+
+            expect(job.id).toBe('local');
+            expect(job.ruleCollection.yamlRules).toBe('steps:\n  - use: [fetch\n');
+        });
+    });
+
+    describe('readJob', () => {
+        test('should name the job after the file', async () => {
+            const file = path.join(dir, 'product.yaml');
+            fs.writeFileSync(file, 'steps: []\n');
+
+            expect((await readJob(file)).id).toBe('local-product');
+        });
+    });
+
+    describe('Local runs', () => {
+        let apiClient;
+        let jobManager;
+
+        beforeEach(() => {
+            apiClient = new LocalApiClient();
+            jobManager = new JobManager(apiClient, {
+                spool: { enabled: false, dir: path.join(dir, 'spool') },
+                journal: { enabled: false, file: path.join(dir, 'journal.jsonl') },
+                tools: { quiet: true }
+            });
+        });
+
+        test('should capture the result without touching disk', async () => {
+            await jobManager.processJob(parseJob(`
+steps:
+  - use: conditional-gate
+    rule: { value: "{{ vars.status }}", operator: EQUALS, expected: ok }
+`, { variables: { status: 'ok' } }));
+
+            expect(apiClient.getOutcome('local')).toEqual({
+                jobId: 'local',
+                status: 'completed',
+                result: { 0: true },
+                metadata: { steps: [{ step: 0, kind: 'conditional-gate', status: 'ok', duration: expect.any(Number) }] }
+            });
+            expect(fs.readdirSync(dir)).toEqual([]);
+        });
+
+        test('should capture errors', async () => {
+            await jobManager.processJob(parseJob('steps:\n  - use: fecth\n'));
+
+            expect(apiClient.getOutcome('local')).toMatchObject({ status: 'failed', error: 'INVALID_RULES' });
+            expect(apiClient.completed).toEqual([]);
+        });
+
+        test('should include performance metrics in the outcome of a failed run', async () => {
+            jobManager.configManager.set('enablePerformanceTracking', true);
+
+            await jobManager.processJob(parseJob(`
+steps:
+  - use: conditional-gate
+    rule: { value: "{{ vars.status }}", operator: EQUALS, expected: ok }
+`, { variables: { status: 'down' } }));
+
+            expect(apiClient.getOutcome('local')).toMatchObject({
+                status: 'failed',
+                error: 'GATE_FAILED',
+                metadata: {
+                    duration: expect.any(Number),
+                    memory: expect.any(Object),
+                    steps: [expect.objectContaining({ status: 'failed' })]
+                }
+            });
+        });
+    });
+});
@@ -0,0 +1,127 @@
+const zlib = require('zlib');
+const ApiClient = require('../src/ApiClient');
+const { errorReport } = require('../src/errors');
+const { limitResult, truncateString, preview, jsonBytes, TRUNCATION_POLICIES } = require('../src/resultLimits');
+
+describe('Result Limits', () => {
+    const page = { url: 'https://example.com', title: 'Example', html: 'x'.repeat(5000), text: 'y'.repeat(1000) };
+
+    test('should leave results within the limits alone', () => {
+        const limited = limitResult(page, { maxBytes: 10000, fieldMaxLength: 5000 });
+
+        expect(limited.result).toBe(page);
+        expect(limited.bytes).toBe(jsonBytes(page));
+        expect(limited.truncation).toBeNull();
+    });
+
+    test('should cut long strings with a marker and list them', () => {
+        const limited = limitResult({ items: [page] }, { fieldMaxLength: 100 });
+
+        expect(limited.result.items[0].html).toBe(`${'x'.repeat(100)}...[truncated 4900 chars]`);
+        expect(limited.result.items[0].title).toBe('Example');
+        expect(limited.truncation).toEqual({
+            originalBytes: jsonBytes({ items: [page] }),
+            bytes: limited.bytes,
+            count: 2,
+            fields: [{ path: 'result.items[0].html', length: 5000 }, { path: 'result.items[0].text', length: 1000 }]
+        });
+    });
+
+    test('should cut the longest strings until the result fits', () => {
+        const limited = limitResult(page, { maxBytes: 4000 });
+
+        expect(limited.bytes).toBeLessThanOrEqual(4000);
+        expect(limited.bytes).toBeGreaterThan(3900);
+        expect(limited.result.text).toBe(page.text);
+        expect(limited.result.url).toBe(page.url);
+        expect(limited.result.html).toMatch(/^x+\.\.\.\[truncated \d+ chars\]$/);
+        expect(limited.truncation.fields.map(field => field.path)).toEqual(['result.html']);
+    });
+
+    test('should fail oversized results with the fail policy', () => {
+        const error = (() => {
+            try {
+                limitResult(page, { maxBytes: 2000, policy: TRUNCATION_POLICIES.FAIL });
+            } catch (e) {
+                return e;
+            }
+        })();
+
+        expect(errorReport(error)).toMatchObject({
+            code: 'RESULT_TOO_LARGE',
+            retryable: false,
+            details: { bytes: jsonBytes(page), maxBytes: 2000, source: 'worker' }
+        });
+    });
+
+    test('should fail results that do not fit even when truncated', () => {
+        const rows = Array.from({ length: 500 }, (_, index) => ({ id: index }));
+
+        expect(() => limitResult(rows, { maxBytes: 1000 })).toThrow('even with every string truncated');
+    });
+
+    test('should not split surrogate pairs', () => {
+        expect(truncateString('ab😀cd', 3)).toBe('ab...[truncated 4 chars]');
+    });
+
+    test('should preview values without encoding long strings in full', () => {
+        expect(preview({ html: 'x'.repeat(5000) }, 30)).toBe(`{"html":"${'x'.repeat(21)}`);
+        expect(preview(undefined)).toBe('undefined');
+    });
+});
+
+describe('Result Uploads', () => {
+    const createClient = compression => new ApiClient({ jwt: 'jwt', deviceId: 'device', compression });
+
+    test('should compress large bodies with the configured encoding', async () => {
+        const body = { result: 'x'.repeat(5000) };
+
+        const gzip = await createClient('gzip').encodeBody(body);
+        expect(gzip.headers).toEqual({ 'Content-Encoding': 'gzip' });
+        expect(JSON.parse(zlib.gunzipSync(gzip.data))).toEqual(body);
+        expect(gzip.bytes).toBe(jsonBytes(body));
+
+        const br = await createClient('br').encodeBody(body);
+        expect(br.headers).toEqual({ 'Content-Encoding': 'br' });
+        expect(JSON.parse(zlib.brotliDecompressSync(br.data))).toEqual(body);
+    });
+
+    test('should send small bodies and uncompressed uploads as JSON', async () => {
+        expect(await createClient('gzip').encodeBody({ ok: true })).toEqual({ data: '{"ok":true}', headers: {}, bytes: 11 });
+        expect((await createClient('none').encodeBody({ result: 'x'.repeat(5000) })).headers).toEqual({});
+    });
+
+    test('should reject unknown compressions', () => {
+        expect(() => createClient('zip')).toThrow("Unknown upload compression 'zip'");
+    });
+
+    test('should turn HTTP 413 into RESULT_TOO_LARGE', async () => {
+        const client = createClient('gzip');
+        client.makeRequest = jest.fn().mockRejectedValue(Object.assign(new Error('HTTP 413: {}'), { status: 413 }));
+
+        const error = await client.completeJob('job-1', 'x'.repeat(5000)).catch(e => e);
+
+        expect(client.makeRequest).toHaveBeenCalledWith('/job/job-1', expect.objectContaining({
+            method: 'POST',
+            headers: { 'Content-Encoding': 'gzip' }
+        }));
+        expect(errorReport(error)).toMatchObject({ code: 'RESULT_TOO_LARGE', retryable: false, details: { source: 'api' } });
+    });
+
+    test('should turn other permanent client errors into RESULT_REJECTED', async () => {
+        const client = createClient('none');
+        const httpError = status => Object.assign(new Error(`HTTP ${status}: {}`), { status });
+        client.makeRequest = jest.fn()
+            .mockRejectedValueOnce(httpError(409))
+            .mockRejectedValueOnce(httpError(401))
+            .mockRejectedValueOnce(httpError(503));
+
+        expect(errorReport(await client.completeJob('job-1', {}).catch(e => e))).toMatchObject({
+            code: 'RESULT_REJECTED',
+            retryable: false,
+            details: { status: 409 }
+        });
+        expect(await client.completeJob('job-1', {}).catch(e => e)).not.toHaveProperty('code');
+        expect(await client.completeJob('job-1', {}).catch(e => e)).not.toHaveProperty('code');
+    });
+});
@@ -0,0 +1,100 @@
+const { render, parseExpression } = require('../src/template');
+const VariableScope = require('../src/VariableScope');
+const { TemplateError, MissingVariablesError } = require('../src/errors');
+
+describe('template', () => {
+    const variables = {
+        title: '  Hello World  ',
+        page: '3',
+        count: 42,
+        query: 'a b&c',
+        empty: '',
+        api: { data: { items: [{ url: 'https://example.com/1' }, { url: 'https://example.com/2' }] } }
+    };
+
+    describe('Paths', () => {
+        test('should resolve dotted and indexed paths', () => {
+            expect(render('{{ vars.api.data.items[1].url }}', variables)).toBe('https://example.com/2');
+            expect(render('{{ vars["api"].data.items[0]["url"] }}', variables)).toBe('https://example.com/1');
+        });
+
+        test('should resolve against a scope chain', () => {
+            const scope = new VariableScope({ outer: 'o' }).child({ inner: 'i' });
+            expect(render('{{ vars.outer }}/{{ vars.inner }}', scope)).toBe('o/i');
+        });
+
+        test('should leave non-vars placeholders alone', () => {
+            expect(render('{{ user }} and {{vars.count}}', variables)).toBe('{{ user }} and 42');
+        });
+    });
+
+    describe('Types', () => {
+        test('should keep the type of a whole-value expression', () => {
+            expect(render('{{ vars.count }}', variables)).toBe(42);
+            expect(render('{{ vars.api.data.items }}', variables)).toHaveLength(2);
+            expect(render({ n: '{{ vars.page | int }}' }, variables)).toEqual({ n: 3 });
+        });
+
+        test('should stringify values inside longer strings', () => {
+            expect(render('count={{ vars.count }}', variables)).toBe('count=42');
+            expect(render('items={{ vars.api.data.items[0] }}', variables)).toBe('items={"url":"https://example.com/1"}');
+        });
+
+        test('should render arrays and objects recursively', () => {
+            expect(render({ list: ['{{ vars.count }}', 'x'], nested: { q: '{{ vars.query }}' } }, variables))
+                .toEqual({ list: [42, 'x'], nested: { q: 'a b&c' } });
+        });
+    });
+
+    describe('Filters', () => {
+        test('should apply trim and lower', () => {
+            expect(render('{{ vars.title | trim | lower }}', variables)).toBe('hello world');
+        });
+
+        test('should apply default to missing and empty values', () => {
+            expect(render("{{ vars.missing | default('x') }}", variables)).toBe('x');
+            expect(render('{{ vars.empty | default(5) }}', variables)).toBe(5);
+            expect(render("{{ vars.missing | default('a|b, c') }}", variables)).toBe('a|b, c');
+            expect(render('{{ vars.count | default(1) }}', variables)).toBe(42);
+        });
+
+        test('should apply int, json and urlencode', () => {
+            expect(render('{{ vars.page | int }}', variables)).toBe(3);
+            expect(render('{{ vars.api.data.items[0] | json }}', variables)).toBe('{"url":"https://example.com/1"}');
+            expect(render('https://x.test/?q={{ vars.query | urlencode }}', variables)).toBe('https://x.test/?q=a%20b%26c');
+        });
+
+        test('should fail when int cannot convert', () => {
+            expect(() => render('{{ vars.title | int }}', variables)).toThrow(TemplateError);
+        });
+
+        test('should reject unknown filters and bad arguments', () => {
+            expect(() => parseExpression('vars.a | upper')).toThrow("Unknown filter 'upper'");
+            expect(() => parseExpression('vars.a | default(x)')).toThrow("Invalid literal 'x'");
+            expect(() => parseExpression("vars.a | default('x)")).toThrow('Unterminated string');
+        });
+    });
+
+    describe('Missing Variables', () => {
+        test('should leave placeholders in place by default', () => {
+            expect(render('a={{ vars.nope }}', variables)).toBe('a={{ vars.nope }}');
+        });
+
+        test('should list every missing variable in strict mode', () => {
+            let error;
+            try {
+                render({ a: '{{ vars.one }}', b: ['{{ vars.two.x }} {{ vars.one }}'], c: '{{ vars.count }}' }, variables, { strict: true });
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).toBeInstanceOf(MissingVariablesError);
+            expect(error.code).toBe('MISSING_VARIABLES');
+            expect(error.missing).toEqual(['one', 'two.x']);
+        });
+
+        test('should not count defaulted variables as missing', () => {
+            expect(render("{{ vars.nope | default('') }}", variables, { strict: true })).toBe('');
+        });
+    });
+});
@@ -82,6 +82,18 @@ describe('ConditionalGateTool', () => {
                 }
             }, mockContext)).rejects.toThrow('Custom error');
         });
+
+        test('should throw a GATE_FAILED error with the rule as details', async () => {
+            const error = await tool.execute({
+                rule: { value: 'test', operator: OPERATORS.EQUALS, expected: 'different', throwOnFailure: true }
+            }, mockContext).catch(caught => caught);
+
+            expect(error.toReport()).toEqual(expect.objectContaining({
+                code: 'GATE_FAILED',
+                retryable: false,
+                details: { value: 'test', operator: 'EQUALS', expected: 'different' }
+            }));
+        });
     });
 
     describe('NOT_EQUALS Operator', () => {
@@ -482,4 +494,44 @@ describe('ConditionalGateTool', () => {
             }, mockContext)).rejects.toThrow('Condition failed');
         });
     });
+
+    describe('Output', () => {
+        test('should store the outcome and still halt when output is set', async () => {
+            const result = await tool.execute({
+                rule: {
+                    value: 'test',
+                    operator: OPERATORS.EQUALS,
+                    expected: 'different',
+                    throwOnFailure: false
+                },
+                output: 'is_match'
+            }, mockContext);
+
+            expect(result).toEqual({ result: false, shouldContinue: false, output: { is_match: false } });
+        });
+
+        test('should continue after a failed gate with continue_on_fail', async () => {
+            const result = await tool.execute({
+                rule: {
+                    value: 'test',
+                    operator: OPERATORS.EQUALS,
+                    expected: 'different',
+                    throwOnFailure: false
+                },
+                output: 'is_match',
+                continue_on_fail: true
+            }, mockContext);
+
+            expect(result).toEqual({ result: false, shouldContinue: true, output: { is_match: false } });
+        });
+
+        test('should store true when the condition passes', async () => {
+            const result = await tool.execute({
+                rule: { value: 'a', operator: OPERATORS.IS_NOT_EMPTY },
+                output: 'has_value'
+            }, mockContext);
+
+            expect(result.output).toEqual({ has_value: true });
+        });
+    });
 });
@@ -0,0 +1,79 @@
+const { RetryPolicy, ERROR_CATEGORIES } = require('../../src/tools/RetryPolicy');
+const { GateFailedError } = require('../../src/errors');
+
+describe('RetryPolicy', () => {
+    describe('Configuration', () => {
+        test('should default to a single attempt', () => {
+            const policy = new RetryPolicy();
+            expect(policy.attempts).toBe(1);
+            expect(policy.backoff).toBe('exponential');
+        });
+
+        test('should accept a bare number of attempts', () => {
+            expect(new RetryPolicy(3).attempts).toBe(3);
+        });
+
+        test('should fall back to exponential backoff for unknown types', () => {
+            expect(new RetryPolicy({ backoff: 'random' }).backoff).toBe('exponential');
+        });
+    });
+
+    describe('Backoff', () => {
+        test('should compute fixed, linear and exponential delays', () => {
+            expect(new RetryPolicy({ backoff: 'fixed', delay: 100 }).getDelay(3)).toBe(100);
+            expect(new RetryPolicy({ backoff: 'linear', delay: 100 }).getDelay(3)).toBe(300);
+            expect(new RetryPolicy({ backoff: 'exponential', delay: 100 }).getDelay(3)).toBe(400);
+        });
+
+        test('should cap delays at max_delay', () => {
+            const policy = new RetryPolicy({ delay: 1000, max_delay: 1500 });
+            expect(policy.getDelay(5)).toBe(1500);
+        });
+
+        test('should keep jittered delays within range', () => {
+            const policy = new RetryPolicy({ backoff: 'fixed', delay: 1000, jitter: 0.2 });
+            for (let i = 0; i < 20; i++) {
+                const delay = policy.getDelay(1);
+                expect(delay).toBeGreaterThanOrEqual(800);
+                expect(delay).toBeLessThanOrEqual(1200);
+            }
+        });
+    });
+
+    describe('Error Categories', () => {
+        test('should use an explicit category', () => {
+            const error = new Error('boom');
+            error.category = ERROR_CATEGORIES.DNS;
+            expect(RetryPolicy.categorize(error)).toBe('dns');
+        });
+
+        test('should categorize socket and navigation errors', () => {
+            expect(RetryPolicy.categorize(Object.assign(new Error('read'), { code: 'ECONNRESET' }))).toBe('connection');
+            expect(RetryPolicy.categorize(Object.assign(new Error('slow'), { name: 'TimeoutError' }))).toBe('timeout');
+            expect(RetryPolicy.categorize(new Error('net::ERR_NAME_NOT_RESOLVED at https://x'))).toBe('dns');
+            expect(RetryPolicy.categorize(new Error('net::ERR_ABORTED at https://x'))).toBe('network');
+            expect(RetryPolicy.categorize(new Error('Cannot read properties of undefined'))).toBe('unknown');
+        });
+
+        test('should retry only configured categories', () => {
+            const policy = new RetryPolicy({ on: ['timeout'] });
+            expect(policy.shouldRetryCategory('timeout')).toBe(true);
+            expect(policy.shouldRetryCategory('connection')).toBe(false);
+            expect(new RetryPolicy({ on: 'any' }).shouldRetryCategory('unknown')).toBe(true);
+        });
+
+        test('should not retry non-retryable errors on any', () => {
+            const policy = new RetryPolicy({ on: 'any' });
+            const gateFailed = new GateFailedError('Gate failed', { value: 0, operator: '>', expected: 0 });
+            expect(policy.shouldRetryCategory('unknown', gateFailed)).toBe(false);
+            expect(policy.shouldRetryCategory('unknown', new Error('flaky'))).toBe(true);
+            expect(new RetryPolicy({ on: ['unknown'] }).shouldRetryCategory('unknown', gateFailed)).toBe(true);
+        });
+
+        test('should retry results with listed statuses', () => {
+            const policy = new RetryPolicy({ statuses: [503] });
+            expect(policy.shouldRetryResult({ result: { status: 503 } })).toBe(true);
+            expect(policy.shouldRetryResult({ result: { status: 200 } })).toBe(false);
+        });
+    });
+});
@@ -1,5 +1,6 @@
 const ToolRegistry = require('../../src/tools/ToolRegistry');
 const Tool = require('../../src/tools/Tool');
+const { GateFailedError } = require('../../src/errors');
 
 // Mock tool for testing
 class MockTool extends Tool {
@@ -81,6 +82,10 @@ describe('ToolRegistry', () => {
             }).toThrow("Tool 'non-existent' not found");
         });
 
+        test('should report unknown tools with the UNKNOWN_TOOL code', () => {
+            expect(() => registry.get('non-existent')).toThrow(expect.objectContaining({ code: 'UNKNOWN_TOOL' }));
+        });
+
         test('should list error message include available tools', () => {
             const tool1 = new MockTool('tool1');
             const tool2 = new MockTool('tool2');
@@ -153,6 +158,14 @@ describe('ToolRegistry', () => {
             ).rejects.toThrow('Value is required');
         });
 
+        test('should classify validation failures as INVALID_PARAMS', async () => {
+            registry.register(new MockTool());
+
+            await expect(
+                registry.execute('mock-tool', { requiresValidation: true }, {})
+            ).rejects.toMatchObject({ name: 'ValidationError', code: 'INVALID_PARAMS' });
+        });
+
         test('should throw error when executing non-existent tool', async () => {
             await expect(
                 registry.execute('non-existent', {}, {})
@@ -186,6 +199,100 @@ describe('ToolRegistry', () => {
         });
     });
 
+    describe('Retry', () => {
+        // Fails with the queued errors/results, then succeeds
+        class FlakyTool extends Tool {
+            constructor(outcomes) {
+                super('flaky');
+                this.outcomes = outcomes;
+                this.calls = 0;
+            }
+
+            async execute() {
+                const outcome = this.outcomes[this.calls++];
+                if (outcome instanceof Error) throw outcome;
+                return { result: outcome || { status: 200 }, shouldContinue: true };
+            }
+        }
+
+        const connectionReset = () => Object.assign(new Error('socket reset'), { code: 'ECONNRESET' });
+        const retry = { attempts: 3, backoff: 'fixed', delay: 1 };
+
+        test('should retry retryable errors and record attempts', async () => {
+            const tool = new FlakyTool([connectionReset(), connectionReset()]);
+            registry.register(tool);
+
+            const result = await registry.execute('flaky', { retry }, {});
+
+            expect(tool.calls).toBe(3);
+            expect(result.result.status).toBe(200);
+            expect(result.retry.attempts).toBe(3);
+            expect(result.retry.errors).toEqual([
+                { attempt: 1, category: 'connection', message: 'socket reset' },
+                { attempt: 2, category: 'connection', message: 'socket reset' }
+            ]);
+        });
+
+        test('should throw the last error with attempts once exhausted', async () => {
+            const tool = new FlakyTool([connectionReset(), connectionReset(), connectionReset()]);
+            registry.register(tool);
+
+            const error = await registry.execute('flaky', { retry }, {}).catch(e => e);
+
+            expect(tool.calls).toBe(3);
+            expect(error.message).toBe('socket reset');
+            expect(error.retry.attempts).toBe(3);
+        });
+
+        test('should not retry categories that are not listed', async () => {
+            const tool = new FlakyTool([new Error('bad selector')]);
+            registry.register(tool);
+
+            await expect(registry.execute('flaky', { retry }, {})).rejects.toThrow('bad selector');
+            expect(tool.calls).toBe(1);
+        });
+
+        test('should not retry a failed gate on any', async () => {
+            const tool = new FlakyTool([new GateFailedError('Gate failed: count > 0', { value: 0, operator: '>', expected: 0 })]);
+            registry.register(tool);
+
+            await expect(registry.execute('flaky', { retry: { ...retry, on: 'any' } }, {})).rejects.toThrow('Gate failed');
+            expect(tool.calls).toBe(1);
+        });
+
+        test('should retry listed HTTP statuses', async () => {
+            const tool = new FlakyTool([{ status: 503 }, { status: 200 }]);
+            registry.register(tool);
+
+            const result = await registry.execute('flaky', { retry: { ...retry, statuses: [503] } }, {});
+
+            expect(result.result.status).toBe(200);
+            expect(result.retry.errors[0]).toEqual({ attempt: 1, category: 'http', status: 503, message: 'HTTP 503' });
+        });
+
+        test('should return the last response when statuses keep failing', async () => {
+            const tool = new FlakyTool([{ status: 503 }, { status: 503 }, { status: 503 }]);
+            registry.register(tool);
+
+            const result = await registry.execute('flaky', { retry: { ...retry, statuses: [503] } }, {});
+
+            expect(result.result.status).toBe(503);
+            expect(result.retry.attempts).toBe(3);
+        });
+
+        test('should stop retrying once the signal aborts', async () => {
+            const controller = new AbortController();
+            const tool = new FlakyTool([connectionReset(), connectionReset()]);
+            registry.register(tool);
+
+            const running = registry.execute('flaky', { retry: { ...retry, delay: 1000 } }, { signal: controller.signal });
+            setTimeout(() => controller.abort(new Error('deadline')), 10);
+
+            await expect(running).rejects.toThrow('deadline');
+            expect(tool.calls).toBe(1);
+        });
+    });
+
     describe('Registry Management', () => {
         test('should clear all tools', () => {
             const tool1 = new MockTool('tool1');